@@ -0,0 +1,53 @@
+/**
+ * Generate event_instances for open-ended recurring events up to a rolling
+ * horizon (see src/utils/rollingInstances.js). Run daily, e.g. from cron; re-running
+ * is safe and existing instances (with their overrides and cancellations) are kept.
+ *
+ * Run with: npm run extend-event-instances -- [--dry-run] [--days N]
+ *   --dry-run   report what would be generated without writing
+ *   --days      how many days ahead to generate (defaults to 90)
+ */
+
+require('../config/env');
+
+const db = require('../src/utils/db');
+const { ROLLING_HORIZON_DAYS } = require('../src/utils/eventRecurrence');
+const { extendOpenEndedEvents } = require('../src/utils/rollingInstances');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, horizonDays: ROLLING_HORIZON_DAYS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--days') {
+      const value = Number.parseInt(argv[++i], 10);
+      if (Number.isNaN(value) || value < 1) {
+        throw new Error('--days must be a positive integer');
+      }
+      options.horizonDays = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const report = await extendOpenEndedEvents({
+    horizonDays: options.horizonDays,
+    dryRun: options.dryRun,
+    onProgress: (event, { from, created }) => console.log(`  ${event.id} from ${from}: ${created} instance${created === 1 ? '' : 's'}`)
+  });
+
+  console.log(`\n${report.total} open-ended events extended to ${report.horizon}, ${report.instancesCreated} instances ${options.dryRun ? 'would be created (dry run)' : 'created'}.`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Extending event instances failed:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -20,6 +20,7 @@ CREATE TABLE bars (
     address_zip VARCHAR(10) NOT NULL,
     latitude DECIMAL(10, 8),
     longitude DECIMAL(11, 8),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York', -- IANA zone; hours and event times are local to it
     phone VARCHAR(20),
     website VARCHAR(500),
     instagram VARCHAR(100),
@@ -34,7 +35,8 @@ CREATE TABLE bars (
     INDEX idx_bars_name (name),
     INDEX idx_bars_city (address_city),
     INDEX idx_bars_active (is_active),
-    INDEX idx_bars_location (latitude, longitude)
+    INDEX idx_bars_location (latitude, longitude),
+    FULLTEXT INDEX ft_bars_name_description (name, description)
 );
 
 -- Bar hours table - operating hours for each day
@@ -51,12 +53,76 @@ CREATE TABLE bar_hours (
     FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
 );
 
--- Bar tags/categories
+-- Date-specific overrides of the weekly bar_hours template (holidays, late nights, closures)
+CREATE TABLE bar_hour_exceptions (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    bar_id CHAR(36) NOT NULL,
+    date DATE NOT NULL,
+    open_time TIME,
+    close_time TIME,
+    is_closed BOOLEAN DEFAULT false,
+    crosses_midnight BOOLEAN DEFAULT FALSE,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_bar_date (bar_id, date),
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
+);
+
+-- Drink specials (happy hours and other deals), one item per row
+CREATE TABLE bar_specials (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    bar_id CHAR(36) NOT NULL,
+    item VARCHAR(255) NOT NULL,
+    description TEXT,
+    discount_type ENUM('fixed_price', 'amount_off', 'percent_off', 'bogo') NOT NULL,
+    price DECIMAL(8,2) NULL, -- price during the special (required for fixed_price)
+    discount_value DECIMAL(8,2) NULL, -- amount or percentage off
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_bar_specials_bar (bar_id, is_active),
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
+);
+
+-- Weekly times a special runs, in the bar's local time. Like bar_hours, end_time
+-- earlier than start_time crosses midnight.
+CREATE TABLE bar_special_windows (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    special_id CHAR(36) NOT NULL,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    crosses_midnight BOOLEAN DEFAULT FALSE,
+
+    INDEX idx_bar_special_windows_day (day_of_week, special_id),
+    FOREIGN KEY (special_id) REFERENCES bar_specials(id) ON DELETE CASCADE
+);
+
+-- Bar tag categories ('type', 'amenity'), optionally nested under a parent category
+CREATE TABLE tag_categories (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    parent_id CHAR(36),
+    icon_key VARCHAR(50),
+    display_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES tag_categories(id),
+
+    INDEX idx_tag_categories_parent (parent_id, display_order)
+);
+
+-- Bar tags; category is a tag_categories slug
 CREATE TABLE bar_tags (
     id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
     name VARCHAR(50) NOT NULL UNIQUE,
     category VARCHAR(50), 
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (category) REFERENCES tag_categories(slug) ON UPDATE CASCADE
 );
 
 -- Junction table for bars and tags
@@ -96,11 +162,15 @@ CREATE TABLE events (
     external_link VARCHAR(500),
     
     -- Recurrence fields
-    recurrence_pattern ENUM('none', 'daily', 'weekly', 'monthly') DEFAULT 'none',
-    recurrence_days JSON,
+    recurrence_pattern ENUM('none', 'daily', 'weekly', 'monthly', 'yearly') DEFAULT 'none',
+    recurrence_interval INT NOT NULL DEFAULT 1, -- every N days/weeks/months/years
+    recurrence_days JSON, -- weekdays for weekly events and monthly-by-weekday events
+    recurrence_week_of_month TINYINT NULL, -- monthly by weekday: 1-5 = nth, -1 = last
+    recurrence_exdates JSON, -- dates (YYYY-MM-DD) skipped by the rule
     start_date DATE,
     recurrence_end_date DATE,
     recurrence_end_occurrences INT NULL,
+    instances_generated_until DATE NULL, -- open-ended events: last date event_instances covers
     
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -112,7 +182,8 @@ CREATE TABLE events (
     INDEX idx_events_event_tag_id (event_tag_id),
     INDEX idx_events_active (is_active),
     INDEX idx_events_pattern (recurrence_pattern),
-    INDEX idx_events_recurrence_dates (start_date, recurrence_end_date)
+    INDEX idx_events_recurrence_dates (start_date, recurrence_end_date),
+    FULLTEXT INDEX ft_events_title_description (title, description)
 );
 
 -- Event instances table (specific occurrences)
@@ -141,7 +212,31 @@ CREATE TABLE event_instances (
     INDEX idx_instances_date (date),
     INDEX idx_instances_event_id (event_id),
     INDEX idx_instances_cancelled (is_cancelled),
-    INDEX idx_instances_custom_tag (custom_event_tag_id)
+    INDEX idx_instances_custom_tag (custom_event_tag_id),
+    FULLTEXT INDEX ft_instances_custom_text (custom_title, custom_description)
+);
+
+-- Junction table for events and event tags (events.event_tag_id holds the primary one)
+CREATE TABLE event_tag_assignments (
+    event_id CHAR(36) NOT NULL,
+    tag_id CHAR(36) NOT NULL,
+    PRIMARY KEY (event_id, tag_id),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES event_tags(id) ON DELETE CASCADE,
+    
+    INDEX idx_event_tag_assignments_tag (tag_id)
+);
+
+-- Per-instance tag overrides; when present they replace the event's tags
+-- (event_instances.custom_event_tag_id holds the primary one)
+CREATE TABLE event_instance_tag_assignments (
+    instance_id CHAR(36) NOT NULL,
+    tag_id CHAR(36) NOT NULL,
+    PRIMARY KEY (instance_id, tag_id),
+    FOREIGN KEY (instance_id) REFERENCES event_instances(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES event_tags(id) ON DELETE CASCADE,
+    
+    INDEX idx_event_instance_tag_assignments_tag (tag_id)
 );
 
 -- ===========================
@@ -196,6 +291,142 @@ CREATE TABLE app_users (
     INDEX idx_app_users_email (email),
 );
 
+-- Favorite bars saved by app users. Rows are kept when a bar is soft-deleted;
+-- listings filter on bars.is_active instead.
+CREATE TABLE app_user_favorite_bars (
+    app_user_id CHAR(36) NOT NULL,
+    bar_id CHAR(36) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (app_user_id, bar_id),
+    FOREIGN KEY (app_user_id) REFERENCES app_users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE,
+    INDEX idx_favorite_bars_bar (bar_id)
+);
+
+-- RSVPs from app users for specific event instances. Rows survive instance
+-- cancellation so the app can show that an event the user planned on was called off.
+CREATE TABLE event_rsvps (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    event_instance_id CHAR(36) NOT NULL,
+    app_user_id CHAR(36) NOT NULL,
+    status ENUM('going', 'interested') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_instance_user (event_instance_id, app_user_id),
+    FOREIGN KEY (event_instance_id) REFERENCES event_instances(id) ON DELETE CASCADE,
+    FOREIGN KEY (app_user_id) REFERENCES app_users(id) ON DELETE CASCADE,
+    INDEX idx_rsvps_user (app_user_id),
+    INDEX idx_rsvps_instance_status (event_instance_id, status)
+);
+
+-- Login sessions for both user types. Access tokens carry the session id (sid claim)
+-- and are rejected once revoked_at is set; user_id refers to app_users or web_users
+-- depending on user_type, so it has no foreign key.
+CREATE TABLE auth_sessions (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    user_type ENUM('app_user', 'web_user') NOT NULL,
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    revoked_reason VARCHAR(50) DEFAULT NULL,
+
+    INDEX idx_auth_sessions_user (user_id, user_type, revoked_at)
+);
+
+-- Single-use refresh tokens, stored as SHA-256 hashes. A used token presented
+-- again revokes its session (refresh token reuse detection).
+CREATE TABLE refresh_tokens (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    session_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_refresh_token_hash (token_hash),
+    FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    INDEX idx_refresh_tokens_session (session_id)
+);
+
+-- Uploaded images (see src/utils/images.js). variants maps each size to its
+-- storage key, URL and dimensions; url is the large variant, the one stored in
+-- events.image_url / event_instances.custom_image_url.
+CREATE TABLE uploaded_images (
+    id CHAR(36) PRIMARY KEY,
+    owner_type ENUM('event', 'event_instance', 'bar') NOT NULL,
+    owner_id CHAR(36) NOT NULL,
+    storage_driver VARCHAR(20) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    variants JSON NOT NULL,
+    content_type VARCHAR(50) NOT NULL, -- type of the uploaded original
+    width INT UNSIGNED NULL,
+    height INT UNSIGNED NULL,
+    byte_size INT UNSIGNED NOT NULL,
+    original_filename VARCHAR(255) NULL,
+    uploaded_by CHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_uploaded_images_owner (owner_type, owner_id),
+    INDEX idx_uploaded_images_url (url)
+);
+
+-- Bar photo galleries, ordered by sort_order. At most one photo per bar is the cover
+-- (is_cover); without one the first photo is used.
+CREATE TABLE bar_photos (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    bar_id CHAR(36) NOT NULL,
+    image_id CHAR(36) NULL, -- uploaded_images row, NULL for external URLs
+    url VARCHAR(500) NOT NULL,
+    caption VARCHAR(255),
+    sort_order INT NOT NULL DEFAULT 0,
+    is_cover BOOLEAN DEFAULT FALSE,
+    created_by CHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_bar_photos_order (bar_id, sort_order),
+    INDEX idx_bar_photos_url (url),
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
+);
+
+-- Audit log of administrative changes. changes holds a per-field diff:
+-- {"field": {"before": ..., "after": ...}}. Actor and entity ids have no foreign
+-- keys so entries outlive deleted users and entities.
+CREATE TABLE audit_log (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    actor_id CHAR(36),
+    actor_role VARCHAR(50),
+    actor_type VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id CHAR(36) NOT NULL,
+    changes JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_audit_entity (entity_type, entity_id, created_at),
+    INDEX idx_audit_actor (actor_id, created_at),
+    INDEX idx_audit_created (created_at)
+);
+
+-- Named map areas (neighborhoods) for polygon bar queries (?area=slug).
+-- The bounding box columns are kept so the polygon test only runs on bars inside them.
+CREATE TABLE map_areas (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    geojson JSON NOT NULL,
+    min_lon DECIMAL(11, 8) NOT NULL,
+    min_lat DECIMAL(10, 8) NOT NULL,
+    max_lon DECIMAL(11, 8) NOT NULL,
+    max_lat DECIMAL(10, 8) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- ===========================
 -- VIEWS FOR QUERIES
 -- ===========================
@@ -260,6 +491,11 @@ ORDER BY ei.date, start_time;
 -- SAMPLE DATA
 -- ===========================
 
+-- Sample tag categories
+INSERT INTO tag_categories (slug, name, icon_key, display_order) VALUES
+    ('type', 'Bar Type', 'glass', 1),
+    ('amenity', 'Amenities', 'star', 2);
+
 -- Sample bar tags
 INSERT INTO bar_tags (name, category) VALUES
     ('Sports Bar', 'type'),
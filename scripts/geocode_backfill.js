@@ -0,0 +1,84 @@
+/**
+ * Fill in latitude/longitude for active bars that are missing them, using the
+ * geocoder configured by GEOCODER_PROVIDER (see src/utils/geocoding.js), and
+ * report the addresses that could not be geocoded.
+ *
+ * Run with: npm run geocode-backfill -- [--dry-run] [--limit N] [--delay MS] [--report failures.csv]
+ *   --dry-run   geocode but do not save coordinates
+ *   --limit     process at most N bars
+ *   --delay     pause between lookups (defaults to 1000 ms for nominatim, 0 otherwise)
+ *   --report    also write the failures to a CSV file
+ */
+
+require('../config/env');
+
+const fs = require('fs');
+const db = require('../src/utils/db');
+const { getGeocoder, backfillBarCoordinates } = require('../src/utils/geocoding');
+const { formatCsvRow } = require('../src/utils/csv');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, limit: null, delayMs: null, reportPath: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--limit' || arg === '--delay') {
+      const value = Number.parseInt(argv[++i], 10);
+      if (Number.isNaN(value) || value < 0) {
+        throw new Error(`${arg} must be a non-negative integer`);
+      }
+      options[arg === '--limit' ? 'limit' : 'delayMs'] = value;
+    } else if (arg === '--report') {
+      options.reportPath = argv[++i];
+      if (!options.reportPath) {
+        throw new Error('--report requires a file path');
+      }
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const geocoder = getGeocoder();
+  if (!geocoder) {
+    throw new Error('Geocoding is disabled; set GEOCODER_PROVIDER to offline or nominatim');
+  }
+
+  const delayMs = options.delayMs !== null ? options.delayMs : (geocoder.name === 'nominatim' ? 1000 : 0);
+  console.log(`Geocoding bars without coordinates using ${geocoder.name}${options.dryRun ? ' (dry run)' : ''}...`);
+
+  const report = await backfillBarCoordinates({
+    geocoder,
+    limit: options.limit,
+    dryRun: options.dryRun,
+    delayMs,
+    onProgress: (bar, result) => console.log(`  ${result.status === 'geocoded' ? '✅' : '❌'} ${bar.name} (${result.status})`)
+  });
+
+  console.log(`\n${report.updated.length} of ${report.total} bars geocoded${options.dryRun ? ' (not saved)' : ''}.`);
+
+  if (report.failed.length > 0) {
+    console.log(`\n${report.failed.length} addresses failed to geocode:`);
+    for (const failure of report.failed) {
+      console.log(`  ${failure.id}  ${failure.name}  "${failure.address}"  ${failure.status}${failure.error ? `: ${failure.error}` : ''}`);
+    }
+  }
+
+  if (options.reportPath) {
+    const lines = [formatCsvRow(['id', 'name', 'address', 'status', 'error'])]
+      .concat(report.failed.map(failure => formatCsvRow([failure.id, failure.name, failure.address, failure.status, failure.error])));
+    fs.writeFileSync(options.reportPath, lines.join(''));
+    console.log(`\nFailure report written to ${options.reportPath}`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Geocoding backfill failed:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,16 @@
+-- App user favorite bars
+-- Favorite bars saved by app users through /app-users/me/favorites/bars.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_app_user_favorite_bars.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS app_user_favorite_bars (
+    app_user_id CHAR(36) NOT NULL,
+    bar_id CHAR(36) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (app_user_id, bar_id),
+    FOREIGN KEY (app_user_id) REFERENCES app_users(id) ON DELETE CASCADE,
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE,
+    INDEX idx_favorite_bars_bar (bar_id)
+);
@@ -0,0 +1,22 @@
+-- Admin audit log
+-- Adds audit_log, written by the admin endpoints and listed by GET /admin/audit.
+-- Without it changes still go through but are not recorded.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_audit_log.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    actor_id CHAR(36),
+    actor_role VARCHAR(50),
+    actor_type VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id CHAR(36) NOT NULL,
+    changes JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_audit_entity (entity_type, entity_id, created_at),
+    INDEX idx_audit_actor (actor_id, created_at),
+    INDEX idx_audit_created (created_at)
+);
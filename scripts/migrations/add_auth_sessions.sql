@@ -0,0 +1,33 @@
+-- Login sessions and refresh tokens
+-- Adds auth_sessions, which login and register create for every token pair, and
+-- refresh_tokens for POST /users/refresh and POST /app-users/refresh. Access tokens
+-- issued before this change carry no session id and stay valid until they expire.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_auth_sessions.sql
+-- Safe to re-run: the tables are only created when missing.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    user_type ENUM('app_user', 'web_user') NOT NULL,
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    revoked_reason VARCHAR(50) DEFAULT NULL,
+
+    INDEX idx_auth_sessions_user (user_id, user_type, revoked_at)
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    session_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_refresh_token_hash (token_hash),
+    FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    INDEX idx_refresh_tokens_session (session_id)
+);
@@ -0,0 +1,23 @@
+-- Bar hour exceptions
+-- Date-specific overrides of the weekly bar_hours template (holidays, late nights,
+-- closures), managed through /bars/:barId/hours/exceptions and applied by open_now,
+-- open_at, open_between, include=hours and GET /bars/:barId/hours.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_bar_hour_exceptions.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS bar_hour_exceptions (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    bar_id CHAR(36) NOT NULL,
+    date DATE NOT NULL,
+    open_time TIME,
+    close_time TIME,
+    is_closed BOOLEAN DEFAULT false,
+    crosses_midnight BOOLEAN DEFAULT FALSE,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_bar_date (bar_id, date),
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
+);
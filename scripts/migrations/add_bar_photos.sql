@@ -0,0 +1,24 @@
+-- Bar photo galleries
+-- Ordered photos with captions and a cover flag, managed through
+-- /bars/:barId/photos and returned by GET /bars(/:id)?include=photos.
+-- Requires add_uploaded_images.sql (photos can point at uploaded images).
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_bar_photos.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS bar_photos (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    bar_id CHAR(36) NOT NULL,
+    image_id CHAR(36) NULL, -- uploaded_images row, NULL for external URLs
+    url VARCHAR(500) NOT NULL,
+    caption VARCHAR(255),
+    sort_order INT NOT NULL DEFAULT 0,
+    is_cover BOOLEAN DEFAULT FALSE,
+    created_by CHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_bar_photos_order (bar_id, sort_order),
+    INDEX idx_bar_photos_url (url),
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
+);
@@ -0,0 +1,36 @@
+-- Drink specials
+-- Structured happy-hour deals per bar, managed through /bars/:barId/specials and
+-- searched by GET /specials/active.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_bar_specials.sql
+-- Safe to re-run: the tables are only created when missing.
+
+CREATE TABLE IF NOT EXISTS bar_specials (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    bar_id CHAR(36) NOT NULL,
+    item VARCHAR(255) NOT NULL,
+    description TEXT,
+    discount_type ENUM('fixed_price', 'amount_off', 'percent_off', 'bogo') NOT NULL,
+    price DECIMAL(8,2) NULL, -- price during the special (required for fixed_price)
+    discount_value DECIMAL(8,2) NULL, -- amount or percentage off
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_bar_specials_bar (bar_id, is_active),
+    FOREIGN KEY (bar_id) REFERENCES bars(id) ON DELETE CASCADE
+);
+
+-- Weekly times a special runs, in the bar's local time. Like bar_hours, end_time
+-- earlier than start_time crosses midnight.
+CREATE TABLE IF NOT EXISTS bar_special_windows (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    special_id CHAR(36) NOT NULL,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    crosses_midnight BOOLEAN DEFAULT FALSE,
+
+    INDEX idx_bar_special_windows_day (day_of_week, special_id),
+    FOREIGN KEY (special_id) REFERENCES bar_specials(id) ON DELETE CASCADE
+);
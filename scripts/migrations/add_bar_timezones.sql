@@ -0,0 +1,9 @@
+-- Bar timezones
+-- Adds bars.timezone, the IANA zone that the bar's hours, hour exceptions and
+-- event times are local to. Existing bars get America/New_York; set the right
+-- zone on bars elsewhere through PUT /bars/:id.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_bar_timezones.sql
+
+ALTER TABLE bars
+    ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York' AFTER longitude;
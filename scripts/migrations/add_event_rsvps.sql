@@ -0,0 +1,21 @@
+-- Event RSVPs
+-- RSVPs from app users for event instances, used by the RSVP endpoints and the
+-- attendee counts in event instance listings.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_event_rsvps.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS event_rsvps (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    event_instance_id CHAR(36) NOT NULL,
+    app_user_id CHAR(36) NOT NULL,
+    status ENUM('going', 'interested') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_instance_user (event_instance_id, app_user_id),
+    FOREIGN KEY (event_instance_id) REFERENCES event_instances(id) ON DELETE CASCADE,
+    FOREIGN KEY (app_user_id) REFERENCES app_users(id) ON DELETE CASCADE,
+    INDEX idx_rsvps_user (app_user_id),
+    INDEX idx_rsvps_instance_status (event_instance_id, status)
+);
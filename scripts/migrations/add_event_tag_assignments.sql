@@ -0,0 +1,34 @@
+-- Multiple tags per event
+-- Adds event_tag_assignments and event_instance_tag_assignments and copies the
+-- existing single tags into them. events.event_tag_id and
+-- event_instances.custom_event_tag_id stay in place as the primary tag.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_event_tag_assignments.sql
+-- Safe to re-run: the tables are only created when missing and the backfill skips
+-- rows that already exist.
+
+CREATE TABLE IF NOT EXISTS event_tag_assignments (
+    event_id CHAR(36) NOT NULL,
+    tag_id CHAR(36) NOT NULL,
+    PRIMARY KEY (event_id, tag_id),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES event_tags(id) ON DELETE CASCADE,
+
+    INDEX idx_event_tag_assignments_tag (tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS event_instance_tag_assignments (
+    instance_id CHAR(36) NOT NULL,
+    tag_id CHAR(36) NOT NULL,
+    PRIMARY KEY (instance_id, tag_id),
+    FOREIGN KEY (instance_id) REFERENCES event_instances(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES event_tags(id) ON DELETE CASCADE,
+
+    INDEX idx_event_instance_tag_assignments_tag (tag_id)
+);
+
+INSERT IGNORE INTO event_tag_assignments (event_id, tag_id)
+SELECT id, event_tag_id FROM events WHERE event_tag_id IS NOT NULL;
+
+INSERT IGNORE INTO event_instance_tag_assignments (instance_id, tag_id)
+SELECT id, custom_event_tag_id FROM event_instances WHERE custom_event_tag_id IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Map areas
+-- Named map areas (neighborhoods) managed through /areas and used by the
+-- area= filter on bar queries.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_map_areas.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS map_areas (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    geojson JSON NOT NULL,
+    min_lon DECIMAL(11, 8) NOT NULL,
+    min_lat DECIMAL(10, 8) NOT NULL,
+    max_lon DECIMAL(11, 8) NOT NULL,
+    max_lat DECIMAL(10, 8) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
@@ -0,0 +1,12 @@
+-- Richer recurrence rules
+-- Adds intervals ("every other Tuesday"), nth/last weekday of the month ("first
+-- Friday", "last Sunday") and exclusion dates to events, and allows the yearly
+-- pattern the API already accepts. Existing events keep an interval of 1.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_recurrence_rules.sql
+
+ALTER TABLE events
+    MODIFY COLUMN recurrence_pattern ENUM('none', 'daily', 'weekly', 'monthly', 'yearly') DEFAULT 'none',
+    ADD COLUMN recurrence_interval INT NOT NULL DEFAULT 1 AFTER recurrence_pattern,
+    ADD COLUMN recurrence_week_of_month TINYINT NULL AFTER recurrence_days,
+    ADD COLUMN recurrence_exdates JSON AFTER recurrence_week_of_month;
@@ -0,0 +1,10 @@
+-- Open-ended recurring events
+-- Recurring events may now omit both recurrence_end_date and
+-- recurrence_end_occurrences. Their instances are generated up to a rolling
+-- horizon by scripts/extend_event_instances.js, which records how far it got in
+-- instances_generated_until.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_rolling_instance_generation.sql
+
+ALTER TABLE events
+    ADD COLUMN instances_generated_until DATE NULL AFTER recurrence_end_occurrences;
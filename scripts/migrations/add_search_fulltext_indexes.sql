@@ -0,0 +1,15 @@
+-- Full-text search indexes
+-- Adds the FULLTEXT indexes GET /search matches against: bar names and
+-- descriptions, event titles and descriptions, and the custom_title and
+-- custom_description overrides of event instances.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_search_fulltext_indexes.sql
+
+ALTER TABLE bars
+    ADD FULLTEXT INDEX ft_bars_name_description (name, description);
+
+ALTER TABLE events
+    ADD FULLTEXT INDEX ft_events_title_description (title, description);
+
+ALTER TABLE event_instances
+    ADD FULLTEXT INDEX ft_instances_custom_text (custom_title, custom_description);
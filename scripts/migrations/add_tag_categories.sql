@@ -0,0 +1,33 @@
+-- Tag categories
+-- Adds tag_categories and makes bar_tags.category a foreign key to its slug.
+-- Seeds the 'type' and 'amenity' categories plus one category for every other
+-- category value already used by bar_tags (named after the value; rename them
+-- through PUT /tag-categories/:id). Empty category values become NULL.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_tag_categories.sql
+
+CREATE TABLE IF NOT EXISTS tag_categories (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    parent_id CHAR(36),
+    icon_key VARCHAR(50),
+    display_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES tag_categories(id),
+
+    INDEX idx_tag_categories_parent (parent_id, display_order)
+);
+
+INSERT IGNORE INTO tag_categories (slug, name, icon_key, display_order) VALUES
+    ('type', 'Bar Type', 'glass', 1),
+    ('amenity', 'Amenities', 'star', 2);
+
+UPDATE bar_tags SET category = NULL WHERE TRIM(category) = '';
+
+INSERT IGNORE INTO tag_categories (slug, name, display_order)
+SELECT DISTINCT category, category, 3 FROM bar_tags WHERE category IS NOT NULL;
+
+ALTER TABLE bar_tags
+    ADD FOREIGN KEY (category) REFERENCES tag_categories(slug) ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- Image uploads
+-- POST /events/:id/image and POST /bars/:barId/images store resized variants
+-- through the storage driver (src/utils/storage.js) and record them here, so
+-- replaced uploads can be deleted.
+--
+-- Run with: mysql -u username -p database_name < scripts/migrations/add_uploaded_images.sql
+-- Safe to re-run: the table is only created when missing.
+
+CREATE TABLE IF NOT EXISTS uploaded_images (
+    id CHAR(36) PRIMARY KEY,
+    owner_type ENUM('event', 'event_instance', 'bar') NOT NULL,
+    owner_id CHAR(36) NOT NULL,
+    storage_driver VARCHAR(20) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    variants JSON NOT NULL,
+    content_type VARCHAR(50) NOT NULL, -- type of the uploaded original
+    width INT UNSIGNED NULL,
+    height INT UNSIGNED NULL,
+    byte_size INT UNSIGNED NOT NULL,
+    original_filename VARCHAR(255) NULL,
+    uploaded_by CHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_uploaded_images_owner (owner_type, owner_id),
+    INDEX idx_uploaded_images_url (url)
+);
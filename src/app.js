@@ -8,10 +8,16 @@ require('../config/env');
 // Routes
 const tagsRouter = require('./routes/tags');
 const eventTagsRouter = require('./routes/event-tags');
+const tagCategoriesRouter = require('./routes/tag-categories');
 const barsRouter = require('./routes/bars');
 const usersRouter = require('./routes/users');
 const eventsRouter = require('./routes/events');
 const appUsersRouter = require('./routes/app-users');
+const searchRouter = require('./routes/search');
+const adminRouter = require('./routes/admin');
+const areasRouter = require('./routes/areas');
+const specialsRouter = require('./routes/specials');
+const { getStorage } = require('./utils/storage');
 
 // enable CORS for the frontend. Prefer configuring the real frontend origin
 // via the FRONTEND_URL environment variable. Falls back to localhost for dev.
@@ -22,10 +28,18 @@ app.use(cors({
 
 app.use(express.json());
 
+// serve uploaded images stored on the local filesystem (see utils/storage)
+const storage = getStorage();
+if (storage && storage.mountPath) {
+  app.use(storage.mountPath, express.static(storage.directory, { index: false }));
+}
+
 // mount tags routes at /tags
 app.use('/tags', tagsRouter);
 // mount event tags routes at /event-tags
 app.use('/event-tags', eventTagsRouter);
+// mount tag categories routes at /tag-categories
+app.use('/tag-categories', tagCategoriesRouter);
 // mount bars routes at /bars
 app.use('/bars', barsRouter);
 // mount users routes at /users
@@ -34,6 +48,14 @@ app.use('/users', usersRouter);
 app.use('/app-users', appUsersRouter);
 // mount events routes at /events
 app.use('/events', eventsRouter);
+// mount unified search routes at /search
+app.use('/search', searchRouter);
+// mount admin routes at /admin
+app.use('/admin', adminRouter);
+// mount map area routes at /areas
+app.use('/areas', areasRouter);
+// mount drink special routes at /specials
+app.use('/specials', specialsRouter);
 
 // JSON parsing error handler
 app.use((err, req, res, next) => {
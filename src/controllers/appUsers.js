@@ -6,6 +6,8 @@ const { MIN_PASSWORD_LENGTH, SALT_ROUNDS, DUMMY_HASH } = require('../utils/const
 const { normalizeEmail, isValidEmail, isValidPassword, formatPhoneForDB, isValidPhone, isValidFullName, normalizeFullName } = require('../utils/user');
 const { ensureAppUserToken } = require('../middleware/token');
 const { buildAppUserToken } = require('../utils/token');
+const { createSession, revokeAllSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
 const { sendPasswordResetEmail } = require('../utils/email');
 
 // Register function for app users
@@ -52,8 +54,9 @@ async function register(req, res) {
       normalizedPhone || null
     ]);
 
-    // 6. Token Generation (Your helper)
-    const token = buildAppUserToken({ id: userId, email: normalizedEmail });
+    // 6. Session + Token Generation
+    const session = await createSession({ userId, userType: 'app_user', userAgent: req.get('user-agent') });
+    const token = buildAppUserToken({ id: userId, email: normalizedEmail, sessionId: session.sessionId });
 
     // 7. Success Response (201 Created)
     return res.status(201).json({
@@ -64,7 +67,9 @@ async function register(req, res) {
         full_name,
         phone: normalizedPhone || null
       },
-      token
+      token,
+      refresh_token: session.refreshToken,
+      refresh_token_expires_at: session.refreshTokenExpiresAt
     });
 
   } catch (err) {
@@ -120,7 +125,8 @@ async function login(req, res) {
     await db.execute('UPDATE app_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
     req.clearFailedLogins?.();
 
-    const token = buildAppUserToken({ id: user.id, email: user.email });
+    const session = await createSession({ userId: user.id, userType: 'app_user', userAgent: req.get('user-agent') });
+    const token = buildAppUserToken({ id: user.id, email: user.email, sessionId: session.sessionId });
 
     return res.status(200).json({
       data: {
@@ -128,7 +134,9 @@ async function login(req, res) {
         email: user.email,
         full_name: user.full_name
       },
-      token
+      token,
+      refresh_token: session.refreshToken,
+      refresh_token_expires_at: session.refreshTokenExpiresAt
     });
   } catch (err) {
     console.error('Error logging in app user:', err);
@@ -388,6 +396,9 @@ async function resetPassword(req, res) {
 
     await db.execute(updateSql, [newHash, user.id]);
 
+    // 5. Sign out everywhere: sessions started with the old password must not survive it
+    await revokeAllSessions(user.id, 'app_user', 'password_reset');
+
     return res.status(200).json({ 
       success: true, 
       message: 'Password reset successfully' });
@@ -404,7 +415,7 @@ async function deleteUser(req, res) {
   const { id } = req.params;
   try {
     const [rows] = await db.execute(
-      `SELECT id, email FROM app_users WHERE id = ? LIMIT 1`,
+      `SELECT id, email, full_name FROM app_users WHERE id = ? LIMIT 1`,
       [id]
     );
 
@@ -420,6 +431,13 @@ async function deleteUser(req, res) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'app_user',
+      entityId: id,
+      before: { email: userToDelete.email, full_name: userToDelete.full_name }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'User deleted successfully',
@@ -0,0 +1,196 @@
+const db = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const { normalizePolygon, geometryBounds } = require('../utils/geo');
+const { toMapArea, findMapArea } = require('../utils/mapAreas');
+const { recordAudit } = require('../utils/audit');
+const { slugify, isValidSlug } = require('../utils/slugs');
+
+const MAX_SLUG_LENGTH = 100;
+
+/**
+ * Validate a map area payload: { name, slug?, geometry }
+ * @param {Object} payload - Request body
+ * @returns {{area: Object}|{error: string}} Normalized area ({ name, slug, geometry, bounds }), or a 400 message
+ */
+function validateAreaPayload(payload) {
+  const { name, slug, geometry } = payload || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'Area name is required' };
+  }
+
+  const areaSlug = slug === undefined || slug === null || slug === '' ? slugify(name, MAX_SLUG_LENGTH) : String(slug).trim();
+  if (!isValidSlug(areaSlug, MAX_SLUG_LENGTH)) {
+    return { error: 'slug must be lowercase letters, digits and single hyphens (at most 100 characters)' };
+  }
+
+  const polygon = normalizePolygon(geometry);
+  if (polygon.error) {
+    return { error: polygon.error };
+  }
+
+  return {
+    area: { name: name.trim(), slug: areaSlug, geometry: polygon.geometry, bounds: geometryBounds(polygon.geometry) }
+  };
+}
+
+/**
+ * GET /areas
+ * Lists the stored map areas (without their geometry)
+ */
+async function getAllAreas(req, res) {
+  try {
+    const [rows] = await db.query(
+      'SELECT id, slug, name, min_lon, min_lat, max_lon, max_lat, created_at, updated_at FROM map_areas ORDER BY name'
+    );
+    return res.json({ data: rows.map(toMapArea) });
+  } catch (err) {
+    console.error('Error fetching areas:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch areas' });
+  }
+}
+
+/**
+ * GET /areas/:idOrSlug
+ * Returns a map area with its GeoJSON geometry
+ */
+async function getArea(req, res) {
+  try {
+    const area = await findMapArea(req.params.idOrSlug);
+    if (!area) {
+      return res.status(404).json({ error: 'Area not found' });
+    }
+    return res.json({ data: area });
+  } catch (err) {
+    console.error('Error fetching area:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch area' });
+  }
+}
+
+/**
+ * POST /areas
+ * Creates a named map area (admin only)
+ * Expected payload: { name: string, slug?: string, geometry: GeoJSON Polygon | MultiPolygon | Feature }
+ * The slug defaults to one derived from the name.
+ */
+async function createArea(req, res) {
+  const { area, error } = validateAreaPayload(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const areaId = uuidv4();
+    const { minLon, minLat, maxLon, maxLat } = area.bounds;
+    await db.execute(
+      `INSERT INTO map_areas (id, slug, name, geojson, min_lon, min_lat, max_lon, max_lat)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [areaId, area.slug, area.name, JSON.stringify(area.geometry), minLon, minLat, maxLon, maxLat]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'map_area',
+      entityId: areaId,
+      after: { slug: area.slug, name: area.name, geometry: area.geometry }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Area created successfully',
+      data: { id: areaId, slug: area.slug, name: area.name, bbox: [minLon, minLat, maxLon, maxLat] }
+    });
+  } catch (err) {
+    console.error('Error creating area:', err.message || err);
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Area slug already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to create area' });
+  }
+}
+
+/**
+ * PUT /areas/:id
+ * Replaces a map area's name, slug and geometry (admin only)
+ */
+async function updateArea(req, res) {
+  const { area, error } = validateAreaPayload(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const areaId = req.params.id;
+    const [existingRows] = await db.execute('SELECT id, slug, name, geojson FROM map_areas WHERE id = ?', [areaId]);
+    if (existingRows.length === 0) {
+      return res.status(404).json({ error: 'Area not found' });
+    }
+    const current = toMapArea(existingRows[0]);
+
+    const { minLon, minLat, maxLon, maxLat } = area.bounds;
+    await db.execute(
+      `UPDATE map_areas
+       SET slug = ?, name = ?, geojson = ?, min_lon = ?, min_lat = ?, max_lon = ?, max_lat = ?
+       WHERE id = ?`,
+      [area.slug, area.name, JSON.stringify(area.geometry), minLon, minLat, maxLon, maxLat, areaId]
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'map_area',
+      entityId: areaId,
+      before: { slug: current.slug, name: current.name, geometry: current.geometry },
+      after: { slug: area.slug, name: area.name, geometry: area.geometry }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Area updated successfully',
+      data: { id: areaId, slug: area.slug, name: area.name, bbox: [minLon, minLat, maxLon, maxLat] }
+    });
+  } catch (err) {
+    console.error('Error updating area:', err.message || err);
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Area slug already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to update area' });
+  }
+}
+
+/**
+ * DELETE /areas/:id
+ * Deletes a map area (admin only)
+ */
+async function deleteArea(req, res) {
+  try {
+    const areaId = req.params.id;
+    const [existingRows] = await db.execute('SELECT id, slug, name FROM map_areas WHERE id = ?', [areaId]);
+    if (existingRows.length === 0) {
+      return res.status(404).json({ error: 'Area not found' });
+    }
+
+    await db.execute('DELETE FROM map_areas WHERE id = ?', [areaId]);
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'map_area',
+      entityId: areaId,
+      before: { slug: existingRows[0].slug, name: existingRows[0].name }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Area deleted successfully',
+      data: { id: areaId }
+    });
+  } catch (err) {
+    console.error('Error deleting area:', err.message || err);
+    return res.status(500).json({ error: 'Failed to delete area' });
+  }
+}
+
+module.exports = {
+  getAllAreas,
+  getArea,
+  createArea,
+  updateArea,
+  deleteArea
+};
@@ -0,0 +1,130 @@
+const db = require('../utils/db');
+const { AUDIT_ENTITY_TYPES } = require('../utils/audit');
+const { addDays, isValidDateString } = require('../utils/timezone');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// mysql2 parses JSON columns, but older drivers/MariaDB return them as strings
+const parseChanges = (value) => {
+  if (typeof value !== 'string') {
+    return value || {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * GET /admin/audit?entity_type=bar&entity_id=uuid&actor_id=uuid&action=update&from=2026-01-01&to=2026-01-31&page=1&limit=50
+ * Returns audit log entries, newest first (admin only)
+ *
+ * Query parameters:
+ * - entity_type: one of AUDIT_ENTITY_TYPES (utils/audit): bar, event, event_instance, web_user,
+ *   app_user, map_area, tag, event_tag, bar_special
+ * - entity_id: id of the changed entity
+ * - actor_id: id of the user who made the change
+ * - action: e.g. create, update, delete, update_hours, add_tag, assign_bar
+ * - from/to: inclusive date range (YYYY-MM-DD, server time) on created_at
+ * - page: page number (default 1)
+ * - limit: entries per page (default 50, maximum 200)
+ */
+async function getAuditLog(req, res) {
+  try {
+    const { entity_type, entity_id, actor_id, action, from, to, page, limit } = req.query;
+
+    if (entity_type !== undefined && !AUDIT_ENTITY_TYPES.includes(entity_type)) {
+      return res.status(400).json({ error: `entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` });
+    }
+    if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+      return res.status(400).json({ error: 'from and to must be valid dates in YYYY-MM-DD format' });
+    }
+    if (from !== undefined && to !== undefined && from > to) {
+      return res.status(400).json({ error: 'from must be on or before to' });
+    }
+
+    let limitNumber = DEFAULT_LIMIT;
+    if (limit !== undefined) {
+      limitNumber = parseInt(limit, 10);
+      if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > MAX_LIMIT) {
+        return res.status(400).json({ error: `Limit must be between 1 and ${MAX_LIMIT}.` });
+      }
+    }
+
+    let pageNumber = 1;
+    if (page !== undefined) {
+      pageNumber = parseInt(page, 10);
+      if (isNaN(pageNumber) || pageNumber < 1) {
+        return res.status(400).json({ error: 'Page must be a positive integer starting from 1.' });
+      }
+    }
+
+    const conditions = [];
+    const params = [];
+    if (entity_type) {
+      conditions.push('entity_type = ?');
+      params.push(entity_type);
+    }
+    if (entity_id) {
+      conditions.push('entity_id = ?');
+      params.push(entity_id);
+    }
+    if (actor_id) {
+      conditions.push('actor_id = ?');
+      params.push(actor_id);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      // Inclusive end date: everything before the following midnight
+      conditions.push('created_at < ?');
+      params.push(addDays(to, 1));
+    }
+    const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countRows] = await db.query(`SELECT COUNT(*) as total FROM audit_log ${whereSql}`, params);
+    const total = countRows[0].total;
+
+    const [rows] = await db.query(
+      `SELECT id, actor_id, actor_role, actor_type, action, entity_type, entity_id, changes, created_at
+      FROM audit_log
+      ${whereSql}
+      ORDER BY created_at DESC, id
+      LIMIT ? OFFSET ?`,
+      [...params, limitNumber, (pageNumber - 1) * limitNumber]
+    );
+
+    const totalPages = Math.ceil(total / limitNumber);
+
+    return res.json({
+      success: true,
+      data: rows.map(row => ({ ...row, changes: parseChanges(row.changes) })),
+      meta: {
+        pagination: {
+          current_page: pageNumber,
+          per_page: limitNumber,
+          total,
+          total_pages: totalPages,
+          has_next_page: pageNumber < totalPages,
+          has_previous_page: pageNumber > 1
+        },
+        filters: { entity_type, entity_id, actor_id, action, from, to }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching audit log:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+}
+
+module.exports = {
+  getAuditLog
+};
@@ -0,0 +1,364 @@
+const db = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const { checkBarAccess } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { fetchBarHourExceptions, normalizeTimeString } = require('../utils/barListing');
+const { DEFAULT_TIMEZONE, getZonedDateTime, isValidDateString } = require('../utils/timezone');
+
+/**
+ * Date-specific overrides of a bar's weekly hours (holidays, late nights, closures).
+ * An exception on a date replaces the bar_hours row for that date's day_of_week;
+ * cross-midnight exceptions run into the following morning.
+ *
+ * Expected payload shape (POST and PUT):
+ * {
+ *   date: 'YYYY-MM-DD',
+ *   is_closed: boolean,          // defaults to false
+ *   open_time: 'HH:MM:SS',       // required unless is_closed
+ *   close_time: 'HH:MM:SS',      // required unless is_closed
+ *   reason: 'New Year\'s Eve'    // optional
+ * }
+ */
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):[0-5]\d:[0-5]\d$/;
+
+/**
+ * Validate an exception payload
+ * @returns {{error: string}|{value: Object}} Validation error or normalized values
+ */
+function validateExceptionPayload(payload) {
+  const { date, open_time, close_time, reason } = payload || {};
+  const isClosed = payload && payload.is_closed !== undefined ? payload.is_closed : false;
+
+  if (!isValidDateString(date)) {
+    return { error: 'date must be a valid date in YYYY-MM-DD format' };
+  }
+
+  if (typeof isClosed !== 'boolean') {
+    return { error: 'is_closed must be a boolean' };
+  }
+
+  if (!isClosed) {
+    if (!open_time || !close_time) {
+      return { error: 'open_time and close_time are required when is_closed is false' };
+    }
+    if (!TIME_REGEX.test(open_time) || !TIME_REGEX.test(close_time)) {
+      return { error: 'Time must be in HH:MM:SS format' };
+    }
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) {
+    return { error: 'reason must be a string of at most 255 characters' };
+  }
+
+  // Pads H:MM:SS to HH:MM:SS so times compare as strings
+  const openTime = isClosed ? null : open_time.padStart(8, '0');
+  const closeTime = isClosed ? null : close_time.padStart(8, '0');
+
+  return {
+    value: {
+      date,
+      is_closed: isClosed,
+      open_time: openTime,
+      close_time: closeTime,
+      // Same rule as bar_hours: closing earlier than opening means the hours run past midnight
+      crosses_midnight: !isClosed && closeTime < openTime,
+      reason: reason ? reason.trim() : null
+    }
+  };
+}
+
+/**
+ * Confirms the bar exists and the caller may manage it, sending the error response if not
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function ensureBarAccess(req, res, barId) {
+  const [barRows] = await db.execute('SELECT id FROM bars WHERE id = ? AND is_active = 1', [barId]);
+  if (!barRows || barRows.length === 0) {
+    res.status(404).json({ error: 'Bar not found' });
+    return false;
+  }
+
+  const hasAccess = await checkBarAccess(req.user.userId, barId, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({ error: 'Access denied to this bar.' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Audit snapshot of an exception (changes are logged against the bar)
+ */
+function toAuditSnapshot(exceptionId, exception) {
+  return {
+    exception_id: exceptionId,
+    date: exception.date,
+    open_time: exception.open_time,
+    close_time: exception.close_time,
+    is_closed: exception.is_closed,
+    reason: exception.reason
+  };
+}
+
+/**
+ * Load one exception of a bar, locking it for the rest of the transaction
+ * @returns {Promise<Object|null>} Audit snapshot of the exception, or null if not found
+ */
+async function fetchExceptionForUpdate(conn, barId, exceptionId) {
+  const [rows] = await conn.execute(
+    `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, open_time, close_time, is_closed, reason
+     FROM bar_hour_exceptions WHERE id = ? AND bar_id = ? FOR UPDATE`,
+    [exceptionId, barId]
+  );
+  if (!rows || rows.length === 0) {
+    return null;
+  }
+
+  return toAuditSnapshot(exceptionId, {
+    date: rows[0].date,
+    open_time: normalizeTimeString(rows[0].open_time),
+    close_time: normalizeTimeString(rows[0].close_time),
+    is_closed: Boolean(rows[0].is_closed),
+    reason: rows[0].reason || null
+  });
+}
+
+/**
+ * GET /bars/:barId/hours/exceptions?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Lists a bar's hour exceptions. Defaults to exceptions from today (bar local time) onward.
+ * Public endpoint - no authentication required
+ */
+async function getHourExceptions(req, res) {
+  try {
+    const { barId } = req.params;
+    const { from, to } = req.query;
+
+    if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+      return res.status(400).json({ error: 'from and to must be valid dates in YYYY-MM-DD format' });
+    }
+
+    const [barRows] = await db.execute('SELECT id, name, timezone FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (!barRows || barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    const timezone = barRows[0].timezone || DEFAULT_TIMEZONE;
+    const fromDate = from || getZonedDateTime(timezone).date;
+    const exceptions = await fetchBarHourExceptions(barId, fromDate, to || null);
+
+    return res.json({
+      success: true,
+      data: exceptions,
+      meta: {
+        bar: {
+          id: barRows[0].id,
+          name: barRows[0].name
+        },
+        timezone,
+        total: exceptions.length,
+        filters: { from: fromDate, to: to || null }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching bar hour exceptions:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch bar hour exceptions' });
+  }
+}
+
+/**
+ * POST /bars/:barId/hours/exceptions
+ * Adds an hour exception for a single date (protected route)
+ */
+async function createHourException(req, res) {
+  const { barId } = req.params;
+  const validation = validateExceptionPayload(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const exception = validation.value;
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    const exceptionId = uuidv4();
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    await conn.execute(
+      `INSERT INTO bar_hour_exceptions (id, bar_id, date, open_time, close_time, is_closed, crosses_midnight, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        exceptionId,
+        barId,
+        exception.date,
+        exception.open_time,
+        exception.close_time,
+        exception.is_closed ? 1 : 0,
+        exception.crosses_midnight ? 1 : 0,
+        exception.reason
+      ]
+    );
+
+    await recordAudit(req, {
+      action: 'add_hour_exception',
+      entityType: 'bar',
+      entityId: barId,
+      after: toAuditSnapshot(exceptionId, exception),
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Hour exception created successfully',
+      data: { id: exceptionId, bar_id: barId, ...exception }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'An hour exception already exists for this date' });
+    }
+    console.error('Error creating bar hour exception:', err.message || err);
+    return res.status(500).json({ error: 'Failed to create bar hour exception' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /bars/:barId/hours/exceptions/:exceptionId
+ * Replaces an existing hour exception (protected route)
+ */
+async function updateHourException(req, res) {
+  const { barId, exceptionId } = req.params;
+  const validation = validateExceptionPayload(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const exception = validation.value;
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const existing = await fetchExceptionForUpdate(conn, barId, exceptionId);
+    if (!existing) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Hour exception not found' });
+    }
+
+    await conn.execute(
+      `UPDATE bar_hour_exceptions SET
+         date = ?,
+         open_time = ?,
+         close_time = ?,
+         is_closed = ?,
+         crosses_midnight = ?,
+         reason = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND bar_id = ?`,
+      [
+        exception.date,
+        exception.open_time,
+        exception.close_time,
+        exception.is_closed ? 1 : 0,
+        exception.crosses_midnight ? 1 : 0,
+        exception.reason,
+        exceptionId,
+        barId
+      ]
+    );
+
+    await recordAudit(req, {
+      action: 'update_hour_exception',
+      entityType: 'bar',
+      entityId: barId,
+      before: existing,
+      after: toAuditSnapshot(exceptionId, exception),
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Hour exception updated successfully',
+      data: { id: exceptionId, bar_id: barId, ...exception }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'An hour exception already exists for this date' });
+    }
+    console.error('Error updating bar hour exception:', err.message || err);
+    return res.status(500).json({ error: 'Failed to update bar hour exception' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * DELETE /bars/:barId/hours/exceptions/:exceptionId
+ * Removes an hour exception so the weekly hours apply again (protected route)
+ */
+async function deleteHourException(req, res) {
+  const { barId, exceptionId } = req.params;
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const existing = await fetchExceptionForUpdate(conn, barId, exceptionId);
+    if (!existing) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Hour exception not found' });
+    }
+
+    await conn.execute(
+      'DELETE FROM bar_hour_exceptions WHERE id = ? AND bar_id = ?',
+      [exceptionId, barId]
+    );
+
+    await recordAudit(req, {
+      action: 'remove_hour_exception',
+      entityType: 'bar',
+      entityId: barId,
+      before: existing,
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Hour exception deleted successfully',
+      data: { id: exceptionId, bar_id: barId }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('Error deleting bar hour exception:', err.message || err);
+    return res.status(500).json({ error: 'Failed to delete bar hour exception' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  getHourExceptions,
+  createHourException,
+  updateHourException,
+  deleteHourException
+};
@@ -0,0 +1,157 @@
+const db = require('../utils/db');
+const { recordAudit } = require('../utils/audit');
+const { findDuplicateBar, duplicateKey, insertBar } = require('../utils/barRecords');
+const { MAX_IMPORT_ROWS, parseBarCsv, prepareImportRow } = require('../utils/barImport');
+
+const isTruthyFlag = (value) => value === 'true' || value === '1' || value === true;
+
+/**
+ * Validate every record and detect duplicates, both within the import and
+ * against active bars (the same name + address check createBar uses)
+ * @param {Array<Object>} records - Import records
+ * @param {Object} executor - db, or the transaction connection in commit mode
+ * @returns {Promise<Array<Object>>} One report entry per record, with the prepared bar
+ */
+async function checkImportRows(records, executor) {
+  const [tagRows] = await executor.execute('SELECT id, name FROM bar_tags');
+  const tagIdsByName = new Map(tagRows.map(tag => [tag.name.trim().toLowerCase(), tag.id]));
+
+  const firstRowByKey = new Map();
+  const rows = [];
+
+  for (let index = 0; index < records.length; index++) {
+    const { bar, errors } = prepareImportRow(records[index], tagIdsByName);
+    const entry = {
+      row: index + 1,
+      name: bar && bar.name ? bar.name : null,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      bar
+    };
+
+    if (entry.status === 'valid') {
+      const key = duplicateKey(bar);
+      if (firstRowByKey.has(key)) {
+        entry.status = 'duplicate';
+        entry.duplicate_of_row = firstRowByKey.get(key);
+        entry.errors.push(`Same name and address as row ${entry.duplicate_of_row}`);
+      } else {
+        firstRowByKey.set(key, entry.row);
+        const existingBarId = await findDuplicateBar(executor, bar);
+        if (existingBarId) {
+          entry.status = 'duplicate';
+          entry.existing_bar_id = existingBarId;
+          entry.errors.push('A bar with this name and address already exists');
+        }
+      }
+    }
+
+    rows.push(entry);
+  }
+
+  return rows;
+}
+
+const summarize = (rows) => ({
+  total: rows.length,
+  valid: rows.filter(row => row.status === 'valid').length,
+  invalid: rows.filter(row => row.status === 'invalid').length,
+  duplicates: rows.filter(row => row.status === 'duplicate').length
+});
+
+// Report entries without the prepared payloads
+const toReport = (rows) => rows.map(({ bar, ...entry }) => entry);
+
+/**
+ * POST /bars/import?dry_run=true
+ * Bulk-creates bars with hours and tags (admin only)
+ *
+ * Body: a JSON array of bars (or { bars: [...] }) shaped like the createBar payload
+ * with `tags: ['Tag Name', ...]` instead of tag_ids, or a text/csv document
+ * (see utils/barImport.js for the columns).
+ *
+ * - dry_run=true: validates every row and reports errors and duplicates; writes nothing
+ * - otherwise: all rows are inserted in one transaction, or none are if any row
+ *   is invalid or a duplicate (422 with the same per-row report)
+ */
+async function importBars(req, res) {
+  const dryRun = isTruthyFlag(req.query.dry_run);
+
+  let records;
+  if (req.is('text/csv')) {
+    const parsed = parseBarCsv(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    records = parsed.records;
+  } else {
+    records = Array.isArray(req.body) ? req.body : req.body && req.body.bars;
+    if (!Array.isArray(records)) {
+      return res.status(400).json({ error: 'Provide a JSON array of bars, { "bars": [...] }, or a text/csv body' });
+    }
+  }
+
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'No bars to import' });
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `A single import is limited to ${MAX_IMPORT_ROWS} bars` });
+  }
+
+  if (dryRun) {
+    try {
+      const rows = await checkImportRows(records, db);
+      return res.json({
+        success: true,
+        message: 'Dry run completed; no bars were created',
+        data: { rows: toReport(rows) },
+        meta: { dry_run: true, ...summarize(rows), created: 0 }
+      });
+    } catch (err) {
+      console.error('Error validating bar import:', err.message || err);
+      return res.status(500).json({ error: 'Failed to import bars' });
+    }
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const rows = await checkImportRows(records, conn);
+    const summary = summarize(rows);
+
+    if (summary.valid !== rows.length) {
+      await conn.rollback();
+      return res.status(422).json({
+        success: false,
+        error: 'Import rejected; fix the rows with errors and retry. No bars were created.',
+        data: { rows: toReport(rows) },
+        meta: { dry_run: false, ...summary, created: 0 }
+      });
+    }
+
+    for (const row of rows) {
+      row.id = await insertBar(conn, row.bar);
+      await recordAudit(req, { action: 'import', entityType: 'bar', entityId: row.id, after: row.bar, executor: conn });
+    }
+
+    await conn.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: `Imported ${rows.length} bars`,
+      data: { rows: toReport(rows) },
+      meta: { dry_run: false, ...summary, created: rows.length }
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error('Error importing bars:', err.message || err);
+    return res.status(500).json({ error: 'Failed to import bars' });
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  importBars
+};
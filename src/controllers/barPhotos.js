@@ -0,0 +1,372 @@
+const db = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const { checkBarAccess } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { releaseImage } = require('../utils/images');
+const { fetchBarPhotos, fetchBarPhoto, pickCoverPhoto } = require('../utils/barPhotos');
+
+/**
+ * Bar photo galleries (see utils/barPhotos).
+ *
+ * Expected payload shape (POST):
+ * {
+ *   image_id: 'uuid',        // an upload from POST /bars/:barId/images, or
+ *   url: 'https://...',      // an external image URL
+ *   caption: 'The back room', // optional
+ *   is_cover: true           // optional, makes this the bar's only cover photo
+ * }
+ * PUT accepts caption and is_cover. New photos go to the end of the gallery;
+ * PUT /bars/:barId/photos/order rearranges it.
+ */
+
+/**
+ * Validate caption and is_cover
+ * @returns {{error: string}|{value: Object}} Validation error or the fields that were provided
+ */
+function validatePhotoDetails(payload) {
+  const { caption, is_cover } = payload;
+  const value = {};
+
+  if (caption !== undefined) {
+    if (caption !== null && (typeof caption !== 'string' || caption.length > 255)) {
+      return { error: 'caption must be a string of at most 255 characters' };
+    }
+    value.caption = caption && caption.trim() ? caption.trim() : null;
+  }
+
+  if (is_cover !== undefined) {
+    if (typeof is_cover !== 'boolean') {
+      return { error: 'is_cover must be a boolean' };
+    }
+    value.is_cover = is_cover;
+  }
+
+  return { value };
+}
+
+/**
+ * Confirms the bar exists and the caller may manage it, sending the error response if not
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function ensureBarAccess(req, res, barId) {
+  const [barRows] = await db.execute('SELECT id FROM bars WHERE id = ? AND is_active = 1', [barId]);
+  if (!barRows || barRows.length === 0) {
+    res.status(404).json({ error: 'Bar not found' });
+    return false;
+  }
+
+  const hasAccess = await checkBarAccess(req.user.userId, barId, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({ error: 'Access denied to this bar.' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * GET /bars/:barId/photos
+ * Lists a bar's gallery in display order, with the resolved cover photo
+ * Public endpoint - no authentication required
+ */
+async function getBarPhotos(req, res) {
+  try {
+    const { barId } = req.params;
+
+    const [barRows] = await db.execute('SELECT id, name FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (!barRows || barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    const photos = await fetchBarPhotos(barId);
+    const cover = pickCoverPhoto(photos);
+
+    return res.json({
+      success: true,
+      data: photos,
+      meta: {
+        bar: {
+          id: barRows[0].id,
+          name: barRows[0].name
+        },
+        total: photos.length,
+        cover_photo_id: cover ? cover.id : null
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching bar photos:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch bar photos' });
+  }
+}
+
+/**
+ * POST /bars/:barId/photos
+ * Adds a photo to the end of a bar's gallery (protected route)
+ */
+async function addBarPhoto(req, res) {
+  const { barId } = req.params;
+  const payload = req.body || {};
+  const { image_id: imageId, url } = payload;
+
+  if ((imageId === undefined) === (url === undefined)) {
+    return res.status(400).json({ error: 'Provide either image_id (an uploaded image) or url' });
+  }
+  if (imageId !== undefined && (typeof imageId !== 'string' || !imageId)) {
+    return res.status(400).json({ error: 'image_id must be a string' });
+  }
+  if (url !== undefined && (typeof url !== 'string' || !url.trim() || url.length > 500)) {
+    return res.status(400).json({ error: 'url must be a string of at most 500 characters' });
+  }
+  const validation = validatePhotoDetails(payload);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const details = validation.value;
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    let photoUrl = url !== undefined ? url.trim() : null;
+    if (imageId !== undefined) {
+      const [imageRows] = await db.execute(
+        `SELECT url FROM uploaded_images WHERE id = ? AND owner_type = 'bar' AND owner_id = ?`,
+        [imageId, barId]
+      );
+      if (imageRows.length === 0) {
+        return res.status(404).json({ error: 'Uploaded image not found for this bar' });
+      }
+      photoUrl = imageRows[0].url;
+    }
+
+    const photoId = uuidv4();
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    if (details.is_cover) {
+      await conn.execute('UPDATE bar_photos SET is_cover = 0 WHERE bar_id = ? AND is_cover = 1', [barId]);
+    }
+    await conn.execute(
+      `INSERT INTO bar_photos (id, bar_id, image_id, url, caption, sort_order, is_cover, created_by)
+       SELECT ?, ?, ?, ?, ?, COALESCE(MAX(sort_order) + 1, 0), ?, ?
+       FROM bar_photos WHERE bar_id = ?`,
+      [
+        photoId,
+        barId,
+        imageId || null,
+        photoUrl,
+        details.caption || null,
+        details.is_cover ? 1 : 0,
+        req.user.userId,
+        barId
+      ]
+    );
+    const photo = await fetchBarPhoto(barId, photoId, conn);
+
+    await recordAudit(req, {
+      action: 'add_photo',
+      entityType: 'bar',
+      entityId: barId,
+      after: { photo_id: photoId, url: photo.url, caption: photo.caption, is_cover: photo.is_cover },
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Photo added successfully',
+      data: photo
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('Error adding bar photo:', err.message || err);
+    return res.status(500).json({ error: 'Failed to add bar photo' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /bars/:barId/photos/:photoId
+ * Updates a photo's caption or cover flag (protected route)
+ */
+async function updateBarPhoto(req, res) {
+  const { barId, photoId } = req.params;
+  const validation = validatePhotoDetails(req.body || {});
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const details = validation.value;
+  if (Object.keys(details).length === 0) {
+    return res.status(400).json({ error: 'Provide caption or is_cover to update' });
+  }
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const existing = await fetchBarPhoto(barId, photoId, conn);
+    if (!existing) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    if (details.is_cover) {
+      await conn.execute('UPDATE bar_photos SET is_cover = 0 WHERE bar_id = ? AND id <> ? AND is_cover = 1', [barId, photoId]);
+    }
+    const setClauses = [];
+    const params = [];
+    if (details.caption !== undefined) {
+      setClauses.push('caption = ?');
+      params.push(details.caption);
+    }
+    if (details.is_cover !== undefined) {
+      setClauses.push('is_cover = ?');
+      params.push(details.is_cover ? 1 : 0);
+    }
+    await conn.execute(
+      `UPDATE bar_photos SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, photoId]
+    );
+    const photo = await fetchBarPhoto(barId, photoId, conn);
+
+    await recordAudit(req, {
+      action: 'update_photo',
+      entityType: 'bar',
+      entityId: barId,
+      before: { photo_id: photoId, caption: existing.caption, is_cover: existing.is_cover },
+      after: { photo_id: photoId, caption: photo.caption, is_cover: photo.is_cover },
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Photo updated successfully',
+      data: photo
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('Error updating bar photo:', err.message || err);
+    return res.status(500).json({ error: 'Failed to update bar photo' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /bars/:barId/photos/order
+ * Rearranges a bar's gallery. Body: { photo_ids: [...] } listing every photo of the
+ * bar once, in the new order (protected route)
+ */
+async function reorderBarPhotos(req, res) {
+  const { barId } = req.params;
+  const photoIds = req.body ? req.body.photo_ids : undefined;
+
+  if (!Array.isArray(photoIds) || photoIds.some(id => typeof id !== 'string')) {
+    return res.status(400).json({ error: 'photo_ids must be an array of photo IDs' });
+  }
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.execute(
+      'SELECT id FROM bar_photos WHERE bar_id = ? ORDER BY sort_order, created_at, id FOR UPDATE',
+      [barId]
+    );
+    const currentIds = rows.map(row => row.id);
+    const requestedIds = new Set(photoIds);
+    if (requestedIds.size !== photoIds.length || photoIds.length !== currentIds.length ||
+        currentIds.some(id => !requestedIds.has(id))) {
+      await conn.rollback();
+      return res.status(400).json({ error: 'photo_ids must list each of the bar\'s photos exactly once' });
+    }
+
+    for (const [index, photoId] of photoIds.entries()) {
+      await conn.execute('UPDATE bar_photos SET sort_order = ? WHERE id = ?', [index, photoId]);
+    }
+
+    await recordAudit(req, {
+      action: 'reorder_photos',
+      entityType: 'bar',
+      entityId: barId,
+      before: { photo_ids: currentIds },
+      after: { photo_ids: photoIds },
+      executor: conn
+    });
+    await conn.commit();
+
+    const photos = await fetchBarPhotos(barId);
+    return res.json({
+      success: true,
+      message: 'Photos reordered successfully',
+      data: photos
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('Error reordering bar photos:', err.message || err);
+    return res.status(500).json({ error: 'Failed to reorder bar photos' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * DELETE /bars/:barId/photos/:photoId
+ * Removes a photo from the gallery, deleting the upload behind it once nothing
+ * else uses it (protected route)
+ */
+async function deleteBarPhoto(req, res) {
+  try {
+    const { barId, photoId } = req.params;
+
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    const photo = await fetchBarPhoto(barId, photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    await db.execute('DELETE FROM bar_photos WHERE id = ?', [photoId]);
+    await recordAudit(req, {
+      action: 'remove_photo',
+      entityType: 'bar',
+      entityId: barId,
+      before: { photo_id: photoId, url: photo.url, caption: photo.caption, is_cover: photo.is_cover }
+    });
+
+    await releaseImage(photo.url);
+
+    return res.json({
+      success: true,
+      message: 'Photo removed successfully',
+      data: { id: photoId, bar_id: barId }
+    });
+  } catch (err) {
+    console.error('Error removing bar photo:', err.message || err);
+    return res.status(500).json({ error: 'Failed to remove bar photo' });
+  }
+}
+
+module.exports = {
+  getBarPhotos,
+  addBarPhoto,
+  updateBarPhoto,
+  reorderBarPhotos,
+  deleteBarPhoto
+};
@@ -1,47 +1,39 @@
 const db = require('../utils/db');
 const { v4: uuidv4 } = require('uuid');
 const { checkBarAccess } = require('../middleware/auth');
-
-const normalizeTimeString = value => {
-  if (value === undefined || value === null || value === '' || value === 'null') {
-    return null;
-  }
-  let stringValue = typeof value === 'string' ? value : String(value);
-  if (/^\d{2}:\d{2}:\d{2}$/.test(stringValue)) {
-    return stringValue;
-  }
-  if (/^\d{2}:\d{2}$/.test(stringValue)) {
-    return `${stringValue}:00`;
-  }
-  if (/^\d{1,2}$/.test(stringValue)) {
-    return `${stringValue.padStart(2, '0')}:00:00`;
-  }
-  return null;
-};
-
-const fetchBarHours = async barId => {
-  const hoursSql = `
-    SELECT 
-      id,
-      day_of_week,
-      open_time,
-      close_time,
-      is_closed,
-      crosses_midnight
-    FROM bar_hours 
-    WHERE bar_id = ? 
-    ORDER BY day_of_week
-  `;
-  const [rows] = await db.execute(hoursSql, [barId]);
-  return rows.map(hour => ({
-    id: hour.id,
+const {
+  fetchBarHours,
+  fetchBarHourExceptions,
+  applyHourExceptions,
+  fetchEffectiveBarHours,
+  isOpenAt,
+  listBars,
+  fetchLocalClockJoin
+} = require('../utils/barListing');
+const { DEFAULT_TIMEZONE, addDays, isValidTimeZone, getZonedDateTime } = require('../utils/timezone');
+const { ADDRESS_FIELDS, hasCoordinates, geocodeBar } = require('../utils/geocoding');
+const { recordAudit } = require('../utils/audit');
+const { fetchBarPhotos, pickCoverPhoto } = require('../utils/barPhotos');
+const { normalizePolygon } = require('../utils/geo');
+const {
+  BAR_FIELDS,
+  INVALID_TIMEZONE_ERROR,
+  validateBarFields,
+  validateBarHours,
+  crossesMidnight,
+  findDuplicateBar,
+  insertBar
+} = require('../utils/barRecords');
+
+// Hour columns captured in audit snapshots, ordered by day_of_week
+const toHoursSnapshot = (hours) => hours
+  .map(hour => ({
     day_of_week: hour.day_of_week,
-    open_time: normalizeTimeString(hour.open_time),
-    close_time: normalizeTimeString(hour.close_time),
-    is_closed: Boolean(hour.is_closed),
-    crosses_midnight: Boolean(hour.crosses_midnight)
-  }));
-};
+    open_time: hour.is_closed ? null : hour.open_time,
+    close_time: hour.is_closed ? null : hour.close_time,
+    is_closed: Boolean(hour.is_closed)
+  }))
+  .sort((a, b) => a.day_of_week - b.day_of_week);
 
 /**
  * Expected payload shape:
@@ -61,6 +53,7 @@ const fetchBarHours = async barId => {
  *  twitter,
  *  posh,
  *  eventbrite,
+ *  timezone, // IANA time zone name, defaults to America/New_York
  *  hours: [{ day_of_week: 0..6, open_time: 'HH:MM:SS', close_time: 'HH:MM:SS', is_closed: boolean }, ...],
  *  tag_ids: ['uuid', ...] // existing tag ids to relate
  * }
@@ -76,9 +69,21 @@ async function createBar(req, res) {
   const payload = req.body;
 
   // Basic validation
-  //  Name, street, city, state, zip are required
-  if (!payload || !payload.name || !payload.address_street || !payload.address_city|| !payload.address_zip|| !payload.address_state)  {
-    return res.status(400).json({ error: 'Missing required bar fields' });
+  const validationError = validateBarFields(payload);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // Fill in missing coordinates from the address (before the transaction; providers may be remote)
+  const bar = { ...payload };
+  let geocodeStatus = null;
+  if (!hasCoordinates(payload)) {
+    const geocoded = await geocodeBar(payload);
+    if (geocoded.status === 'geocoded') {
+      bar.latitude = geocoded.latitude;
+      bar.longitude = geocoded.longitude;
+    }
+    geocodeStatus = geocoded.status === 'disabled' ? null : geocoded.status;
   }
 
   const conn = await db.getConnection();
@@ -86,119 +91,26 @@ async function createBar(req, res) {
     await conn.beginTransaction();
 
     // Check for duplicate bar (same name and address) - case insensitive
-    const duplicateCheckSql = `
-      SELECT id FROM bars 
-      WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) 
-      AND LOWER(TRIM(address_street)) = LOWER(TRIM(?)) 
-      AND LOWER(TRIM(address_city)) = LOWER(TRIM(?)) 
-      AND LOWER(TRIM(address_state)) = LOWER(TRIM(?)) 
-      AND TRIM(address_zip) = TRIM(?) 
-      AND is_active = 1
-    `;
-    const [duplicateRows] = await conn.execute(duplicateCheckSql, [
-      payload.name,
-      payload.address_street,
-      payload.address_city,
-      payload.address_state,
-      payload.address_zip
-    ]);
-
-    if (duplicateRows && duplicateRows.length > 0) {
+    if (await findDuplicateBar(conn, bar)) {
       await conn.rollback();
       return res.status(409).json({ error: 'A bar with this name and address already exists' });
     }
 
-    // Insert bar record
-    const barId = uuidv4();
-    const insertBarSql = `INSERT INTO bars (
-      id,
-      name,
-      description,
-      address_street,
-      address_city,
-      address_state,
-      address_zip,
-      latitude,
-      longitude,
-      phone,
-      website,
-      instagram,
-      facebook,
-      twitter,
-      posh,
-      eventbrite,
-      is_active
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-    await conn.execute(insertBarSql, [
-      barId,
-      payload.name,
-      payload.description || null,
-      payload.address_street,
-      payload.address_city,
-      payload.address_state,
-      payload.address_zip,
-      payload.latitude || null,
-      payload.longitude || null,
-      payload.phone || null,
-      payload.website || null,
-      payload.instagram || null,
-      payload.facebook || null,
-      payload.twitter || null,
-      payload.posh || null,
-      payload.eventbrite || null,
-      1
-    ]);
+    // Insert the bar with its hours and tag assignments
+    const barId = await insertBar(conn, bar);
 
-    // Insert hours if provided
-    if (Array.isArray(payload.hours) && payload.hours.length > 0) {
-      const insertHourSql = `
-        INSERT INTO bar_hours (
-          id,
-          bar_id,
-          day_of_week,
-          open_time,
-          close_time,
-          is_closed,
-          crosses_midnight
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      `;
-      for (const hour of payload.hours) {
-        const hourId = uuidv4();
-        let crossesMidnight = false;
-        if (!hour.is_closed && hour.open_time && hour.close_time) {
-          const openTime = hour.open_time.split(':').map(Number);
-          const closeTime = hour.close_time.split(':').map(Number);
-          if (
-            closeTime[0] < openTime[0] ||
-            (closeTime[0] === openTime[0] && closeTime[1] < openTime[1])
-          ) {
-            crossesMidnight = true;
-          }
-        }
-
-        await conn.execute(insertHourSql, [
-          hourId,
-          barId,
-          hour.day_of_week,
-          hour.is_closed ? null : hour.open_time,
-          hour.is_closed ? null : hour.close_time,
-          hour.is_closed ? 1 : 0,
-          crossesMidnight ? 1 : 0
-        ]);
-      }
-    }
-
-    // Insert bar_tag_assignments relationships if provided (Just submitting tag ids, more efficient))
-    if (Array.isArray(payload.tag_ids) && payload.tag_ids.length > 0) {
-      const insertBarTagSql = `INSERT INTO bar_tag_assignments (bar_id, tag_id) VALUES (?, ?)`;
-      for (const tagId of payload.tag_ids) {
-        await conn.execute(insertBarTagSql, [barId, tagId]);
-      }
+    const createdBar = {};
+    for (const field of BAR_FIELDS) {
+      createdBar[field] = bar[field] || null;
     }
+    createdBar.timezone = payload.timezone ? payload.timezone.trim() : DEFAULT_TIMEZONE;
+    createdBar.hours = Array.isArray(payload.hours) ? toHoursSnapshot(payload.hours) : [];
+    createdBar.tag_ids = Array.isArray(payload.tag_ids) ? payload.tag_ids : [];
+    await recordAudit(req, { action: 'create', entityType: 'bar', entityId: barId, after: createdBar, executor: conn });
 
     await conn.commit();
 
-    return res.status(201).json({ data: { id: barId } });
+    return res.status(201).json({ data: geocodeStatus ? { id: barId, geocode_status: geocodeStatus } : { id: barId } });
   } catch (err) {
     await conn.rollback();
     console.error('Error creating bar:', err.message || err);
@@ -212,285 +124,47 @@ async function createBar(req, res) {
  * GET /bars?include=hours,tags,events&tag=uuid1,uuid2,uuid3&open_now=true&lat=40.7128&lon=-74.0060&radius=5&unit=miles&page=1&limit=20
  * Returns all active bars with optional related data and filtering
  * Query parameters:
- * - include: comma-separated list of related data to include (hours, tags, events)
+ * - include: comma-separated list of related data to include (hours, tags, events, photos;
+ *   photos adds each bar's cover_photo only)
  * - tag: filter by tag ID(s) - single UUID or comma-separated UUIDs
  * - open_now: filter by bars currently open (true/false)
+ * - open_at: filter by bars open at a local wall-clock time (YYYY-MM-DDTHH:MM, in each bar's timezone)
+ * - open_between: filter by bars open at any point in a local window (start,end; at most 7 days)
  * - lat: user's latitude for distance-based sorting and radius filtering
  * - lon: user's longitude for distance-based sorting and radius filtering
  * - radius: maximum distance from user location (requires lat/lon)
  * - unit: distance unit - 'km' (kilometers, default) or 'miles'
+ * - bbox: map viewport as minLon,minLat,maxLon,maxLat
+ * - area: id or slug of a stored map area (see /areas) the bars must fall within
+ * - cluster: 'true' to return bar counts per grid cell of the bbox/area instead of bars
+ * - grid: cells per side for cluster=true (default: 8, maximum: 50)
  * - page: page number for pagination (default: 1, minimum: 1)
  * - limit: number of results per page (default: 20, minimum: 10, maximum: 100)
  * - offset: alternative to page (0-indexed). If provided with page, offset takes precedence
  */
 async function getAllBars(req, res) {
-  try {
-    const { include, tag, open_now, lat, lon, radius, unit, page, limit, offset } = req.query;
-    const includeOptions = include ? include.split(',').map(i => i.trim().toLowerCase()) : [];
-    
-    // Validate and set pagination parameters
-    let pageNumber = 1;
-    let limitNumber = 20; // Default limit per requirements
-    let offsetNumber = null;
-
-    if (limit !== undefined) {
-      limitNumber = parseInt(limit);
-      if (isNaN(limitNumber) || limitNumber < 10 || limitNumber > 100) {
-        return res.status(400).json({ error: 'Limit must be between 10 and 100.' });
-      }
-    }
-
-    if (offset !== undefined) {
-      offsetNumber = parseInt(offset);
-      if (isNaN(offsetNumber) || offsetNumber < 0) {
-        return res.status(400).json({ error: 'Offset must be a non-negative integer.' });
-      }
-    }
+  return listBars(req, res);
+}
 
-    if (page !== undefined) {
-      pageNumber = parseInt(page);
-      if (isNaN(pageNumber) || pageNumber < 1) {
-        return res.status(400).json({ error: 'Page must be a positive integer starting from 1.' });
-      }
-    }
-    
-    const effectiveOffset = offsetNumber !== null ? offsetNumber : (pageNumber - 1) * limitNumber;
-    
-    // Validate lat/lon parameters if provided
-    let userLat = null;
-    let userLon = null;
-    let radiusValue = null;
-    let distanceUnit = 'km'; // Default to kilometers
-    
-    if (lat !== undefined && lon !== undefined) {
-      userLat = parseFloat(lat);
-      userLon = parseFloat(lon);
-      
-      if (isNaN(userLat) || isNaN(userLon) || userLat < -90 || userLat > 90 || userLon < -180 || userLon > 180) {
-        return res.status(400).json({ error: 'Invalid latitude or longitude. Latitude must be between -90 and 90, longitude between -180 and 180.' });
-      }
-      
-      // Validate radius if provided
-      if (radius !== undefined) {
-        radiusValue = parseFloat(radius);
-        if (isNaN(radiusValue) || radiusValue <= 0) {
-          return res.status(400).json({ error: 'Radius must be a positive number.' });
-        }
-      }
-      
-      // Validate unit if provided
-      if (unit !== undefined) {
-        if (unit.toLowerCase() !== 'km' && unit.toLowerCase() !== 'miles') {
-          return res.status(400).json({ error: 'Unit must be either "km" or "miles".' });
-        }
-        distanceUnit = unit.toLowerCase();
-      }
-    } else if (radius !== undefined || unit !== undefined) {
-      return res.status(400).json({ error: 'Radius and unit parameters require both lat and lon to be provided.' });
-    }
-    
-    // Build dynamic query
-    let selectClauses = ['DISTINCT b.*'];
-    let joinClauses = [];
-    let whereClauses = ['b.is_active = 1'];
-    let params = [];
-    
-    // Add distance calculation if user location is provided
-    if (userLat !== null && userLon !== null) {
-      // Earth radius: 6371 km or 3959 miles
-      const earthRadius = distanceUnit === 'miles' ? 3959 : 6371;
-      
-      selectClauses.push(`ROUND((
-        ${earthRadius} * acos(
-          cos(radians(?)) * cos(radians(b.latitude)) * 
-          cos(radians(b.longitude) - radians(?)) + 
-          sin(radians(?)) * sin(radians(b.latitude))
-        )
-      ), 2) as distance_${distanceUnit}`);
-      params.push(userLat, userLon, userLat);
-      
-      // Only include bars that have coordinates when distance sorting is requested
-      whereClauses.push('b.latitude IS NOT NULL AND b.longitude IS NOT NULL');
-      
-      // Add radius filter if specified
-      if (radiusValue !== null) {
-        whereClauses.push(`(
-          ${earthRadius} * acos(
-            cos(radians(?)) * cos(radians(b.latitude)) * 
-            cos(radians(b.longitude) - radians(?)) + 
-            sin(radians(?)) * sin(radians(b.latitude))
-          )
-        ) <= ?`);
-        params.push(userLat, userLon, userLat, radiusValue);
-      }
-    }
-    
-    // Add filter conditions
-    if (tag) {
-      const tagIds = [...new Set(tag.split(',').map(id => id.trim()).filter(id => id.length > 0))]; // Remove duplicates
-      if (tagIds.length > 0) {
-        joinClauses.push('INNER JOIN bar_tag_assignments bt_filter ON b.id = bt_filter.bar_id');
-        const placeholders = tagIds.map(() => '?').join(',');
-        whereClauses.push(`bt_filter.tag_id IN (${placeholders})`);
-        params.push(...tagIds);
-      }
-    }
-    
-    // Add open_now filter
-    if (open_now === 'true') {
-      whereClauses.push(`EXISTS (
-        SELECT 1 FROM bar_hours bh_open 
-        WHERE bh_open.bar_id = b.id 
-        AND bh_open.is_closed = 0
-        AND (
-          -- Normal hours (does not cross midnight)
-          (bh_open.crosses_midnight = 0 
-           AND bh_open.day_of_week = DAYOFWEEK(NOW()) - 1
-           AND TIME(NOW()) BETWEEN bh_open.open_time AND bh_open.close_time)
-          OR 
-          -- Cross-midnight hours - currently past opening time (same day)
-          (bh_open.crosses_midnight = 1 
-           AND bh_open.day_of_week = DAYOFWEEK(NOW()) - 1
-           AND TIME(NOW()) >= bh_open.open_time)
-          OR
-          -- Cross-midnight hours - before closing time (next day)
-          (bh_open.crosses_midnight = 1 
-           AND bh_open.day_of_week = MOD(DAYOFWEEK(NOW()) - 2 + 7, 7)
-           AND TIME(NOW()) <= bh_open.close_time)
-        )
-      )`);
-    }
-    
-    // Add joins and select clauses based on include parameters
-    if (includeOptions.includes('tags')) {
-      joinClauses.push('LEFT JOIN bar_tag_assignments bt ON b.id = bt.bar_id');
-      joinClauses.push('LEFT JOIN bar_tags t ON bt.tag_id = t.id');
-      selectClauses.push(`GROUP_CONCAT(
-        DISTINCT CONCAT(t.id, ':', t.name, ':', COALESCE(t.category, ''))
-      ) as tags`);
-    }
-    
-    if (includeOptions.includes('events')) {
-      joinClauses.push(`LEFT JOIN events e ON b.id = e.bar_id 
-        AND e.is_active = 1 
-        AND e.date >= CURDATE()`);
-      selectClauses.push(`GROUP_CONCAT(
-        DISTINCT CONCAT(e.id, ':', e.title, ':', e.date, ':', COALESCE(e.start_time, ''), ':', COALESCE(e.category, ''))
-      ) as upcoming_events`);
-    }
-    
-    // Construct query
-    let selectSql = `SELECT ${selectClauses.join(', ')} FROM bars b`;
-    if (joinClauses.length > 0) {
-      selectSql += ` ${joinClauses.join(' ')}`;
-    }
-    selectSql += ` WHERE ${whereClauses.join(' AND ')}`;
-    
-    if (includeOptions.length > 0 || tag || open_now === 'true') {
-      selectSql += ` GROUP BY b.id`;
-    }
-    
-    // Order by distance if user location provided, otherwise by name
-    if (userLat !== null && userLon !== null) {
-      selectSql += ` ORDER BY distance_${distanceUnit} ASC, b.name`;
-    } else {
-      selectSql += ' ORDER BY b.name';
-    }
-    
-    // Get total count for pagination metadata (before applying LIMIT/OFFSET)
-    let countSql = selectSql.replace(`SELECT ${selectClauses.join(', ')}`, 'SELECT COUNT(DISTINCT b.id) as total');
-    countSql = countSql.replace(/ ORDER BY.*$/, '');
-    
-    const [countResult] = await db.query(countSql, params);
-    const totalItems = countResult[0].total;
-    
-    // Add pagination to main query
-    selectSql += ` LIMIT ? OFFSET ?`;
-    params.push(limitNumber, effectiveOffset);
-    
-    const [rows] = await db.query(selectSql, params);
-    
-    const bars = await Promise.all(rows.map(async bar => {
-      const result = { ...bar };
-      
-      if (includeOptions.includes('hours')) {
-        result.hours = await fetchBarHours(bar.id);
-      }
-      
-      if (includeOptions.includes('tags') && bar.tags) {
-        result.tags = bar.tags.split(',').map(t => {
-          const [id, name, category] = t.split(':');
-          return {
-            id,
-            name,
-            category: category || null
-          };
-        });
-      } else if (includeOptions.includes('tags')) {
-        result.tags = [];
-      }
-      
-      if (includeOptions.includes('events') && bar.upcoming_events) {
-        result.upcoming_events = bar.upcoming_events.split(',').map(e => {
-          const [id, title, date, start_time, category] = e.split(':');
-          return {
-            id,
-            title,
-            date,
-            start_time: start_time || null,
-            category: category || null
-          };
-        });
-      } else if (includeOptions.includes('events')) {
-        result.upcoming_events = [];
-      }
-      
-      return result;
-    }));
-    
-    // Calculate pagination metadata
-    const totalPages = Math.ceil(totalItems / limitNumber);
-    const effectivePage = Math.floor(effectiveOffset / limitNumber) + 1;
-    const hasNextPage = effectivePage < totalPages;
-    const hasPrevPage = effectivePage > 1;
-    const nextPage = hasNextPage ? effectivePage + 1 : null;
-    const prevPage = hasPrevPage ? effectivePage - 1 : null;
-    
-    return res.json({ 
-      success: true, 
-      data: bars,
-      meta: {
-        pagination: {
-          current_page: effectivePage,
-          per_page: limitNumber,
-          total: totalItems,
-          total_pages: totalPages,
-          has_next_page: hasNextPage,
-          has_previous_page: hasPrevPage,
-          next_page: nextPage,
-          prev_page: prevPage
-        },
-        filters: { tag, open_now, radius: radiusValue, unit: distanceUnit },
-        included: includeOptions,
-        location: userLat !== null && userLon !== null ? { 
-          lat: userLat, 
-          lon: userLon, 
-          sorted_by_distance: true,
-          unit: distanceUnit
-        } : null
-      }
-    });
-  } catch (err) {
-    console.error('Error fetching bars:', err.message || err);
-    return res.status(500).json({ error: 'Failed to fetch bars' });
+/**
+ * POST /bars/search/area
+ * Lists bars inside the GeoJSON Polygon or MultiPolygon sent as the request body
+ * (bare geometry or a Feature). Accepts the same query parameters as GET /bars,
+ * including cluster=true; the area query parameter cannot be combined with a body polygon.
+ */
+async function searchBarsInArea(req, res) {
+  const { geometry, error } = normalizePolygon(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
+  return listBars(req, res, { polygon: geometry });
 }
 
 /**
- * GET /bars/:id?include=hours,tags,events
+ * GET /bars/:id?include=hours,tags,events,photos
  * Returns a single bar with optional related data based on include parameter
  * Query parameters:
- * - include: comma-separated list of related data to include (hours, tags, events)
+ * - include: comma-separated list of related data to include (hours, tags, events, photos)
  */
 async function getBar(req, res) {
   try {
@@ -500,6 +174,7 @@ async function getBar(req, res) {
     
     // Build base query
     let joinClauses = [];
+    let joinParams = [];
     let selectClauses = ['b.*'];
     
     // Add joins and select clauses based on include parameters
@@ -512,9 +187,13 @@ async function getBar(req, res) {
     }
     
     if (includeOptions.includes('events')) {
+      // Upcoming from the bar's local date (bar_clock), not the DB server's clock
+      const clockJoin = await fetchLocalClockJoin();
+      joinClauses.push(clockJoin.sql);
+      joinParams.push(...clockJoin.params);
       joinClauses.push(`LEFT JOIN events e ON b.id = e.bar_id 
         AND e.is_active = 1 
-        AND e.date >= CURDATE()`);
+        AND e.date >= bar_clock.local_date`);
       selectClauses.push(`GROUP_CONCAT(
         DISTINCT CONCAT(e.id, ':', e.title, ':', e.date, ':', COALESCE(e.start_time, ''), ':', COALESCE(e.category, ''))
       ) as upcoming_events`);
@@ -531,7 +210,7 @@ async function getBar(req, res) {
       selectSql += ` GROUP BY b.id`;
     }
     
-    const [rows] = await db.query(selectSql, [barId]);
+    const [rows] = await db.query(selectSql, [...joinParams, barId]);
     
     if (!rows || rows.length === 0) {
       return res.status(404).json({ error: 'Bar not found' });
@@ -542,7 +221,7 @@ async function getBar(req, res) {
     
     // Parse the results based on what was included
     if (includeOptions.includes('hours')) {
-      result.hours = await fetchBarHours(barId);
+      result.hours = await fetchEffectiveBarHours(barId, bar.timezone);
     }
     
     if (includeOptions.includes('tags') && bar.tags) {
@@ -572,6 +251,11 @@ async function getBar(req, res) {
     } else if (includeOptions.includes('events')) {
       result.upcoming_events = [];
     }
+
+    if (includeOptions.includes('photos')) {
+      result.photos = await fetchBarPhotos(barId);
+      result.cover_photo = pickCoverPhoto(result.photos);
+    }
     
     return res.json({ 
       success: true, 
@@ -597,8 +281,8 @@ async function updateBar(req, res) {
     const payload = req.body;
     const userId = req.user.userId; // From JWT
     
-    // Check if bar exists and is active
-    const checkSql = `SELECT id FROM bars WHERE id = ? AND is_active = 1`;
+    // Check if bar exists and is active, and keep its current values for the audit log
+    const checkSql = `SELECT id, ${BAR_FIELDS.join(', ')} FROM bars WHERE id = ? AND is_active = 1`;
     const [checkRows] = await db.execute(checkSql, [barId]);
     
     if (!checkRows || checkRows.length === 0) {
@@ -614,6 +298,34 @@ async function updateBar(req, res) {
         error: 'This endpoint only updates basic bar information. Hours and tags cannot be updated through this endpoint.' 
       });
     }
+
+    if (payload.timezone !== undefined && !isValidTimeZone(payload.timezone)) {
+      return res.status(400).json({ error: INVALID_TIMEZONE_ERROR });
+    }
+
+    // Re-geocode when the address changes and no coordinates were sent with it.
+    // If that fails the stored coordinates are cleared (they belong to the old
+    // address), so the geocode backfill picks the bar up again.
+    const updates = { ...payload };
+    let geocodeStatus = null;
+    let clearCoordinates = false;
+    const addressChanged = ADDRESS_FIELDS.some(field =>
+      payload[field] && String(payload[field]).trim() !== String(checkRows[0][field] || '').trim()
+    );
+    if (addressChanged && !hasCoordinates(payload)) {
+      const address = {};
+      for (const field of ADDRESS_FIELDS) {
+        address[field] = payload[field] || checkRows[0][field];
+      }
+      const geocoded = await geocodeBar(address);
+      if (geocoded.status === 'geocoded') {
+        updates.latitude = geocoded.latitude;
+        updates.longitude = geocoded.longitude;
+      } else if (geocoded.status === 'not_found' || geocoded.status === 'failed') {
+        clearCoordinates = true;
+      }
+      geocodeStatus = geocoded.status === 'disabled' ? null : geocoded.status;
+    }
     
     const conn = await db.getConnection();
     try {
@@ -625,22 +337,7 @@ async function updateBar(req, res) {
           payload.address_state && payload.address_zip) {
         
         // Check for duplicates with all provided values (excluding current bar)
-        const duplicateCheckSql = `
-          SELECT id FROM bars 
-          WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) 
-          AND LOWER(TRIM(address_street)) = LOWER(TRIM(?)) 
-          AND LOWER(TRIM(address_city)) = LOWER(TRIM(?)) 
-          AND LOWER(TRIM(address_state)) = LOWER(TRIM(?)) 
-          AND TRIM(address_zip) = TRIM(?) 
-          AND id != ? 
-          AND is_active = 1
-        `;
-        const [duplicateRows] = await conn.execute(duplicateCheckSql, [
-          payload.name, payload.address_street, payload.address_city, 
-          payload.address_state, payload.address_zip, barId
-        ]);
-        
-        if (duplicateRows && duplicateRows.length > 0) {
+        if (await findDuplicateBar(conn, payload, barId)) {
           await conn.rollback();
           return res.status(409).json({ error: 'A bar with this name and address already exists' });
         }
@@ -664,6 +361,7 @@ async function updateBar(req, res) {
           twitter = COALESCE(?, twitter),
           posh = COALESCE(?, posh),
           eventbrite = COALESCE(?, eventbrite),
+          timezone = COALESCE(?, timezone),
           updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `;
@@ -675,8 +373,8 @@ async function updateBar(req, res) {
         payload.address_city || null,
         payload.address_state || null,
         payload.address_zip || null,
-        payload.latitude || null,
-        payload.longitude || null,
+        updates.latitude || null,
+        updates.longitude || null,
         payload.phone || null,
         payload.website || null,
         payload.instagram || null,
@@ -684,15 +382,35 @@ async function updateBar(req, res) {
         payload.twitter || null,
         payload.posh || null,
         payload.eventbrite || null,
+        payload.timezone ? payload.timezone.trim() : null,
         barId
       ]);
+      if (clearCoordinates) {
+        await conn.execute('UPDATE bars SET latitude = NULL, longitude = NULL WHERE id = ?', [barId]);
+      }
+
+      // Mirror the COALESCE semantics above: only non-empty payload values replace stored ones
+      const currentBar = {};
+      const updatedBar = {};
+      for (const field of BAR_FIELDS) {
+        currentBar[field] = checkRows[0][field];
+        updatedBar[field] = updates[field] || checkRows[0][field];
+      }
+      if (payload.timezone) {
+        updatedBar.timezone = payload.timezone.trim();
+      }
+      if (clearCoordinates) {
+        updatedBar.latitude = null;
+        updatedBar.longitude = null;
+      }
+      await recordAudit(req, { action: 'update', entityType: 'bar', entityId: barId, before: currentBar, after: updatedBar, executor: conn });
       
       await conn.commit();
       
       return res.json({ 
         success: true, 
         message: 'Bar information updated successfully',
-        data: { id: barId }
+        data: geocodeStatus ? { id: barId, geocode_status: geocodeStatus } : { id: barId }
       });
     } catch (err) {
       await conn.rollback();
@@ -724,6 +442,8 @@ async function deleteBar(req, res) {
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Bar not found' });
     }
+
+    await recordAudit(req, { action: 'delete', entityType: 'bar', entityId: barId, before: { is_active: 1 }, after: { is_active: 0 } });
     
     return res.json({ 
       success: true, 
@@ -842,6 +562,8 @@ async function addTagToBar(req, res) {
     // Add the tag to the bar
     const insertSql = `INSERT INTO bar_tag_assignments (bar_id, tag_id) VALUES (?, ?)`;
     await db.execute(insertSql, [barId, tagId]);
+
+    await recordAudit(req, { action: 'add_tag', entityType: 'bar', entityId: barId, before: { tag_id: null }, after: { tag_id: tagId } });
     
     return res.status(201).json({
       success: true,
@@ -900,6 +622,8 @@ async function removeTagFromBar(req, res) {
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Tag association not found' });
     }
+
+    await recordAudit(req, { action: 'remove_tag', entityType: 'bar', entityId: barId, before: { tag_id: tagId }, after: { tag_id: null } });
     
     return res.json({
       success: true,
@@ -1015,7 +739,8 @@ const getBarTags = async (req, res) => {
 
 /**
  * GET /bars/:barId/hours
- * Returns all hours for a specific bar
+ * Returns the bar's hours for the coming week, with date-specific exceptions
+ * applied to the matching day_of_week (see /bars/:barId/hours/exceptions)
  * Public endpoint - no authentication required
  */
 async function getBarHours(req, res) {
@@ -1023,14 +748,21 @@ async function getBarHours(req, res) {
     const barId = req.params.barId;
     
     // First check if the bar exists and is active
-    const barCheckSql = `SELECT id, name FROM bars WHERE id = ? AND is_active = 1`;
+    const barCheckSql = `SELECT id, name, timezone FROM bars WHERE id = ? AND is_active = 1`;
     const [barRows] = await db.execute(barCheckSql, [barId]);
     
     if (!barRows || barRows.length === 0) {
       return res.status(404).json({ error: 'Bar not found' });
     }
     
-    const hours = await fetchBarHours(barId);
+    // Hours are wall-clock times in the bar's own time zone
+    const timezone = barRows[0].timezone || DEFAULT_TIMEZONE;
+    const localNow = getZonedDateTime(timezone);
+
+    // Exceptions from yesterday onward: yesterday's may still be running past midnight
+    const templateHours = await fetchBarHours(barId);
+    const exceptions = await fetchBarHourExceptions(barId, addDays(localNow.date, -1));
+    const hours = applyHourExceptions(templateHours, exceptions, localNow.date);
     
     return res.json({
       success: true,
@@ -1040,7 +772,11 @@ async function getBarHours(req, res) {
           id: barRows[0].id,
           name: barRows[0].name
         },
-        total: hours.length
+        total: hours.length,
+        timezone,
+        local_time: `${localNow.date}T${localNow.time}`,
+        is_open_now: isOpenAt(templateHours, localNow, exceptions),
+        upcoming_exceptions: exceptions.filter(exception => exception.date >= localNow.date)
       }
     });
   } catch (err) {
@@ -1068,42 +804,9 @@ async function updateBarHours(req, res) {
   const { hours } = req.body;
   
   // Validate payload
-  if (!Array.isArray(hours)) {
-    return res.status(400).json({ error: 'Hours must be provided as an array' });
-  }
-  
-  // Validate each hour entry
-  for (const hour of hours) {
-    if (typeof hour.day_of_week !== 'number' || hour.day_of_week < 0 || hour.day_of_week > 6) {
-      return res.status(400).json({ error: 'day_of_week must be a number between 0 and 6' });
-    }
-    
-    if (typeof hour.is_closed !== 'boolean') {
-      return res.status(400).json({ error: 'is_closed must be a boolean' });
-    }
-    
-    // If not closed, validate time formats
-    if (!hour.is_closed) {
-      if (!hour.open_time || !hour.close_time) {
-        return res.status(400).json({ 
-          error: 'open_time and close_time are required when is_closed is false' 
-        });
-      }
-      
-      // Basic time format validation (HH:MM:SS)
-      const timeRegex = /^([01]?\d|2[0-3]):[0-5]\d:[0-5]\d$/;
-      if (!timeRegex.test(hour.open_time) || !timeRegex.test(hour.close_time)) {
-        return res.status(400).json({ 
-          error: 'Time must be in HH:MM:SS format' 
-        });
-      }
-    }
-  }
-  
-  // Check for duplicate day_of_week values
-  const daySet = new Set(hours.map(h => h.day_of_week));
-  if (daySet.size !== hours.length) {
-    return res.status(400).json({ error: 'Duplicate day_of_week values are not allowed' });
+  const hoursError = validateBarHours(hours);
+  if (hoursError) {
+    return res.status(400).json({ error: hoursError });
   }
 
   const conn = await db.getConnection();
@@ -1125,6 +828,12 @@ async function updateBarHours(req, res) {
       return res.status(403).json({ error: 'Access denied to this bar.' });
     }
 
+    // Keep the current weekly hours for the audit log
+    const [currentHours] = await conn.execute(
+      'SELECT day_of_week, open_time, close_time, is_closed FROM bar_hours WHERE bar_id = ?',
+      [barId]
+    );
+
     // Delete all existing hours for the bar
     const deleteSql = `DELETE FROM bar_hours WHERE bar_id = ?`;
     await conn.execute(deleteSql, [barId]);
@@ -1139,18 +848,9 @@ async function updateBarHours(req, res) {
       const hourId = uuidv4();
       
       // Determine if hours cross midnight
-      let crossesMidnight = false;
-      if (!hour.is_closed && hour.open_time && hour.close_time) {
-        // Convert time strings to comparable format (assuming HH:MM:SS or HH:MM format)
-        const openTime = hour.open_time.split(':').map(Number);
-        const closeTime = hour.close_time.split(':').map(Number);
-        
-        // Compare hours, then minutes if hours are equal
-        if (closeTime[0] < openTime[0] || 
-            (closeTime[0] === openTime[0] && closeTime[1] < openTime[1])) {
-          crossesMidnight = true;
-        }
-      }
+      const sessionCrossesMidnight = !hour.is_closed && hour.open_time && hour.close_time
+        ? crossesMidnight(hour.open_time, hour.close_time)
+        : false;
       
       const params = [
         hourId,
@@ -1159,10 +859,19 @@ async function updateBarHours(req, res) {
         hour.is_closed ? null : hour.open_time,
         hour.is_closed ? null : hour.close_time,
         hour.is_closed ? 1 : 0,
-        crossesMidnight ? 1 : 0
+        sessionCrossesMidnight ? 1 : 0
       ];
       await conn.execute(insertSql, params);
     }
+
+    await recordAudit(req, {
+      action: 'update_hours',
+      entityType: 'bar',
+      entityId: barId,
+      before: { hours: toHoursSnapshot(currentHours) },
+      after: { hours: toHoursSnapshot(hours) },
+      executor: conn
+    });
     
     await conn.commit();
     
@@ -1186,6 +895,7 @@ async function updateBarHours(req, res) {
 module.exports = {
   createBar,
   getAllBars,
+  searchBarsInArea,
   getBar,
   updateBar,
   deleteBar,
@@ -0,0 +1,148 @@
+const db = require('../utils/db');
+const { buildCalendar } = require('../utils/ical');
+
+const EVENT_SELECT_SQL = `
+  SELECT
+    e.id,
+    e.bar_id,
+    e.title,
+    e.description,
+    e.start_time,
+    e.end_time,
+    e.crosses_midnight,
+    e.external_link,
+    e.recurrence_pattern,
+    e.recurrence_interval,
+    e.recurrence_days,
+    e.recurrence_week_of_month,
+    e.recurrence_exdates,
+    e.start_date,
+    e.recurrence_end_date,
+    e.recurrence_end_occurrences,
+    e.instances_generated_until,
+    et.name as tag_name,
+    b.name as bar_name,
+    b.address_street,
+    b.address_city,
+    b.address_state,
+    b.address_zip,
+    b.timezone
+  FROM events e
+  INNER JOIN bars b ON e.bar_id = b.id
+  LEFT JOIN event_tags et ON e.event_tag_id = et.id
+`;
+
+/**
+ * Loads event_instances for the given events, grouped by event_id
+ * @param {Array<string>} eventIds - Event UUIDs
+ * @returns {Promise<Map<string, Array<Object>>>} Instances keyed by event id
+ */
+async function fetchInstancesByEvent(eventIds) {
+  const grouped = new Map(eventIds.map(id => [id, []]));
+  if (eventIds.length === 0) {
+    return grouped;
+  }
+
+  const placeholders = eventIds.map(() => '?').join(',');
+  const instancesSql = `
+    SELECT
+      ei.id,
+      ei.event_id,
+      ei.date,
+      ei.is_cancelled,
+      ei.custom_start_time,
+      ei.custom_end_time,
+      ei.custom_description,
+      ei.custom_image_url,
+      ei.custom_title,
+      ei.custom_event_tag_id,
+      ei.custom_external_link,
+      ei.crosses_midnight,
+      ct.name as custom_event_tag_name
+    FROM event_instances ei
+    LEFT JOIN event_tags ct ON ei.custom_event_tag_id = ct.id
+    WHERE ei.event_id IN (${placeholders})
+    ORDER BY ei.date ASC
+  `;
+  const [rows] = await db.query(instancesSql, eventIds);
+
+  for (const row of rows) {
+    grouped.get(row.event_id).push(row);
+  }
+  return grouped;
+}
+
+const sendCalendar = (res, filename, body) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  return res.send(body);
+};
+
+/**
+ * GET /bars/:barId/events.ics
+ * Returns an iCalendar feed with every active event at a bar
+ * Public endpoint - no authentication required
+ */
+async function getBarCalendar(req, res) {
+  try {
+    const { barId } = req.params;
+
+    const [barRows] = await db.execute('SELECT id, name FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (!barRows || barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    const [events] = await db.query(
+      `${EVENT_SELECT_SQL} WHERE e.bar_id = ? AND e.is_active = 1 ORDER BY e.start_date ASC, e.start_time ASC`,
+      [barId]
+    );
+    const instancesByEvent = await fetchInstancesByEvent(events.map(event => event.id));
+
+    const body = buildCalendar({
+      name: barRows[0].name,
+      entries: events.map(event => ({ event, instances: instancesByEvent.get(event.id) }))
+    });
+
+    return sendCalendar(res, `bar-${barId}-events.ics`, body);
+  } catch (err) {
+    console.error('Error building bar calendar:', err.message || err);
+    return res.status(500).json({ error: 'Failed to build bar calendar' });
+  }
+}
+
+/**
+ * GET /events/:id.ics
+ * Returns an iCalendar feed for a single event (with its recurrence and overrides)
+ * Public endpoint - no authentication required
+ */
+async function getEventCalendar(req, res) {
+  try {
+    const eventId = req.params.id;
+
+    const [events] = await db.query(
+      `${EVENT_SELECT_SQL} WHERE e.id = ? AND e.is_active = 1 AND b.is_active = 1`,
+      [eventId]
+    );
+    if (!events || events.length === 0) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = events[0];
+    const instancesByEvent = await fetchInstancesByEvent([event.id]);
+
+    const body = buildCalendar({
+      name: `${event.title} at ${event.bar_name}`,
+      entries: [{ event, instances: instancesByEvent.get(event.id) }]
+    });
+
+    return sendCalendar(res, `event-${eventId}.ics`, body);
+  } catch (err) {
+    console.error('Error building event calendar:', err.message || err);
+    return res.status(500).json({ error: 'Failed to build event calendar' });
+  }
+}
+
+module.exports = {
+  getBarCalendar,
+  getEventCalendar
+};
@@ -1,5 +1,6 @@
 const db = require('../utils/db');
 const { v4: uuidv4 } = require('uuid');
+const { recordAudit } = require('../utils/audit');
 
 // Get all event tags (public route)
 async function getAllEventTags(req, res) {
@@ -95,8 +96,12 @@ async function deleteEventTag(req, res) {
     const userId = req.user.userId; // From JWT
     
     // Check if tag is used by any events
-    const checkUsageSql = `SELECT COUNT(*) as count FROM events WHERE event_tag_id = ?`;
-    const [usageRows] = await db.execute(checkUsageSql, [tagId]);
+    const checkUsageSql = `
+      SELECT COUNT(*) as count FROM events e
+      WHERE e.event_tag_id = ?
+        OR EXISTS (SELECT 1 FROM event_tag_assignments eta WHERE eta.event_id = e.id AND eta.tag_id = ?)
+    `;
+    const [usageRows] = await db.execute(checkUsageSql, [tagId, tagId]);
     
     if (usageRows[0].count > 0) {
       return res.status(409).json({ 
@@ -122,10 +127,93 @@ async function deleteEventTag(req, res) {
   }
 }
 
+// Merge a duplicate event tag into another (admin only): events and instance
+// overrides tagged with the source get the target instead (primary tags included),
+// then the source is deleted. Returns how many events and instances were retagged.
+async function mergeEventTag(req, res) {
+  const sourceId = req.params.id;
+  const targetId = req.params.targetId;
+  if (sourceId === targetId) {
+    return res.status(400).json({ error: 'An event tag cannot be merged into itself' });
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [tagRows] = await conn.execute(
+      'SELECT id, name FROM event_tags WHERE id IN (?, ?) FOR UPDATE',
+      [sourceId, targetId]
+    );
+    const source = tagRows.find(tag => tag.id === sourceId);
+    const target = tagRows.find(tag => tag.id === targetId);
+    if (!source || !target) {
+      await conn.rollback();
+      return res.status(404).json({ error: source ? 'Target event tag not found' : 'Event tag not found' });
+    }
+
+    const [countRows] = await conn.execute(
+      `SELECT
+        (SELECT COUNT(*) FROM event_tag_assignments WHERE tag_id = ?) as event_count,
+        (SELECT COUNT(*) FROM event_instance_tag_assignments WHERE tag_id = ?) as instance_count`,
+      [sourceId, sourceId]
+    );
+    await conn.execute(
+      'UPDATE events SET event_tag_id = ? WHERE event_tag_id = ?',
+      [targetId, sourceId]
+    );
+    await conn.execute(
+      'UPDATE event_instances SET custom_event_tag_id = ? WHERE custom_event_tag_id = ?',
+      [targetId, sourceId]
+    );
+    // Rows already carrying the target are skipped; the source's rows go with the tag
+    await conn.execute(
+      `INSERT IGNORE INTO event_tag_assignments (event_id, tag_id)
+       SELECT event_id, ? FROM event_tag_assignments WHERE tag_id = ?`,
+      [targetId, sourceId]
+    );
+    await conn.execute(
+      `INSERT IGNORE INTO event_instance_tag_assignments (instance_id, tag_id)
+       SELECT instance_id, ? FROM event_instance_tag_assignments WHERE tag_id = ?`,
+      [targetId, sourceId]
+    );
+    await conn.execute('DELETE FROM event_tags WHERE id = ?', [sourceId]);
+
+    const summary = {
+      source: { id: source.id, name: source.name },
+      target: { id: target.id, name: target.name },
+      events_updated: Number(countRows[0].event_count),
+      instances_updated: Number(countRows[0].instance_count)
+    };
+    await recordAudit(req, {
+      action: 'merge',
+      entityType: 'event_tag',
+      entityId: sourceId,
+      before: { name: source.name },
+      after: { merged_into: targetId, events_updated: summary.events_updated, instances_updated: summary.instances_updated },
+      executor: conn
+    });
+
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Event tag merged successfully',
+      data: summary
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error('Error merging event tag:', err.message || err);
+    return res.status(500).json({ error: 'Failed to merge event tag' });
+  } finally {
+    conn.release();
+  }
+}
 
 module.exports = {
   getAllEventTags,
   createEventTag,
   updateEventTag,
   deleteEventTag,
+  mergeEventTag,
 };
\ No newline at end of file
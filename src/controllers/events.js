@@ -3,9 +3,117 @@ const { v4: uuidv4 } = require('uuid');
 const {
   generateEventInstances,
   validateRecurrenceData,
-  getRecurrenceDescription
+  getRecurrenceDescription,
+  isOpenEnded,
+  getRollingHorizon
 } = require('../utils/eventRecurrence');
+const { buildRRule } = require('../utils/ical');
 const { checkBarAccess } = require('../middleware/auth');
+const { parseEventInstanceFilters, buildEventInstanceQuery } = require('../utils/eventListing');
+const { DEFAULT_TIMEZONE, getZonedDateTime, addDays } = require('../utils/timezone');
+const { recordAudit } = require('../utils/audit');
+const { parseConflictPolicy, findScheduleConflicts } = require('../utils/scheduleConflicts');
+const { releaseImage } = require('../utils/images');
+const {
+  EFFECTIVE_EVENT_TAGS_SELECT,
+  EVENT_TAGS_SELECT,
+  parseConcatenatedEventTags,
+  parseEventTagIds,
+  findUnknownEventTags,
+  setEventTags,
+  setInstanceTags,
+  fetchEventTagIds
+} = require('../utils/eventTags');
+
+// Master event columns captured in audit snapshots
+const EVENT_AUDIT_FIELDS = [
+  'bar_id', 'title', 'description', 'start_time', 'end_time', 'crosses_midnight', 'image_url',
+  'event_tag_id', 'external_link', 'recurrence_pattern', 'recurrence_interval', 'recurrence_days',
+  'recurrence_week_of_month', 'recurrence_exdates', 'start_date', 'recurrence_end_date',
+  'recurrence_end_occurrences', 'is_active'
+];
+
+// Instance override columns captured in audit snapshots
+const EVENT_INSTANCE_AUDIT_FIELDS = [
+  'date', 'is_cancelled', 'custom_start_time', 'custom_end_time', 'custom_title',
+  'custom_description', 'custom_image_url', 'custom_external_link', 'custom_event_tag_id',
+  'crosses_midnight'
+];
+
+// PUT /events/:id edit scopes: the whole series, one occurrence, or an occurrence and all after it
+const EDIT_SCOPES = ['series', 'instance', 'following'];
+
+// Master event fields a scope 'instance' edit applies as overrides on the occurrence
+const INSTANCE_OVERRIDE_FIELDS = {
+  title: 'custom_title',
+  description: 'custom_description',
+  start_time: 'custom_start_time',
+  end_time: 'custom_end_time',
+  image_url: 'custom_image_url',
+  external_link: 'custom_external_link',
+  event_tag_id: 'custom_event_tag_id',
+  event_tag_ids: 'custom_event_tag_ids',
+  is_cancelled: 'is_cancelled'
+};
+
+// recurrence_exdates column value: distinct dates in order, or NULL when there are none
+const serializeExdates = (exdates) => (
+  Array.isArray(exdates) && exdates.length > 0 ? JSON.stringify([...new Set(exdates)].sort()) : null
+);
+
+/**
+ * Runs the schedule conflict check (see utils/scheduleConflicts) for proposed occurrences.
+ * With policy 'reject' and conflicts found, sends the 409 response and returns null;
+ * otherwise returns the conflicts to report as warnings (none with policy 'allow').
+ */
+async function checkScheduleConflicts(res, policy, options) {
+  if (policy === 'allow') {
+    return [];
+  }
+  const conflicts = await findScheduleConflicts(options);
+  if (conflicts.length > 0 && policy === 'reject') {
+    res.status(409).json({ error: 'Event conflicts with the bar schedule', conflicts });
+    return null;
+  }
+  return conflicts;
+}
+
+/**
+ * Upcoming occurrences of an event as they will be after an edit, for the schedule
+ * conflict check. Rows that are kept keep their time overrides (unless the edit resets
+ * them) and cancellations (unless it restores them).
+ * @param {string} eventId - Event UUID
+ * @param {string} fromDate - First date to include (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {{title: string, start_time: string, end_time: string}} options.nextEvent - Master values after the edit
+ * @param {Array<string>|null} [options.dates] - Dates after the edit; null keeps the current instance dates
+ * @param {Array<string>} [options.resetColumns] - Override columns the edit clears
+ * @param {boolean} [options.restoreCancelled] - Whether cancelled rows are restored
+ * @returns {Promise<Array<Object>>} Occurrences for findScheduleConflicts
+ */
+async function projectUpcomingOccurrences(eventId, fromDate, { nextEvent, dates = null, resetColumns = [], restoreCancelled = false }) {
+  const [rows] = await db.execute(
+    `SELECT DATE_FORMAT(date, '%Y-%m-%d') as date, custom_start_time, custom_end_time, is_cancelled
+     FROM event_instances WHERE event_id = ? AND date >= ? ORDER BY date`,
+    [eventId, fromDate]
+  );
+  const rowsByDate = new Map(rows.map(row => [row.date, row]));
+
+  return (dates || rows.map(row => row.date)).flatMap(date => {
+    const row = rowsByDate.get(date);
+    if (row && row.is_cancelled && !restoreCancelled) {
+      return [];
+    }
+    const override = column => (row && !resetColumns.includes(column) ? row[column] : null);
+    return [{
+      event_id: eventId,
+      title: nextEvent.title,
+      date,
+      start_time: override('custom_start_time') || nextEvent.start_time,
+      end_time: override('custom_end_time') || nextEvent.end_time
+    }];
+  });
+}
 
 /**
  * POST /events
@@ -18,25 +126,47 @@ const { checkBarAccess } = require('../middleware/auth');
  *   start_time: 'HH:MM:SS',
  *   end_time: 'HH:MM:SS',
  *   image_url: 'string', // optional
- *   event_tag_id: 'uuid', // event tag UUID from event_tags table
+ *   event_tag_id: 'uuid', // event tag UUID from event_tags table (the primary tag)
+ *   event_tag_ids: ['uuid', ...], // further event tags; event_tag_id or event_tag_ids is required
  *   external_link: 'string', // optional
- *   recurrence_pattern: 'none|daily|weekly|monthly', // default: 'none'
- *   recurrence_days: [0,1,2,3,4,5,6], // array of day numbers, required for weekly only
+ *   recurrence_pattern: 'none|daily|weekly|monthly|yearly', // default: 'none'
+ *   recurrence_interval: 2, // optional, every N days/weeks/months/years (default 1)
+ *   recurrence_days: [0,1,2,3,4,5,6], // array of day numbers, required for weekly and monthly-by-weekday
+ *   recurrence_week_of_month: 1, // optional, monthly only: 1-5 = nth weekday of the month, -1 = last
+ *   recurrence_exdates: ['YYYY-MM-DD'], // optional, dates the rule skips
  *   start_date: 'YYYY-MM-DD', // required for recurring events, or single event date
- *   recurrence_end_date: 'YYYY-MM-DD' // required for recurring events
+ *   recurrence_end_date: 'YYYY-MM-DD', // optional for recurring events
+ *   recurrence_end_occurrences: 10, // optional, alternative to recurrence_end_date
+ *   conflict_policy: 'reject|warn|allow' // optional, default 'warn'
  * }
+ * Recurring events with neither end field are open-ended: instances are generated
+ * ROLLING_HORIZON_DAYS ahead and extended by scripts/extend_event_instances.js.
+ * Occurrences are checked against other events at the bar and the bar's hours:
+ * 'reject' answers 409 with the conflicts, 'warn' creates the event and lists them
+ * in `warnings`, 'allow' skips the check.
  */
 async function createEvent(req, res) {
   const payload = req.body;
 
   // Basic validation
+  const parsedTags = payload ? parseEventTagIds(payload, 'event_tag_id', 'event_tag_ids') : { tagIds: [] };
+  if (parsedTags.error) {
+    return res.status(400).json({ error: parsedTags.error });
+  }
+  const tagIds = parsedTags.tagIds;
+
   if (!payload || !payload.bar_id || !payload.title || 
-      !payload.start_time || !payload.end_time || !payload.event_tag_id) {
+      !payload.start_time || !payload.end_time || tagIds.length === 0) {
     return res.status(400).json({ 
-      error: 'Missing required fields: bar_id, title, start_time, end_time, event_tag_id' 
+      error: 'Missing required fields: bar_id, title, start_time, end_time, event_tag_id (or event_tag_ids)' 
     });
   }
 
+  const conflictPolicy = parseConflictPolicy(payload.conflict_policy);
+  if (conflictPolicy.error) {
+    return res.status(400).json({ error: conflictPolicy.error });
+  }
+
   // Set default recurrence pattern
   const recurrencePattern = payload.recurrence_pattern || 'none';
 
@@ -55,22 +185,19 @@ async function createEvent(req, res) {
     });
   }
 
-  // For recurring events (including yearly), require start date and either end date or occurrence count
-  if (recurrencePattern !== 'none') {
-    if (!payload.start_date || (!payload.recurrence_end_date && !payload.recurrence_end_occurrences)) {
-      return res.status(400).json({
-        error: 'start_date and either recurrence_end_date or recurrence_end_occurrences are required for recurring events (including yearly)'
-      });
-    }
+  // For recurring events (including yearly), require start date. Without an end date or
+  // occurrence count the event is open-ended.
+  if (recurrencePattern !== 'none' && !payload.start_date) {
+    return res.status(400).json({
+      error: 'start_date is required for recurring events (including yearly)'
+    });
   }
 
-  // Validate tag exists
-  const tagCheckSql = `SELECT id, name FROM event_tags WHERE id = ?`;
-  const [tagRows] = await db.execute(tagCheckSql, [payload.event_tag_id]);
-  
-  if (!tagRows || tagRows.length === 0) {
+  // Validate tags exist
+  const unknownTags = await findUnknownEventTags(db, tagIds);
+  if (unknownTags.length > 0) {
     return res.status(400).json({ 
-      error: 'Invalid event_tag_id. Event tag not found.' 
+      error: `Invalid event tag id(s): ${unknownTags.join(', ')}. Event tag not found.` 
     });
   }
 
@@ -106,7 +233,10 @@ async function createEvent(req, res) {
   // Validate recurrence data
   const recurrenceData = {
     recurrence_pattern: recurrencePattern,
+    recurrence_interval: payload.recurrence_interval,
     recurrence_days: payload.recurrence_days,
+    recurrence_week_of_month: payload.recurrence_week_of_month,
+    recurrence_exdates: payload.recurrence_exdates,
     start_date: payload.start_date,
     recurrence_end_date: payload.recurrence_end_date,
     recurrence_end_occurrences: payload.recurrence_end_occurrences
@@ -149,14 +279,56 @@ async function createEvent(req, res) {
       return res.status(403).json({ error: 'Access denied to this bar.' });
     }
 
-    // Create the master event
+    // One-time events end on their start date; recurring events without an end date
+    // run until their occurrence count, or are open-ended
+    const recurrenceEndDate = payload.recurrence_end_date ||
+      (recurrencePattern === 'none' ? payload.start_date : null);
+    // Open-ended events are generated up to the rolling horizon (start_date is not in the
+    // past); scripts/extend_event_instances.js extends them from there
+    const instancesGeneratedUntil = isOpenEnded(recurrenceData)
+      ? getRollingHorizon(payload.start_date)
+      : null;
+
+    // Generate the event instances
     const eventId = uuidv4();
+    const eventForGeneration = {
+      id: eventId,
+      recurrence_pattern: recurrencePattern,
+      recurrence_interval: payload.recurrence_interval,
+      recurrence_days: payload.recurrence_days,
+      recurrence_week_of_month: payload.recurrence_week_of_month,
+      recurrence_exdates: payload.recurrence_exdates,
+      start_date: payload.start_date,
+      recurrence_end_date: recurrenceEndDate,
+      recurrence_end_occurrences: payload.recurrence_end_occurrences
+    };
+
+    const instances = generateEventInstances(eventForGeneration, { until: instancesGeneratedUntil });
+
+    // Check the occurrences against the bar's schedule before writing anything
+    const warnings = await checkScheduleConflicts(res, conflictPolicy.policy, {
+      barId: payload.bar_id,
+      occurrences: instances.map(instance => ({
+        event_id: eventId,
+        title: payload.title,
+        date: instance.date,
+        start_time: payload.start_time,
+        end_time: payload.end_time
+      }))
+    });
+    if (!warnings) {
+      await conn.rollback();
+      return;
+    }
+
+    // Create the master event
     const insertEventSql = `
       INSERT INTO events (
         id, bar_id, title, description, start_time, end_time, crosses_midnight,
-        image_url, event_tag_id, external_link, recurrence_pattern, 
-        recurrence_days, start_date, recurrence_end_date, recurrence_end_occurrences, is_active
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        image_url, event_tag_id, external_link, recurrence_pattern, recurrence_interval,
+        recurrence_days, recurrence_week_of_month, recurrence_exdates, start_date,
+        recurrence_end_date, recurrence_end_occurrences, is_active, instances_generated_until
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const eventParams = [
@@ -168,30 +340,24 @@ async function createEvent(req, res) {
       payload.end_time,
       crossesMidnight ? 1 : 0,
       payload.image_url || null,
-      payload.event_tag_id,
+      tagIds[0],
       payload.external_link || null,
       recurrencePattern,
+      recurrencePattern !== 'none' ? (payload.recurrence_interval || 1) : 1,
       recurrencePattern !== 'none' ? JSON.stringify(payload.recurrence_days || []) : null,
+      recurrencePattern === 'monthly' ? (payload.recurrence_week_of_month ?? null) : null,
+      recurrencePattern !== 'none' ? serializeExdates(payload.recurrence_exdates) : null,
       payload.start_date,
-      payload.recurrence_end_date || payload.start_date,
+      recurrenceEndDate,
       payload.recurrence_end_occurrences ?? null,
-      1
+      1,
+      instancesGeneratedUntil
     ];
     
     await conn.execute(insertEventSql, eventParams);
+    await setEventTags(conn, eventId, tagIds);
 
-    // Generate and insert event instances
-    const eventForGeneration = {
-      id: eventId,
-      recurrence_pattern: recurrencePattern,
-      recurrence_days: payload.recurrence_days,
-      start_date: payload.start_date,
-      recurrence_end_date: payload.recurrence_end_date || payload.start_date,
-      recurrence_end_occurrences: payload.recurrence_end_occurrences
-    };
-
-    const instances = generateEventInstances(eventForGeneration);
-    
+    // Insert the generated instances
     if (instances.length > 0) {
       const insertInstanceSql = `
         INSERT INTO event_instances (id, event_id, date, crosses_midnight) 
@@ -205,6 +371,15 @@ async function createEvent(req, res) {
       }
     }
 
+    // eventParams follows the insert's column order: id, then EVENT_AUDIT_FIELDS
+    const createdEvent = {};
+    EVENT_AUDIT_FIELDS.forEach((field, index) => {
+      createdEvent[field] = eventParams[index + 1];
+    });
+    createdEvent.event_tag_ids = [...tagIds].sort();
+    createdEvent.instances_created = instances.length;
+    await recordAudit(req, { action: 'create', entityType: 'event', entityId: eventId, after: createdEvent, executor: conn });
+
     await conn.commit();
 
     return res.status(201).json({ 
@@ -214,8 +389,10 @@ async function createEvent(req, res) {
         id: eventId, 
         bar_name: barRows[0].name,
         recurrence_description: getRecurrenceDescription(eventForGeneration),
+        rrule: buildRRule(eventForGeneration),
         instances_created: instances.length
-      }
+      },
+      ...(warnings.length > 0 && { warnings })
     });
   } catch (err) {
     await conn.rollback();
@@ -233,20 +410,7 @@ async function createEvent(req, res) {
  */
 async function getEventInstances(req, res) {
   try {
-    const { 
-      bar_id, 
-      date_from, 
-      date_to, 
-      upcoming, 
-      event_tag_id,
-      lat,
-      lon,
-      radius,
-      unit,
-      page,
-      limit,
-      offset
-    } = req.query;
+    const { page, limit, offset } = req.query;
 
     let pageNum = 1;
     let limitNum = 20;
@@ -275,197 +439,23 @@ async function getEventInstances(req, res) {
 
     const effectiveOffset = offsetNum !== null ? offsetNum : (pageNum - 1) * limitNum;
 
-    // Validate date formats if provided
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (date_from && !dateRegex.test(date_from)) {
-      return res.status(400).json({ error: 'date_from must be in YYYY-MM-DD format' });
-    }
-    if (date_to && !dateRegex.test(date_to)) {
-      return res.status(400).json({ error: 'date_to must be in YYYY-MM-DD format' });
-    }
-
-    // Validate and normalize location parameters (shared logic with /bars)
-    let userLat = null;
-    let userLon = null;
-    let radiusValue = null;
-    let distanceUnit = 'km';
-
-    if (lat !== undefined || lon !== undefined) {
-      if (lat === undefined || lon === undefined) {
-        return res.status(400).json({ error: 'Both lat and lon are required when using location-based filtering.' });
-      }
-
-      userLat = parseFloat(lat);
-      userLon = parseFloat(lon);
-
-      if (
-        Number.isNaN(userLat) ||
-        Number.isNaN(userLon) ||
-        userLat < -90 || userLat > 90 ||
-        userLon < -180 || userLon > 180
-      ) {
-        return res.status(400).json({ error: 'Invalid latitude or longitude. Latitude must be between -90 and 90, longitude between -180 and 180.' });
-      }
-
-      if (radius !== undefined) {
-        radiusValue = parseFloat(radius);
-        if (Number.isNaN(radiusValue) || radiusValue <= 0) {
-          return res.status(400).json({ error: 'Radius must be a positive number.' });
-        }
-      }
-
-      if (unit !== undefined) {
-        const normalizedUnit = unit.toLowerCase();
-        if (normalizedUnit !== 'km' && normalizedUnit !== 'miles') {
-          return res.status(400).json({ error: 'Unit must be either "km" or "miles".' });
-        }
-        distanceUnit = normalizedUnit;
-      }
-    } else if (radius !== undefined || unit !== undefined) {
-      return res.status(400).json({ error: 'Radius and unit parameters require both lat and lon to be provided.' });
+    const parsedFilters = parseEventInstanceFilters(req.query);
+    if (parsedFilters.error) {
+      return res.status(400).json({ error: parsedFilters.error });
     }
+    const { filters } = parsedFilters;
+    const { bar_id, date_from, date_to, upcoming, event_tag_id, userLat, userLon, radiusValue, distanceUnit } = filters;
 
-    // Build dynamic query using direct joins instead of views to ensure all fields are included
-    let selectClauses = [
-      'ei.id as instance_id',
-      'ei.event_id', 
-      'ei.date',
-      'ei.is_cancelled',
-      'COALESCE(ei.custom_start_time, e.start_time) as start_time',
-      'COALESCE(ei.custom_end_time, e.end_time) as end_time',
-      'COALESCE(ei.crosses_midnight, e.crosses_midnight) as crosses_midnight',
-      'COALESCE(ei.custom_description, e.description) as description',
-      'COALESCE(ei.custom_image_url, e.image_url) as image_url',
-      'COALESCE(ei.custom_title, e.title) as title',
-      'COALESCE(ei.custom_external_link, e.external_link) as external_link',
-      'COALESCE(ei.custom_event_tag_id, e.event_tag_id) as event_tag_id',
-      'COALESCE(ct.name, et.name) as event_tag_name',
-      'e.bar_id',
-      'b.name as bar_name',
-      'b.address_street',
-      'b.address_city',
-      'b.address_state',
-      'b.address_zip',
-      'b.phone',
-      'b.website',
-      'b.latitude',
-      'b.longitude'
-    ];
-
-    const effectiveStartTimeExpr = 'COALESCE(ei.custom_start_time, e.start_time)';
-    const effectiveEndTimeExpr = 'COALESCE(ei.custom_end_time, e.end_time)';
-    const effectiveCrossesMidnightExpr = 'COALESCE(ei.crosses_midnight, e.crosses_midnight)';
-    const upcomingPredicate = `(
-      ei.date > CURDATE() OR 
-      (
-        ei.date = CURDATE() AND (
-          ${effectiveStartTimeExpr} >= CURTIME() OR 
-          ${effectiveEndTimeExpr} > CURTIME() OR 
-          (${effectiveCrossesMidnightExpr} = 1 AND ${effectiveStartTimeExpr} <= CURTIME())
-        )
-      )
-    )`;
-    const inProgressPredicate = `(
-      ei.date = CURDATE() AND 
-      ${effectiveStartTimeExpr} <= CURTIME() AND (
-        ${effectiveEndTimeExpr} > CURTIME() OR 
-        (${effectiveCrossesMidnightExpr} = 1 AND ${effectiveStartTimeExpr} <= CURTIME())
-      )
-    )`;
-    let selectParams = [];
-    
-    let fromClause = `
-      FROM event_instances ei
-      INNER JOIN events e ON ei.event_id = e.id
-      INNER JOIN bars b ON e.bar_id = b.id
-      LEFT JOIN event_tags et ON e.event_tag_id = et.id
-      LEFT JOIN event_tags ct ON ei.custom_event_tag_id = ct.id
-      WHERE e.is_active = 1 AND b.is_active = 1
-    `;
-    
-    let whereClauses = [];
-    let whereParams = [];
-
-    if (userLat !== null && userLon !== null) {
-      const earthRadius = distanceUnit === 'miles' ? 3959 : 6371;
-      selectClauses.push(`ROUND((
-        ${earthRadius} * acos(
-          cos(radians(?)) * cos(radians(b.latitude)) * 
-          cos(radians(b.longitude) - radians(?)) + 
-          sin(radians(?)) * sin(radians(b.latitude))
-        )
-      ), 2) as distance_${distanceUnit}`);
-      selectParams.push(userLat, userLon, userLat);
-
-      // Exclude bars that lack coordinates when sorting/filtering by distance
-      whereClauses.push('b.latitude IS NOT NULL AND b.longitude IS NOT NULL');
-
-      if (radiusValue !== null) {
-        whereClauses.push(`(
-          ${earthRadius} * acos(
-            cos(radians(?)) * cos(radians(b.latitude)) * 
-            cos(radians(b.longitude) - radians(?)) + 
-            sin(radians(?)) * sin(radians(b.latitude))
-          )
-        ) <= ?`);
-        whereParams.push(userLat, userLon, userLat, radiusValue);
-      }
-    }
-
-    // Simplify tag filtering to single event_tag_id
-    if (event_tag_id) {
-      whereClauses.push('COALESCE(ei.custom_event_tag_id, e.event_tag_id) = ?');
-      whereParams.push(event_tag_id);
-    }
-
-    // Add filter conditions
-    if (bar_id) {
-      whereClauses.push('e.bar_id = ?');
-      whereParams.push(bar_id);
-    }
-
-    if (date_from) {
-      whereClauses.push('ei.date >= ?');
-      whereParams.push(date_from);
-    }
-
-    if (date_to) {
-      whereClauses.push('ei.date <= ?');
-      whereParams.push(date_to);
-    }
-
-    // Add upcoming filter
-    if (upcoming === 'true') {
-      whereClauses.push(upcomingPredicate);
-    }
-
-    // Don't show cancelled instances
-    whereClauses.push('ei.is_cancelled = false');
-
-    const whereSql = whereClauses.length > 0 ? ` AND ${whereClauses.join(' AND ')}` : '';
-
-    // Construct query
-    let selectSql = `SELECT ${selectClauses.join(', ')} ${fromClause}${whereSql}`;
-    if (userLat !== null && userLon !== null) {
-      selectSql += ` ORDER BY 
-        ei.date ASC,
-        CASE WHEN ${inProgressPredicate} THEN 0 ELSE 1 END ASC,
-        CASE WHEN ${inProgressPredicate} THEN distance_${distanceUnit} ELSE NULL END ASC,
-        ${effectiveStartTimeExpr} ASC,
-        distance_${distanceUnit} ASC`;
-    } else {
-      selectSql += ` ORDER BY ei.date ASC, ${effectiveStartTimeExpr} ASC`;
-    }
+    const listQuery = await buildEventInstanceQuery(filters);
 
     // Add pagination
-    selectSql += ` LIMIT ? OFFSET ?`;
-    const selectQueryParams = [...selectParams, ...whereParams, limitNum, effectiveOffset];
+    const selectSql = `${listQuery.selectSql} LIMIT ? OFFSET ?`;
+    const selectQueryParams = [...listQuery.params, limitNum, effectiveOffset];
     const [rows] = await db.query(selectSql, selectQueryParams);
+    const instances = rows.map(({ event_tags, ...row }) => ({ ...row, tags: parseConcatenatedEventTags(event_tags) }));
 
     // Get total count for pagination metadata
-    const countSql = `SELECT COUNT(*) as total ${fromClause}${whereSql}`;
-    const countParams = [...whereParams];
-    const [countRows] = await db.query(countSql, countParams);
+    const [countRows] = await db.query(listQuery.countSql, listQuery.countParams);
     const totalCount = countRows[0].total;
     const totalPages = Math.ceil(totalCount / limitNum);
     const effectivePage = Math.floor(effectiveOffset / limitNum) + 1;
@@ -476,7 +466,7 @@ async function getEventInstances(req, res) {
 
     return res.json({ 
       success: true, 
-      data: rows,
+      data: instances,
       meta: {
         pagination: {
           current_page: effectivePage,
@@ -494,6 +484,9 @@ async function getEventInstances(req, res) {
           date_to, 
           upcoming,
           event_tag_id,
+          event_tag_name: req.query.event_tag_name,
+          exclude_event_tag_id: req.query.exclude_event_tag_id,
+          tag_mode: req.query.tag_mode,
           radius: radiusValue,
           unit: userLat !== null ? distanceUnit : null
         },
@@ -529,8 +522,10 @@ async function getEvent(req, res) {
         b.address_zip,
         b.phone,
         b.website,
+        b.timezone,
         et.id as tag_id,
-        et.name as tag_name
+        et.name as tag_name,
+        ${EVENT_TAGS_SELECT} as event_tags
       FROM events e
       INNER JOIN bars b ON e.bar_id = b.id
       LEFT JOIN event_tags et ON e.event_tag_id = et.id
@@ -551,18 +546,22 @@ async function getEvent(req, res) {
       name: event.tag_name
     } : null;
     
+    event.tags = parseConcatenatedEventTags(event.event_tags);
+    
     // Clean up the flattened tag fields but keep event_tag_id in the main object
     delete event.tag_id;
     delete event.tag_name;
+    delete event.event_tags;
 
-    // Get upcoming instances (next 10)
+    // Get upcoming instances (next 10), relative to the bar's local date and time
+    const localNow = getZonedDateTime(event.timezone || DEFAULT_TIMEZONE);
     const upcomingInstancesPredicate = `(
-      ei.date > CURDATE() OR 
+      ei.date > ? OR 
       (
-        ei.date = CURDATE() AND (
-          COALESCE(ei.custom_start_time, e.start_time) >= CURTIME() OR 
-          COALESCE(ei.custom_end_time, e.end_time) > CURTIME() OR 
-          (COALESCE(ei.crosses_midnight, e.crosses_midnight) = 1 AND COALESCE(ei.custom_start_time, e.start_time) <= CURTIME())
+        ei.date = ? AND (
+          COALESCE(ei.custom_start_time, e.start_time) >= ? OR 
+          COALESCE(ei.custom_end_time, e.end_time) > ? OR 
+          (COALESCE(ei.crosses_midnight, e.crosses_midnight) = 1 AND COALESCE(ei.custom_start_time, e.start_time) <= ?)
         )
       )
     )`;
@@ -586,11 +585,19 @@ async function getEvent(req, res) {
       ORDER BY ei.date ASC, COALESCE(ei.custom_start_time, e.start_time) ASC
       LIMIT 10
     `;
-    const [instanceRows] = await db.query(instancesSql, [eventId]);
+    const [instanceRows] = await db.query(instancesSql, [
+      eventId,
+      localNow.date,
+      localNow.date,
+      localNow.time,
+      localNow.time,
+      localNow.time
+    ]);
     event.upcoming_instances = instanceRows;
 
     // Add human-readable recurrence description
     event.recurrence_description = getRecurrenceDescription(event);
+    event.rrule = buildRRule(event);
 
     return res.json({ 
       success: true, 
@@ -625,6 +632,7 @@ async function getEventInstance(req, res) {
         COALESCE(ei.custom_external_link, e.external_link) as external_link,
         COALESCE(ei.custom_event_tag_id, e.event_tag_id) as tag_id,
         COALESCE(ct.name, et.name) as tag_name,
+        ${EFFECTIVE_EVENT_TAGS_SELECT} as event_tags,
         ei.custom_start_time,
         ei.custom_end_time,
         ei.custom_description,
@@ -639,7 +647,10 @@ async function getEventInstance(req, res) {
         b.address_state,
         b.address_zip,
         b.phone,
-        b.website
+        b.website,
+        b.timezone,
+        (SELECT COUNT(*) FROM event_rsvps r WHERE r.event_instance_id = ei.id AND r.status = 'going') as going_count,
+        (SELECT COUNT(*) FROM event_rsvps r WHERE r.event_instance_id = ei.id AND r.status = 'interested') as interested_count
       FROM event_instances ei
       INNER JOIN events e ON ei.event_id = e.id
       INNER JOIN bars b ON e.bar_id = b.id
@@ -662,9 +673,12 @@ async function getEventInstance(req, res) {
       name: instance.tag_name
     } : null;
     
+    instance.tags = parseConcatenatedEventTags(instance.event_tags);
+    
     // Clean up the flattened tag fields
     delete instance.tag_id;
     delete instance.tag_name;
+    delete instance.event_tags;
 
     return res.json({ 
       success: true, 
@@ -677,21 +691,32 @@ async function getEventInstance(req, res) {
 }
 
 /**
- * PUT /event-instances/:instanceId
- * Updates a specific event instance (allows customization)
+ * Applies an instance update payload (custom_* overrides, date, is_cancelled) to
+ * one event instance and sends the response. Shared by PUT /events/instances/:instanceId
+ * and PUT /events/:id with scope 'instance'.
  */
-async function updateEventInstance(req, res) {
+async function applyInstanceUpdate(req, res, instanceId, payload) {
   try {
-    const instanceId = req.params.instanceId;
-    const payload = req.body;
+    const conflictPolicy = parseConflictPolicy(payload.conflict_policy);
+    if (conflictPolicy.error) {
+      return res.status(400).json({ error: conflictPolicy.error });
+    }
 
     // Check if instance exists and gather current values
     const checkSql = `
       SELECT
         ei.id,
         ei.event_id,
+        DATE_FORMAT(ei.date, '%Y-%m-%d') as date,
+        ei.is_cancelled,
         ei.custom_start_time,
         ei.custom_end_time,
+        ei.custom_title,
+        ei.custom_description,
+        ei.custom_image_url,
+        ei.custom_external_link,
+        ei.custom_event_tag_id,
+        ei.crosses_midnight,
         e.bar_id,
         e.start_time as master_start_time,
         e.end_time as master_end_time
@@ -724,6 +749,7 @@ async function updateEventInstance(req, res) {
       appendUpdate('date = ?', payload.date);
     }
 
+    let nextCancelled = null;
     if (payload.is_cancelled !== undefined) {
       let boolValue;
       if (typeof payload.is_cancelled === 'string') {
@@ -738,6 +764,7 @@ async function updateEventInstance(req, res) {
       } else {
         boolValue = payload.is_cancelled === true || payload.is_cancelled === 1;
       }
+      nextCancelled = boolValue;
       appendUpdate('is_cancelled = ?', boolValue ? 1 : 0);
     }
 
@@ -827,31 +854,33 @@ async function updateEventInstance(req, res) {
       return res.status(400).json({ error: validationErr.message });
     }
 
-    let sanitizedCustomEventTagId;
-    if (payload.custom_event_tag_id !== undefined) {
-      if (!payload.custom_event_tag_id) {
-        sanitizedCustomEventTagId = null;
-      } else {
-        const tagCheckSql = 'SELECT id FROM event_tags WHERE id = ?';
-        const [tagRows] = await db.execute(tagCheckSql, [payload.custom_event_tag_id]);
-        if (!tagRows || tagRows.length === 0) {
-          return res.status(400).json({ error: 'custom_event_tag_id does not reference an existing event tag' });
-        }
-        sanitizedCustomEventTagId = payload.custom_event_tag_id;
+    // Override tags replace the event's tags for this instance; null or [] clears them
+    let customTagIds = null;
+    if (payload.custom_event_tag_id !== undefined || payload.custom_event_tag_ids !== undefined) {
+      const parsedTags = parseEventTagIds(payload, 'custom_event_tag_id', 'custom_event_tag_ids');
+      if (parsedTags.error) {
+        return res.status(400).json({ error: parsedTags.error });
+      }
+      const unknownTags = await findUnknownEventTags(db, parsedTags.tagIds);
+      if (unknownTags.length > 0) {
+        return res.status(400).json({ error: `custom_event_tag_ids do not reference existing event tags: ${unknownTags.join(', ')}` });
       }
-      appendUpdate('custom_event_tag_id = ?', sanitizedCustomEventTagId);
+      customTagIds = parsedTags.tagIds;
+      appendUpdate('custom_event_tag_id = ?', customTagIds[0] || null);
     }
 
     // Determine if we need to recalculate crosses_midnight
     const startProvided = payload.custom_start_time !== undefined;
     const endProvided = payload.custom_end_time !== undefined;
+    const effectiveStartTime = (startProvided ? normalizedCustomStartTime : instanceMeta.custom_start_time) ||
+      instanceMeta.master_start_time;
+    const effectiveEndTime = (endProvided ? normalizedCustomEndTime : instanceMeta.custom_end_time) ||
+      instanceMeta.master_end_time;
     let instanceCrossesMidnight = null;
 
     if (startProvided || endProvided) {
-      const effectiveCustomStart = startProvided ? normalizedCustomStartTime : instanceMeta.custom_start_time;
-      const effectiveCustomEnd = endProvided ? normalizedCustomEndTime : instanceMeta.custom_end_time;
-      const startTime = (effectiveCustomStart || instanceMeta.master_start_time).split(':').map(Number);
-      const endTime = (effectiveCustomEnd || instanceMeta.master_end_time).split(':').map(Number);
+      const startTime = effectiveStartTime.split(':').map(Number);
+      const endTime = effectiveEndTime.split(':').map(Number);
       instanceCrossesMidnight = endTime[0] < startTime[0] || 
                                (endTime[0] === startTime[0] && endTime[1] < startTime[1]);
       appendUpdate('crosses_midnight = ?', instanceCrossesMidnight ? 1 : 0);
@@ -861,23 +890,83 @@ async function updateEventInstance(req, res) {
       return res.status(400).json({ error: 'No updatable fields were provided' });
     }
 
+    // Moving, retiming or restoring an occurrence is checked against the bar's schedule
+    let warnings = [];
+    const isCancelled = nextCancelled !== null ? nextCancelled : Boolean(instanceMeta.is_cancelled);
+    if (!isCancelled && (payload.date !== undefined || startProvided || endProvided || nextCancelled === false)) {
+      warnings = await checkScheduleConflicts(res, conflictPolicy.policy, {
+        barId: instanceMeta.bar_id,
+        occurrences: [{
+          event_id: instanceMeta.event_id,
+          instance_id: instanceId,
+          date: payload.date || instanceMeta.date,
+          start_time: effectiveStartTime,
+          end_time: effectiveEndTime
+        }],
+        excludeInstanceIds: [instanceId]
+      });
+      if (!warnings) {
+        return;
+      }
+    }
+
     updates.push('updated_at = CURRENT_TIMESTAMP');
     const updateSql = `UPDATE event_instances SET ${updates.join(', ')} WHERE id = ?`;
     params.push(instanceId);
 
+    // Rebuild the after-state from the SET clauses that were applied
+    const currentInstance = {};
+    for (const field of EVENT_INSTANCE_AUDIT_FIELDS) {
+      currentInstance[field] = instanceMeta[field];
+    }
+    const updatedInstance = { ...currentInstance };
+    updates.forEach((clause, index) => {
+      const field = clause.split(' = ')[0];
+      if (field in updatedInstance) {
+        updatedInstance[field] = params[index];
+      }
+    });
+
+    const conn = await db.getConnection();
     try {
-      await db.execute(updateSql, params);
+      await conn.beginTransaction();
+      await conn.execute(updateSql, params);
+
+      if (customTagIds) {
+        currentInstance.custom_event_tag_ids = await fetchEventTagIds(conn, 'instance', instanceId);
+        updatedInstance.custom_event_tag_ids = [...customTagIds].sort();
+        await setInstanceTags(conn, instanceId, customTagIds);
+      }
+
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'event_instance',
+        entityId: instanceId,
+        before: currentInstance,
+        after: updatedInstance,
+        executor: conn
+      });
+      await conn.commit();
     } catch (err) {
+      await conn.rollback();
       if (err && err.code === 'ER_DUP_ENTRY') {
         return res.status(409).json({ error: 'Another instance already exists on that date for this event' });
       }
       throw err;
+    } finally {
+      conn.release();
+    }
+
+    // A replaced upload is deleted once nothing uses it
+    if (payload.custom_image_url !== undefined && normalizedImageUrl !== instanceMeta.custom_image_url) {
+      await releaseImage(instanceMeta.custom_image_url);
     }
 
     return res.json({ 
       success: true, 
       message: 'Event instance updated successfully',
-      data: { id: instanceId }
+      data: { id: instanceId },
+      ...(warnings.length > 0 && { warnings })
     });
   } catch (err) {
     console.error('Error updating event instance:', err.message || err);
@@ -885,10 +974,299 @@ async function updateEventInstance(req, res) {
   }
 }
 
+/**
+ * PUT /event-instances/:instanceId
+ * Updates a specific event instance (allows customization)
+ * Cancelling an instance keeps its RSVPs; they are reported back to app users
+ * with is_cancelled = true. custom_event_tag_ids replaces the event's tags for
+ * this instance (null or [] falls back to the event's tags). Changing the date or
+ * times, or restoring a cancelled instance, is checked for schedule conflicts
+ * according to conflict_policy (see createEvent).
+ */
+async function updateEventInstance(req, res) {
+  return applyInstanceUpdate(req, res, req.params.instanceId, req.body);
+}
+
+/**
+ * Splits a recurring event for a scope 'following' edit: the current event ends the
+ * day before splitDate and a new master event with the edited values starts on it.
+ * Instances from splitDate on move to the new event with their overrides, cancellations
+ * and RSVPs; as in a series edit, overrides of the edited fields are cleared on upcoming
+ * instances. If the rule changed, upcoming dates it no longer produces are removed and
+ * new ones generated.
+ */
+async function splitEventSeries(req, res, context) {
+  const {
+    currentEvent,
+    currentStartDate,
+    currentRecurrenceEndDate,
+    currentExdates,
+    currentGeneratedUntil,
+    splitDate,
+    nextEvent,
+    eventTagIds,
+    resetColumns,
+    timesChanged,
+    recurrenceChanged,
+    conflictPolicy
+  } = context;
+  const payload = req.body;
+  const eventId = currentEvent.id;
+  const dayBefore = addDays(splitDate, -1);
+
+  if (currentRecurrenceEndDate && !currentEvent.recurrence_end_occurrences && currentRecurrenceEndDate < splitDate) {
+    return res.status(400).json({ error: 'occurrence_date is after the last occurrence of this event' });
+  }
+
+  // An occurrence count carries over whatever is left of it after the split
+  let endOccurrences = payload.recurrence_end_occurrences;
+  let endDate = nextEvent.recurrence_end_date;
+  if (endOccurrences === undefined && currentEvent.recurrence_end_occurrences) {
+    const previousDates = generateEventInstances({
+      id: eventId,
+      recurrence_pattern: currentEvent.recurrence_pattern,
+      recurrence_interval: currentEvent.recurrence_interval,
+      recurrence_days: currentEvent.recurrence_days,
+      recurrence_week_of_month: currentEvent.recurrence_week_of_month,
+      recurrence_exdates: [],
+      start_date: currentStartDate,
+      recurrence_end_occurrences: currentEvent.recurrence_end_occurrences
+    }, { until: dayBefore });
+    endOccurrences = currentEvent.recurrence_end_occurrences - previousDates.length;
+    if (endOccurrences <= 0) {
+      return res.status(400).json({ error: 'occurrence_date is after the last occurrence of this event' });
+    }
+    if (payload.recurrence_end_date === undefined) {
+      endDate = null;
+    }
+  }
+
+  const parseJsonColumn = value => (typeof value === 'string' ? JSON.parse(value) : value || null);
+  const exdates = parseJsonColumn(nextEvent.recurrence_exdates) || [];
+  const nextRule = {
+    id: null,
+    recurrence_pattern: nextEvent.recurrence_pattern,
+    recurrence_interval: nextEvent.recurrence_interval,
+    recurrence_days: parseJsonColumn(nextEvent.recurrence_days),
+    recurrence_week_of_month: nextEvent.recurrence_week_of_month,
+    recurrence_exdates: exdates.filter(date => date >= splitDate),
+    start_date: splitDate,
+    recurrence_end_date: endDate,
+    recurrence_end_occurrences: endOccurrences ?? null
+  };
+  if (nextRule.recurrence_pattern === 'none') {
+    return res.status(400).json({ error: 'scope following cannot change recurrence_pattern to none' });
+  }
+  const validation = validateRecurrenceData(nextRule);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Recurrence validation failed',
+      details: validation.errors
+    });
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const todayStr = today.toISOString().split('T')[0];
+  const upcomingFrom = splitDate > todayStr ? splitDate : todayStr;
+
+  // Open-ended series keep at least the horizon the current event was generated to
+  let generatedUntil = null;
+  if (isOpenEnded(nextRule)) {
+    generatedUntil = getRollingHorizon(upcomingFrom);
+    if (!recurrenceChanged && currentGeneratedUntil && currentGeneratedUntil > generatedUntil) {
+      generatedUntil = currentGeneratedUntil;
+    }
+  }
+
+  // Upcoming dates of the new rule; existing rows on them are kept
+  const nextDates = recurrenceChanged
+    ? generateEventInstances(nextRule, { from: upcomingFrom, until: generatedUntil }).map(instance => instance.date)
+    : null;
+
+  let warnings = [];
+  if (timesChanged || recurrenceChanged) {
+    warnings = await checkScheduleConflicts(res, conflictPolicy, {
+      barId: currentEvent.bar_id,
+      occurrences: await projectUpcomingOccurrences(eventId, upcomingFrom, { nextEvent, dates: nextDates, resetColumns }),
+      excludeEventId: eventId
+    });
+    if (!warnings) {
+      return;
+    }
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const newEventId = uuidv4();
+    nextRule.id = newEventId;
+    const eventParams = [
+      newEventId,
+      currentEvent.bar_id,
+      nextEvent.title,
+      nextEvent.description,
+      nextEvent.start_time,
+      nextEvent.end_time,
+      nextEvent.crosses_midnight ? 1 : 0,
+      nextEvent.image_url,
+      nextEvent.event_tag_id,
+      nextEvent.external_link,
+      nextRule.recurrence_pattern,
+      nextRule.recurrence_interval,
+      nextRule.recurrence_days ? JSON.stringify(nextRule.recurrence_days) : null,
+      nextRule.recurrence_week_of_month,
+      serializeExdates(nextRule.recurrence_exdates),
+      splitDate,
+      nextRule.recurrence_end_date,
+      nextRule.recurrence_end_occurrences,
+      1,
+      generatedUntil
+    ];
+    await conn.execute(`
+      INSERT INTO events (
+        id, bar_id, title, description, start_time, end_time, crosses_midnight,
+        image_url, event_tag_id, external_link, recurrence_pattern, recurrence_interval,
+        recurrence_days, recurrence_week_of_month, recurrence_exdates, start_date,
+        recurrence_end_date, recurrence_end_occurrences, is_active, instances_generated_until
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, eventParams);
+
+    const tagIds = eventTagIds || await fetchEventTagIds(conn, 'event', eventId);
+    await setEventTags(conn, newEventId, tagIds);
+
+    // Existing occurrences keep their rows (and so their overrides, cancellations and RSVPs)
+    const [moveResult] = await conn.execute(
+      `UPDATE event_instances SET event_id = ?, updated_at = CURRENT_TIMESTAMP WHERE event_id = ? AND date >= ?`,
+      [newEventId, eventId, splitDate]
+    );
+
+    // Cleared instance images are deleted once nothing uses them (after the split commits)
+    const replacedImageUrls = [];
+    if (resetColumns.includes('custom_image_url')) {
+      const [clearedImageRows] = await conn.execute(
+        `SELECT DISTINCT custom_image_url FROM event_instances
+         WHERE event_id = ? AND date >= ? AND custom_image_url IS NOT NULL`,
+        [newEventId, upcomingFrom]
+      );
+      replacedImageUrls.push(...clearedImageRows.map(row => row.custom_image_url));
+    }
+
+    if (resetColumns.length > 0) {
+      await conn.execute(
+        `UPDATE event_instances SET ${resetColumns.map(column => `${column} = NULL`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE event_id = ? AND date >= ?`,
+        [newEventId, upcomingFrom]
+      );
+    }
+
+    if (timesChanged) {
+      await conn.execute(
+        `UPDATE event_instances SET crosses_midnight = ? WHERE event_id = ? AND date >= ? AND custom_start_time IS NULL AND custom_end_time IS NULL`,
+        [nextEvent.crosses_midnight ? 1 : 0, newEventId, upcomingFrom]
+      );
+    }
+
+    let instancesRemoved = 0;
+    let instancesCreated = 0;
+    if (recurrenceChanged) {
+      if (nextDates.length > 0) {
+        const [removeResult] = await conn.execute(
+          `DELETE FROM event_instances WHERE event_id = ? AND date >= ? AND date NOT IN (${nextDates.map(() => '?').join(', ')})`,
+          [newEventId, upcomingFrom, ...nextDates]
+        );
+        instancesRemoved = removeResult.affectedRows;
+
+        const [insertResult] = await conn.query(
+          `INSERT IGNORE INTO event_instances (id, event_id, date, crosses_midnight) VALUES ${nextDates.map(() => '(?, ?, ?, ?)').join(', ')}`,
+          nextDates.flatMap(date => [uuidv4(), newEventId, date, nextEvent.crosses_midnight ? 1 : 0])
+        );
+        instancesCreated = insertResult.affectedRows;
+      } else {
+        const [removeResult] = await conn.execute(
+          `DELETE FROM event_instances WHERE event_id = ? AND date >= ?`,
+          [newEventId, upcomingFrom]
+        );
+        instancesRemoved = removeResult.affectedRows;
+      }
+    }
+
+    // The current event now ends the day before the split
+    const previousExdates = (currentExdates || []).filter(date => date < splitDate);
+    await conn.execute(
+      `UPDATE events SET recurrence_end_date = ?, recurrence_end_occurrences = NULL, recurrence_exdates = ?,
+         instances_generated_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [dayBefore, serializeExdates(previousExdates), eventId]
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'event',
+      entityId: eventId,
+      before: {
+        recurrence_end_date: currentRecurrenceEndDate,
+        recurrence_end_occurrences: currentEvent.recurrence_end_occurrences,
+        recurrence_exdates: serializeExdates(currentExdates)
+      },
+      after: {
+        recurrence_end_date: dayBefore,
+        recurrence_end_occurrences: null,
+        recurrence_exdates: serializeExdates(previousExdates)
+      },
+      executor: conn
+    });
+
+    // eventParams follows the insert's column order: id, then EVENT_AUDIT_FIELDS
+    const createdEvent = {};
+    EVENT_AUDIT_FIELDS.forEach((field, index) => {
+      createdEvent[field] = eventParams[index + 1];
+    });
+    createdEvent.event_tag_ids = [...tagIds].sort();
+    createdEvent.split_from = eventId;
+    createdEvent.instances_moved = moveResult.affectedRows;
+    await recordAudit(req, { action: 'create', entityType: 'event', entityId: newEventId, after: createdEvent, executor: conn });
+
+    await conn.commit();
+    for (const url of replacedImageUrls) {
+      await releaseImage(url);
+    }
+
+    return res.json({
+      success: true,
+      message: 'Event series split; following occurrences updated',
+      data: {
+        id: newEventId,
+        split_from: eventId,
+        previous_series_end_date: dayBefore,
+        instances_moved: moveResult.affectedRows,
+        instances_removed: instancesRemoved,
+        instances_created: instancesCreated,
+        recurrence_description: getRecurrenceDescription(nextRule),
+        rrule: buildRRule(nextRule)
+      },
+      ...(warnings.length > 0 && { warnings })
+    });
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
 /**
  * PUT /events/:id
  * Updates a master event (affects future instances)
  * Now supports updating dates and recurrence patterns with automatic instance regeneration
+ * event_tag_ids (with event_tag_id as the primary tag) replaces the event's tags
+ * scope picks what the edit applies to (occurrence_date: 'YYYY-MM-DD' names the occurrence):
+ *   'series' (default) - the whole event
+ *   'instance' - only the occurrence on occurrence_date, stored as instance overrides
+ *   'following' - the occurrence on occurrence_date and all later ones, split off into a new event
+ * Changed times or dates, and restored instances, are checked for schedule conflicts
+ * according to conflict_policy (see createEvent).
  */
 async function updateEvent(req, res) {
   try {
@@ -899,9 +1277,10 @@ async function updateEvent(req, res) {
     // Check if event exists and is active, and get current values
     const checkSql = `
       SELECT id, bar_id, title, description, event_tag_id, external_link, image_url,
-             recurrence_pattern, recurrence_days, start_date, recurrence_end_date,
+             recurrence_pattern, recurrence_interval, recurrence_days, recurrence_week_of_month,
+             recurrence_exdates, start_date, recurrence_end_date,
              recurrence_end_occurrences, start_time, end_time, crosses_midnight,
-             is_active
+             is_active, instances_generated_until
       FROM events WHERE id = ?
     `;
     const [checkRows] = await db.execute(checkSql, [eventId]);
@@ -936,6 +1315,58 @@ async function updateEvent(req, res) {
     const currentStartDate = normalizeDateValue(currentEvent.start_date);
     const currentRecurrenceEndDate = normalizeDateValue(currentEvent.recurrence_end_date);
 
+    const scope = payload.scope === undefined ? 'series' : payload.scope;
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${EDIT_SCOPES.join(', ')}` });
+    }
+    if (scope !== 'series' && (typeof payload.occurrence_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(payload.occurrence_date))) {
+      return res.status(400).json({ error: `occurrence_date must be provided in YYYY-MM-DD format for scope ${scope}` });
+    }
+
+    const conflictPolicy = parseConflictPolicy(payload.conflict_policy);
+    if (conflictPolicy.error) {
+      return res.status(400).json({ error: conflictPolicy.error });
+    }
+
+    if (scope === 'instance') {
+      const unsupportedFields = Object.keys(payload)
+        .filter(field => !['scope', 'occurrence_date', 'conflict_policy'].includes(field) && !(field in INSTANCE_OVERRIDE_FIELDS));
+      if (unsupportedFields.length > 0) {
+        return res.status(400).json({ error: `Fields not supported for scope instance: ${unsupportedFields.join(', ')}` });
+      }
+      const [instanceRows] = await db.execute(
+        `SELECT id FROM event_instances WHERE event_id = ? AND date = ?`,
+        [eventId, payload.occurrence_date]
+      );
+      if (instanceRows.length === 0) {
+        return res.status(404).json({ error: 'Event instance not found' });
+      }
+      const overrides = { conflict_policy: payload.conflict_policy };
+      for (const [field, overrideField] of Object.entries(INSTANCE_OVERRIDE_FIELDS)) {
+        if (payload[field] !== undefined) {
+          overrides[overrideField] = payload[field];
+        }
+      }
+      return applyInstanceUpdate(req, res, instanceRows[0].id, overrides);
+    }
+
+    // Editing from the first occurrence on is an edit of the whole series
+    let splitDate = null;
+    if (scope === 'following') {
+      if (currentEvent.recurrence_pattern === 'none') {
+        return res.status(400).json({ error: 'scope following requires a recurring event' });
+      }
+      if (payload.start_date !== undefined) {
+        return res.status(400).json({ error: 'start_date cannot be changed with scope following; the new series starts on occurrence_date' });
+      }
+      if (payload.cancel_all_instances !== undefined || payload.regenerate_instances !== undefined) {
+        return res.status(400).json({ error: 'cancel_all_instances and regenerate_instances are not supported with scope following' });
+      }
+      if (payload.occurrence_date > currentStartDate) {
+        splitDate = payload.occurrence_date;
+      }
+    }
+
     const sanitizedExternalLink = payload.external_link !== undefined
       ? (payload.external_link || null)
       : currentEvent.external_link;
@@ -952,6 +1383,28 @@ async function updateEvent(req, res) {
       ? payload.recurrence_end_occurrences
       : currentEvent.recurrence_end_occurrences;
 
+    // Clearing both the end date and the occurrence count makes the event open-ended
+    const nextRecurrenceEndDate = payload.recurrence_end_date !== undefined
+      ? (payload.recurrence_end_date || null)
+      : currentRecurrenceEndDate;
+
+    const nextRecurrenceInterval = payload.recurrence_interval !== undefined
+      ? (payload.recurrence_interval ?? 1)
+      : (currentEvent.recurrence_interval || 1);
+
+    // The week of month only applies to monthly events, so switching patterns drops it
+    const nextRecurrencePattern = payload.recurrence_pattern || currentEvent.recurrence_pattern;
+    const nextRecurrenceWeekOfMonth = payload.recurrence_week_of_month !== undefined
+      ? payload.recurrence_week_of_month
+      : (nextRecurrencePattern === 'monthly' ? currentEvent.recurrence_week_of_month ?? null : null);
+
+    const currentExdates = typeof currentEvent.recurrence_exdates === 'string'
+      ? JSON.parse(currentEvent.recurrence_exdates)
+      : currentEvent.recurrence_exdates || null;
+    const serializedExdates = payload.recurrence_exdates !== undefined
+      ? serializeExdates(payload.recurrence_exdates)
+      : serializeExdates(currentExdates);
+
     const newIsActiveValue = payload.cancel_all_instances === true
       ? 0
       : payload.cancel_all_instances === false
@@ -968,14 +1421,20 @@ async function updateEvent(req, res) {
 
     const forceRegenerate = payload.regenerate_instances === true;
 
-    // Validate tag exists if provided
-    if (payload.event_tag_id) {
-      const tagCheckSql = `SELECT id, name FROM event_tags WHERE id = ?`;
-      const [tagRows] = await db.execute(tagCheckSql, [payload.event_tag_id]);
-      
-      if (!tagRows || tagRows.length === 0) {
+    // Validate tags exist if provided (event_tag_ids replaces the event's tags)
+    const parsedTags = parseEventTagIds(payload, 'event_tag_id', 'event_tag_ids');
+    if (parsedTags.error) {
+      return res.status(400).json({ error: parsedTags.error });
+    }
+    const eventTagIds = parsedTags.tagIds.length > 0 ? parsedTags.tagIds : null;
+    if (!eventTagIds && Array.isArray(payload.event_tag_ids)) {
+      return res.status(400).json({ error: 'event_tag_ids must contain at least one event tag id' });
+    }
+    if (eventTagIds) {
+      const unknownTags = await findUnknownEventTags(db, eventTagIds);
+      if (unknownTags.length > 0) {
         return res.status(400).json({ 
-          error: 'Invalid event_tag_id. Event tag not found.' 
+          error: `Invalid event tag id(s): ${unknownTags.join(', ')}. Event tag not found.` 
         });
       }
     }
@@ -1029,7 +1488,10 @@ async function updateEvent(req, res) {
     // Only validate recurrence data and regenerate instances if recurrence-related fields are present
     const recurrenceFields = [
       'recurrence_pattern',
+      'recurrence_interval',
       'recurrence_days',
+      'recurrence_week_of_month',
+      'recurrence_exdates',
       'start_date',
       'recurrence_end_date',
       'recurrence_end_occurrences'
@@ -1038,13 +1500,16 @@ async function updateEvent(req, res) {
     let shouldRegenerate = false;
     let updatedRecurrenceData = null;
     // Only run recurrence validation if recurrence fields are being changed or forceRegenerate is true
-    if ((recurrenceChanged || forceRegenerate) && (payload.start_date !== undefined || payload.recurrence_pattern !== undefined || payload.recurrence_days !== undefined || payload.recurrence_end_date !== undefined || payload.recurrence_end_occurrences !== undefined)) {
+    if ((recurrenceChanged || forceRegenerate) && (payload.start_date !== undefined || payload.recurrence_pattern !== undefined || payload.recurrence_days !== undefined || payload.recurrence_end_date !== undefined || payload.recurrence_end_occurrences !== undefined || payload.recurrence_interval !== undefined || payload.recurrence_week_of_month !== undefined || payload.recurrence_exdates !== undefined)) {
       updatedRecurrenceData = {
-        recurrence_pattern: payload.recurrence_pattern || currentEvent.recurrence_pattern,
+        recurrence_pattern: nextRecurrencePattern,
+        recurrence_interval: nextRecurrenceInterval,
         recurrence_days: payload.recurrence_days !== undefined ? payload.recurrence_days : 
                         (currentEvent.recurrence_days ? JSON.parse(currentEvent.recurrence_days) : null),
+        recurrence_week_of_month: nextRecurrenceWeekOfMonth,
+        recurrence_exdates: payload.recurrence_exdates !== undefined ? payload.recurrence_exdates : currentExdates,
         start_date: payload.start_date || currentStartDate,
-        recurrence_end_date: payload.recurrence_end_date || currentRecurrenceEndDate,
+        recurrence_end_date: nextRecurrenceEndDate,
         recurrence_end_occurrences: nextRecurrenceEndOccurrences
       };
       const validation = validateRecurrenceData(updatedRecurrenceData, {
@@ -1084,6 +1549,92 @@ async function updateEvent(req, res) {
       }
     }
 
+    if (splitDate) {
+      return splitEventSeries(req, res, {
+        currentEvent,
+        currentStartDate,
+        currentRecurrenceEndDate,
+        currentExdates,
+        currentGeneratedUntil: normalizeDateValue(currentEvent.instances_generated_until),
+        splitDate,
+        nextEvent: {
+          title: payload.title || currentEvent.title,
+          description: payload.description || currentEvent.description,
+          start_time: payload.start_time || currentEvent.start_time,
+          end_time: payload.end_time || currentEvent.end_time,
+          crosses_midnight: crossesMidnight !== null ? crossesMidnight : currentEvent.crosses_midnight,
+          event_tag_id: eventTagIds ? eventTagIds[0] : currentEvent.event_tag_id,
+          external_link: sanitizedExternalLink,
+          image_url: sanitizedImageUrl,
+          recurrence_pattern: nextRecurrencePattern,
+          recurrence_interval: nextRecurrenceInterval,
+          recurrence_days: serializedRecurrenceDays,
+          recurrence_week_of_month: nextRecurrenceWeekOfMonth,
+          recurrence_exdates: serializedExdates,
+          recurrence_end_date: nextRecurrenceEndDate
+        },
+        eventTagIds,
+        resetColumns: [
+          shouldResetStartTimes && 'custom_start_time',
+          shouldResetEndTimes && 'custom_end_time',
+          shouldResetDescriptions && 'custom_description',
+          shouldResetImages && 'custom_image_url',
+          shouldResetTitles && 'custom_title',
+          shouldResetExternalLinks && 'custom_external_link'
+        ].filter(Boolean),
+        timesChanged: crossesMidnight !== null,
+        recurrenceChanged,
+        conflictPolicy: conflictPolicy.policy
+      });
+    }
+
+    // Check upcoming occurrences against the bar's schedule when their times or dates
+    // change or cancelled instances are restored
+    let warnings = [];
+    const reschedules = shouldRegenerate && updatedRecurrenceData.start_date;
+    if (payload.cancel_all_instances !== true &&
+        (crossesMidnight !== null || reschedules || payload.cancel_all_instances === false)) {
+      const checkToday = new Date();
+      checkToday.setHours(0, 0, 0, 0);
+      const checkFrom = checkToday.toISOString().split('T')[0];
+
+      // Regeneration keeps the rows on dates the rules still produce
+      let dates = null;
+      if (reschedules) {
+        const generationStart = updatedRecurrenceData.start_date > checkFrom ? updatedRecurrenceData.start_date : checkFrom;
+        dates = generateEventInstances(
+          { id: eventId, ...updatedRecurrenceData },
+          { until: isOpenEnded(updatedRecurrenceData) ? getRollingHorizon(generationStart) : null }
+        )
+          .map(instance => instance.date)
+          .filter(date => date >= checkFrom);
+      }
+
+      warnings = await checkScheduleConflicts(res, conflictPolicy.policy, {
+        barId: currentEvent.bar_id,
+        occurrences: await projectUpcomingOccurrences(eventId, checkFrom, {
+          nextEvent: {
+            title: payload.title || currentEvent.title,
+            start_time: payload.start_time || currentEvent.start_time,
+            end_time: payload.end_time || currentEvent.end_time
+          },
+          dates,
+          resetColumns: [
+            shouldResetStartTimes && 'custom_start_time',
+            shouldResetEndTimes && 'custom_end_time'
+          ].filter(Boolean),
+          restoreCancelled: payload.cancel_all_instances === false
+        }),
+        excludeEventId: eventId
+      });
+      if (!warnings) {
+        return;
+      }
+    }
+
+    // Replaced uploads are deleted once nothing uses them (after the update commits)
+    const replacedImageUrls = sanitizedImageUrl !== currentEvent.image_url ? [currentEvent.image_url] : [];
+
     const conn = await db.getConnection();
     try {
       await conn.beginTransaction();
@@ -1103,9 +1654,12 @@ async function updateEvent(req, res) {
           external_link = ?,
           image_url = ?,
           recurrence_pattern = COALESCE(?, recurrence_pattern),
+          recurrence_interval = ?,
           recurrence_days = ?,
+          recurrence_week_of_month = ?,
+          recurrence_exdates = ?,
           start_date = COALESCE(?, start_date),
-          recurrence_end_date = COALESCE(?, recurrence_end_date),
+          recurrence_end_date = ?,
           recurrence_end_occurrences = ?,
           is_active = COALESCE(?, is_active),
           updated_at = CURRENT_TIMESTAMP
@@ -1118,18 +1672,63 @@ async function updateEvent(req, res) {
         payload.start_time || null,
         payload.end_time || null,
         crossesMidnight,
-        payload.event_tag_id || null,
+        eventTagIds ? eventTagIds[0] : null,
         sanitizedExternalLink,
         sanitizedImageUrl,
         payload.recurrence_pattern || null,
+        nextRecurrenceInterval,
         serializedRecurrenceDays,
+        nextRecurrenceWeekOfMonth,
+        serializedExdates,
         payload.start_date || null,
-        payload.recurrence_end_date || null,
+        nextRecurrenceEndDate,
         nextRecurrenceEndOccurrences,
         newIsActiveValue,
         eventId
       ]);
 
+      // Snapshots mirror the COALESCE semantics of the update above
+      const currentSnapshot = {};
+      for (const field of EVENT_AUDIT_FIELDS) {
+        currentSnapshot[field] = currentEvent[field];
+      }
+      currentSnapshot.start_date = currentStartDate;
+      currentSnapshot.recurrence_end_date = currentRecurrenceEndDate;
+      currentSnapshot.recurrence_exdates = serializeExdates(currentExdates);
+      const updatedSnapshot = {
+        ...currentSnapshot,
+        title: payload.title || currentEvent.title,
+        description: payload.description || currentEvent.description,
+        start_time: payload.start_time || currentEvent.start_time,
+        end_time: payload.end_time || currentEvent.end_time,
+        crosses_midnight: crossesMidnight !== null ? crossesMidnight : currentEvent.crosses_midnight,
+        event_tag_id: eventTagIds ? eventTagIds[0] : currentEvent.event_tag_id,
+        external_link: sanitizedExternalLink,
+        image_url: sanitizedImageUrl,
+        recurrence_pattern: nextRecurrencePattern,
+        recurrence_interval: nextRecurrenceInterval,
+        recurrence_days: serializedRecurrenceDays,
+        recurrence_week_of_month: nextRecurrenceWeekOfMonth,
+        recurrence_exdates: serializedExdates,
+        start_date: payload.start_date || currentStartDate,
+        recurrence_end_date: nextRecurrenceEndDate,
+        recurrence_end_occurrences: nextRecurrenceEndOccurrences,
+        is_active: newIsActiveValue !== null ? newIsActiveValue : currentEvent.is_active
+      };
+      if (eventTagIds) {
+        currentSnapshot.event_tag_ids = await fetchEventTagIds(conn, 'event', eventId);
+        updatedSnapshot.event_tag_ids = [...eventTagIds].sort();
+        await setEventTags(conn, eventId, eventTagIds);
+      }
+      const auditUpdate = (extra = {}) => recordAudit(req, {
+        action: 'update',
+        entityType: 'event',
+        entityId: eventId,
+        before: currentSnapshot,
+        after: { ...updatedSnapshot, ...extra },
+        executor: conn
+      });
+
       if (shouldResetStartTimes) {
         await conn.execute(
           `UPDATE event_instances SET custom_start_time = NULL, updated_at = CURRENT_TIMESTAMP 
@@ -1155,6 +1754,12 @@ async function updateEvent(req, res) {
       }
 
       if (shouldResetImages) {
+        const [clearedImageRows] = await conn.execute(
+          `SELECT DISTINCT custom_image_url FROM event_instances
+           WHERE event_id = ? AND date >= ? AND custom_image_url IS NOT NULL`,
+          [eventId, todayStr]
+        );
+        replacedImageUrls.push(...clearedImageRows.map(row => row.custom_image_url));
         await conn.execute(
           `UPDATE event_instances SET custom_image_url = NULL, updated_at = CURRENT_TIMESTAMP 
            WHERE event_id = ? AND date >= ?`,
@@ -1200,48 +1805,71 @@ async function updateEvent(req, res) {
             error: 'Cannot regenerate recurrence without a start_date set on this event'
           });
         }
-        // Delete all future instances (keep past ones to preserve history)
-        await conn.execute(
-          `DELETE FROM event_instances WHERE event_id = ? AND date >= ?`,
-          [eventId, todayStr]
-        );
-
         // Generate new instances using updated recurrence data
         const eventForGeneration = {
           id: eventId,
           recurrence_pattern: updatedRecurrenceData.recurrence_pattern,
+          recurrence_interval: updatedRecurrenceData.recurrence_interval,
           recurrence_days: updatedRecurrenceData.recurrence_days,
+          recurrence_week_of_month: updatedRecurrenceData.recurrence_week_of_month,
+          recurrence_exdates: updatedRecurrenceData.recurrence_exdates,
           start_date: updatedRecurrenceData.start_date,
           recurrence_end_date: updatedRecurrenceData.recurrence_end_date,
           recurrence_end_occurrences: updatedRecurrenceData.recurrence_end_occurrences
         };
 
-        const instances = generateEventInstances(eventForGeneration);
+        // Open-ended events are rebuilt up to the rolling horizon
+        const generationStart = eventForGeneration.start_date > todayStr ? eventForGeneration.start_date : todayStr;
+        const instancesGeneratedUntil = isOpenEnded(eventForGeneration) ? getRollingHorizon(generationStart) : null;
+        await conn.execute(
+          `UPDATE events SET instances_generated_until = ? WHERE id = ?`,
+          [instancesGeneratedUntil, eventId]
+        );
+
+        const instances = generateEventInstances(eventForGeneration, { until: instancesGeneratedUntil });
         
         // Filter instances to only include future dates (from today onwards)
         const futureInstances = instances.filter(instance => instance.date >= todayStr);
-        
-        if (futureInstances.length > 0) {
-          const insertInstanceSql = `
-            INSERT INTO event_instances (id, event_id, date, crosses_midnight) 
-            VALUES (?, ?, ?, ?)
-          `;
-          
-          // Use the updated crosses_midnight value for new instances
-          const finalCrossesMidnight = crossesMidnight !== null ? crossesMidnight : currentEvent.crosses_midnight;
-          
-          for (const instance of futureInstances) {
-            const instanceId = uuidv4();
-            await conn.execute(insertInstanceSql, [
-              instanceId, 
-              instance.event_id, 
-              instance.date, 
-              finalCrossesMidnight ? 1 : 0
-            ]);
-          }
+        const futureDates = futureInstances.map(instance => instance.date);
+
+        // Use the updated crosses_midnight value for new instances
+        const finalCrossesMidnight = crossesMidnight !== null ? crossesMidnight : currentEvent.crosses_midnight;
+        if (crossesMidnight !== null) {
+          await conn.execute(
+            `UPDATE event_instances SET crosses_midnight = ? WHERE event_id = ? AND date >= ? AND custom_start_time IS NULL AND custom_end_time IS NULL`,
+            [crossesMidnight ? 1 : 0, eventId, todayStr]
+          );
         }
 
+        // Rows on dates the rules still produce are kept (and so their overrides,
+        // cancellations and RSVPs); past rows are kept to preserve history
+        let instancesRemoved = 0;
+        let instancesCreated = 0;
+        if (futureDates.length > 0) {
+          const [removeResult] = await conn.execute(
+            `DELETE FROM event_instances WHERE event_id = ? AND date >= ? AND date NOT IN (${futureDates.map(() => '?').join(', ')})`,
+            [eventId, todayStr, ...futureDates]
+          );
+          instancesRemoved = removeResult.affectedRows;
+
+          const [insertResult] = await conn.query(
+            `INSERT IGNORE INTO event_instances (id, event_id, date, crosses_midnight) VALUES ${futureDates.map(() => '(?, ?, ?, ?)').join(', ')}`,
+            futureDates.flatMap(date => [uuidv4(), eventId, date, finalCrossesMidnight ? 1 : 0])
+          );
+          instancesCreated = insertResult.affectedRows;
+        } else {
+          const [removeResult] = await conn.execute(
+            `DELETE FROM event_instances WHERE event_id = ? AND date >= ?`,
+            [eventId, todayStr]
+          );
+          instancesRemoved = removeResult.affectedRows;
+        }
+
+        await auditUpdate({ instances_regenerated: futureInstances.length });
         await conn.commit();
+        for (const url of replacedImageUrls) {
+          await releaseImage(url);
+        }
 
         return res.json({ 
           success: true, 
@@ -1249,8 +1877,12 @@ async function updateEvent(req, res) {
           data: { 
             id: eventId,
             instances_regenerated: futureInstances.length,
-            recurrence_description: getRecurrenceDescription(eventForGeneration)
-          }
+            instances_removed: instancesRemoved,
+            instances_created: instancesCreated,
+            recurrence_description: getRecurrenceDescription(eventForGeneration),
+            rrule: buildRRule(eventForGeneration)
+          },
+          ...(warnings.length > 0 && { warnings })
         });
       } else {
         // No recurrence changes, just update existing instances' crosses_midnight if time changed
@@ -1261,12 +1893,17 @@ async function updateEvent(req, res) {
           );
         }
 
+        await auditUpdate();
         await conn.commit();
+        for (const url of replacedImageUrls) {
+          await releaseImage(url);
+        }
 
         return res.json({ 
           success: true, 
           message: 'Event updated successfully',
-          data: { id: eventId }
+          data: { id: eventId },
+          ...(warnings.length > 0 && { warnings })
         });
       }
     } catch (err) {
@@ -1305,6 +1942,8 @@ async function deleteEvent(req, res) {
     const deleteSql = `UPDATE events SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
     await db.execute(deleteSql, [eventId]);
 
+    await recordAudit(req, { action: 'delete', entityType: 'event', entityId: eventId, before: { is_active: 1 }, after: { is_active: 0 } });
+
     return res.json({ 
       success: true, 
       message: 'Event deleted successfully',
@@ -0,0 +1,199 @@
+const {
+  normalizeTimeString,
+  parseConcatenatedTags,
+  parseBarListFilters,
+  resolveAreaFilter,
+  buildBarListQuery
+} = require('../utils/barListing');
+const { parseEventInstanceFilters, buildEventInstanceQuery } = require('../utils/eventListing');
+const { parseConcatenatedEventTags } = require('../utils/eventTags');
+const { CSV_COLUMNS, HOURS_COLUMNS, formatHoursCell } = require('../utils/barImport');
+const { EXPORT_FORMATS, streamExport } = require('../utils/dataExport');
+const { toDateString } = require('../utils/ical');
+
+const BAR_LINK_FIELDS = ['website', 'instagram', 'facebook', 'twitter', 'posh', 'eventbrite'];
+
+// Weekly hours and tags as correlated subqueries, so each bar stays a single streamed row
+const BAR_EXPORT_SELECT_CLAUSES = [
+  `(SELECT GROUP_CONCAT(
+    CONCAT(bh.day_of_week, '|', bh.is_closed, '|', COALESCE(bh.open_time, ''), '|', COALESCE(bh.close_time, ''))
+    ORDER BY bh.day_of_week SEPARATOR ','
+  ) FROM bar_hours bh WHERE bh.bar_id = b.id) as export_hours`,
+  `(SELECT GROUP_CONCAT(
+    CONCAT(et.id, ':', et.name, ':', COALESCE(et.category, ''))
+    ORDER BY et.name SEPARATOR ','
+  ) FROM bar_tag_assignments eta INNER JOIN bar_tags et ON eta.tag_id = et.id WHERE eta.bar_id = b.id) as export_tags`
+];
+
+const EVENT_EXPORT_COLUMNS = [
+  'instance_id', 'event_id', 'date', 'start_time', 'end_time', 'crosses_midnight', 'title',
+  'description', 'image_url', 'external_link', 'event_tag_id', 'event_tag_name', 'tags', 'bar_id',
+  'bar_name', 'address_street', 'address_city', 'address_state', 'address_zip', 'phone',
+  'website', 'latitude', 'longitude', 'timezone', 'going_count', 'interested_count'
+];
+
+const FORMAT_ERROR = `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+
+// Parses the GROUP_CONCAT'd "day_of_week|is_closed|open_time|close_time" hours list
+const parseConcatenatedHours = value => {
+  if (!value) return [];
+  return value.split(',').map(h => {
+    const [dayOfWeek, isClosed, openTime, closeTime] = h.split('|');
+    const closed = isClosed === '1';
+    return {
+      day_of_week: Number(dayOfWeek),
+      open_time: closed ? null : normalizeTimeString(openTime),
+      close_time: closed ? null : normalizeTimeString(closeTime),
+      is_closed: closed
+    };
+  });
+};
+
+const exportFilename = (name) => `${name}-${new Date().toISOString().slice(0, 10)}`;
+
+const distanceColumns = (filters) => (filters.userLat !== null ? [`distance_${filters.distanceUnit}`] : []);
+
+/**
+ * Bar row -> export record: links grouped like GET /bars/:barId/links, tags and
+ * weekly hours as arrays
+ */
+function toBarRecord(row) {
+  const { export_hours, export_tags, is_active, ...bar } = row;
+  const links = {};
+  for (const field of BAR_LINK_FIELDS) {
+    links[field] = bar[field] || null;
+    delete bar[field];
+  }
+  return {
+    ...bar,
+    links,
+    tags: parseConcatenatedTags(export_tags),
+    hours: parseConcatenatedHours(export_hours)
+  };
+}
+
+/**
+ * Event instance row -> export record (DATE columns as YYYY-MM-DD, effective tags as an array)
+ */
+function toEventRecord(row) {
+  const { is_cancelled, event_tags, ...instance } = row;
+  return { ...instance, date: toDateString(instance.date), tags: parseConcatenatedEventTags(event_tags) };
+}
+
+/**
+ * GET /admin/export/bars?format=csv|ndjson|geojson
+ * Streams every active bar with its weekly hours, tags and links (admin only).
+ * Accepts the GET /bars filters (tag, open_now, open_at, open_between, lat/lon/radius/unit,
+ * bbox, area); pagination and cluster params are ignored.
+ *
+ * CSV uses the POST /bars/import columns (tags separated by ';', hours_<day> cells
+ * as "HH:MM-HH:MM" or "closed") preceded by id and followed by created_at, updated_at
+ * and, with lat/lon, distance_<unit>. A file can be edited and re-imported once those
+ * columns are dropped.
+ */
+async function exportBars(req, res) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: FORMAT_ERROR });
+  }
+
+  const parsedFilters = parseBarListFilters(req.query);
+  if (parsedFilters.error) {
+    return res.status(400).json({ error: parsedFilters.error });
+  }
+  const { filters } = parsedFilters;
+
+  try {
+    const areaError = await resolveAreaFilter(filters, req.query);
+    if (areaError) {
+      return res.status(areaError.status).json({ error: areaError.error });
+    }
+
+    const listQuery = await buildBarListQuery(filters, { selectClauses: BAR_EXPORT_SELECT_CLAUSES });
+    const extraColumns = distanceColumns(filters);
+
+    await streamExport(res, {
+      format,
+      filename: exportFilename('bars'),
+      sql: listQuery.selectSql,
+      params: listQuery.params,
+      errorMessage: 'Failed to export bars',
+      columns: ['id', ...CSV_COLUMNS, 'created_at', 'updated_at', ...extraColumns],
+      toCsvRow: row => {
+        const record = toBarRecord(row);
+        const hoursByDay = new Map(record.hours.map(hour => [hour.day_of_week, hour]));
+        return [
+          row.id,
+          ...CSV_COLUMNS.map(column => {
+            if (column === 'tags') {
+              return record.tags.map(tag => tag.name).join(';');
+            }
+            const dayOfWeek = HOURS_COLUMNS.indexOf(column);
+            if (dayOfWeek !== -1) {
+              return formatHoursCell(hoursByDay.get(dayOfWeek));
+            }
+            return row[column];
+          }),
+          row.created_at,
+          row.updated_at,
+          ...extraColumns.map(column => row[column])
+        ];
+      },
+      toRecord: toBarRecord
+    });
+  } catch (err) {
+    console.error('Error exporting bars:', err.message || err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export bars' });
+    }
+  }
+}
+
+/**
+ * GET /admin/export/events?format=csv|ndjson|geojson
+ * Streams event instances with their effective (override-applied) details and bar
+ * location (admin only). Accepts the GET /events/instances filters (bar_id,
+ * event_tag_id, date_from, date_to, upcoming, lat/lon/radius/unit). Only upcoming
+ * instances are exported unless upcoming=false is passed; cancelled instances never are.
+ */
+async function exportEvents(req, res) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: FORMAT_ERROR });
+  }
+
+  const parsedFilters = parseEventInstanceFilters({ upcoming: 'true', ...req.query });
+  if (parsedFilters.error) {
+    return res.status(400).json({ error: parsedFilters.error });
+  }
+  const { filters } = parsedFilters;
+
+  try {
+    const listQuery = await buildEventInstanceQuery(filters);
+    const columns = [...EVENT_EXPORT_COLUMNS, ...distanceColumns(filters)];
+
+    await streamExport(res, {
+      format,
+      filename: exportFilename('events'),
+      sql: listQuery.selectSql,
+      params: listQuery.params,
+      errorMessage: 'Failed to export events',
+      columns,
+      toCsvRow: row => {
+        const record = toEventRecord(row);
+        return columns.map(column => (column === 'tags' ? record.tags.map(tag => tag.name).join(';') : record[column]));
+      },
+      toRecord: toEventRecord
+    });
+  } catch (err) {
+    console.error('Error exporting events:', err.message || err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export events' });
+    }
+  }
+}
+
+module.exports = {
+  exportBars,
+  exportEvents
+};
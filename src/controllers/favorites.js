@@ -0,0 +1,94 @@
+const db = require('../utils/db');
+const { ensureAppUserToken } = require('../middleware/token');
+const { listBars } = require('../utils/barListing');
+
+/**
+ * GET /app-users/me/favorites/bars?include=hours,tags&lat=..&lon=..&radius=..&unit=..&page=1&limit=20
+ * Lists the current app user's favorite bars in the same shape as GET /bars.
+ * Favorites pointing at soft-deleted bars are kept in the table but not listed.
+ */
+async function getFavoriteBars(req, res) {
+  if (!ensureAppUserToken(req, res)) {
+    return;
+  }
+
+  return listBars(req, res, {
+    whereClauses: ['EXISTS (SELECT 1 FROM app_user_favorite_bars fav WHERE fav.bar_id = b.id AND fav.app_user_id = ?)'],
+    whereParams: [req.user.userId],
+    errorMessage: 'Failed to fetch favorite bars'
+  });
+}
+
+/**
+ * POST /app-users/me/favorites/bars/:barId
+ * Adds an active bar to the current app user's favorites
+ */
+async function addFavoriteBar(req, res) {
+  if (!ensureAppUserToken(req, res)) {
+    return;
+  }
+
+  const { barId } = req.params;
+
+  try {
+    const [barRows] = await db.execute('SELECT id FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (!barRows || barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    await db.execute(
+      'INSERT INTO app_user_favorite_bars (app_user_id, bar_id) VALUES (?, ?)',
+      [req.user.userId, barId]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Bar added to favorites',
+      data: { bar_id: barId }
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Bar is already in favorites' });
+    }
+    console.error('Error adding favorite bar:', err.message || err);
+    return res.status(500).json({ error: 'Failed to add favorite bar' });
+  }
+}
+
+/**
+ * DELETE /app-users/me/favorites/bars/:barId
+ * Removes a bar from the current app user's favorites
+ */
+async function removeFavoriteBar(req, res) {
+  if (!ensureAppUserToken(req, res)) {
+    return;
+  }
+
+  const { barId } = req.params;
+
+  try {
+    const [result] = await db.execute(
+      'DELETE FROM app_user_favorite_bars WHERE app_user_id = ? AND bar_id = ?',
+      [req.user.userId, barId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Bar is not in favorites' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Bar removed from favorites',
+      data: { bar_id: barId }
+    });
+  } catch (err) {
+    console.error('Error removing favorite bar:', err.message || err);
+    return res.status(500).json({ error: 'Failed to remove favorite bar' });
+  }
+}
+
+module.exports = {
+  getFavoriteBars,
+  addFavoriteBar,
+  removeFavoriteBar
+};
@@ -0,0 +1,190 @@
+const db = require('../utils/db');
+const { checkBarAccess } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getStorage } = require('../utils/storage');
+const { saveImage, removeImageFiles, insertImageRecord, formatImage, releaseImage } = require('../utils/images');
+
+/**
+ * Image uploads (multipart/form-data, parsed by middleware/imageUpload into req.file).
+ * Uploads are stored as resized WebP variants through the configured storage driver;
+ * see utils/images.
+ */
+
+/**
+ * Save the uploaded file, sending the error response if it cannot be
+ * @returns {Promise<Object|null>} saveImage output, or null if a response was sent
+ */
+async function saveUpload(req, res, prefix) {
+  const storage = getStorage();
+  if (!storage) {
+    res.status(503).json({ error: 'Image uploads are not configured' });
+    return null;
+  }
+
+  const image = await saveImage(prefix, req.file.buffer, storage);
+  if (image.error) {
+    res.status(400).json({ error: image.error });
+    return null;
+  }
+  return image;
+}
+
+/**
+ * POST /events/:id/image
+ * Uploads an event's image and sets it as the event's image_url. With an
+ * occurrence_date form field (YYYY-MM-DD) it becomes that instance's
+ * custom_image_url instead. The image it replaces is deleted if it was an upload
+ * nothing else uses. (protected route)
+ */
+async function uploadEventImage(req, res) {
+  try {
+    const eventId = req.params.id;
+    const occurrenceDate = req.body ? req.body.occurrence_date : undefined;
+
+    if (occurrenceDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate)) {
+      return res.status(400).json({ error: 'occurrence_date must be provided in YYYY-MM-DD format' });
+    }
+
+    const [eventRows] = await db.execute(
+      'SELECT id, bar_id, image_url FROM events WHERE id = ? AND is_active = 1',
+      [eventId]
+    );
+    if (eventRows.length === 0) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    const event = eventRows[0];
+
+    const hasAccess = await checkBarAccess(req.user.userId, event.bar_id, req.user.role);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied to this bar.' });
+
+    let instance = null;
+    if (occurrenceDate !== undefined) {
+      const [instanceRows] = await db.execute(
+        'SELECT id, custom_image_url FROM event_instances WHERE event_id = ? AND date = ?',
+        [eventId, occurrenceDate]
+      );
+      if (instanceRows.length === 0) {
+        return res.status(404).json({ error: 'Event instance not found' });
+      }
+      instance = instanceRows[0];
+    }
+
+    const image = await saveUpload(req, res, instance ? `event-instances/${instance.id}` : `events/${eventId}`);
+    if (!image) {
+      return;
+    }
+
+    const target = instance
+      ? { table: 'event_instances', column: 'custom_image_url', entityType: 'event_instance', id: instance.id, previousUrl: instance.custom_image_url }
+      : { table: 'events', column: 'image_url', entityType: 'event', id: eventId, previousUrl: event.image_url };
+
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      await insertImageRecord(conn, image, {
+        ownerType: target.entityType,
+        ownerId: target.id,
+        uploadedBy: req.user.userId,
+        originalFilename: req.file.originalname,
+        byteSize: req.file.size
+      });
+      await conn.execute(
+        `UPDATE ${target.table} SET ${target.column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [image.url, target.id]
+      );
+      await recordAudit(req, {
+        action: 'update',
+        entityType: target.entityType,
+        entityId: target.id,
+        before: { [target.column]: target.previousUrl },
+        after: { [target.column]: image.url },
+        executor: conn
+      });
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      await removeImageFiles(image);
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    await releaseImage(target.previousUrl);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Event image uploaded successfully',
+      data: {
+        ...formatImage(image),
+        event_id: eventId,
+        instance_id: instance ? instance.id : null
+      }
+    });
+  } catch (err) {
+    console.error('Error uploading event image:', err.message || err);
+    return res.status(500).json({ error: 'Failed to upload event image' });
+  }
+}
+
+/**
+ * POST /bars/:barId/images
+ * Uploads an image for a bar and returns its URLs (protected route)
+ */
+async function uploadBarImage(req, res) {
+  try {
+    const { barId } = req.params;
+
+    const [barRows] = await db.execute('SELECT id FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    const hasAccess = await checkBarAccess(req.user.userId, barId, req.user.role);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied to this bar.' });
+
+    const image = await saveUpload(req, res, `bars/${barId}`);
+    if (!image) {
+      return;
+    }
+
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      await insertImageRecord(conn, image, {
+        ownerType: 'bar',
+        ownerId: barId,
+        uploadedBy: req.user.userId,
+        originalFilename: req.file.originalname,
+        byteSize: req.file.size
+      });
+      await recordAudit(req, {
+        action: 'add_image',
+        entityType: 'bar',
+        entityId: barId,
+        after: { image_id: image.id, url: image.url },
+        executor: conn
+      });
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      await removeImageFiles(image);
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Bar image uploaded successfully',
+      data: { ...formatImage(image), bar_id: barId }
+    });
+  } catch (err) {
+    console.error('Error uploading bar image:', err.message || err);
+    return res.status(500).json({ error: 'Failed to upload bar image' });
+  }
+}
+
+module.exports = {
+  uploadEventImage,
+  uploadBarImage
+};
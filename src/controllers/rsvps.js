@@ -0,0 +1,186 @@
+const db = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const { ensureAppUserToken } = require('../middleware/token');
+const { fetchLocalClockJoin } = require('../utils/barListing');
+const { DEFAULT_TIMEZONE, getZonedDateTime } = require('../utils/timezone');
+
+const VALID_RSVP_STATUSES = ['going', 'interested'];
+
+/**
+ * PUT /events/instances/:instanceId/rsvp
+ * Creates or updates the current app user's RSVP for a single event instance
+ * Expected payload: { status: 'going' | 'interested' }
+ */
+async function setRsvp(req, res) {
+  if (!ensureAppUserToken(req, res)) {
+    return;
+  }
+
+  const { instanceId } = req.params;
+  const { status } = req.body || {};
+
+  if (!VALID_RSVP_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${VALID_RSVP_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const checkSql = `
+      SELECT ei.id, ei.is_cancelled, DATE_FORMAT(ei.date, '%Y-%m-%d') as date, b.timezone
+      FROM event_instances ei
+      INNER JOIN events e ON ei.event_id = e.id
+      INNER JOIN bars b ON e.bar_id = b.id
+      WHERE ei.id = ? AND e.is_active = 1 AND b.is_active = 1
+    `;
+    const [instanceRows] = await db.execute(checkSql, [instanceId]);
+
+    if (!instanceRows || instanceRows.length === 0) {
+      return res.status(404).json({ error: 'Event instance not found' });
+    }
+
+    const instance = instanceRows[0];
+    if (instance.is_cancelled) {
+      return res.status(409).json({ error: 'Cannot RSVP to a cancelled event instance' });
+    }
+    // Instance dates are local to the bar, so "past" is judged by the bar's calendar day
+    const barToday = getZonedDateTime(instance.timezone || DEFAULT_TIMEZONE).date;
+    if (instance.date < barToday) {
+      return res.status(400).json({ error: 'Cannot RSVP to a past event instance' });
+    }
+
+    const upsertSql = `
+      INSERT INTO event_rsvps (id, event_instance_id, app_user_id, status)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE status = VALUES(status), updated_at = CURRENT_TIMESTAMP
+    `;
+    const [result] = await db.execute(upsertSql, [uuidv4(), instanceId, req.user.userId, status]);
+
+    // MySQL reports 1 affected row for an insert and 2 for an update
+    const created = result.affectedRows === 1;
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'RSVP created successfully' : 'RSVP updated successfully',
+      data: { instance_id: instanceId, status }
+    });
+  } catch (err) {
+    console.error('Error saving RSVP:', err.message || err);
+    return res.status(500).json({ error: 'Failed to save RSVP' });
+  }
+}
+
+/**
+ * DELETE /events/instances/:instanceId/rsvp
+ * Removes the current app user's RSVP for an event instance
+ */
+async function removeRsvp(req, res) {
+  if (!ensureAppUserToken(req, res)) {
+    return;
+  }
+
+  const { instanceId } = req.params;
+
+  try {
+    const [result] = await db.execute(
+      'DELETE FROM event_rsvps WHERE event_instance_id = ? AND app_user_id = ?',
+      [instanceId, req.user.userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'RSVP not found' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'RSVP removed successfully',
+      data: { instance_id: instanceId }
+    });
+  } catch (err) {
+    console.error('Error removing RSVP:', err.message || err);
+    return res.status(500).json({ error: 'Failed to remove RSVP' });
+  }
+}
+
+/**
+ * GET /app-users/me/rsvps?status=going
+ * Lists the current app user's RSVPs for instances happening today or later.
+ * Instances cancelled after the user responded are still returned with
+ * is_cancelled = true so the app can show that the event was called off.
+ */
+async function getMyRsvps(req, res) {
+  if (!ensureAppUserToken(req, res)) {
+    return;
+  }
+
+  const { status } = req.query;
+
+  if (status !== undefined && !VALID_RSVP_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${VALID_RSVP_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const clockJoin = await fetchLocalClockJoin();
+
+    let selectSql = `
+      SELECT
+        r.status,
+        r.created_at as responded_at,
+        ei.id as instance_id,
+        ei.event_id,
+        ei.date,
+        ei.is_cancelled,
+        COALESCE(ei.custom_start_time, e.start_time) as start_time,
+        COALESCE(ei.custom_end_time, e.end_time) as end_time,
+        COALESCE(ei.crosses_midnight, e.crosses_midnight) as crosses_midnight,
+        COALESCE(ei.custom_title, e.title) as title,
+        COALESCE(ei.custom_image_url, e.image_url) as image_url,
+        e.bar_id,
+        b.name as bar_name,
+        b.address_street,
+        b.address_city,
+        b.address_state
+      FROM event_rsvps r
+      INNER JOIN event_instances ei ON r.event_instance_id = ei.id
+      INNER JOIN events e ON ei.event_id = e.id
+      INNER JOIN bars b ON e.bar_id = b.id
+      ${clockJoin.sql}
+      WHERE r.app_user_id = ?
+        AND ei.date >= bar_clock.local_date
+        AND e.is_active = 1
+        AND b.is_active = 1
+    `;
+    const params = [...clockJoin.params, req.user.userId];
+
+    if (status) {
+      selectSql += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    selectSql += ' ORDER BY ei.date ASC, COALESCE(ei.custom_start_time, e.start_time) ASC';
+
+    const [rows] = await db.query(selectSql, params);
+
+    const rsvps = rows.map(row => ({
+      ...row,
+      is_cancelled: Boolean(row.is_cancelled),
+      crosses_midnight: Boolean(row.crosses_midnight)
+    }));
+
+    return res.json({
+      success: true,
+      data: rsvps,
+      meta: {
+        total: rsvps.length,
+        filters: { status: status || null }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching RSVPs:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch RSVPs' });
+  }
+}
+
+module.exports = {
+  setRsvp,
+  removeRsvp,
+  getMyRsvps
+};
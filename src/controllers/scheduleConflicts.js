@@ -0,0 +1,68 @@
+const db = require('../utils/db');
+const { checkBarAccess } = require('../middleware/auth');
+const { findBarScheduleConflicts } = require('../utils/scheduleConflicts');
+const { DEFAULT_TIMEZONE, addDays, getZonedDateTime, isValidDateString } = require('../utils/timezone');
+
+// Reports default to the coming month and are capped at a year
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * GET /bars/:barId/schedule/conflicts?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Lists scheduling conflicts among a bar's upcoming event instances: overlapping
+ * instances (each pair once) and instances outside the bar's hours. Defaults to the
+ * 30 days from today (bar local time). Protected route - bar managers and admins
+ */
+async function getScheduleConflicts(req, res) {
+  try {
+    const { barId } = req.params;
+    const { from, to } = req.query;
+
+    if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+      return res.status(400).json({ error: 'from and to must be valid dates in YYYY-MM-DD format' });
+    }
+
+    const [barRows] = await db.execute('SELECT id, name, timezone FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (!barRows || barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    const hasAccess = await checkBarAccess(req.user.userId, barId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this bar.' });
+    }
+
+    const timezone = barRows[0].timezone || DEFAULT_TIMEZONE;
+    const fromDate = from || getZonedDateTime(timezone).date;
+    const toDate = to || addDays(fromDate, DEFAULT_REPORT_DAYS - 1);
+    if (toDate < fromDate) {
+      return res.status(400).json({ error: 'to must not be before from' });
+    }
+    if (toDate > addDays(fromDate, MAX_REPORT_DAYS - 1)) {
+      return res.status(400).json({ error: `The date range cannot exceed ${MAX_REPORT_DAYS} days` });
+    }
+
+    const conflicts = await findBarScheduleConflicts(barId, fromDate, toDate);
+
+    return res.json({
+      success: true,
+      data: conflicts,
+      meta: {
+        bar: {
+          id: barRows[0].id,
+          name: barRows[0].name
+        },
+        timezone,
+        total: conflicts.length,
+        filters: { from: fromDate, to: toDate }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching schedule conflicts:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch schedule conflicts' });
+  }
+}
+
+module.exports = {
+  getScheduleConflicts
+};
@@ -0,0 +1,281 @@
+const db = require('../utils/db');
+const { fetchLocalClockJoin } = require('../utils/barListing');
+const { buildDistanceQuery } = require('../utils/geo');
+const {
+  MIN_QUERY_LENGTH,
+  normalizeSearchQuery,
+  tokenize,
+  buildBooleanQuery,
+  buildNameScore,
+  buildNameCondition
+} = require('../utils/search');
+
+const SEARCH_TYPES = ['bars', 'events', 'tags'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Distance at which a result's text score is halved when lat/lon bias is requested
+const DISTANCE_HALF_SCORE = { km: 5, miles: 3 };
+
+// Events can match on many instances; over-fetch so de-duplicating per event still fills the limit
+const EVENT_INSTANCE_OVERFETCH = 5;
+
+/**
+ * Build the distance select for alias b, or null without a location
+ */
+function buildDistanceSelect(location) {
+  if (!location) {
+    return null;
+  }
+  const distance = buildDistanceQuery({ userLat: location.lat, userLon: location.lon, radiusValue: null, distanceUnit: location.unit });
+  return { sql: distance.selectSql, params: distance.selectParams };
+}
+
+/**
+ * Wrap a query selecting text_score (and optionally distance) so results are
+ * ordered by text score, biased towards nearby bars when a location is given.
+ * Bars without coordinates keep their text score.
+ */
+function rankedSql(innerSql, location, tieBreakers) {
+  const scoreSql = location
+    ? `ranked.text_score / (1 + COALESCE(ranked.distance, 0) / ${DISTANCE_HALF_SCORE[location.unit]})`
+    : 'ranked.text_score';
+  return `
+    SELECT ranked.*, ${scoreSql} as score
+    FROM (${innerSql}) ranked
+    ORDER BY score DESC, ${tieBreakers}
+    LIMIT ?
+  `;
+}
+
+const formatResult = (row, location) => {
+  const { distance, text_score, ...rest } = row;
+  const result = { ...rest, score: Number(row.score) };
+  if (location) {
+    result[`distance_${location.unit}`] = distance === null || distance === undefined ? null : Number(distance);
+  }
+  return result;
+};
+
+async function searchBars(query, location, limit) {
+  const booleanQuery = buildBooleanQuery(query);
+  const nameScore = buildNameScore('b.name', query);
+  const nameCondition = buildNameCondition('b.name', query);
+  const distance = buildDistanceSelect(location);
+
+  const innerSql = `
+    SELECT
+      b.id,
+      b.name,
+      b.description,
+      b.address_street,
+      b.address_city,
+      b.address_state,
+      b.address_zip,
+      b.latitude,
+      b.longitude,
+      (${nameScore.sql} + MATCH(b.name, b.description) AGAINST (? IN BOOLEAN MODE) * 2) as text_score
+      ${distance ? `, ${distance.sql} as distance` : ''}
+    FROM bars b
+    WHERE b.is_active = 1
+    AND (MATCH(b.name, b.description) AGAINST (? IN BOOLEAN MODE) OR ${nameCondition.sql})
+  `;
+  const params = [
+    ...nameScore.params,
+    booleanQuery,
+    ...(distance ? distance.params : []),
+    booleanQuery,
+    ...nameCondition.params,
+    limit
+  ];
+
+  const [rows] = await db.query(rankedSql(innerSql, location, 'ranked.name'), params);
+  return rows.map(row => formatResult(row, location));
+}
+
+async function searchEvents(query, location, limit) {
+  const booleanQuery = buildBooleanQuery(query);
+  const titleExpr = 'COALESCE(ei.custom_title, e.title)';
+  const nameScore = buildNameScore(titleExpr, query);
+  const nameCondition = buildNameCondition(titleExpr, query);
+  const distance = buildDistanceSelect(location);
+  // Upcoming is judged against each bar's local date
+  const clockJoin = await fetchLocalClockJoin();
+
+  const innerSql = `
+    SELECT
+      ei.id as instance_id,
+      ei.event_id,
+      ei.date,
+      COALESCE(ei.custom_start_time, e.start_time) as start_time,
+      COALESCE(ei.custom_end_time, e.end_time) as end_time,
+      ${titleExpr} as title,
+      COALESCE(ei.custom_description, e.description) as description,
+      e.bar_id,
+      b.name as bar_name,
+      (
+        ${nameScore.sql}
+        + MATCH(e.title, e.description) AGAINST (? IN BOOLEAN MODE) * 2
+        + MATCH(ei.custom_title, ei.custom_description) AGAINST (? IN BOOLEAN MODE) * 2
+      ) as text_score
+      ${distance ? `, ${distance.sql} as distance` : ''}
+    FROM event_instances ei
+    INNER JOIN events e ON ei.event_id = e.id
+    INNER JOIN bars b ON e.bar_id = b.id
+    ${clockJoin.sql}
+    WHERE e.is_active = 1
+    AND b.is_active = 1
+    AND ei.is_cancelled = 0
+    AND ei.date >= bar_clock.local_date
+    AND (
+      MATCH(e.title, e.description) AGAINST (? IN BOOLEAN MODE)
+      OR MATCH(ei.custom_title, ei.custom_description) AGAINST (? IN BOOLEAN MODE)
+      OR ${nameCondition.sql}
+    )
+  `;
+  const params = [
+    ...nameScore.params,
+    booleanQuery,
+    booleanQuery,
+    ...(distance ? distance.params : []),
+    ...clockJoin.params,
+    booleanQuery,
+    booleanQuery,
+    ...nameCondition.params,
+    limit * EVENT_INSTANCE_OVERFETCH
+  ];
+
+  const [rows] = await db.query(rankedSql(innerSql, location, 'ranked.date ASC, ranked.start_time ASC'), params);
+
+  // One result per event: its best-ranked (then soonest) matching instance
+  const seen = new Set();
+  const results = [];
+  for (const row of rows) {
+    if (seen.has(row.event_id)) {
+      continue;
+    }
+    seen.add(row.event_id);
+    results.push(formatResult(row, location));
+    if (results.length === limit) {
+      break;
+    }
+  }
+  return results;
+}
+
+async function searchTags(query, limit) {
+  const barTagScore = buildNameScore('t.name', query);
+  const barTagCondition = buildNameCondition('t.name', query);
+  const eventTagScore = buildNameScore('et.name', query);
+  const eventTagCondition = buildNameCondition('et.name', query);
+
+  const selectSql = `
+    SELECT t.id, t.name, t.category, 'bar' as tag_type, ${barTagScore.sql} as score
+    FROM bar_tags t
+    WHERE ${barTagCondition.sql}
+    UNION ALL
+    SELECT et.id, et.name, NULL as category, 'event' as tag_type, ${eventTagScore.sql} as score
+    FROM event_tags et
+    WHERE ${eventTagCondition.sql}
+    ORDER BY score DESC, name
+    LIMIT ?
+  `;
+  const params = [
+    ...barTagScore.params,
+    ...barTagCondition.params,
+    ...eventTagScore.params,
+    ...eventTagCondition.params,
+    limit
+  ];
+
+  const [rows] = await db.query(selectSql, params);
+  return rows.map(row => ({ ...row, score: Number(row.score) }));
+}
+
+/**
+ * GET /search?q=trivia&types=bars,events,tags&limit=10&lat=42.36&lon=-71.06&unit=km
+ * Ranked search across bar names/descriptions, upcoming event instances (titles and
+ * descriptions, including per-instance overrides) and bar/event tag names.
+ * Public endpoint - no authentication required
+ *
+ * Query parameters:
+ * - q: search text (at least 2 characters); every word matches as a prefix
+ * - types: comma-separated subset of bars, events, tags (default: all)
+ * - limit: maximum results per type (default 10, maximum 50)
+ * - lat/lon: optional location; nearer bars and events rank higher
+ * - unit: distance unit for returned distances - 'km' (default) or 'miles'
+ */
+async function search(req, res) {
+  try {
+    const { q, types, limit, lat, lon, unit } = req.query;
+
+    const query = normalizeSearchQuery(q);
+    if (query.length < MIN_QUERY_LENGTH || tokenize(query).length === 0) {
+      return res.status(400).json({ error: `Search query parameter "q" must be at least ${MIN_QUERY_LENGTH} characters` });
+    }
+
+    const requestedTypes = types
+      ? [...new Set(types.split(',').map(type => type.trim().toLowerCase()).filter(Boolean))]
+      : SEARCH_TYPES;
+    if (requestedTypes.length === 0 || requestedTypes.some(type => !SEARCH_TYPES.includes(type))) {
+      return res.status(400).json({ error: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    let limitNumber = DEFAULT_LIMIT;
+    if (limit !== undefined) {
+      limitNumber = parseInt(limit, 10);
+      if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > MAX_LIMIT) {
+        return res.status(400).json({ error: `Limit must be between 1 and ${MAX_LIMIT}.` });
+      }
+    }
+
+    let location = null;
+    if (lat !== undefined || lon !== undefined) {
+      const userLat = parseFloat(lat);
+      const userLon = parseFloat(lon);
+      if (isNaN(userLat) || isNaN(userLon) || userLat < -90 || userLat > 90 || userLon < -180 || userLon > 180) {
+        return res.status(400).json({ error: 'Invalid latitude or longitude. Latitude must be between -90 and 90, longitude between -180 and 180.' });
+      }
+      const distanceUnit = unit ? unit.toLowerCase() : 'km';
+      if (distanceUnit !== 'km' && distanceUnit !== 'miles') {
+        return res.status(400).json({ error: 'Unit must be either "km" or "miles".' });
+      }
+      location = { lat: userLat, lon: userLon, unit: distanceUnit };
+    }
+
+    const data = {};
+    if (requestedTypes.includes('bars')) {
+      data.bars = await searchBars(query, location, limitNumber);
+    }
+    if (requestedTypes.includes('events')) {
+      data.events = await searchEvents(query, location, limitNumber);
+    }
+    if (requestedTypes.includes('tags')) {
+      data.tags = await searchTags(query, limitNumber);
+    }
+
+    const counts = {};
+    for (const type of Object.keys(data)) {
+      counts[type] = data[type].length;
+    }
+
+    return res.json({
+      success: true,
+      data,
+      meta: {
+        query: q,
+        types: requestedTypes,
+        limit: limitNumber,
+        counts,
+        location: location ? { ...location, distance_biased: true } : null
+      }
+    });
+  } catch (err) {
+    console.error('Error searching:', err.message || err);
+    return res.status(500).json({ error: 'Failed to search' });
+  }
+}
+
+module.exports = {
+  search
+};
@@ -0,0 +1,139 @@
+const db = require('../utils/db');
+const { buildAppUserToken, buildWebUserToken } = require('../utils/token');
+const { rotateRefreshToken, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { ensureAppUserToken, ensureWebUserToken } = require('../middleware/token');
+
+const INVALID_REFRESH_TOKEN_ERROR = 'Invalid or expired refresh token';
+
+// Load the current account details so refreshed access tokens pick up email/role changes
+async function buildAccessToken(userType, userId, sessionId) {
+  if (userType === 'app_user') {
+    const [rows] = await db.execute('SELECT id, email FROM app_users WHERE id = ? LIMIT 1', [userId]);
+    return rows[0] ? buildAppUserToken({ id: rows[0].id, email: rows[0].email, sessionId }) : null;
+  }
+  const [rows] = await db.execute('SELECT id, email, role FROM web_users WHERE id = ? LIMIT 1', [userId]);
+  return rows[0] ? buildWebUserToken({ id: rows[0].id, email: rows[0].email, role: rows[0].role, sessionId }) : null;
+}
+
+/**
+ * Shared refresh handler. Payload expected: { refresh_token: string }
+ * Returns a new access token and a new refresh token; the presented refresh
+ * token can never be used again.
+ */
+async function refresh(req, res, userType) {
+  const { refresh_token } = req.body || {};
+
+  if (!refresh_token || typeof refresh_token !== 'string') {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refresh_token, userType);
+
+    if (result.status === 'reused') {
+      console.warn(`Refresh token reuse detected for ${userType} ${result.userId}; session ${result.sessionId} revoked`);
+      return res.status(401).json({ error: INVALID_REFRESH_TOKEN_ERROR });
+    }
+    if (result.status !== 'rotated') {
+      return res.status(401).json({ error: INVALID_REFRESH_TOKEN_ERROR });
+    }
+
+    const token = await buildAccessToken(userType, result.userId, result.sessionId);
+    if (!token) {
+      // Account was deleted after the session started
+      await revokeSession(result.sessionId, result.userId, 'user_deleted');
+      return res.status(401).json({ error: INVALID_REFRESH_TOKEN_ERROR });
+    }
+
+    return res.status(200).json({
+      token,
+      refresh_token: result.refreshToken,
+      refresh_token_expires_at: result.refreshTokenExpiresAt
+    });
+  } catch (err) {
+    console.error('Error refreshing token:', err.message || err);
+    return res.status(500).json({ error: 'Failed to refresh token' });
+  }
+}
+
+// POST /app-users/refresh
+async function refreshAppUser(req, res) {
+  return refresh(req, res, 'app_user');
+}
+
+// POST /users/refresh
+async function refreshWebUser(req, res) {
+  return refresh(req, res, 'web_user');
+}
+
+// Routes are mounted per user type; the token has to belong to that type
+const ensureUserType = (req, res, userType) => (
+  userType === 'app_user' ? ensureAppUserToken(req, res) : ensureWebUserToken(req, res)
+);
+
+/**
+ * Shared logout handler: revokes the session of the presented access token,
+ * which also invalidates its refresh token
+ */
+async function logout(req, res, userType) {
+  if (!ensureUserType(req, res, userType)) return;
+
+  if (!req.user.sid) {
+    return res.status(400).json({ error: 'Token is not bound to a session' });
+  }
+
+  try {
+    await revokeSession(req.user.sid, req.user.userId);
+    return res.status(200).json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err.message || err);
+    return res.status(500).json({ error: 'Failed to logout' });
+  }
+}
+
+/**
+ * Shared logout-everywhere handler: revokes every session of the current user
+ */
+async function logoutAll(req, res, userType) {
+  if (!ensureUserType(req, res, userType)) return;
+
+  try {
+    const revoked = await revokeAllSessions(req.user.userId, userType);
+    return res.status(200).json({
+      message: 'Logged out of all sessions',
+      data: { sessions_revoked: revoked }
+    });
+  } catch (err) {
+    console.error('Error logging out of all sessions:', err.message || err);
+    return res.status(500).json({ error: 'Failed to logout' });
+  }
+}
+
+// POST /app-users/logout
+async function logoutAppUser(req, res) {
+  return logout(req, res, 'app_user');
+}
+
+// POST /users/logout
+async function logoutWebUser(req, res) {
+  return logout(req, res, 'web_user');
+}
+
+// POST /app-users/logout-all
+async function logoutAllAppUser(req, res) {
+  return logoutAll(req, res, 'app_user');
+}
+
+// POST /users/logout-all
+async function logoutAllWebUser(req, res) {
+  return logoutAll(req, res, 'web_user');
+}
+
+module.exports = {
+  refreshAppUser,
+  refreshWebUser,
+  logoutAppUser,
+  logoutWebUser,
+  logoutAllAppUser,
+  logoutAllWebUser
+};
@@ -0,0 +1,411 @@
+const db = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const { checkBarAccess } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { fetchLocalClockJoin, parseBarListFilters } = require('../utils/barListing');
+const { buildDistanceQuery } = require('../utils/geo');
+const { DEFAULT_TIMEZONE, getZonedDateTime } = require('../utils/timezone');
+const {
+  validateSpecialPayload,
+  findRunningWindow,
+  buildRunningSpecialClause,
+  attachSpecialWindows,
+  fetchSpecial,
+  replaceSpecialWindows
+} = require('../utils/specials');
+
+/**
+ * Drink specials (see utils/specials).
+ *
+ * Expected payload shape (POST and PUT):
+ * {
+ *   item: 'Draft beer',
+ *   description: 'All local taps',      // optional
+ *   discount_type: 'fixed_price',       // 'fixed_price' | 'amount_off' | 'percent_off' | 'bogo'
+ *   price: 4.5,                         // price during the special; required for fixed_price
+ *   discount_value: 2,                  // amount or percentage off; required for amount_off / percent_off
+ *   is_active: true,                    // optional, defaults to true
+ *   windows: [{ day_of_week: 1, start_time: '16:00:00', end_time: '19:00:00' }]
+ * }
+ */
+
+// GET /specials/active radius when none is given, in the requested unit
+const DEFAULT_ACTIVE_RADIUS = { km: 5, miles: 3 };
+const DEFAULT_ACTIVE_LIMIT = 20;
+const MAX_ACTIVE_LIMIT = 100;
+
+// Snapshot of the fields audited on create, update and delete
+const toSpecialSnapshot = special => ({
+  item: special.item,
+  description: special.description,
+  discount_type: special.discount_type,
+  price: special.price,
+  discount_value: special.discount_value,
+  is_active: special.is_active,
+  windows: special.windows.map(({ day_of_week, start_time, end_time }) => ({ day_of_week, start_time, end_time }))
+});
+
+/**
+ * Confirms the bar exists and the caller may manage it, sending the error response if not
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function ensureBarAccess(req, res, barId) {
+  const [barRows] = await db.execute('SELECT id FROM bars WHERE id = ? AND is_active = 1', [barId]);
+  if (!barRows || barRows.length === 0) {
+    res.status(404).json({ error: 'Bar not found' });
+    return false;
+  }
+
+  const hasAccess = await checkBarAccess(req.user.userId, barId, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({ error: 'Access denied to this bar.' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * GET /bars/:barId/specials?include_inactive=true
+ * Lists a bar's specials with their windows; running_now tells whether each is on
+ * at the bar's local time. Inactive specials are left out unless include_inactive=true.
+ * Public endpoint - no authentication required
+ */
+async function getBarSpecials(req, res) {
+  try {
+    const { barId } = req.params;
+    const includeInactive = req.query.include_inactive === 'true';
+
+    const [barRows] = await db.execute('SELECT id, name, timezone FROM bars WHERE id = ? AND is_active = 1', [barId]);
+    if (!barRows || barRows.length === 0) {
+      return res.status(404).json({ error: 'Bar not found' });
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM bar_specials WHERE bar_id = ?${includeInactive ? '' : ' AND is_active = 1'} ORDER BY item, created_at`,
+      [barId]
+    );
+    const timezone = barRows[0].timezone || DEFAULT_TIMEZONE;
+    const local = getZonedDateTime(timezone);
+    const specials = (await attachSpecialWindows(rows)).map(special => ({
+      ...special,
+      running_now: special.is_active && findRunningWindow(special.windows, local) !== null
+    }));
+
+    return res.json({
+      success: true,
+      data: specials,
+      meta: {
+        bar: {
+          id: barRows[0].id,
+          name: barRows[0].name
+        },
+        timezone,
+        total: specials.length
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching bar specials:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch bar specials' });
+  }
+}
+
+/**
+ * GET /bars/:barId/specials/:specialId
+ * Returns one special with its windows
+ * Public endpoint - no authentication required
+ */
+async function getBarSpecial(req, res) {
+  try {
+    const { barId, specialId } = req.params;
+
+    const special = await fetchSpecial(barId, specialId);
+    if (!special) {
+      return res.status(404).json({ error: 'Special not found' });
+    }
+
+    return res.json({ success: true, data: special });
+  } catch (err) {
+    console.error('Error fetching bar special:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch bar special' });
+  }
+}
+
+/**
+ * POST /bars/:barId/specials
+ * Adds a special to a bar (protected route)
+ */
+async function createSpecial(req, res) {
+  const { barId } = req.params;
+  const validation = validateSpecialPayload(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const special = validation.value;
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    const specialId = uuidv4();
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    await conn.execute(
+      `INSERT INTO bar_specials (id, bar_id, item, description, discount_type, price, discount_value, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        specialId,
+        barId,
+        special.item,
+        special.description,
+        special.discount_type,
+        special.price,
+        special.discount_value,
+        special.is_active ? 1 : 0
+      ]
+    );
+    await replaceSpecialWindows(conn, specialId, special.windows);
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'bar_special',
+      entityId: specialId,
+      after: { bar_id: barId, ...toSpecialSnapshot(special) },
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Special created successfully',
+      data: { id: specialId, bar_id: barId, ...special }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('Error creating bar special:', err.message || err);
+    return res.status(500).json({ error: 'Failed to create bar special' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /bars/:barId/specials/:specialId
+ * Replaces a special, windows included (protected route)
+ */
+async function updateSpecial(req, res) {
+  const { barId, specialId } = req.params;
+  const validation = validateSpecialPayload(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const special = validation.value;
+
+  let conn;
+  try {
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    const existing = await fetchSpecial(barId, specialId, conn);
+    if (!existing) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Special not found' });
+    }
+
+    await conn.execute(
+      `UPDATE bar_specials SET
+         item = ?,
+         description = ?,
+         discount_type = ?,
+         price = ?,
+         discount_value = ?,
+         is_active = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        special.item,
+        special.description,
+        special.discount_type,
+        special.price,
+        special.discount_value,
+        special.is_active ? 1 : 0,
+        specialId
+      ]
+    );
+    await replaceSpecialWindows(conn, specialId, special.windows);
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'bar_special',
+      entityId: specialId,
+      before: toSpecialSnapshot(existing),
+      after: toSpecialSnapshot(special),
+      executor: conn
+    });
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Special updated successfully',
+      data: { id: specialId, bar_id: barId, ...special }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('Error updating bar special:', err.message || err);
+    return res.status(500).json({ error: 'Failed to update bar special' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * DELETE /bars/:barId/specials/:specialId
+ * Deletes a special and its windows (protected route)
+ */
+async function deleteSpecial(req, res) {
+  try {
+    const { barId, specialId } = req.params;
+
+    if (!(await ensureBarAccess(req, res, barId))) {
+      return;
+    }
+
+    const existing = await fetchSpecial(barId, specialId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Special not found' });
+    }
+
+    // Windows are removed by ON DELETE CASCADE
+    await db.execute('DELETE FROM bar_specials WHERE id = ?', [specialId]);
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'bar_special',
+      entityId: specialId,
+      before: { bar_id: barId, ...toSpecialSnapshot(existing) }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Special deleted successfully',
+      data: { id: specialId, bar_id: barId }
+    });
+  } catch (err) {
+    console.error('Error deleting bar special:', err.message || err);
+    return res.status(500).json({ error: 'Failed to delete bar special' });
+  }
+}
+
+/**
+ * GET /specials/active?lat=40.7128&lon=-74.0060&radius=5&unit=km&limit=20
+ * Specials running now, each checked against its bar's local time, at bars within
+ * radius (default 5 km / 3 miles) of the user, nearest first.
+ * Query parameters:
+ * - lat, lon: user's location (required)
+ * - radius, unit: as for GET /bars
+ * - limit: maximum number of specials (default: 20, maximum: 100)
+ * Public endpoint - no authentication required
+ */
+async function getActiveSpecials(req, res) {
+  try {
+    const { lat, lon, radius, unit, limit } = req.query;
+
+    if (lat === undefined || lon === undefined) {
+      return res.status(400).json({ error: 'lat and lon are required.' });
+    }
+
+    const parsedFilters = parseBarListFilters({ lat, lon, radius, unit });
+    if (parsedFilters.error) {
+      return res.status(400).json({ error: parsedFilters.error });
+    }
+    const location = parsedFilters.filters;
+    if (location.radiusValue === null) {
+      location.radiusValue = DEFAULT_ACTIVE_RADIUS[location.distanceUnit];
+    }
+
+    let limitNumber = DEFAULT_ACTIVE_LIMIT;
+    if (limit !== undefined) {
+      limitNumber = parseInt(limit);
+      if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > MAX_ACTIVE_LIMIT) {
+        return res.status(400).json({ error: `Limit must be between 1 and ${MAX_ACTIVE_LIMIT}.` });
+      }
+    }
+
+    const distance = buildDistanceQuery(location);
+    const clockJoin = await fetchLocalClockJoin();
+    const distanceColumn = `distance_${location.distanceUnit}`;
+
+    const [rows] = await db.query(
+      `SELECT s.*,
+         b.name AS bar_name,
+         b.address_street, b.address_city, b.address_state, b.address_zip,
+         b.latitude, b.longitude,
+         bar_clock.timezone AS bar_timezone,
+         bar_clock.local_time,
+         bar_clock.local_dow,
+         ${distance.selectSql} AS ${distanceColumn}
+       FROM bar_specials s
+       INNER JOIN bars b ON b.id = s.bar_id
+       ${clockJoin.sql}
+       WHERE s.is_active = 1
+       AND b.is_active = 1
+       AND ${distance.whereClauses.join(' AND ')}
+       AND ${buildRunningSpecialClause()}
+       ORDER BY ${distanceColumn} ASC, b.name, s.item
+       LIMIT ?`,
+      [...distance.selectParams, ...clockJoin.params, ...distance.whereParams, limitNumber]
+    );
+
+    const specials = await attachSpecialWindows(rows);
+    const data = specials.map((special, index) => {
+      const row = rows[index];
+      const runningWindow = findRunningWindow(special.windows, { dayOfWeek: Number(row.local_dow), time: row.local_time });
+      return {
+        ...special,
+        ends_at: runningWindow ? runningWindow.end_time : null,
+        bar: {
+          id: row.bar_id,
+          name: row.bar_name,
+          address_street: row.address_street,
+          address_city: row.address_city,
+          address_state: row.address_state,
+          address_zip: row.address_zip,
+          latitude: row.latitude,
+          longitude: row.longitude,
+          timezone: row.bar_timezone
+        },
+        [distanceColumn]: row[distanceColumn] === null ? null : Number(row[distanceColumn])
+      };
+    });
+
+    return res.json({
+      success: true,
+      data,
+      meta: {
+        total: data.length,
+        location: {
+          lat: location.userLat,
+          lon: location.userLon,
+          radius: location.radiusValue,
+          unit: location.distanceUnit
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching active specials:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch active specials' });
+  }
+}
+
+module.exports = {
+  getBarSpecials,
+  getBarSpecial,
+  createSpecial,
+  updateSpecial,
+  deleteSpecial,
+  getActiveSpecials
+};
@@ -0,0 +1,264 @@
+const db = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const { slugify, isValidSlug } = require('../utils/slugs');
+
+const MAX_SLUG_LENGTH = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_ICON_KEY_LENGTH = 50;
+
+const CATEGORY_COLUMNS = 'id, slug, name, parent_id, icon_key, display_order, created_at, updated_at';
+
+/**
+ * Validate a tag category payload. On create, name is required and the slug
+ * defaults to one derived from it; on update only the fields sent are checked.
+ * @param {Object} payload - Request body
+ * @param {boolean} partial - Whether fields may be omitted (PUT)
+ * @returns {{fields: Object}|{error: string}} Normalized fields to write, or a 400 message
+ */
+function validateCategoryPayload(payload, partial) {
+  const body = payload || {};
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Category name is required' };
+    }
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `Category name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.slug !== undefined && body.slug !== null && body.slug !== '') {
+    fields.slug = String(body.slug).trim();
+  } else if (!partial) {
+    fields.slug = slugify(fields.name, MAX_SLUG_LENGTH);
+  }
+  if (fields.slug !== undefined && !isValidSlug(fields.slug, MAX_SLUG_LENGTH)) {
+    return { error: `slug must be lowercase letters, digits and single hyphens (at most ${MAX_SLUG_LENGTH} characters)` };
+  }
+
+  if (body.parent_id !== undefined) {
+    if (body.parent_id !== null && typeof body.parent_id !== 'string') {
+      return { error: 'parent_id must be a category id or null' };
+    }
+    fields.parent_id = body.parent_id || null;
+  }
+
+  if (body.icon_key !== undefined) {
+    if (body.icon_key !== null && (typeof body.icon_key !== 'string' || body.icon_key.trim().length > MAX_ICON_KEY_LENGTH)) {
+      return { error: `icon_key must be a string of at most ${MAX_ICON_KEY_LENGTH} characters or null` };
+    }
+    fields.icon_key = body.icon_key ? body.icon_key.trim() : null;
+  }
+
+  if (body.display_order !== undefined) {
+    if (!Number.isInteger(body.display_order)) {
+      return { error: 'display_order must be an integer' };
+    }
+    fields.display_order = body.display_order;
+  } else if (!partial) {
+    fields.display_order = 0;
+  }
+
+  return { fields };
+}
+
+/**
+ * Check that a new parent exists and would not make the category its own ancestor
+ * @param {string} categoryId - Category being saved (null when creating)
+ * @param {string} parentId - Proposed parent id
+ * @returns {Promise<string|null>} A 400 message, or null when the parent is valid
+ */
+async function checkParent(categoryId, parentId) {
+  const [rows] = await db.query('SELECT id, parent_id FROM tag_categories');
+  const parents = new Map(rows.map(row => [row.id, row.parent_id]));
+
+  if (!parents.has(parentId)) {
+    return 'Parent category not found';
+  }
+  // Walk up from the new parent; reaching the category itself would create a cycle
+  for (let ancestor = parentId; ancestor; ancestor = parents.get(ancestor)) {
+    if (ancestor === categoryId) {
+      return 'A category cannot be nested under itself or one of its subcategories';
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /tag-categories
+ * Lists tag categories (flat, in display order); parent_id links subcategories
+ */
+async function getAllTagCategories(req, res) {
+  try {
+    const [rows] = await db.query(`SELECT ${CATEGORY_COLUMNS} FROM tag_categories ORDER BY display_order, name`);
+    return res.json({ data: rows });
+  } catch (err) {
+    console.error('Error fetching tag categories:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch tag categories' });
+  }
+}
+
+/**
+ * GET /tag-categories/:idOrSlug
+ * Returns a single tag category
+ */
+async function getTagCategory(req, res) {
+  try {
+    const [rows] = await db.execute(
+      `SELECT ${CATEGORY_COLUMNS} FROM tag_categories WHERE id = ? OR slug = ?`,
+      [req.params.idOrSlug, req.params.idOrSlug]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Tag category not found' });
+    }
+    return res.json({ data: rows[0] });
+  } catch (err) {
+    console.error('Error fetching tag category:', err.message || err);
+    return res.status(500).json({ error: 'Failed to fetch tag category' });
+  }
+}
+
+/**
+ * POST /tag-categories
+ * Creates a tag category (protected route)
+ * Expected payload: { name: string, slug?: string, parent_id?: string, icon_key?: string, display_order?: number }
+ */
+async function createTagCategory(req, res) {
+  const { fields, error } = validateCategoryPayload(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (fields.parent_id) {
+      const parentError = await checkParent(null, fields.parent_id);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+    }
+
+    const categoryId = uuidv4();
+    const category = {
+      id: categoryId,
+      slug: fields.slug,
+      name: fields.name,
+      parent_id: fields.parent_id || null,
+      icon_key: fields.icon_key || null,
+      display_order: fields.display_order
+    };
+    await db.execute(
+      `INSERT INTO tag_categories (id, slug, name, parent_id, icon_key, display_order)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [category.id, category.slug, category.name, category.parent_id, category.icon_key, category.display_order]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Tag category created successfully',
+      data: category
+    });
+  } catch (err) {
+    console.error('Error creating tag category:', err.message || err);
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Tag category slug already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to create tag category' });
+  }
+}
+
+/**
+ * PUT /tag-categories/:id
+ * Updates the fields sent (protected route). Renaming the slug carries over to
+ * the tags in the category.
+ */
+async function updateTagCategory(req, res) {
+  const { fields, error } = validateCategoryPayload(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided for update' });
+  }
+
+  try {
+    const categoryId = req.params.id;
+    const [existingRows] = await db.execute(`SELECT ${CATEGORY_COLUMNS} FROM tag_categories WHERE id = ?`, [categoryId]);
+    if (existingRows.length === 0) {
+      return res.status(404).json({ error: 'Tag category not found' });
+    }
+
+    if (fields.parent_id) {
+      const parentError = await checkParent(categoryId, fields.parent_id);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+    }
+
+    const columns = Object.keys(fields);
+    await db.execute(
+      `UPDATE tag_categories SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => fields[column]), categoryId]
+    );
+
+    const { created_at, updated_at, ...current } = existingRows[0];
+    return res.json({
+      success: true,
+      message: 'Tag category updated successfully',
+      data: { ...current, ...fields }
+    });
+  } catch (err) {
+    console.error('Error updating tag category:', err.message || err);
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Tag category slug already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to update tag category' });
+  }
+}
+
+/**
+ * DELETE /tag-categories/:id
+ * Deletes a tag category (protected route)
+ * Only allows deletion if no tags or subcategories belong to it
+ */
+async function deleteTagCategory(req, res) {
+  try {
+    const categoryId = req.params.id;
+    const [existingRows] = await db.execute('SELECT id, slug FROM tag_categories WHERE id = ?', [categoryId]);
+    if (existingRows.length === 0) {
+      return res.status(404).json({ error: 'Tag category not found' });
+    }
+
+    const [usageRows] = await db.execute(
+      `SELECT
+        (SELECT COUNT(*) FROM bar_tags WHERE category = ?) as tag_count,
+        (SELECT COUNT(*) FROM tag_categories WHERE parent_id = ?) as child_count`,
+      [existingRows[0].slug, categoryId]
+    );
+    if (usageRows[0].tag_count > 0 || usageRows[0].child_count > 0) {
+      return res.status(409).json({
+        error: 'Cannot delete tag category: it still has tags or subcategories'
+      });
+    }
+
+    await db.execute('DELETE FROM tag_categories WHERE id = ?', [categoryId]);
+
+    return res.json({
+      success: true,
+      message: 'Tag category deleted successfully',
+      data: { id: categoryId }
+    });
+  } catch (err) {
+    console.error('Error deleting tag category:', err.message || err);
+    return res.status(500).json({ error: 'Failed to delete tag category' });
+  }
+}
+
+module.exports = {
+  getAllTagCategories,
+  getTagCategory,
+  createTagCategory,
+  updateTagCategory,
+  deleteTagCategory
+};
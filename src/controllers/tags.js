@@ -1,12 +1,78 @@
 const db = require('../utils/db');
 const { v4: uuidv4 } = require('uuid');
+const { recordAudit } = require('../utils/audit');
 
 /**
- * GET /tags
- * Returns all tags from the database (id, name, category, time created).
+ * Resolve a tag payload's category (a tag_categories slug or name) to its slug
+ * @param {string|null|undefined} category - Category from the request body
+ * @returns {Promise<{slug: string|null}|{error: string}>} The slug (null when no category was given), or a 400 message
+ */
+async function resolveTagCategory(category) {
+  if (category === undefined || category === null || (typeof category === 'string' && !category.trim())) {
+    return { slug: null };
+  }
+  if (typeof category !== 'string') {
+    return { error: 'Tag category must be a string' };
+  }
+
+  const value = category.trim();
+  const [rows] = await db.execute('SELECT slug FROM tag_categories WHERE slug = ? OR name = ?', [value, value]);
+  if (rows.length === 0) {
+    return { error: `Unknown tag category "${value}"; create it under /tag-categories first` };
+  }
+  return { slug: rows[0].slug };
+}
+
+/**
+ * Nest tags under their categories (and subcategories under their parents), in
+ * display order. Tags without a known category are returned separately.
+ * @param {Array<Object>} categories - tag_categories rows, in display order
+ * @param {Array<Object>} tags - bar_tags rows with bar_count, in name order
+ * @returns {{categories: Array<Object>, uncategorized: Array<Object>}}
+ */
+function groupTagsByCategory(categories, tags) {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, tags: [], subcategories: [] }]));
+  const bySlug = new Map([...nodes.values()].map(node => [node.slug, node]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    (parent ? parent.subcategories : roots).push(node);
+  }
+
+  const uncategorized = [];
+  for (const tag of tags) {
+    const entry = { ...tag, bar_count: Number(tag.bar_count) };
+    const node = tag.category ? bySlug.get(tag.category) : null;
+    (node ? node.tags : uncategorized).push(entry);
+  }
+
+  return { categories: roots, uncategorized };
+}
+
+/**
+ * GET /tags?grouped=true
+ * Returns all tags (id, name, category, time created). With grouped=true, tags
+ * are nested under their categories with the number of active bars using each
+ * tag, for rendering the app's filter sheet in one call.
  */
 async function getAllTags(req, res) {
   try {
+    if (req.query.grouped === 'true') {
+      const [categories] = await db.query(
+        'SELECT id, slug, name, parent_id, icon_key, display_order FROM tag_categories ORDER BY display_order, name'
+      );
+      const [tags] = await db.query(`
+        SELECT t.id, t.name, t.category, t.created_at, COUNT(b.id) as bar_count
+        FROM bar_tags t
+        LEFT JOIN bar_tag_assignments bta ON t.id = bta.tag_id
+        LEFT JOIN bars b ON bta.bar_id = b.id AND b.is_active = 1
+        GROUP BY t.id
+        ORDER BY t.name
+      `);
+      return res.json({ data: groupTagsByCategory(categories, tags) });
+    }
+
     const [rows] = await db.query('SELECT id, name, category, created_at FROM bar_tags ORDER BY name');
     return res.json({ data: rows });
   } catch (err) {
@@ -18,7 +84,7 @@ async function getAllTags(req, res) {
 /**
  * POST /tags
  * Creates a new tag (protected route)
- * Expected payload: { name: string, category?: string }
+ * Expected payload: { name: string, category?: string (tag category slug or name) }
  */
 async function createTag(req, res) {
   try {
@@ -28,6 +94,11 @@ async function createTag(req, res) {
     if (!name) {
       return res.status(400).json({ error: 'Tag name is required' });
     }
+
+    const resolvedCategory = await resolveTagCategory(category);
+    if (resolvedCategory.error) {
+      return res.status(400).json({ error: resolvedCategory.error });
+    }
     
     const tagId = uuidv4();
     const insertSql = `INSERT INTO bar_tags (id, name, category) VALUES (?, ?, ?)`;
@@ -35,13 +106,13 @@ async function createTag(req, res) {
     const [result] = await db.execute(insertSql, [
       tagId,
       name.trim(),
-      category ? category.trim() : null
+      resolvedCategory.slug
     ]);
     
     return res.status(201).json({
       success: true,
       message: 'Tag created successfully',
-      data: { id: tagId, name: name.trim(), category: category || null }
+      data: { id: tagId, name: name.trim(), category: resolvedCategory.slug }
     });
   } catch (err) {
     console.error('Error creating tag:', err.message || err);
@@ -68,11 +139,16 @@ async function updateTag(req, res) {
     if (!name) {
       return res.status(400).json({ error: 'Tag name is required' });
     }
+
+    const resolvedCategory = await resolveTagCategory(category);
+    if (resolvedCategory.error) {
+      return res.status(400).json({ error: resolvedCategory.error });
+    }
     
     const updateSql = `UPDATE bar_tags SET name = ?, category = ? WHERE id = ?`;
     const [result] = await db.execute(updateSql, [
       name.trim(),
-      category ? category.trim() : null,
+      resolvedCategory.slug,
       tagId
     ]);
     
@@ -83,7 +159,7 @@ async function updateTag(req, res) {
     return res.json({
       success: true,
       message: 'Tag updated successfully',
-      data: { id: tagId, name: name.trim(), category: category || null }
+      data: { id: tagId, name: name.trim(), category: resolvedCategory.slug }
     });
   } catch (err) {
     console.error('Error updating tag:', err.message || err);
@@ -135,9 +211,78 @@ async function deleteTag(req, res) {
   }
 }
 
+/**
+ * POST /tags/:id/merge-into/:targetId
+ * Merges a duplicate tag into another (admin only): the source tag's bar
+ * assignments move to the target, bars that already have the target are
+ * skipped, and the source tag is deleted. Returns a summary of affected rows.
+ */
+async function mergeTag(req, res) {
+  const sourceId = req.params.id;
+  const targetId = req.params.targetId;
+  if (sourceId === targetId) {
+    return res.status(400).json({ error: 'A tag cannot be merged into itself' });
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [tagRows] = await conn.execute(
+      'SELECT id, name, category FROM bar_tags WHERE id IN (?, ?) FOR UPDATE',
+      [sourceId, targetId]
+    );
+    const source = tagRows.find(tag => tag.id === sourceId);
+    const target = tagRows.find(tag => tag.id === targetId);
+    if (!source || !target) {
+      await conn.rollback();
+      return res.status(404).json({ error: source ? 'Target tag not found' : 'Tag not found' });
+    }
+
+    const [countRows] = await conn.execute('SELECT COUNT(*) as count FROM bar_tag_assignments WHERE tag_id = ?', [sourceId]);
+    const [moveResult] = await conn.execute(
+      `INSERT IGNORE INTO bar_tag_assignments (bar_id, tag_id)
+       SELECT bar_id, ? FROM bar_tag_assignments WHERE tag_id = ?`,
+      [targetId, sourceId]
+    );
+    // Deleting the tag cascades to its remaining assignments
+    await conn.execute('DELETE FROM bar_tags WHERE id = ?', [sourceId]);
+
+    const summary = {
+      source: { id: source.id, name: source.name },
+      target: { id: target.id, name: target.name },
+      assignments_moved: moveResult.affectedRows,
+      assignments_skipped: Number(countRows[0].count) - moveResult.affectedRows
+    };
+    await recordAudit(req, {
+      action: 'merge',
+      entityType: 'tag',
+      entityId: sourceId,
+      before: { name: source.name, category: source.category },
+      after: { merged_into: targetId, assignments_moved: summary.assignments_moved },
+      executor: conn
+    });
+
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Tag merged successfully',
+      data: summary
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error('Error merging tag:', err.message || err);
+    return res.status(500).json({ error: 'Failed to merge tag' });
+  } finally {
+    conn.release();
+  }
+}
+
 module.exports = {
   getAllTags,
   createTag,
   updateTag,
-  deleteTag
+  deleteTag,
+  mergeTag
 };
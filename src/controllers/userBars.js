@@ -1,4 +1,5 @@
 const db = require('../utils/db');
+const { recordAudit } = require('../utils/audit');
 
 //Assigns a web user to a bar. admin only.
 async function assignUserToBar(req, res) {
@@ -23,6 +24,8 @@ async function assignUserToBar(req, res) {
       [userId, barId, assignedBy]
     );
 
+    await recordAudit(req, { action: 'assign_bar', entityType: 'web_user', entityId: userId, before: { bar_id: null }, after: { bar_id: barId } });
+
     return res.status(201).json({
       success: true,
       message: 'User assigned to bar successfully',
@@ -51,6 +54,8 @@ async function unassignUserFromBar(req, res) {
       return res.status(404).json({ error: 'Association not found' });
     }
 
+    await recordAudit(req, { action: 'unassign_bar', entityType: 'web_user', entityId: userId, before: { bar_id: barId }, after: { bar_id: null } });
+
     return res.json({
       success: true,
       message: 'User unassigned from bar successfully',
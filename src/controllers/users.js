@@ -5,6 +5,8 @@ const bcrypt = require('bcryptjs');
 const { MIN_PASSWORD_LENGTH, SALT_ROUNDS, DUMMY_HASH } = require('../utils/constants');
 const { normalizeEmail, isValidEmail, isValidPassword, isValidRole, isValidFullName, normalizeFullName } = require('../utils/user');
 const { buildWebUserToken } = require('../utils/token');
+const { createSession, revokeAllSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
 const { ensureWebUserToken } = require('../middleware/token')
 
 const { sendPasswordResetEmail } = require('../utils/email');
@@ -54,8 +56,9 @@ async function signup(req, res) {
       role
     ]);
 
-  // 6. Token Generation
-  const token = buildWebUserToken({ id: userId, email: normalizedEmail, role });
+  // 6. Session + Token Generation
+  const session = await createSession({ userId, userType: 'web_user', userAgent: req.get('user-agent') });
+  const token = buildWebUserToken({ id: userId, email: normalizedEmail, role, sessionId: session.sessionId });
 
   //7. Sucess Reponse 
     return res.status(201).json({ 
@@ -67,7 +70,9 @@ async function signup(req, res) {
         full_name, 
         role 
       },
-    token
+    token,
+    refresh_token: session.refreshToken,
+    refresh_token_expires_at: session.refreshTokenExpiresAt
    });
 
   } catch (err) {
@@ -124,7 +129,8 @@ async function login(req, res) {
       'UPDATE web_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
     req.clearFailedLogins?.();
 
-    const token = buildWebUserToken({ id: user.id, email: user.email, role: user.role });
+    const session = await createSession({ userId: user.id, userType: 'web_user', userAgent: req.get('user-agent') });
+    const token = buildWebUserToken({ id: user.id, email: user.email, role: user.role, sessionId: session.sessionId });
 
     return res.status(200).json({
       data: {
@@ -132,7 +138,9 @@ async function login(req, res) {
         email: user.email,
         full_name: user.full_name 
       },
-      token
+      token,
+      refresh_token: session.refreshToken,
+      refresh_token_expires_at: session.refreshTokenExpiresAt
     });
   } catch (err) {
     console.error('Error logging in app user:', err);
@@ -283,7 +291,7 @@ async function deleteUser(req, res) {
 
   try {
     const [rows] = await db.execute(
-      `SELECT id, email FROM web_users WHERE id = ? LIMIT 1`,
+      `SELECT id, email, full_name, role FROM web_users WHERE id = ? LIMIT 1`,
       [id]
     );
 
@@ -301,6 +309,13 @@ async function deleteUser(req, res) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'web_user',
+      entityId: id,
+      before: { email: userToDelete.email, full_name: userToDelete.full_name, role: userToDelete.role }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'User deleted successfully',
@@ -408,6 +423,9 @@ async function resetPassword(req, res) {
     `;
     
     await db.execute(updateSql, [newPasswordHash, user.id]);
+
+    // Sign out everywhere: sessions started with the old password must not survive it
+    await revokeAllSessions(user.id, 'web_user', 'password_reset');
     
     return res.status(200).json({
       success: true,
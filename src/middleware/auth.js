@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const db = require('../utils/db');
+const { isSessionActive } = require('../utils/sessions');
 require('dotenv').config();
 
 /**
@@ -7,12 +8,14 @@ require('dotenv').config();
  * 
  * Checks the Authorization header for a Bearer token, validates it,
  * and attaches the decoded user data to the request object.
+ * Tokens issued for a login session (sid claim) are rejected once that
+ * session has been revoked by logout or refresh token reuse.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     // Get the Authorization header
     const authHeader = req.headers['authorization'];
     
@@ -35,16 +38,10 @@ const authenticateToken = (req, res, next) => {
         });
     }
     
+    let decoded;
     try {
         // Verify the token using the JWT secret
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Attach the decoded user data to the request object
-        req.user = decoded;
-        
-        // Call next() to proceed to the next middleware/route handler
-        next();
-        
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         // Handle different JWT errors
         if (error.name === 'TokenExpiredError') {
@@ -69,6 +66,30 @@ const authenticateToken = (req, res, next) => {
             });
         }
     }
+
+    // Session-bound tokens stop working as soon as the session is revoked
+    if (decoded.sid) {
+        try {
+            if (!(await isSessionActive(decoded.sid))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Session has been revoked. Please login again.'
+                });
+            }
+        } catch (error) {
+            console.error('Error checking session:', error.message || error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to validate session.'
+            });
+        }
+    }
+
+    // Attach the decoded user data to the request object
+    req.user = decoded;
+
+    // Call next() to proceed to the next middleware/route handler
+    next();
 };
 
 /**
@@ -82,7 +103,7 @@ const authenticateToken = (req, res, next) => {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     
     // If no authorization header, continue without user data
@@ -98,9 +119,11 @@ const optionalAuth = (req, res, next) => {
     }
     
     try {
-        // Try to verify the token
+        // Try to verify the token; tokens from revoked sessions are ignored
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        if (!decoded.sid || await isSessionActive(decoded.sid)) {
+            req.user = decoded;
+        }
     } catch (error) {
         // If token is invalid, continue without user data (don't throw error)
         console.log('Optional auth - invalid token:', error.message);
@@ -0,0 +1,47 @@
+const multer = require('multer');
+const { MAX_IMAGE_BYTES, IMAGE_FORMATS } = require('../utils/images');
+
+const ACCEPTED_TYPES = Object.values(IMAGE_FORMATS);
+
+// Files are kept in memory: they are resized before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => callback(null, ACCEPTED_TYPES.includes(file.mimetype))
+});
+
+/**
+ * Parse a multipart/form-data request carrying one image in the given field into
+ * req.file (other fields land in req.body). Rejects oversized files with 413 and
+ * missing or non-image files with 400.
+ * @param {string} field - Form field holding the file
+ */
+function imageUpload(field) {
+  const parse = upload.single(field);
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({ error: `Send the image as multipart/form-data in the "${field}" field` });
+    }
+
+    parse(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: `Image must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` });
+        }
+        return res.status(400).json({ error: `Invalid upload: ${err.message}` });
+      }
+      if (err) {
+        return next(err);
+      }
+      if (!req.file) {
+        return res.status(400).json({
+          error: `An image file is required in the "${field}" field (JPEG, PNG or WebP)`
+        });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = { imageUpload };
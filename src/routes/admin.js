@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit');
+const exportsController = require('../controllers/exports');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// Admin-only routes
+// GET /admin/audit -> audit log of administrative changes, filterable by entity, actor and date range
+router.get('/audit', authenticateToken, requireAdmin, auditController.getAuditLog);
+// GET /admin/export/bars -> stream active bars with hours, tags and links as CSV, NDJSON or GeoJSON
+router.get('/export/bars', authenticateToken, requireAdmin, exportsController.exportBars);
+// GET /admin/export/events -> stream upcoming event instances as CSV, NDJSON or GeoJSON
+router.get('/export/events', authenticateToken, requireAdmin, exportsController.exportEvents);
+
+module.exports = router;
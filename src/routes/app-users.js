@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const appUsersController = require('../controllers/appUsers');
+const favoritesController = require('../controllers/favorites');
+const rsvpsController = require('../controllers/rsvps');
+const sessionsController = require('../controllers/sessions');
 const { authenticateToken } = require('../middleware/auth');
 const loginRateLimiter = require('../middleware/loginRateLimiter');
 
@@ -9,9 +12,20 @@ router.post('/register', appUsersController.register);
 router.post('/login', loginRateLimiter, appUsersController.login);
 router.post('/forgot-password', appUsersController.forgotPassword);
 router.post('/reset-password', appUsersController.resetPassword);
+router.post('/refresh', sessionsController.refreshAppUser);
 
 // Protected routes
 router.get('/me', authenticateToken, appUsersController.getProfile);
 router.put('/me', authenticateToken, appUsersController.updateProfile);
+router.post('/logout', authenticateToken, sessionsController.logoutAppUser);
+router.post('/logout-all', authenticateToken, sessionsController.logoutAllAppUser);
+
+// Favorites
+router.get('/me/favorites/bars', authenticateToken, favoritesController.getFavoriteBars);
+router.post('/me/favorites/bars/:barId', authenticateToken, favoritesController.addFavoriteBar);
+router.delete('/me/favorites/bars/:barId', authenticateToken, favoritesController.removeFavoriteBar);
+
+// RSVPs
+router.get('/me/rsvps', authenticateToken, rsvpsController.getMyRsvps);
 
 module.exports = router;
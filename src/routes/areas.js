@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const areasController = require('../controllers/areas');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// Public routes (read operations)
+// GET /areas -> list stored map areas (neighborhoods) usable as GET /bars?area=
+router.get('/', areasController.getAllAreas);
+// GET /areas/:idOrSlug -> get a map area with its GeoJSON geometry
+router.get('/:idOrSlug', areasController.getArea);
+
+// Admin routes (data modification)
+// POST /areas -> create a map area from a GeoJSON polygon
+router.post('/', authenticateToken, requireAdmin, areasController.createArea);
+// PUT /areas/:id -> replace a map area's name, slug and geometry
+router.put('/:id', authenticateToken, requireAdmin, areasController.updateArea);
+// DELETE /areas/:id -> delete a map area
+router.delete('/:id', authenticateToken, requireAdmin, areasController.deleteArea);
+
+module.exports = router;
@@ -3,19 +3,39 @@ const router = express.Router();
 const barsController = require('../controllers/bars');
 const eventsController = require('../controllers/events');
 const userBarsController = require('../controllers/userBars');
+const calendarsController = require('../controllers/calendars');
+const barHourExceptionsController = require('../controllers/barHourExceptions');
+const barImportController = require('../controllers/barImport');
+const scheduleConflictsController = require('../controllers/scheduleConflicts');
+const imagesController = require('../controllers/images');
+const barPhotosController = require('../controllers/barPhotos');
+const specialsController = require('../controllers/specials');
 const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/imageUpload');
 
 // Public routes (read operations)
 // GET /bars -> list all bars with optional filtering and includes (optional auth for future features)
 router.get('/', optionalAuth, barsController.getAllBars);
 // GET /bars/search/name -> search bars by name with optional includes
 router.get('/search/name', optionalAuth, barsController.searchBarsByName);
+// POST /bars/search/area -> list bars inside a GeoJSON polygon sent as the body (same query params as GET /bars)
+router.post('/search/area', optionalAuth, barsController.searchBarsInArea);
 // GET /bars/:barId/tags -> get all tags associated with a specific bar
 router.get('/:barId/tags', barsController.getBarTags);
 // GET /bars/:barId/hours -> get all hours for a specific bar
 router.get('/:barId/hours', barsController.getBarHours);
+// GET /bars/:barId/hours/exceptions -> list date-specific hour overrides (holidays, closures)
+router.get('/:barId/hours/exceptions', barHourExceptionsController.getHourExceptions);
+// GET /bars/:barId/photos -> a bar's photo gallery in display order
+router.get('/:barId/photos', barPhotosController.getBarPhotos);
+// GET /bars/:barId/specials -> a bar's drink specials with their weekly windows
+router.get('/:barId/specials', specialsController.getBarSpecials);
+// GET /bars/:barId/specials/:specialId -> a single special
+router.get('/:barId/specials/:specialId', specialsController.getBarSpecial);
 // GET /bars/:barId/links -> get all public links for a specific bar
 router.get('/:barId/links', barsController.getBarLinks);
+// GET /bars/:barId/events.ics -> iCalendar feed of all active events at a bar
+router.get('/:barId/events.ics', calendarsController.getBarCalendar);
 
 // GET /bars/:id -> get single bar with optional includes (optional auth for future features)
 router.get('/:id', optionalAuth, barsController.getBar);
@@ -23,10 +43,36 @@ router.get('/:id', optionalAuth, barsController.getBar);
 // Protected routes (data modification)
 // POST /bars -> create a new bar with hours and tags
 router.post('/', authenticateToken, barsController.createBar);
+// POST /bars/import -> bulk create bars from JSON or CSV, with ?dry_run=true validation (admin only)
+router.post('/import', authenticateToken, requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), barImportController.importBars);
 // PUT /bars/:id -> update bar information
 router.put('/:id', authenticateToken, barsController.updateBar);
 // PUT /bars/:barId/hours -> update bar hours
 router.put('/:barId/hours', authenticateToken, barsController.updateBarHours);
+// POST /bars/:barId/hours/exceptions -> add hours for a specific date
+router.post('/:barId/hours/exceptions', authenticateToken, barHourExceptionsController.createHourException);
+// PUT /bars/:barId/hours/exceptions/:exceptionId -> replace a date-specific hour exception
+router.put('/:barId/hours/exceptions/:exceptionId', authenticateToken, barHourExceptionsController.updateHourException);
+// DELETE /bars/:barId/hours/exceptions/:exceptionId -> remove a date-specific hour exception
+router.delete('/:barId/hours/exceptions/:exceptionId', authenticateToken, barHourExceptionsController.deleteHourException);
+// POST /bars/:barId/images -> upload a bar image (multipart/form-data, file in "image")
+router.post('/:barId/images', authenticateToken, imageUpload('image'), imagesController.uploadBarImage);
+// POST /bars/:barId/photos -> add an uploaded image (image_id) or external url to the gallery
+router.post('/:barId/photos', authenticateToken, barPhotosController.addBarPhoto);
+// PUT /bars/:barId/photos/order -> rearrange the gallery (must precede /:photoId)
+router.put('/:barId/photos/order', authenticateToken, barPhotosController.reorderBarPhotos);
+// PUT /bars/:barId/photos/:photoId -> update a photo's caption or cover flag
+router.put('/:barId/photos/:photoId', authenticateToken, barPhotosController.updateBarPhoto);
+// DELETE /bars/:barId/photos/:photoId -> remove a photo from the gallery
+router.delete('/:barId/photos/:photoId', authenticateToken, barPhotosController.deleteBarPhoto);
+// POST /bars/:barId/specials -> add a drink special
+router.post('/:barId/specials', authenticateToken, specialsController.createSpecial);
+// PUT /bars/:barId/specials/:specialId -> replace a drink special and its windows
+router.put('/:barId/specials/:specialId', authenticateToken, specialsController.updateSpecial);
+// DELETE /bars/:barId/specials/:specialId -> delete a drink special
+router.delete('/:barId/specials/:specialId', authenticateToken, specialsController.deleteSpecial);
+// GET /bars/:barId/schedule/conflicts -> overlapping events and events outside the bar's hours
+router.get('/:barId/schedule/conflicts', authenticateToken, scheduleConflictsController.getScheduleConflicts);
 // DELETE /bars/:id -> soft delete bar (set is_active to false)
 router.delete('/:id', authenticateToken, barsController.deleteBar);
 // POST /bars/:barId/tags/:tagId -> add a tag to a bar
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const eventTagsController = require('../controllers/event-tags');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
 // Public routes (read operations)
 // GET /event-tags -> list all event tags
@@ -14,5 +14,7 @@ router.post('/', authenticateToken, eventTagsController.createEventTag);
 router.put('/:id', authenticateToken, eventTagsController.updateEventTag);
 // DELETE /event-tags/:id -> delete event tag (only if not used by any events)
 router.delete('/:id', authenticateToken, eventTagsController.deleteEventTag);
+// POST /event-tags/:id/merge-into/:targetId -> move a duplicate event tag's uses to another event tag and delete it (admin only)
+router.post('/:id/merge-into/:targetId', authenticateToken, requireAdmin, eventTagsController.mergeEventTag);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const eventsController = require('../controllers/events');
+const rsvpsController = require('../controllers/rsvps');
+const calendarsController = require('../controllers/calendars');
+const imagesController = require('../controllers/images');
 const { authenticateToken } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/imageUpload');
 
 // Public routes (no authentication required)
 
@@ -25,6 +29,13 @@ router.get('/instances', eventsController.getEventInstances);
  */
 router.get('/instances/:instanceId', eventsController.getEventInstance);
 
+/**
+ * GET /events/:id.ics
+ * iCalendar feed for a single event, including recurrence, cancellations and overrides
+ * Must be registered before /:id so the .ics suffix is not captured as part of the id
+ */
+router.get('/:id.ics', calendarsController.getEventCalendar);
+
 /**
  * GET /events/:id
  * Get a single event by ID (includes tags)
@@ -40,6 +51,21 @@ router.get('/:id', eventsController.getEvent);
  */
 router.put('/instances/:instanceId', authenticateToken, eventsController.updateEventInstance);
 
+/**
+ * PUT /events/instances/:instanceId/rsvp
+ * Mark the current app user as going or interested in an instance
+ * Body: { status: 'going' | 'interested' }
+ * Requires app user JWT authentication
+ */
+router.put('/instances/:instanceId/rsvp', authenticateToken, rsvpsController.setRsvp);
+
+/**
+ * DELETE /events/instances/:instanceId/rsvp
+ * Remove the current app user's RSVP for an instance
+ * Requires app user JWT authentication
+ */
+router.delete('/instances/:instanceId/rsvp', authenticateToken, rsvpsController.removeRsvp);
+
 /**
  * POST /events
  * Create a new event
@@ -50,10 +76,19 @@ router.post('/', authenticateToken, eventsController.createEvent);
 /**
  * PUT /events/:id
  * Update an existing event
+ * Body may include scope ('series' | 'instance' | 'following') with occurrence_date
  * Requires JWT authentication
  */
 router.put('/:id', authenticateToken, eventsController.updateEvent);
 
+/**
+ * POST /events/:id/image
+ * Upload the event's image (multipart/form-data, file in "image"; optional
+ * occurrence_date to set one instance's image instead)
+ * Requires JWT authentication
+ */
+router.post('/:id/image', authenticateToken, imageUpload('image'), imagesController.uploadEventImage);
+
 /**
  * DELETE /events/:id
  * Soft delete an event (sets is_active = false)
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/search');
+
+// Public routes (read operations)
+// GET /search?q= -> ranked search across bars, upcoming events and tags, grouped by type
+router.get('/', searchController.search);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const specialsController = require('../controllers/specials');
+
+// Public routes (read operations)
+// GET /specials/active -> specials running now near lat/lon (radius, unit, limit)
+router.get('/active', specialsController.getActiveSpecials);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const tagCategoriesController = require('../controllers/tagCategories');
+const { authenticateToken } = require('../middleware/auth');
+
+// Public routes (read operations)
+// GET /tag-categories -> list tag categories in display order
+router.get('/', tagCategoriesController.getAllTagCategories);
+// GET /tag-categories/:idOrSlug -> get a single tag category
+router.get('/:idOrSlug', tagCategoriesController.getTagCategory);
+
+// Protected routes (data modification)
+// POST /tag-categories -> create a tag category
+router.post('/', authenticateToken, tagCategoriesController.createTagCategory);
+// PUT /tag-categories/:id -> update a tag category (name, slug, parent, icon, display order)
+router.put('/:id', authenticateToken, tagCategoriesController.updateTagCategory);
+// DELETE /tag-categories/:id -> delete tag category (only if it has no tags or subcategories)
+router.delete('/:id', authenticateToken, tagCategoriesController.deleteTagCategory);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const tagsController = require('../controllers/tags');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
 // Public routes (read operations)
 // GET /tags -> list all tags
@@ -14,5 +14,7 @@ router.post('/', authenticateToken, tagsController.createTag);
 router.put('/:id', authenticateToken, tagsController.updateTag);
 // DELETE /tags/:id -> delete tag (only if not used by any bars)
 router.delete('/:id', authenticateToken, tagsController.deleteTag);
+// POST /tags/:id/merge-into/:targetId -> move a duplicate tag's uses to another tag and delete it (admin only)
+router.post('/:id/merge-into/:targetId', authenticateToken, requireAdmin, tagsController.mergeTag);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const usersController = require('../controllers/users');
 const userBarsController = require('../controllers/userBars');
+const sessionsController = require('../controllers/sessions');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const loginRateLimiter = require('../middleware/loginRateLimiter');
 
@@ -12,6 +13,8 @@ router.post('/login', loginRateLimiter, usersController.login);
 router.post('/forgot-password', usersController.forgotPassword);
 // POST /users/reset-password -> reset password with token
 router.post('/reset-password', usersController.resetPassword);
+// POST /users/refresh -> exchange a refresh token for a new access + refresh token
+router.post('/refresh', sessionsController.refreshWebUser);
 
 // Protected routes (authentication required)
 // POST /users -> signup (creates a admin user for this form)
@@ -22,6 +25,10 @@ router.post('/create-user', authenticateToken, requireAdmin, usersController.cre
 router.get('/profile', authenticateToken, usersController.getProfile);
 // PUT /users/profile -> update current user profile
 router.put('/profile', authenticateToken, usersController.updateProfile);
+// POST /users/logout -> revoke the current session
+router.post('/logout', authenticateToken, sessionsController.logoutWebUser);
+// POST /users/logout-all -> revoke every session of the current user
+router.post('/logout-all', authenticateToken, sessionsController.logoutAllWebUser);
 // DELETE /users/:id -> delete user by UUID
 router.delete('/:id', authenticateToken, usersController.deleteUser);
 
@@ -0,0 +1,112 @@
+/**
+ * Audit log of administrative changes.
+ *
+ * Each entry records who acted (from the JWT on the request), what they did and
+ * a per-field diff: { field: { before, after } }. Creates have before = null,
+ * deletes have after = null. Pass the transaction connection as executor when
+ * the change runs in a transaction, so a rollback discards the entry too.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const AUDIT_ENTITY_TYPES = ['bar', 'event', 'event_instance', 'web_user', 'app_user', 'map_area', 'tag', 'event_tag', 'bar_special'];
+
+/**
+ * Normalize a value for storage and comparison in a diff
+ * @param {*} value - Raw value (DB row value or request payload value)
+ * @returns {*} JSON-safe value (undefined becomes null, Dates become ISO strings)
+ */
+function normalizeAuditValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+}
+
+/**
+ * Compare two normalized values. Numbers are compared numerically so DECIMAL
+ * columns read back as strings ("42.3600000") do not show up as changes.
+ */
+function isSameValue(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return a !== null && b !== null && Number(a) === Number(b);
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+/**
+ * Build a per-field diff between two snapshots
+ * @param {Object|null} before - State before the change (null for creates)
+ * @param {Object|null} after - State after the change (null for deletes)
+ * @returns {Object} { field: { before, after } } for every field that changed
+ */
+function diffSnapshots(before, after) {
+  const previous = before || {};
+  const next = after || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    const beforeValue = before ? normalizeAuditValue(previous[field]) : null;
+    const afterValue = after ? normalizeAuditValue(next[field]) : null;
+    if (!isSameValue(beforeValue, afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record an audit entry for the authenticated user on the request.
+ * Failures are logged and swallowed - auditing never fails the change itself.
+ * Updates that changed nothing are not recorded.
+ *
+ * @param {Object} req - Express request (req.user supplies the actor)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'create', 'update', 'delete', 'add_tag'
+ * @param {string} entry.entityType - One of AUDIT_ENTITY_TYPES
+ * @param {string} entry.entityId - Id of the changed entity
+ * @param {Object|null} [entry.before] - Snapshot before the change
+ * @param {Object|null} [entry.after] - Snapshot after the change
+ * @param {Object} [entry.executor=db] - db or a transaction connection
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, entityType, entityId, before = null, after = null, executor = db }) {
+  const changes = diffSnapshots(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return;
+  }
+
+  const actor = req.user || {};
+  try {
+    await executor.execute(
+      `INSERT INTO audit_log (id, actor_id, actor_role, actor_type, action, entity_type, entity_id, changes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        actor.userId || null,
+        actor.role || null,
+        actor.userType || null,
+        action,
+        entityType,
+        entityId,
+        JSON.stringify(changes)
+      ]
+    );
+  } catch (err) {
+    console.error('Error recording audit entry:', err.message || err);
+  }
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  diffSnapshots,
+  recordAudit
+};
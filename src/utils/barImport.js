@@ -0,0 +1,202 @@
+/**
+ * Parsing and row validation for bulk bar imports (POST /bars/import).
+ *
+ * Rows arrive either as JSON objects shaped like the createBar payload, with tag
+ * names instead of tag ids, or as CSV with one bar per line:
+ *
+ *   name,address_street,address_city,address_state,address_zip,...,tags,hours_mon,...,hours_sun
+ *   "The Pub","1 Main St",Boston,MA,02108,...,"Sports Bar;Trivia",16:00-02:00,...,closed
+ *
+ * CSV tags are separated by ';'. Each hours_<day> cell is "HH:MM-HH:MM" (seconds
+ * optional), "closed", or empty when the day has no hours.
+ */
+
+const { parseCsv } = require('./csv');
+const { BAR_FIELDS, validateBarFields, validateBarHours } = require('./barRecords');
+
+const MAX_IMPORT_ROWS = 500;
+
+// Index in this list is the day_of_week (0 = Sunday)
+const HOURS_COLUMNS = ['hours_sun', 'hours_mon', 'hours_tue', 'hours_wed', 'hours_thu', 'hours_fri', 'hours_sat'];
+const CSV_COLUMNS = [...BAR_FIELDS, 'tags', ...HOURS_COLUMNS];
+
+const normalizeTime = (value) => (value.length === 5 ? `${value}:00` : value);
+
+/**
+ * Parse one CSV hours cell for a day
+ * @param {string} value - Cell value
+ * @param {number} dayOfWeek - Day the column stands for
+ * @returns {{hour: Object|null}|{error: string}} Hours entry (null if empty) or an error
+ */
+function parseHoursCell(value, dayOfWeek) {
+  const trimmed = value.trim();
+  if (trimmed === '') {
+    return { hour: null };
+  }
+  if (trimmed.toLowerCase() === 'closed') {
+    return { hour: { day_of_week: dayOfWeek, is_closed: true } };
+  }
+  const match = /^(\d{1,2}:\d{2}(?::\d{2})?)\s*-\s*(\d{1,2}:\d{2}(?::\d{2})?)$/.exec(trimmed);
+  if (!match) {
+    return { error: `${HOURS_COLUMNS[dayOfWeek]} must be "HH:MM-HH:MM" or "closed"` };
+  }
+  const pad = (time) => (time.indexOf(':') === 1 ? `0${time}` : time);
+  return {
+    hour: {
+      day_of_week: dayOfWeek,
+      open_time: normalizeTime(pad(match[1])),
+      close_time: normalizeTime(pad(match[2])),
+      is_closed: false
+    }
+  };
+}
+
+/**
+ * Format an hours entry as a CSV hours cell (the inverse of parseHoursCell)
+ * @param {Object} [hour] - Hours entry ({ open_time, close_time, is_closed })
+ * @returns {string} "HH:MM-HH:MM", "closed", or '' when there is no entry
+ */
+function formatHoursCell(hour) {
+  if (!hour) {
+    return '';
+  }
+  if (hour.is_closed) {
+    return 'closed';
+  }
+  const trim = (time) => (/^\d{2}:\d{2}:00$/.test(time) ? time.slice(0, 5) : time);
+  return `${trim(hour.open_time)}-${trim(hour.close_time)}`;
+}
+
+/**
+ * Turn a CSV document into import records (JSON-shaped, hours parsed)
+ * @param {string} text - CSV document with a header row
+ * @returns {{records: Array<Object>}|{error: string}} Records or a document-level error
+ */
+function parseBarCsv(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) {
+    return { error: `Invalid CSV: ${parsed.error}` };
+  }
+  if (parsed.rows.length < 2) {
+    return { error: 'CSV must contain a header row and at least one bar' };
+  }
+
+  const header = parsed.rows[0].map(column => column.trim().toLowerCase());
+  const unknownColumns = header.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknownColumns.length > 0) {
+    return { error: `Unknown CSV columns: ${unknownColumns.join(', ')}. Allowed columns: ${CSV_COLUMNS.join(', ')}` };
+  }
+
+  const records = parsed.rows.slice(1).map(fields => {
+    const record = { hours: [], tags: [] };
+    const errors = [];
+
+    header.forEach((column, index) => {
+      const value = fields[index] === undefined ? '' : fields[index];
+      const dayOfWeek = HOURS_COLUMNS.indexOf(column);
+
+      if (dayOfWeek !== -1) {
+        const cell = parseHoursCell(value, dayOfWeek);
+        if (cell.error) {
+          errors.push(cell.error);
+        } else if (cell.hour) {
+          record.hours.push(cell.hour);
+        }
+      } else if (column === 'tags') {
+        record.tags = value.split(';').map(tag => tag.trim()).filter(Boolean);
+      } else if (value.trim() !== '') {
+        record[column] = value.trim();
+      }
+    });
+
+    if (fields.length > header.length) {
+      errors.push(`Row has ${fields.length} fields but the header has ${header.length}`);
+    }
+    if (errors.length > 0) {
+      record.parse_errors = errors;
+    }
+    return record;
+  });
+
+  return { records };
+}
+
+/**
+ * Validate one import record and resolve its tag names.
+ * Applies createBar's field rules, the weekly hours rules and coordinate ranges.
+ * @param {Object} record - JSON record or parsed CSV record
+ * @param {Map<string, string>} tagIdsByName - Lowercased tag name -> tag id
+ * @returns {{bar: Object, errors: Array<string>}} createBar-shaped payload (tag_ids) and row errors
+ */
+function prepareImportRow(record, tagIdsByName) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { bar: null, errors: ['Row must be an object'] };
+  }
+
+  const errors = [...(record.parse_errors || [])];
+  const bar = {};
+  for (const field of BAR_FIELDS) {
+    if (record[field] !== undefined && record[field] !== null && record[field] !== '') {
+      bar[field] = typeof record[field] === 'string' ? record[field].trim() : record[field];
+    }
+  }
+
+  const fieldsError = validateBarFields(bar);
+  if (fieldsError) {
+    errors.push(fieldsError);
+  }
+
+  for (const field of ['latitude', 'longitude']) {
+    if (bar[field] !== undefined) {
+      const value = Number(bar[field]);
+      const limit = field === 'latitude' ? 90 : 180;
+      if (!Number.isFinite(value) || value < -limit || value > limit) {
+        errors.push(`${field} must be a number between -${limit} and ${limit}`);
+      } else {
+        bar[field] = value;
+      }
+    }
+  }
+
+  if (record.hours !== undefined) {
+    const hoursError = validateBarHours(record.hours);
+    if (hoursError) {
+      errors.push(hoursError);
+    } else {
+      bar.hours = record.hours;
+    }
+  }
+
+  if (record.tags !== undefined) {
+    if (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be an array of tag names');
+    } else {
+      const unknownTags = [];
+      const tagIds = new Set();
+      for (const tag of record.tags) {
+        const tagId = tagIdsByName.get(tag.trim().toLowerCase());
+        if (tagId) {
+          tagIds.add(tagId);
+        } else {
+          unknownTags.push(tag);
+        }
+      }
+      if (unknownTags.length > 0) {
+        errors.push(`Unknown tags: ${unknownTags.join(', ')}`);
+      }
+      bar.tag_ids = [...tagIds];
+    }
+  }
+
+  return { bar, errors };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  CSV_COLUMNS,
+  HOURS_COLUMNS,
+  parseHoursCell,
+  formatHoursCell,
+  parseBarCsv,
+  prepareImportRow
+};
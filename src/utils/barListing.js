@@ -0,0 +1,907 @@
+const db = require('./db');
+const {
+  DEFAULT_TIMEZONE,
+  addDays,
+  buildLocalClockJoin,
+  buildWallClockJoin,
+  getDayOfWeek,
+  getZonedDateTime,
+  parseLocalDateTime
+} = require('./timezone');
+const { parseBbox, geometryBounds, buildDistanceQuery } = require('./geo');
+const { findMapArea } = require('./mapAreas');
+const { parseTagFilters } = require('./tagFilters');
+const { fetchCoverPhotos } = require('./barPhotos');
+
+// open_between windows longer than this are rejected to keep the query bounded
+const MAX_OPEN_BETWEEN_DAYS = 7;
+
+// cluster=true grid size (cells per side of the map bounds)
+const DEFAULT_CLUSTER_GRID = 8;
+const MAX_CLUSTER_GRID = 50;
+
+const normalizeTimeString = value => {
+  if (value === undefined || value === null || value === '' || value === 'null') {
+    return null;
+  }
+  let stringValue = typeof value === 'string' ? value : String(value);
+  if (/^\d{2}:\d{2}:\d{2}$/.test(stringValue)) {
+    return stringValue;
+  }
+  if (/^\d{2}:\d{2}$/.test(stringValue)) {
+    return `${stringValue}:00`;
+  }
+  if (/^\d{1,2}$/.test(stringValue)) {
+    return `${stringValue.padStart(2, '0')}:00:00`;
+  }
+  return null;
+};
+
+const fetchBarHours = async barId => {
+  const hoursSql = `
+    SELECT
+      id,
+      day_of_week,
+      open_time,
+      close_time,
+      is_closed,
+      crosses_midnight
+    FROM bar_hours
+    WHERE bar_id = ?
+    ORDER BY day_of_week
+  `;
+  const [rows] = await db.execute(hoursSql, [barId]);
+  return rows.map(hour => ({
+    id: hour.id,
+    day_of_week: hour.day_of_week,
+    open_time: normalizeTimeString(hour.open_time),
+    close_time: normalizeTimeString(hour.close_time),
+    is_closed: Boolean(hour.is_closed),
+    crosses_midnight: Boolean(hour.crosses_midnight)
+  }));
+};
+
+/**
+ * Load date-specific hour overrides for a bar (holidays, late nights, closures)
+ * @param {string} barId - Bar UUID
+ * @param {string} [fromDate] - Earliest date to include (YYYY-MM-DD)
+ * @param {string} [toDate] - Latest date to include (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Exceptions ordered by date
+ */
+const fetchBarHourExceptions = async (barId, fromDate = null, toDate = null) => {
+  let exceptionsSql = `
+    SELECT
+      id,
+      DATE_FORMAT(date, '%Y-%m-%d') as date,
+      open_time,
+      close_time,
+      is_closed,
+      crosses_midnight,
+      reason
+    FROM bar_hour_exceptions
+    WHERE bar_id = ?
+  `;
+  const params = [barId];
+  if (fromDate) {
+    exceptionsSql += ' AND date >= ?';
+    params.push(fromDate);
+  }
+  if (toDate) {
+    exceptionsSql += ' AND date <= ?';
+    params.push(toDate);
+  }
+  exceptionsSql += ' ORDER BY date';
+
+  const [rows] = await db.execute(exceptionsSql, params);
+  return rows.map(exception => ({
+    id: exception.id,
+    date: exception.date,
+    open_time: normalizeTimeString(exception.open_time),
+    close_time: normalizeTimeString(exception.close_time),
+    is_closed: Boolean(exception.is_closed),
+    crosses_midnight: Boolean(exception.crosses_midnight),
+    reason: exception.reason || null
+  }));
+};
+
+/**
+ * Overlay exceptions falling in the 7 days starting at fromDate onto the weekly
+ * template, so each day_of_week entry reflects the hours actually in effect
+ * this week. Overridden days carry an `exception` object ({ id, date, reason }).
+ * @param {Array<Object>} hours - Weekly template rows (fetchBarHours output)
+ * @param {Array<Object>} exceptions - Exceptions (fetchBarHourExceptions output)
+ * @param {string} fromDate - First local date of the week (YYYY-MM-DD)
+ * @returns {Array<Object>} Hours ordered by day_of_week
+ */
+const applyHourExceptions = (hours, exceptions, fromDate) => {
+  const byDay = new Map(hours.map(hour => [hour.day_of_week, { ...hour, exception: null }]));
+  const exceptionsByDate = new Map(exceptions.map(exception => [exception.date, exception]));
+
+  for (let offset = 0; offset < 7; offset++) {
+    const date = addDays(fromDate, offset);
+    const exception = exceptionsByDate.get(date);
+    if (!exception) {
+      continue;
+    }
+    const dayOfWeek = getDayOfWeek(date);
+    const template = byDay.get(dayOfWeek);
+    byDay.set(dayOfWeek, {
+      id: template ? template.id : null,
+      day_of_week: dayOfWeek,
+      open_time: exception.is_closed ? null : exception.open_time,
+      close_time: exception.is_closed ? null : exception.close_time,
+      is_closed: exception.is_closed,
+      crosses_midnight: exception.crosses_midnight,
+      exception: { id: exception.id, date, reason: exception.reason }
+    });
+  }
+
+  return [...byDay.values()].sort((a, b) => a.day_of_week - b.day_of_week);
+};
+
+/**
+ * Check whether a bar is open at a local wall-clock moment. Mirrors the SQL
+ * open_now predicate: a day's hours (from an exception on that date, otherwise
+ * the weekly template) count from open_time, and cross-midnight hours keep the
+ * bar open on the following day until close_time.
+ * @param {Array<Object>} hours - Weekly template rows (fetchBarHours output)
+ * @param {{date?: string, dayOfWeek: number, time: string}} local - Local date, day (0=Sunday) and time (HH:MM:SS) in the bar's zone
+ * @param {Array<Object>} [exceptions] - Exceptions covering local.date and the day before
+ * @returns {boolean} True if open
+ */
+const isOpenAt = (hours, { date, dayOfWeek, time }, exceptions = []) => {
+  const hoursFor = (day, exceptionDate) => {
+    const exception = exceptionDate && exceptions.find(e => e.date === exceptionDate);
+    return exception || hours.find(hour => hour.day_of_week === day);
+  };
+  const isOpenDay = hour => Boolean(hour && !hour.is_closed && hour.open_time && hour.close_time);
+
+  const today = hoursFor(dayOfWeek, date);
+  if (isOpenDay(today)) {
+    const openNow = today.crosses_midnight
+      ? time >= today.open_time
+      : time >= today.open_time && time <= today.close_time;
+    if (openNow) {
+      return true;
+    }
+  }
+
+  const yesterday = hoursFor((dayOfWeek + 6) % 7, date ? addDays(date, -1) : null);
+  return isOpenDay(yesterday) && Boolean(yesterday.crosses_midnight) && time <= yesterday.close_time;
+};
+
+/**
+ * Load a bar's hours for the coming week in its local time zone, with any
+ * exceptions applied
+ * @param {string} barId - Bar UUID
+ * @param {string} [timeZone] - Bar's IANA time zone
+ * @returns {Promise<Array<Object>>} Hours ordered by day_of_week
+ */
+const fetchEffectiveBarHours = async (barId, timeZone = DEFAULT_TIMEZONE) => {
+  const today = getZonedDateTime(timeZone || DEFAULT_TIMEZONE).date;
+  const hours = await fetchBarHours(barId);
+  const exceptions = await fetchBarHourExceptions(barId, today, addDays(today, 6));
+  return applyHourExceptions(hours, exceptions, today);
+};
+
+/**
+ * Build the bar_clock join (see utils/timezone) for every time zone used by an active bar
+ * @param {Object} [options] - Passed through to buildLocalClockJoin
+ * @returns {Promise<{sql: string, params: Array}>} JOIN clause and its parameters
+ */
+const fetchLocalClockJoin = async (options = {}) => {
+  const [rows] = await db.query('SELECT DISTINCT timezone FROM bars WHERE is_active = 1');
+  return buildLocalClockJoin(rows.map(row => row.timezone), options);
+};
+
+// Parses the GROUP_CONCAT'd "id:name:category" tag list into objects
+const parseConcatenatedTags = value => {
+  if (!value) return [];
+  return value.split(',').map(t => {
+    const [id, name, category] = t.split(':');
+    return {
+      id,
+      name,
+      category: category || null
+    };
+  });
+};
+
+// Parses the GROUP_CONCAT'd "id:title:date:start_time:category" event list into objects
+const parseConcatenatedEvents = value => {
+  if (!value) return [];
+  return value.split(',').map(e => {
+    const [id, title, date, start_time, category] = e.split(':');
+    return {
+      id,
+      title,
+      date,
+      start_time: start_time || null,
+      category: category || null
+    };
+  });
+};
+
+/**
+ * SQL condition: the hours in effect for one day (a bar_hour_exceptions row for
+ * that date, otherwise the bar_hours row for its weekday) satisfy timeCheck.
+ * @param {{date: string, dow: string}} day - SQL expressions for the date and its day_of_week
+ * @param {Function} timeCheck - Given a table alias, returns the SQL condition on its hours
+ * @returns {string} SQL condition (references alias b)
+ */
+const buildHoursSessionClause = (day, timeCheck) => `(
+  EXISTS (
+    SELECT 1 FROM bar_hour_exceptions bx_open
+    WHERE bx_open.bar_id = b.id
+    AND bx_open.date = ${day.date}
+    AND bx_open.is_closed = 0
+    AND ${timeCheck('bx_open')}
+  )
+  OR (
+    NOT EXISTS (
+      SELECT 1 FROM bar_hour_exceptions bx_skip
+      WHERE bx_skip.bar_id = b.id AND bx_skip.date = ${day.date}
+    )
+    AND EXISTS (
+      SELECT 1 FROM bar_hours bh_open
+      WHERE bh_open.bar_id = b.id
+      AND bh_open.day_of_week = ${day.dow}
+      AND bh_open.is_closed = 0
+      AND ${timeCheck('bh_open')}
+    )
+  )
+)`;
+
+/**
+ * SQL condition: the bar is open at bar_clock.local_date / local_time / local_dow
+ * (joined via buildLocalClockJoin or buildWallClockJoin)
+ * @returns {string} SQL condition
+ */
+const buildOpenAtClockClause = () => {
+  const today = { date: 'bar_clock.local_date', dow: 'bar_clock.local_dow' };
+  const yesterday = {
+    date: 'DATE_SUB(bar_clock.local_date, INTERVAL 1 DAY)',
+    dow: 'MOD(bar_clock.local_dow + 6, 7)'
+  };
+
+  return `(
+    -- Hours that opened today (normal, or cross-midnight and past opening time)
+    ${buildHoursSessionClause(today, alias => `(
+      (${alias}.crosses_midnight = 0 AND bar_clock.local_time BETWEEN ${alias}.open_time AND ${alias}.close_time)
+      OR (${alias}.crosses_midnight = 1 AND bar_clock.local_time >= ${alias}.open_time)
+    )`)}
+    OR
+    -- Cross-midnight hours that opened yesterday and have not closed yet
+    ${buildHoursSessionClause(yesterday, alias => `(
+      ${alias}.crosses_midnight = 1 AND bar_clock.local_time <= ${alias}.close_time
+    )`)}
+  )`;
+};
+
+/**
+ * SQL condition: the bar is open at some point between two local wall-clock
+ * moments. Each day's hours run from open_time to close_time, ending on the
+ * next day when they cross midnight; the bar matches if any of those spans,
+ * starting from the day before the window, overlaps the window.
+ * @param {{date: string, time: string}} start - Window start (see parseLocalDateTime)
+ * @param {{date: string, time: string}} end - Window end
+ * @returns {{sql: string, params: Array}} SQL condition and its parameters
+ */
+const buildOpenBetweenClause = (start, end) => {
+  const windowStart = `${start.date} ${start.time}`;
+  const windowEnd = `${end.date} ${end.time}`;
+
+  const params = [];
+  const rows = [];
+  for (let date = addDays(start.date, -1); date <= end.date; date = addDays(date, 1)) {
+    rows.push('SELECT ? AS day_date, ? AS day_dow, ? AS window_start, ? AS window_end');
+    params.push(date, getDayOfWeek(date), windowStart, windowEnd);
+  }
+
+  const day = { date: 'open_day.day_date', dow: 'open_day.day_dow' };
+  const sql = `EXISTS (
+    SELECT 1 FROM (${rows.join(' UNION ALL ')}) open_day
+    WHERE ${buildHoursSessionClause(day, alias => `(
+      TIMESTAMP(open_day.day_date, ${alias}.open_time) <= open_day.window_end
+      AND TIMESTAMP(DATE_ADD(open_day.day_date, INTERVAL ${alias}.crosses_midnight DAY), ${alias}.close_time) >= open_day.window_start
+    )`)}
+  )`;
+
+  return { sql, params };
+};
+
+/**
+ * Validate the GET /bars filter params: tag filters (tag / tag_name / exclude_tag /
+ * category with tag_mode), opening hours (open_now / open_at / open_between),
+ * lat/lon with optional radius and unit, and the bbox viewport (the area
+ * polygon is resolved separately, see resolveAreaFilter)
+ * @param {Object} query - Request query
+ * @returns {{filters: Object}|{error: string}} Normalized filters, or a 400 message
+ */
+function parseBarListFilters(query) {
+  const { open_now, open_at, open_between, lat, lon, radius, unit } = query;
+
+  // Validate opening hours filters. open_at / open_between are local wall-clock
+  // times at each bar (no offset), e.g. open_at=2026-10-24T23:00
+  const openFilterCount = [open_now === 'true', open_at !== undefined, open_between !== undefined].filter(Boolean).length;
+  if (openFilterCount > 1) {
+    return { error: 'Use only one of open_now, open_at or open_between.' };
+  }
+
+  let openAt = null;
+  if (open_at !== undefined) {
+    openAt = parseLocalDateTime(open_at);
+    if (!openAt) {
+      return { error: 'open_at must be a local date-time in YYYY-MM-DDTHH:MM format.' };
+    }
+  }
+
+  let openBetween = null;
+  if (open_between !== undefined) {
+    const [start, end, ...rest] = String(open_between).split(',').map(value => parseLocalDateTime(value));
+    if (!start || !end || rest.length > 0) {
+      return { error: 'open_between must be two local date-times separated by a comma (YYYY-MM-DDTHH:MM,YYYY-MM-DDTHH:MM).' };
+    }
+    const startKey = `${start.date}T${start.time}`;
+    const endKey = `${end.date}T${end.time}`;
+    if (endKey < startKey) {
+      return { error: 'open_between end must not be before its start.' };
+    }
+    if (end.date > addDays(start.date, MAX_OPEN_BETWEEN_DAYS)) {
+      return { error: `open_between cannot span more than ${MAX_OPEN_BETWEEN_DAYS} days.` };
+    }
+    openBetween = { start, end };
+  }
+
+  // Validate lat/lon parameters if provided
+  let userLat = null;
+  let userLon = null;
+  let radiusValue = null;
+  let distanceUnit = 'km'; // Default to kilometers
+
+  if (lat !== undefined && lon !== undefined) {
+    userLat = parseFloat(lat);
+    userLon = parseFloat(lon);
+
+    if (isNaN(userLat) || isNaN(userLon) || userLat < -90 || userLat > 90 || userLon < -180 || userLon > 180) {
+      return { error: 'Invalid latitude or longitude. Latitude must be between -90 and 90, longitude between -180 and 180.' };
+    }
+
+    // Validate radius if provided
+    if (radius !== undefined) {
+      radiusValue = parseFloat(radius);
+      if (isNaN(radiusValue) || radiusValue <= 0) {
+        return { error: 'Radius must be a positive number.' };
+      }
+    }
+
+    // Validate unit if provided
+    if (unit !== undefined) {
+      if (unit.toLowerCase() !== 'km' && unit.toLowerCase() !== 'miles') {
+        return { error: 'Unit must be either "km" or "miles".' };
+      }
+      distanceUnit = unit.toLowerCase();
+    }
+  } else if (radius !== undefined || unit !== undefined) {
+    return { error: 'Radius and unit parameters require both lat and lon to be provided.' };
+  }
+
+  const parsedTagFilters = parseTagFilters(query, { ids: 'tag', names: 'tag_name', excludeIds: 'exclude_tag', categories: 'category' });
+  if (parsedTagFilters.error) {
+    return { error: parsedTagFilters.error };
+  }
+
+  // Viewport filter: bbox=minLon,minLat,maxLon,maxLat
+  let bbox = null;
+  if (query.bbox !== undefined) {
+    const parsedBbox = parseBbox(query.bbox);
+    if (parsedBbox.error) {
+      return { error: parsedBbox.error };
+    }
+    bbox = parsedBbox.bbox;
+  }
+
+  return {
+    filters: {
+      tagFilters: parsedTagFilters.tagFilters,
+      open_now,
+      open_at,
+      open_between,
+      openAt,
+      openBetween,
+      userLat,
+      userLon,
+      radiusValue,
+      distanceUnit,
+      bbox,
+      polygon: null
+    }
+  };
+}
+
+/**
+ * Set filters.polygon from a stored named area (?area=id-or-slug) or a polygon
+ * supplied by the caller (e.g. the POST /bars/search/area body)
+ * @param {Object} filters - parseBarListFilters output (updated in place)
+ * @param {Object} query - Request query
+ * @param {Object|null} [polygon] - Validated GeoJSON Polygon/MultiPolygon (see utils/geo)
+ * @returns {Promise<{error: string, status: number}|null>} An error to return, or null
+ */
+async function resolveAreaFilter(filters, query, polygon = null) {
+  if (query.area === undefined) {
+    filters.polygon = polygon;
+    return null;
+  }
+  if (polygon) {
+    return { status: 400, error: 'Use either a polygon or a stored area, not both.' };
+  }
+  const area = await findMapArea(String(query.area));
+  if (!area) {
+    return { status: 404, error: 'Area not found' };
+  }
+  filters.polygon = area.geometry;
+  return null;
+}
+
+/**
+ * WHERE conditions for the bar tag filters. With tag_mode=any the required tags
+ * share one join on bar_tag_assignments (alias bt_filter, so callers must group
+ * by bar); with tag_mode=all each required tag and category gets its own EXISTS.
+ * @param {Object} tagFilters - parseTagFilters output
+ * @returns {{joinClauses: Array<string>, whereClauses: Array<string>, whereParams: Array}}
+ */
+function buildBarTagClauses(tagFilters) {
+  const { mode, ids, names, excludeIds, categories } = tagFilters;
+  const joinClauses = [];
+  const whereClauses = [];
+  const whereParams = [];
+  const placeholders = (values) => values.map(() => '?').join(',');
+
+  if (mode === 'all') {
+    for (const tagId of ids) {
+      whereClauses.push('EXISTS (SELECT 1 FROM bar_tag_assignments bt_all WHERE bt_all.bar_id = b.id AND bt_all.tag_id = ?)');
+      whereParams.push(tagId);
+    }
+    for (const name of names) {
+      whereClauses.push(`EXISTS (SELECT 1 FROM bar_tag_assignments bt_all
+        INNER JOIN bar_tags t_all ON bt_all.tag_id = t_all.id
+        WHERE bt_all.bar_id = b.id AND t_all.name = ?)`);
+      whereParams.push(name);
+    }
+    for (const category of categories) {
+      whereClauses.push(`EXISTS (SELECT 1 FROM bar_tag_assignments bt_all
+        INNER JOIN bar_tags t_all ON bt_all.tag_id = t_all.id
+        WHERE bt_all.bar_id = b.id AND t_all.category = ?)`);
+      whereParams.push(category);
+    }
+  } else {
+    const matches = [];
+    if (ids.length > 0) {
+      matches.push(`bt_filter.tag_id IN (${placeholders(ids)})`);
+      whereParams.push(...ids);
+    }
+    if (names.length > 0) {
+      matches.push(`bt_filter.tag_id IN (SELECT id FROM bar_tags WHERE name IN (${placeholders(names)}))`);
+      whereParams.push(...names);
+    }
+    if (matches.length > 0) {
+      joinClauses.push('INNER JOIN bar_tag_assignments bt_filter ON b.id = bt_filter.bar_id');
+      whereClauses.push(matches.length > 1 ? `(${matches.join(' OR ')})` : matches[0]);
+    }
+    if (categories.length > 0) {
+      whereClauses.push(`EXISTS (SELECT 1 FROM bar_tag_assignments bt_category
+        INNER JOIN bar_tags t_category ON bt_category.tag_id = t_category.id
+        WHERE bt_category.bar_id = b.id AND t_category.category IN (${placeholders(categories)}))`);
+      whereParams.push(...categories);
+    }
+  }
+
+  if (excludeIds.length > 0) {
+    whereClauses.push(`NOT EXISTS (SELECT 1 FROM bar_tag_assignments bt_excluded
+      WHERE bt_excluded.bar_id = b.id AND bt_excluded.tag_id IN (${placeholders(excludeIds)}))`);
+    whereParams.push(...excludeIds);
+  }
+
+  return { joinClauses, whereClauses, whereParams };
+}
+
+/**
+ * Build the bar listing query for validated filters, ordered by distance (when
+ * lat/lon are given) or name. Pagination is left to the caller.
+ * @param {Object} filters - parseBarListFilters output
+ * @param {Object} [options]
+ * @param {Array<string>} [options.includeOptions] - include=tags,events joins to add
+ * @param {Array<string>} [options.selectClauses] - Extra SELECT expressions (may reference alias b)
+ * @param {Array<string>} [options.whereClauses] - Additional WHERE conditions (may reference alias b)
+ * @param {Array} [options.whereParams] - Parameters for options.whereClauses, in order
+ * @returns {Promise<{selectSql: string, params: Array, countSql: string, countParams: Array}>}
+ */
+async function buildBarListQuery(filters, options = {}) {
+  const {
+    includeOptions = [],
+    selectClauses: extraSelectClauses = [],
+    whereClauses: scopeWhereClauses = [],
+    whereParams: scopeWhereParams = []
+  } = options;
+  const { tagFilters, open_now, openAt, openBetween, userLat, userLon, distanceUnit, bbox, polygon } = filters;
+
+  // Build dynamic query. SELECT, JOIN and WHERE parameters are tracked separately so
+  // the count query (which drops the SELECT list) binds the right values.
+  let selectClauses = ['DISTINCT b.*', ...extraSelectClauses];
+  let joinClauses = [];
+  let whereClauses = ['b.is_active = 1', ...scopeWhereClauses];
+  let selectParams = [];
+  let joinParams = [];
+  let whereParams = [...scopeWhereParams];
+
+  // Add distance calculation if user location is provided
+  if (userLat !== null && userLon !== null) {
+    const distance = buildDistanceQuery(filters);
+    selectClauses.push(`${distance.selectSql} as distance_${distanceUnit}`);
+    selectParams.push(...distance.selectParams);
+    whereClauses.push(...distance.whereClauses);
+    whereParams.push(...distance.whereParams);
+  }
+
+  // Map filters. The polygon test runs on bars inside its bounding box only, so the
+  // location index narrows the candidates first.
+  if (bbox) {
+    whereClauses.push('b.latitude BETWEEN ? AND ? AND b.longitude BETWEEN ? AND ?');
+    whereParams.push(bbox.minLat, bbox.maxLat, bbox.minLon, bbox.maxLon);
+  }
+
+  if (polygon) {
+    const bounds = geometryBounds(polygon);
+    whereClauses.push(`b.latitude BETWEEN ? AND ? AND b.longitude BETWEEN ? AND ?
+      AND ST_Contains(ST_GeomFromGeoJSON(?, 1, 0), POINT(b.longitude, b.latitude))`);
+    whereParams.push(bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, JSON.stringify(polygon));
+  }
+
+  // Add filter conditions
+  const tagClauses = buildBarTagClauses(tagFilters);
+  joinClauses.push(...tagClauses.joinClauses);
+  whereClauses.push(...tagClauses.whereClauses);
+  whereParams.push(...tagClauses.whereParams);
+
+  // Add opening hours filters. open_now uses each bar's current local clock;
+  // open_at fixes the clock to a wall-clock time, so both share one predicate.
+  if (open_now === 'true' || openAt) {
+    const clockJoin = openAt ? buildWallClockJoin(openAt) : await fetchLocalClockJoin();
+    joinClauses.push(clockJoin.sql);
+    joinParams.push(...clockJoin.params);
+    whereClauses.push(buildOpenAtClockClause());
+  }
+
+  if (openBetween) {
+    const openBetweenClause = buildOpenBetweenClause(openBetween.start, openBetween.end);
+    whereClauses.push(openBetweenClause.sql);
+    whereParams.push(...openBetweenClause.params);
+  }
+
+  // Add joins and select clauses based on include parameters
+  if (includeOptions.includes('tags')) {
+    joinClauses.push('LEFT JOIN bar_tag_assignments bt ON b.id = bt.bar_id');
+    joinClauses.push('LEFT JOIN bar_tags t ON bt.tag_id = t.id');
+    selectClauses.push(`GROUP_CONCAT(
+      DISTINCT CONCAT(t.id, ':', t.name, ':', COALESCE(t.category, ''))
+    ) as tags`);
+  }
+
+  if (includeOptions.includes('events')) {
+    // Upcoming from each bar's local date. open_at fixes bar_clock to another
+    // moment, so the current clock gets its own alias.
+    const eventClockJoin = await fetchLocalClockJoin({ clockAlias: 'event_clock' });
+    joinClauses.push(eventClockJoin.sql);
+    joinParams.push(...eventClockJoin.params);
+    joinClauses.push(`LEFT JOIN events e ON b.id = e.bar_id
+      AND e.is_active = 1
+      AND e.date >= event_clock.local_date`);
+    selectClauses.push(`GROUP_CONCAT(
+      DISTINCT CONCAT(e.id, ':', e.title, ':', e.date, ':', COALESCE(e.start_time, ''), ':', COALESCE(e.category, ''))
+    ) as upcoming_events`);
+  }
+
+  // Construct query
+  let fromSql = 'FROM bars b';
+  if (joinClauses.length > 0) {
+    fromSql += ` ${joinClauses.join(' ')}`;
+  }
+  fromSql += ` WHERE ${whereClauses.join(' AND ')}`;
+
+  let selectSql = `SELECT ${selectClauses.join(', ')} ${fromSql}`;
+
+  if (includeOptions.length > 0 || tagClauses.joinClauses.length > 0 || open_now === 'true' || openAt || openBetween) {
+    selectSql += ` GROUP BY b.id`;
+  }
+
+  // Order by distance if user location provided, otherwise by name
+  if (userLat !== null && userLon !== null) {
+    selectSql += ` ORDER BY distance_${distanceUnit} ASC, b.name`;
+  } else {
+    selectSql += ' ORDER BY b.name';
+  }
+
+  return {
+    selectSql,
+    params: [...selectParams, ...joinParams, ...whereParams],
+    countSql: `SELECT COUNT(DISTINCT b.id) as total ${fromSql}`,
+    countParams: [...joinParams, ...whereParams],
+    fromSql
+  };
+}
+
+/**
+ * Build the cluster=true query: matching bars counted per cell of a grid laid
+ * over the map bounds, with the cell's average position. Single-bar cells carry
+ * the bar id so the client can draw it as a normal marker.
+ * @param {Object} listQuery - buildBarListQuery output
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bounds - Map bounds
+ * @param {number} grid - Cells per side
+ * @returns {{sql: string, params: Array, cellWidth: number, cellHeight: number}}
+ */
+function buildBarClusterQuery(listQuery, bounds, grid) {
+  const cellWidth = (bounds.maxLon - bounds.minLon) / grid;
+  const cellHeight = (bounds.maxLat - bounds.minLat) / grid;
+
+  // Bars on the max edges fall into the last cell rather than a cell past the grid
+  const sql = `
+    SELECT
+      cell_x,
+      cell_y,
+      COUNT(*) as count,
+      AVG(latitude) as latitude,
+      AVG(longitude) as longitude,
+      CASE WHEN COUNT(*) = 1 THEN MIN(id) ELSE NULL END as bar_id
+    FROM (
+      SELECT DISTINCT
+        b.id,
+        b.latitude,
+        b.longitude,
+        LEAST(GREATEST(FLOOR((b.longitude - ?) / ?), 0), ?) as cell_x,
+        LEAST(GREATEST(FLOOR((b.latitude - ?) / ?), 0), ?) as cell_y
+      ${listQuery.fromSql}
+    ) clustered_bars
+    GROUP BY cell_x, cell_y
+    ORDER BY cell_y, cell_x
+  `;
+
+  return {
+    sql,
+    params: [bounds.minLon, cellWidth, grid - 1, bounds.minLat, cellHeight, grid - 1, ...listQuery.countParams],
+    cellWidth,
+    cellHeight
+  };
+}
+
+// Tag filter params echoed back in meta.filters
+const tagMetaFilters = (query) => ({
+  tag: query.tag,
+  tag_name: query.tag_name,
+  exclude_tag: query.exclude_tag,
+  category: query.category,
+  tag_mode: query.tag_mode
+});
+
+/**
+ * Respond with grid cluster counts instead of bars (GET /bars?cluster=true)
+ * @param {Object} req - Express request object (reads req.query.grid)
+ * @param {Object} res - Express response object
+ * @param {Object} filters - Resolved filters (bbox or polygon required)
+ * @param {Object} listQuery - buildBarListQuery output
+ */
+async function respondWithClusters(req, res, filters, listQuery) {
+  const bounds = filters.bbox || (filters.polygon ? geometryBounds(filters.polygon) : null);
+  if (!bounds) {
+    return res.status(400).json({ error: 'cluster=true requires bbox, area or a polygon.' });
+  }
+
+  let grid = DEFAULT_CLUSTER_GRID;
+  if (req.query.grid !== undefined) {
+    grid = Number.parseInt(req.query.grid, 10);
+    if (Number.isNaN(grid) || grid < 1 || grid > MAX_CLUSTER_GRID) {
+      return res.status(400).json({ error: `grid must be between 1 and ${MAX_CLUSTER_GRID}.` });
+    }
+  }
+
+  const clusterQuery = buildBarClusterQuery(listQuery, bounds, grid);
+  const [rows] = await db.query(clusterQuery.sql, clusterQuery.params);
+
+  const clusters = rows.map(row => {
+    const cellX = Number(row.cell_x);
+    const cellY = Number(row.cell_y);
+    const cellMinLon = bounds.minLon + cellX * clusterQuery.cellWidth;
+    const cellMinLat = bounds.minLat + cellY * clusterQuery.cellHeight;
+    return {
+      cell: [cellX, cellY],
+      count: Number(row.count),
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude),
+      bar_id: row.bar_id || null,
+      bbox: [cellMinLon, cellMinLat, cellMinLon + clusterQuery.cellWidth, cellMinLat + clusterQuery.cellHeight]
+    };
+  });
+
+  return res.json({
+    success: true,
+    data: clusters,
+    meta: {
+      total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      cluster: {
+        grid,
+        bbox: [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat],
+        cell_width: clusterQuery.cellWidth,
+        cell_height: clusterQuery.cellHeight
+      },
+      filters: { ...tagMetaFilters(req.query), open_now: filters.open_now, open_at: filters.open_at, open_between: filters.open_between, bbox: req.query.bbox, area: req.query.area }
+    }
+  });
+}
+
+/**
+ * Shared implementation behind GET /bars and every other endpoint that lists
+ * bars in the same shape (e.g. an app user's favorites).
+ *
+ * Handles query validation, include=hours,tags,events,photos (the cover photo
+ * only), tag and opening hours
+ * (open_now / open_at / open_between) filters, lat/lon distance sorting with
+ * optional radius, bbox / area map filters, cluster=true grid counts, and
+ * pagination metadata.
+ *
+ * @param {Object} req - Express request object (reads req.query)
+ * @param {Object} res - Express response object
+ * @param {Object} [scope] - Extra constraints applied on top of the query filters
+ * @param {Array<string>} [scope.whereClauses] - Additional WHERE conditions (may reference alias b)
+ * @param {Array} [scope.whereParams] - Parameters for scope.whereClauses, in order
+ * @param {Object} [scope.polygon] - GeoJSON Polygon/MultiPolygon bars must fall within
+ * @param {string} [scope.errorMessage] - Message returned on unexpected failures
+ */
+async function listBars(req, res, scope = {}) {
+  const {
+    whereClauses: scopeWhereClauses = [],
+    whereParams: scopeWhereParams = [],
+    polygon = null,
+    errorMessage = 'Failed to fetch bars'
+  } = scope;
+
+  try {
+    const { include, page, limit, offset } = req.query;
+    const includeOptions = include ? include.split(',').map(i => i.trim().toLowerCase()) : [];
+
+    // Validate and set pagination parameters
+    let pageNumber = 1;
+    let limitNumber = 20; // Default limit per requirements
+    let offsetNumber = null;
+
+    if (limit !== undefined) {
+      limitNumber = parseInt(limit);
+      if (isNaN(limitNumber) || limitNumber < 10 || limitNumber > 100) {
+        return res.status(400).json({ error: 'Limit must be between 10 and 100.' });
+      }
+    }
+
+    if (offset !== undefined) {
+      offsetNumber = parseInt(offset);
+      if (isNaN(offsetNumber) || offsetNumber < 0) {
+        return res.status(400).json({ error: 'Offset must be a non-negative integer.' });
+      }
+    }
+
+    if (page !== undefined) {
+      pageNumber = parseInt(page);
+      if (isNaN(pageNumber) || pageNumber < 1) {
+        return res.status(400).json({ error: 'Page must be a positive integer starting from 1.' });
+      }
+    }
+
+    const effectiveOffset = offsetNumber !== null ? offsetNumber : (pageNumber - 1) * limitNumber;
+
+    const parsedFilters = parseBarListFilters(req.query);
+    if (parsedFilters.error) {
+      return res.status(400).json({ error: parsedFilters.error });
+    }
+    const { filters } = parsedFilters;
+    const { open_now, open_at, open_between, userLat, userLon, radiusValue, distanceUnit } = filters;
+
+    const areaError = await resolveAreaFilter(filters, req.query, polygon);
+    if (areaError) {
+      return res.status(areaError.status).json({ error: areaError.error });
+    }
+
+    const listQuery = await buildBarListQuery(filters, {
+      includeOptions,
+      whereClauses: scopeWhereClauses,
+      whereParams: scopeWhereParams
+    });
+
+    if (req.query.cluster === 'true') {
+      return await respondWithClusters(req, res, filters, listQuery);
+    }
+
+    // Get total count for pagination metadata (before applying LIMIT/OFFSET)
+    const [countResult] = await db.query(listQuery.countSql, listQuery.countParams);
+    const totalItems = countResult[0].total;
+
+    // Add pagination to main query
+    const selectSql = `${listQuery.selectSql} LIMIT ? OFFSET ?`;
+    const params = [...listQuery.params, limitNumber, effectiveOffset];
+
+    const [rows] = await db.query(selectSql, params);
+
+    const coverPhotos = includeOptions.includes('photos') ? await fetchCoverPhotos(rows.map(bar => bar.id)) : null;
+
+    const bars = await Promise.all(rows.map(async bar => {
+      const result = { ...bar };
+
+      if (includeOptions.includes('hours')) {
+        result.hours = await fetchEffectiveBarHours(bar.id, bar.timezone);
+      }
+
+      if (includeOptions.includes('tags')) {
+        result.tags = parseConcatenatedTags(bar.tags);
+      }
+
+      if (includeOptions.includes('events')) {
+        result.upcoming_events = parseConcatenatedEvents(bar.upcoming_events);
+      }
+
+      if (coverPhotos) {
+        result.cover_photo = coverPhotos.get(bar.id) || null;
+      }
+
+      return result;
+    }));
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalItems / limitNumber);
+    const effectivePage = Math.floor(effectiveOffset / limitNumber) + 1;
+    const hasNextPage = effectivePage < totalPages;
+    const hasPrevPage = effectivePage > 1;
+    const nextPage = hasNextPage ? effectivePage + 1 : null;
+    const prevPage = hasPrevPage ? effectivePage - 1 : null;
+
+    return res.json({
+      success: true,
+      data: bars,
+      meta: {
+        pagination: {
+          current_page: effectivePage,
+          per_page: limitNumber,
+          total: totalItems,
+          total_pages: totalPages,
+          has_next_page: hasNextPage,
+          has_previous_page: hasPrevPage,
+          next_page: nextPage,
+          prev_page: prevPage
+        },
+        filters: { ...tagMetaFilters(req.query), open_now, open_at, open_between, radius: radiusValue, unit: distanceUnit, bbox: req.query.bbox, area: req.query.area },
+        included: includeOptions,
+        location: userLat !== null && userLon !== null ? {
+          lat: userLat,
+          lon: userLon,
+          sorted_by_distance: true,
+          unit: distanceUnit
+        } : null
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching bars:', err.message || err);
+    return res.status(500).json({ error: errorMessage });
+  }
+}
+
+module.exports = {
+  normalizeTimeString,
+  fetchBarHours,
+  fetchBarHourExceptions,
+  applyHourExceptions,
+  fetchEffectiveBarHours,
+  isOpenAt,
+  fetchLocalClockJoin,
+  parseConcatenatedTags,
+  parseConcatenatedEvents,
+  parseBarListFilters,
+  resolveAreaFilter,
+  buildBarListQuery,
+  buildBarClusterQuery,
+  listBars
+};
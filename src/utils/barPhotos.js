@@ -0,0 +1,126 @@
+/**
+ * Bar photo galleries.
+ *
+ * bar_photos rows are ordered by sort_order. A photo is either an upload from
+ * POST /bars/:barId/images (image_id set, so its resized variants are returned too)
+ * or an external URL. The cover is the photo flagged is_cover, falling back to the
+ * first photo of the gallery when none is flagged.
+ */
+
+const db = require('./db');
+
+const PHOTO_COLUMNS = `bp.id, bp.bar_id, bp.image_id, bp.url, bp.caption, bp.sort_order, bp.is_cover,
+  bp.created_at, bp.updated_at, ui.variants AS image_variants`;
+
+const GALLERY_ORDER = 'bp.sort_order, bp.created_at, bp.id';
+
+/**
+ * Public shape of a bar_photos row (joined with uploaded_images.variants as image_variants)
+ * @param {Object} row - Database row
+ * @returns {Object} Photo with variants { name: { url, width, height } }, or null variants
+ *   for external URLs
+ */
+function formatBarPhoto(row) {
+  const storedVariants = typeof row.image_variants === 'string' ? JSON.parse(row.image_variants) : row.image_variants;
+  let variants = null;
+  if (storedVariants) {
+    variants = {};
+    for (const [name, variant] of Object.entries(storedVariants)) {
+      variants[name] = { url: variant.url, width: variant.width, height: variant.height };
+    }
+  }
+
+  return {
+    id: row.id,
+    bar_id: row.bar_id,
+    image_id: row.image_id || null,
+    url: row.url,
+    caption: row.caption || null,
+    sort_order: row.sort_order,
+    is_cover: Boolean(row.is_cover),
+    variants,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * A bar's gallery in display order
+ * @param {string} barId - Bar UUID
+ * @returns {Promise<Array<Object>>} Formatted photos
+ */
+async function fetchBarPhotos(barId) {
+  const [rows] = await db.execute(
+    `SELECT ${PHOTO_COLUMNS}
+     FROM bar_photos bp
+     LEFT JOIN uploaded_images ui ON ui.id = bp.image_id
+     WHERE bp.bar_id = ?
+     ORDER BY ${GALLERY_ORDER}`,
+    [barId]
+  );
+  return rows.map(formatBarPhoto);
+}
+
+/**
+ * One of a bar's photos
+ * @param {string} barId - Bar UUID
+ * @param {string} photoId - Photo UUID
+ * @param {Object} [executor=db] - db or a transaction connection
+ * @returns {Promise<Object|null>} Formatted photo, or null if the bar has no such photo
+ */
+async function fetchBarPhoto(barId, photoId, executor = db) {
+  const [rows] = await executor.execute(
+    `SELECT ${PHOTO_COLUMNS}
+     FROM bar_photos bp
+     LEFT JOIN uploaded_images ui ON ui.id = bp.image_id
+     WHERE bp.id = ? AND bp.bar_id = ?`,
+    [photoId, barId]
+  );
+  return rows.length > 0 ? formatBarPhoto(rows[0]) : null;
+}
+
+/**
+ * The cover of a gallery: the flagged photo, otherwise the first one
+ * @param {Array<Object>} photos - fetchBarPhotos output
+ * @returns {Object|null} Cover photo, or null for an empty gallery
+ */
+function pickCoverPhoto(photos) {
+  return photos.find(photo => photo.is_cover) || photos[0] || null;
+}
+
+/**
+ * Cover photos of several bars in one query, for list views
+ * @param {Array<string>} barIds - Bar UUIDs
+ * @returns {Promise<Map<string, Object>>} Bar id -> formatted cover photo (bars
+ *   without photos are left out)
+ */
+async function fetchCoverPhotos(barIds) {
+  const covers = new Map();
+  if (barIds.length === 0) {
+    return covers;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT * FROM (
+       SELECT ${PHOTO_COLUMNS},
+         ROW_NUMBER() OVER (PARTITION BY bp.bar_id ORDER BY bp.is_cover DESC, ${GALLERY_ORDER}) AS cover_rank
+       FROM bar_photos bp
+       LEFT JOIN uploaded_images ui ON ui.id = bp.image_id
+       WHERE bp.bar_id IN (${barIds.map(() => '?').join(', ')})
+     ) ranked
+     WHERE cover_rank = 1`,
+    barIds
+  );
+  for (const row of rows) {
+    covers.set(row.bar_id, formatBarPhoto(row));
+  }
+  return covers;
+}
+
+module.exports = {
+  formatBarPhoto,
+  fetchBarPhotos,
+  fetchBarPhoto,
+  pickCoverPhoto,
+  fetchCoverPhotos
+};
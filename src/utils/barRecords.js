@@ -0,0 +1,200 @@
+/**
+ * Shared rules and writes for bar records, used by createBar/updateBar and the
+ * bulk import so every path validates and de-duplicates bars the same way.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./timezone');
+
+// Basic bar columns, in insert order (hours and tags live in their own tables)
+const BAR_FIELDS = [
+  'name', 'description', 'address_street', 'address_city', 'address_state', 'address_zip',
+  'latitude', 'longitude', 'phone', 'website', 'instagram', 'facebook', 'twitter', 'posh',
+  'eventbrite', 'timezone'
+];
+
+const MISSING_BAR_FIELDS_ERROR = 'Missing required bar fields';
+const INVALID_TIMEZONE_ERROR = 'Invalid timezone. Must be an IANA time zone name (e.g. America/New_York).';
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):[0-5]\d:[0-5]\d$/;
+
+/**
+ * Validate the basic fields of a new bar (name and full address required)
+ * @param {Object} payload - Bar payload
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBarFields(payload) {
+  //  Name, street, city, state, zip are required
+  if (!payload || !payload.name || !payload.address_street || !payload.address_city || !payload.address_zip || !payload.address_state) {
+    return MISSING_BAR_FIELDS_ERROR;
+  }
+  if (payload.timezone !== undefined && !isValidTimeZone(payload.timezone)) {
+    return INVALID_TIMEZONE_ERROR;
+  }
+  return null;
+}
+
+/**
+ * Validate a weekly hours array ({ day_of_week, open_time, close_time, is_closed })
+ * @param {Array} hours - Hours entries
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBarHours(hours) {
+  if (!Array.isArray(hours)) {
+    return 'Hours must be provided as an array';
+  }
+
+  for (const hour of hours) {
+    if (!hour || typeof hour.day_of_week !== 'number' || hour.day_of_week < 0 || hour.day_of_week > 6) {
+      return 'day_of_week must be a number between 0 and 6';
+    }
+
+    if (typeof hour.is_closed !== 'boolean') {
+      return 'is_closed must be a boolean';
+    }
+
+    // If not closed, validate time formats
+    if (!hour.is_closed) {
+      if (!hour.open_time || !hour.close_time) {
+        return 'open_time and close_time are required when is_closed is false';
+      }
+      if (!TIME_REGEX.test(hour.open_time) || !TIME_REGEX.test(hour.close_time)) {
+        return 'Time must be in HH:MM:SS format';
+      }
+    }
+  }
+
+  // Check for duplicate day_of_week values
+  if (new Set(hours.map(h => h.day_of_week)).size !== hours.length) {
+    return 'Duplicate day_of_week values are not allowed';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a session closing at close_time ends on the next day
+ * @param {string} openTime - HH:MM[:SS]
+ * @param {string} closeTime - HH:MM[:SS]
+ * @returns {boolean}
+ */
+function crossesMidnight(openTime, closeTime) {
+  const open = openTime.split(':').map(Number);
+  const close = closeTime.split(':').map(Number);
+  return close[0] < open[0] || (close[0] === open[0] && close[1] < open[1]);
+}
+
+/**
+ * Find an active bar with the same name and address (case-insensitive, trimmed)
+ * @param {Object} executor - db or a transaction connection
+ * @param {Object} bar - Bar with name and address fields
+ * @param {string} [excludeId] - Bar to ignore (the one being updated)
+ * @returns {Promise<string|null>} Id of the duplicate, or null
+ */
+async function findDuplicateBar(executor, bar, excludeId = null) {
+  const duplicateCheckSql = `
+    SELECT id FROM bars
+    WHERE LOWER(TRIM(name)) = LOWER(TRIM(?))
+    AND LOWER(TRIM(address_street)) = LOWER(TRIM(?))
+    AND LOWER(TRIM(address_city)) = LOWER(TRIM(?))
+    AND LOWER(TRIM(address_state)) = LOWER(TRIM(?))
+    AND TRIM(address_zip) = TRIM(?)
+    ${excludeId ? 'AND id != ?' : ''}
+    AND is_active = 1
+  `;
+  const params = [bar.name, bar.address_street, bar.address_city, bar.address_state, bar.address_zip];
+  if (excludeId) {
+    params.push(excludeId);
+  }
+  const [duplicateRows] = await executor.execute(duplicateCheckSql, params);
+  return duplicateRows && duplicateRows.length > 0 ? duplicateRows[0].id : null;
+}
+
+/**
+ * Key identifying a bar by name and address the way findDuplicateBar compares them
+ * @param {Object} bar - Bar with name and address fields
+ * @returns {string}
+ */
+function duplicateKey(bar) {
+  return [bar.name, bar.address_street, bar.address_city, bar.address_state]
+    .map(value => String(value).trim().toLowerCase())
+    .concat(String(bar.address_zip).trim())
+    .join('|');
+}
+
+/**
+ * Insert a bar with its weekly hours and tag assignments
+ * @param {Object} executor - Transaction connection
+ * @param {Object} payload - Validated bar payload (hours and tag_ids optional)
+ * @returns {Promise<string>} New bar id
+ */
+async function insertBar(executor, payload) {
+  const barId = uuidv4();
+  const insertBarSql = `INSERT INTO bars (
+    id,
+    ${BAR_FIELDS.join(',\n    ')},
+    is_active
+  ) VALUES (${new Array(BAR_FIELDS.length + 2).fill('?').join(', ')})`;
+  await executor.execute(insertBarSql, [
+    barId,
+    ...BAR_FIELDS.map(field => {
+      if (field === 'timezone') {
+        return payload.timezone ? payload.timezone.trim() : DEFAULT_TIMEZONE;
+      }
+      return payload[field] || null;
+    }),
+    1
+  ]);
+
+  // Insert hours if provided
+  if (Array.isArray(payload.hours) && payload.hours.length > 0) {
+    const insertHourSql = `
+      INSERT INTO bar_hours (
+        id,
+        bar_id,
+        day_of_week,
+        open_time,
+        close_time,
+        is_closed,
+        crosses_midnight
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    for (const hour of payload.hours) {
+      const sessionCrossesMidnight = !hour.is_closed && hour.open_time && hour.close_time
+        ? crossesMidnight(hour.open_time, hour.close_time)
+        : false;
+
+      await executor.execute(insertHourSql, [
+        uuidv4(),
+        barId,
+        hour.day_of_week,
+        hour.is_closed ? null : hour.open_time,
+        hour.is_closed ? null : hour.close_time,
+        hour.is_closed ? 1 : 0,
+        sessionCrossesMidnight ? 1 : 0
+      ]);
+    }
+  }
+
+  // Insert bar_tag_assignments relationships if provided (Just submitting tag ids, more efficient))
+  if (Array.isArray(payload.tag_ids) && payload.tag_ids.length > 0) {
+    const insertBarTagSql = `INSERT INTO bar_tag_assignments (bar_id, tag_id) VALUES (?, ?)`;
+    for (const tagId of payload.tag_ids) {
+      await executor.execute(insertBarTagSql, [barId, tagId]);
+    }
+  }
+
+  return barId;
+}
+
+module.exports = {
+  BAR_FIELDS,
+  MISSING_BAR_FIELDS_ERROR,
+  INVALID_TIMEZONE_ERROR,
+  validateBarFields,
+  validateBarHours,
+  crossesMidnight,
+  findDuplicateBar,
+  duplicateKey,
+  insertBar
+};
@@ -4,6 +4,8 @@
  const PASSWORD_LOCKOUT_THRESHOLD = 5;
  const PASSWORD_LOCKOUT_DURATION_MINUTES = 15;
 const DUMMY_HASH = '$2b$12$invalidhashXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX';
+// Refresh tokens slide: each rotation issues a new token valid for this long
+const REFRESH_TOKEN_TTL_DAYS = 30;
 
 
  module.exports = {
@@ -11,5 +13,6 @@ const DUMMY_HASH = '$2b$12$invalidhashXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX
    SALT_ROUNDS,
    PASSWORD_LOCKOUT_THRESHOLD,
    PASSWORD_LOCKOUT_DURATION_MINUTES,
-   DUMMY_HASH
+   DUMMY_HASH,
+   REFRESH_TOKEN_TTL_DAYS
  };
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Minimal RFC 4180 CSV support: comma-separated fields, optional double-quoted
+ * fields (which may contain commas, newlines and "" escaped quotes), CRLF or LF
+ * line endings.
+ */
+
+const NEEDS_QUOTING = /[",\r\n]|^\s|\s$/;
+
+/**
+ * Parse CSV text into rows of string fields
+ * @param {string} text - CSV document
+ * @returns {{rows: Array<Array<string>>}|{error: string}} Parsed rows (blank lines skipped) or a syntax error
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+        if (i + 1 < source.length && !',\r\n'.includes(source[i + 1])) {
+          return { error: `Unexpected character after closing quote on line ${line}` };
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && source[i + 1] === '\n') {
+      // handled by the \n on the next iteration
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { error: 'Unterminated quoted field' };
+  }
+  endRow();
+
+  return { rows };
+}
+
+/**
+ * Format one CSV line (CRLF-terminated). null/undefined become empty fields and
+ * Dates are written as ISO 8601; fields are quoted only when needed.
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+  return `${values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return NEEDS_QUOTING.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
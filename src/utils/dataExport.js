@@ -0,0 +1,151 @@
+/**
+ * Streaming exports (CSV, newline-delimited JSON, GeoJSON) for the admin
+ * /admin/export endpoints. Rows are streamed from MySQL through a formatter
+ * into the response, so memory use does not grow with the size of the export.
+ */
+
+const { Transform, pipeline } = require('stream');
+const db = require('./db');
+const { formatCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+// Rows buffered from MySQL before the connection is paused
+const EXPORT_HIGH_WATER_MARK = 100;
+
+const toCoordinate = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+/**
+ * GeoJSON Feature for a record, using its latitude/longitude as a Point
+ * (geometry is null when the record has no coordinates)
+ * @param {Object} record - Exported record with latitude and longitude
+ * @returns {Object} GeoJSON Feature
+ */
+function toGeoJsonFeature(record) {
+  const { latitude, longitude, ...properties } = record;
+  const lat = toCoordinate(latitude);
+  const lon = toCoordinate(longitude);
+  return {
+    type: 'Feature',
+    geometry: Number.isFinite(lat) && Number.isFinite(lon) ? { type: 'Point', coordinates: [lon, lat] } : null,
+    properties
+  };
+}
+
+/**
+ * Transform turning database rows into chunks of the requested format. The CSV
+ * header and the GeoJSON FeatureCollection wrapper are written even when there
+ * are no rows.
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options
+ * @param {Array<string>} options.columns - CSV header
+ * @param {Function} options.toCsvRow - Row -> array of values matching columns
+ * @param {Function} options.toRecord - Row -> object for NDJSON/GeoJSON
+ * @returns {Transform} Object-mode writable, string readable
+ */
+function createExportTransform(format, { columns, toCsvRow, toRecord }) {
+  let first = true;
+
+  const opening = () => {
+    if (format === 'csv') {
+      return formatCsvRow(columns);
+    }
+    return format === 'geojson' ? '{"type":"FeatureCollection","features":[\n' : '';
+  };
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      try {
+        let chunk = first ? opening() : '';
+        if (format === 'csv') {
+          chunk += formatCsvRow(toCsvRow(row));
+        } else if (format === 'ndjson') {
+          chunk += `${JSON.stringify(toRecord(row))}\n`;
+        } else {
+          chunk += `${first ? '' : ',\n'}${JSON.stringify(toGeoJsonFeature(toRecord(row)))}`;
+        }
+        first = false;
+        callback(null, chunk);
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      let chunk = first ? opening() : '';
+      if (format === 'geojson') {
+        chunk += '\n]}\n';
+      }
+      callback(null, chunk || undefined);
+    }
+  });
+}
+
+/**
+ * Stream the rows of a query to the response as an attachment.
+ * Uses a dedicated pool connection: it is released when the query completes and
+ * destroyed if the query fails or the client disconnects mid-download (a
+ * half-read result would otherwise leave the connection paused).
+ * Failures before the first byte is written are answered with a 500 JSON error.
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {string} options.filename - Attachment name without extension
+ * @param {string} options.sql - Query to stream
+ * @param {Array} options.params - Query parameters
+ * @param {string} options.errorMessage - Message returned on failure
+ * @returns {Promise<void>} Resolves once the export has finished or failed
+ */
+async function streamExport(res, { format, filename, sql, params, errorMessage, ...formatOptions }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const conn = await db.getConnection();
+
+  return new Promise(resolve => {
+    const rows = conn.connection.query(sql, params).stream({ highWaterMark: EXPORT_HIGH_WATER_MARK });
+    const formatter = createExportTransform(format, formatOptions);
+    let clientGone = false;
+
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        clientGone = true;
+        rows.destroy();
+      }
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+    formatter.pipe(res);
+
+    pipeline(rows, formatter, err => {
+      if (!err) {
+        conn.release();
+        return resolve();
+      }
+
+      conn.destroy();
+      if (!clientGone) {
+        console.error('Error streaming export:', err.message || err);
+        if (res.headersSent) {
+          res.destroy(err);
+        } else {
+          res.removeHeader('Content-Type');
+          res.removeHeader('Content-Disposition');
+          res.status(500).json({ error: errorMessage });
+        }
+      }
+      return resolve();
+    });
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toGeoJsonFeature,
+  createExportTransform,
+  streamExport
+};
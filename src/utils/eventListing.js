@@ -0,0 +1,298 @@
+const { fetchLocalClockJoin } = require('./barListing');
+const { buildDistanceQuery } = require('./geo');
+const { parseTagFilters } = require('./tagFilters');
+const { EFFECTIVE_EVENT_TAGS_SELECT } = require('./eventTags');
+
+/**
+ * Validate the GET /events/instances filter params: bar_id, event tag filters
+ * (event_tag_id / event_tag_name / exclude_event_tag_id with tag_mode),
+ * date_from / date_to, upcoming and lat/lon with optional radius and unit
+ * @param {Object} query - Request query
+ * @returns {{filters: Object}|{error: string}} Normalized filters, or a 400 message
+ */
+function parseEventInstanceFilters(query) {
+  const { bar_id, date_from, date_to, upcoming, event_tag_id, lat, lon, radius, unit } = query;
+
+  // Validate date formats if provided
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (date_from && !dateRegex.test(date_from)) {
+    return { error: 'date_from must be in YYYY-MM-DD format' };
+  }
+  if (date_to && !dateRegex.test(date_to)) {
+    return { error: 'date_to must be in YYYY-MM-DD format' };
+  }
+
+  // Validate and normalize location parameters (shared logic with /bars)
+  let userLat = null;
+  let userLon = null;
+  let radiusValue = null;
+  let distanceUnit = 'km';
+
+  if (lat !== undefined || lon !== undefined) {
+    if (lat === undefined || lon === undefined) {
+      return { error: 'Both lat and lon are required when using location-based filtering.' };
+    }
+
+    userLat = parseFloat(lat);
+    userLon = parseFloat(lon);
+
+    if (
+      Number.isNaN(userLat) ||
+      Number.isNaN(userLon) ||
+      userLat < -90 || userLat > 90 ||
+      userLon < -180 || userLon > 180
+    ) {
+      return { error: 'Invalid latitude or longitude. Latitude must be between -90 and 90, longitude between -180 and 180.' };
+    }
+
+    if (radius !== undefined) {
+      radiusValue = parseFloat(radius);
+      if (Number.isNaN(radiusValue) || radiusValue <= 0) {
+        return { error: 'Radius must be a positive number.' };
+      }
+    }
+
+    if (unit !== undefined) {
+      const normalizedUnit = unit.toLowerCase();
+      if (normalizedUnit !== 'km' && normalizedUnit !== 'miles') {
+        return { error: 'Unit must be either "km" or "miles".' };
+      }
+      distanceUnit = normalizedUnit;
+    }
+  } else if (radius !== undefined || unit !== undefined) {
+    return { error: 'Radius and unit parameters require both lat and lon to be provided.' };
+  }
+
+  const parsedTagFilters = parseTagFilters(query, { ids: 'event_tag_id', names: 'event_tag_name', excludeIds: 'exclude_event_tag_id' });
+  if (parsedTagFilters.error) {
+    return { error: parsedTagFilters.error };
+  }
+
+  return {
+    filters: {
+      bar_id,
+      date_from,
+      date_to,
+      upcoming,
+      event_tag_id,
+      tagFilters: parsedTagFilters.tagFilters,
+      userLat,
+      userLon,
+      radiusValue,
+      distanceUnit
+    }
+  };
+}
+
+/**
+ * Condition that an instance's effective tags (its override tags if it has any,
+ * else the event's tags) include one matching matchTag
+ * @param {Function} matchTag - (tagIdColumn) => SQL condition on that column
+ * @param {Array} params - Parameters of one matchTag condition
+ * @returns {{sql: string, params: Array}}
+ */
+function effectiveTagCondition(matchTag, params) {
+  return {
+    sql: `(EXISTS (SELECT 1 FROM event_instance_tag_assignments eita_f WHERE eita_f.instance_id = ei.id AND ${matchTag('eita_f.tag_id')}) OR (
+      NOT EXISTS (SELECT 1 FROM event_instance_tag_assignments eita_o WHERE eita_o.instance_id = ei.id) AND
+      EXISTS (SELECT 1 FROM event_tag_assignments eta_f WHERE eta_f.event_id = e.id AND ${matchTag('eta_f.tag_id')})
+    ))`,
+    params: [...params, ...params]
+  };
+}
+
+/**
+ * WHERE conditions for the event tag filters on an instance's effective tags
+ * @param {Object} tagFilters - parseTagFilters output
+ * @returns {{whereClauses: Array<string>, whereParams: Array}}
+ */
+function buildEventTagClauses(tagFilters) {
+  const { mode, ids, names, excludeIds } = tagFilters;
+  const whereClauses = [];
+  const whereParams = [];
+  const placeholders = (values) => values.map(() => '?').join(',');
+  const addCondition = (matchTag, params, negate = false) => {
+    const condition = effectiveTagCondition(matchTag, params);
+    whereClauses.push(negate ? `NOT ${condition.sql}` : condition.sql);
+    whereParams.push(...condition.params);
+  };
+  const idIn = (values) => (column) => `${column} IN (${placeholders(values)})`;
+  const nameIn = (values) => (column) => `${column} IN (SELECT id FROM event_tags WHERE name IN (${placeholders(values)}))`;
+
+  if (mode === 'all') {
+    for (const tagId of ids) {
+      addCondition(idIn([tagId]), [tagId]);
+    }
+    for (const name of names) {
+      addCondition(nameIn([name]), [name]);
+    }
+  } else if (ids.length > 0 || names.length > 0) {
+    const matches = [];
+    if (ids.length > 0) {
+      matches.push(idIn(ids));
+    }
+    if (names.length > 0) {
+      matches.push(nameIn(names));
+    }
+    const matchTag = matches.length > 1
+      ? (column) => `(${matches.map(match => match(column)).join(' OR ')})`
+      : matches[0];
+    addCondition(matchTag, [...ids, ...names]);
+  }
+
+  if (excludeIds.length > 0) {
+    addCondition(idIn(excludeIds), excludeIds, true);
+  }
+
+  return { whereClauses, whereParams };
+}
+
+/**
+ * Build the event instance listing query for validated filters, ordered by date
+ * and start time (in-progress instances nearest first when lat/lon are given).
+ * Cancelled instances are excluded; pagination is left to the caller.
+ * @param {Object} filters - parseEventInstanceFilters output
+ * @returns {Promise<{selectSql: string, params: Array, countSql: string, countParams: Array}>}
+ */
+async function buildEventInstanceQuery(filters) {
+  const { bar_id, date_from, date_to, upcoming, tagFilters, userLat, userLon, distanceUnit } = filters;
+
+  // Build dynamic query using direct joins instead of views to ensure all fields are included
+  let selectClauses = [
+    'ei.id as instance_id',
+    'ei.event_id', 
+    'ei.date',
+    'ei.is_cancelled',
+    'COALESCE(ei.custom_start_time, e.start_time) as start_time',
+    'COALESCE(ei.custom_end_time, e.end_time) as end_time',
+    'COALESCE(ei.crosses_midnight, e.crosses_midnight) as crosses_midnight',
+    'COALESCE(ei.custom_description, e.description) as description',
+    'COALESCE(ei.custom_image_url, e.image_url) as image_url',
+    'COALESCE(ei.custom_title, e.title) as title',
+    'COALESCE(ei.custom_external_link, e.external_link) as external_link',
+    'COALESCE(ei.custom_event_tag_id, e.event_tag_id) as event_tag_id',
+    'COALESCE(ct.name, et.name) as event_tag_name',
+    `${EFFECTIVE_EVENT_TAGS_SELECT} as event_tags`,
+    'e.bar_id',
+    'b.name as bar_name',
+    'b.address_street',
+    'b.address_city',
+    'b.address_state',
+    'b.address_zip',
+    'b.phone',
+    'b.website',
+    'b.latitude',
+    'b.longitude',
+    'b.timezone',
+    "(SELECT COUNT(*) FROM event_rsvps r WHERE r.event_instance_id = ei.id AND r.status = 'going') as going_count",
+    "(SELECT COUNT(*) FROM event_rsvps r WHERE r.event_instance_id = ei.id AND r.status = 'interested') as interested_count"
+  ];
+
+  const effectiveStartTimeExpr = 'COALESCE(ei.custom_start_time, e.start_time)';
+  const effectiveEndTimeExpr = 'COALESCE(ei.custom_end_time, e.end_time)';
+  const effectiveCrossesMidnightExpr = 'COALESCE(ei.crosses_midnight, e.crosses_midnight)';
+  // "Now" is each bar's local date and time (bar_clock), not the DB server's clock
+  const upcomingPredicate = `(
+    ei.date > bar_clock.local_date OR 
+    (
+      ei.date = bar_clock.local_date AND (
+        ${effectiveStartTimeExpr} >= bar_clock.local_time OR 
+        ${effectiveEndTimeExpr} > bar_clock.local_time OR 
+        (${effectiveCrossesMidnightExpr} = 1 AND ${effectiveStartTimeExpr} <= bar_clock.local_time)
+      )
+    )
+  )`;
+  const inProgressPredicate = `(
+    ei.date = bar_clock.local_date AND 
+    ${effectiveStartTimeExpr} <= bar_clock.local_time AND (
+      ${effectiveEndTimeExpr} > bar_clock.local_time OR 
+      (${effectiveCrossesMidnightExpr} = 1 AND ${effectiveStartTimeExpr} <= bar_clock.local_time)
+    )
+  )`;
+  let selectParams = [];
+  let joinParams = [];
+  let clockJoinSql = '';
+
+  if (upcoming === 'true' || (userLat !== null && userLon !== null)) {
+    const clockJoin = await fetchLocalClockJoin();
+    clockJoinSql = clockJoin.sql;
+    joinParams.push(...clockJoin.params);
+  }
+  
+  let fromClause = `
+    FROM event_instances ei
+    INNER JOIN events e ON ei.event_id = e.id
+    INNER JOIN bars b ON e.bar_id = b.id
+    ${clockJoinSql}
+    LEFT JOIN event_tags et ON e.event_tag_id = et.id
+    LEFT JOIN event_tags ct ON ei.custom_event_tag_id = ct.id
+    WHERE e.is_active = 1 AND b.is_active = 1
+  `;
+  
+  let whereClauses = [];
+  let whereParams = [];
+
+  if (userLat !== null && userLon !== null) {
+    const distance = buildDistanceQuery(filters);
+    selectClauses.push(`${distance.selectSql} as distance_${distanceUnit}`);
+    selectParams.push(...distance.selectParams);
+    whereClauses.push(...distance.whereClauses);
+    whereParams.push(...distance.whereParams);
+  }
+
+  // Tag filters apply to each instance's effective tags (its override tags, else the event's)
+  const tagClauses = buildEventTagClauses(tagFilters);
+  whereClauses.push(...tagClauses.whereClauses);
+  whereParams.push(...tagClauses.whereParams);
+
+  // Add filter conditions
+  if (bar_id) {
+    whereClauses.push('e.bar_id = ?');
+    whereParams.push(bar_id);
+  }
+
+  if (date_from) {
+    whereClauses.push('ei.date >= ?');
+    whereParams.push(date_from);
+  }
+
+  if (date_to) {
+    whereClauses.push('ei.date <= ?');
+    whereParams.push(date_to);
+  }
+
+  // Add upcoming filter
+  if (upcoming === 'true') {
+    whereClauses.push(upcomingPredicate);
+  }
+
+  // Don't show cancelled instances
+  whereClauses.push('ei.is_cancelled = false');
+
+  const whereSql = whereClauses.length > 0 ? ` AND ${whereClauses.join(' AND ')}` : '';
+
+  // Construct query
+  let selectSql = `SELECT ${selectClauses.join(', ')} ${fromClause}${whereSql}`;
+  if (userLat !== null && userLon !== null) {
+    selectSql += ` ORDER BY 
+      ei.date ASC,
+      CASE WHEN ${inProgressPredicate} THEN 0 ELSE 1 END ASC,
+      CASE WHEN ${inProgressPredicate} THEN distance_${distanceUnit} ELSE NULL END ASC,
+      ${effectiveStartTimeExpr} ASC,
+      distance_${distanceUnit} ASC`;
+  } else {
+    selectSql += ` ORDER BY ei.date ASC, ${effectiveStartTimeExpr} ASC`;
+  }
+
+  return {
+    selectSql,
+    params: [...selectParams, ...joinParams, ...whereParams],
+    countSql: `SELECT COUNT(*) as total ${fromClause}${whereSql}`,
+    countParams: [...joinParams, ...whereParams]
+  };
+}
+
+module.exports = {
+  parseEventInstanceFilters,
+  buildEventInstanceQuery
+};
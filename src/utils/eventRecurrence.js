@@ -2,20 +2,150 @@
  * Utility functions for handling recurring events and event instances
  */
 
+const { addDays } = require('./timezone');
 
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RRULE_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEK_OF_MONTH_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const VALID_PATTERNS = ['none', 'daily', 'weekly', 'monthly', 'yearly'];
+const MAX_RECURRENCE_INTERVAL = 99;
+const MAX_RECURRENCE_EXDATES = 366;
+// Generation never looks further ahead than this, so a rule that stops matching cannot loop forever
+const MAX_GENERATION_YEARS = 100;
+// Open-ended events (no end date or occurrence count) are materialized this many days ahead
+const ROLLING_HORIZON_DAYS = 90;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 /**
- * Generate event instances for a recurring event, supporting end date or occurrence count
+ * Parse a JSON array column that may arrive as an array, a JSON string or null
+ * @param {Array|string|null} value - Column value
+ * @returns {Array}
+ */
+function parseJsonArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (!value) {
+    return [];
+  }
+  return JSON.parse(value);
+}
+
+/**
+ * Normalize the rule fields of an event
+ * @param {Object} event - Event with recurrence fields
+ * @returns {{pattern: string, interval: number, days: Array<number>, weekOfMonth: number|null, exdates: Array<string>}}
+ */
+function normalizeRule(event) {
+  const interval = event.recurrence_interval ? parseInt(event.recurrence_interval, 10) : 1;
+  const weekOfMonth = event.recurrence_week_of_month !== undefined && event.recurrence_week_of_month !== null
+    ? parseInt(event.recurrence_week_of_month, 10)
+    : null;
+  return {
+    pattern: event.recurrence_pattern,
+    interval: interval > 0 ? interval : 1,
+    days: parseJsonArray(event.recurrence_days),
+    weekOfMonth: event.recurrence_pattern === 'monthly' ? weekOfMonth : null,
+    exdates: parseJsonArray(event.recurrence_exdates)
+  };
+}
+
+/**
+ * Whether a date is the nth (1-5) or last (-1) of its weekday in its month
+ * @param {Date} date - Local date
+ * @param {number} weekOfMonth - 1-5, or -1 for the last
+ * @returns {boolean}
+ */
+function isWeekOfMonth(date, weekOfMonth) {
+  if (weekOfMonth === -1) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return date.getDate() + 7 > daysInMonth;
+  }
+  return Math.ceil(date.getDate() / 7) === weekOfMonth;
+}
+
+/**
+ * Whether a date matches an event's rule, counting intervals from the start date
+ * (weekly intervals count Sunday-to-Saturday weeks)
+ * @param {Object} rule - normalizeRule output
+ * @param {Date} startDate - Local start date
+ * @param {Date} date - Local date to test
+ * @returns {boolean}
+ */
+function matchesRule(rule, startDate, date) {
+  switch (rule.pattern) {
+    case 'daily':
+      return Math.round((date - startDate) / MS_PER_DAY) % rule.interval === 0;
+    case 'weekly': {
+      if (!rule.days.includes(date.getDay())) {
+        return false;
+      }
+      const weekStart = day => new Date(day.getFullYear(), day.getMonth(), day.getDate() - day.getDay());
+      const weeks = Math.round((weekStart(date) - weekStart(startDate)) / (7 * MS_PER_DAY));
+      return weeks % rule.interval === 0;
+    }
+    case 'monthly': {
+      const months = (date.getFullYear() - startDate.getFullYear()) * 12 + date.getMonth() - startDate.getMonth();
+      if (months % rule.interval !== 0) {
+        return false;
+      }
+      if (rule.weekOfMonth !== null) {
+        // nth or last weekday of the month, e.g. first Friday or last Sunday
+        return rule.days.includes(date.getDay()) && isWeekOfMonth(date, rule.weekOfMonth);
+      }
+      // Otherwise the same day of month as the start date
+      return date.getDate() === startDate.getDate();
+    }
+    case 'yearly':
+      // Same month and day as the start date
+      return (date.getFullYear() - startDate.getFullYear()) % rule.interval === 0 &&
+        date.getMonth() === startDate.getMonth() &&
+        date.getDate() === startDate.getDate();
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a recurring event has neither an end date nor an occurrence count
+ * @param {Object} event - Event with recurrence fields
+ * @returns {boolean}
+ */
+function isOpenEnded(event) {
+  return event.recurrence_pattern !== 'none' &&
+    !event.recurrence_end_date &&
+    !event.recurrence_end_occurrences;
+}
+
+/**
+ * Last date an open-ended event is materialized to when generating from a given day
+ * @param {string} fromDate - Date (YYYY-MM-DD), usually today
+ * @param {number} [days] - Horizon length (defaults to ROLLING_HORIZON_DAYS)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getRollingHorizon(fromDate, days = ROLLING_HORIZON_DAYS) {
+  return addDays(fromDate, days);
+}
+
+/**
+ * Generate event instances for a recurring event, supporting end date or occurrence count.
+ * Open-ended events only produce instances when options.until bounds the window.
  * @param {Object} event - The master event object
  * @param {string} event.id - Event ID
  * @param {string} event.recurrence_pattern - 'none', 'daily', 'weekly', 'monthly', 'yearly'
- * @param {Array} event.recurrence_days - Array of day numbers [0-6] where 0=Sunday (required for weekly only)
+ * @param {number} event.recurrence_interval - Repeat every N days/weeks/months/years (default 1)
+ * @param {Array} event.recurrence_days - Array of day numbers [0-6] where 0=Sunday (weekly, and monthly by weekday)
+ * @param {number} event.recurrence_week_of_month - Monthly by weekday: 1-5 for the nth, -1 for the last (optional)
+ * @param {Array} event.recurrence_exdates - Dates (YYYY-MM-DD) to skip; they still count toward the occurrence count, as in RFC 5545 (optional)
  * @param {string} event.start_date - Start date (YYYY-MM-DD)
  * @param {string} event.recurrence_end_date - End date (YYYY-MM-DD, optional if occurrence count is used)
  * @param {number} event.recurrence_end_occurrences - Number of occurrences (optional, alternative to end date)
+ * @param {Object} [options]
+ * @param {string} [options.from] - Skip dates before this one (YYYY-MM-DD); they still count toward the occurrence count
+ * @param {string} [options.until] - Stop after this date (YYYY-MM-DD), e.g. the rolling horizon
  * @returns {Array} Array of instance objects to be inserted
  */
-function generateEventInstances(event) {
+function generateEventInstances(event, options = {}) {
   if (event.recurrence_pattern === 'none') {
     // For non-recurring events, create a single instance for the start date
     return [{
@@ -25,53 +155,32 @@ function generateEventInstances(event) {
   }
 
   const instances = [];
+  const rule = normalizeRule(event);
+  const excludedDates = new Set(rule.exdates);
   const startDate = new Date(event.start_date + 'T00:00:00');
-  const endDate = event.recurrence_end_date ? new Date(event.recurrence_end_date + 'T00:00:00') : null;
+  const endDates = [event.recurrence_end_date, options.until]
+    .filter(Boolean)
+    .map(date => new Date(date + 'T00:00:00'));
+  const endDate = endDates.length > 0 ? new Date(Math.min(...endDates)) : null;
   const maxOccurrences = event.recurrence_end_occurrences ? parseInt(event.recurrence_end_occurrences, 10) : null;
+  const horizon = new Date(startDate);
+  horizon.setFullYear(horizon.getFullYear() + MAX_GENERATION_YEARS);
   const currentDate = new Date(startDate);
   let occurrenceCount = 0;
 
-  // Validate recurrence_days format
-  const recurrenceDays = Array.isArray(event.recurrence_days) 
-    ? event.recurrence_days 
-    : JSON.parse(event.recurrence_days || '[]');
-
   while (
-    (endDate && currentDate <= endDate) ||
-    (maxOccurrences && occurrenceCount < maxOccurrences)
+    ((endDate && currentDate <= endDate) ||
+    (maxOccurrences && occurrenceCount < maxOccurrences)) &&
+    currentDate <= horizon
   ) {
-    let shouldCreateInstance = false;
-
-    switch (event.recurrence_pattern) {
-      case 'daily':
-        shouldCreateInstance = true;
-        break;
-      case 'weekly':
-        // Check if current day of week is in recurrence_days
-        const dayOfWeek = currentDate.getDay(); // 0=Sunday, 6=Saturday
-        shouldCreateInstance = recurrenceDays.includes(dayOfWeek);
-        break;
-      case 'monthly':
-        // For monthly, create instance on the same day of month as start date
-        const dayOfMonth = currentDate.getDate();
-        const startDayOfMonth = startDate.getDate();
-        shouldCreateInstance = dayOfMonth === startDayOfMonth;
-        break;
-      case 'yearly':
-        // For yearly, create instance on the same month and day as start date
-        const month = currentDate.getMonth();
-        const day = currentDate.getDate();
-        const startMonth = startDate.getMonth();
-        const startDay = startDate.getDate();
-        shouldCreateInstance = (month === startMonth && day === startDay);
-        break;
-    }
-
-    if (shouldCreateInstance) {
-      instances.push({
-        event_id: event.id,
-        date: formatDateForDB(currentDate)
-      });
+    if (matchesRule(rule, startDate, currentDate)) {
+      const date = formatDateForDB(currentDate);
+      if (!excludedDates.has(date) && !(options.from && date < options.from)) {
+        instances.push({
+          event_id: event.id,
+          date
+        });
+      }
       occurrenceCount++;
       // If using occurrence count, stop if reached
       if (maxOccurrences && occurrenceCount >= maxOccurrences) {
@@ -105,24 +214,30 @@ function formatDateForDB(date) {
  * @returns {Object} Validation result with isValid and errors
  */
 function validateRecurrenceData(recurrenceData, options = {}) {
-  const { recurrence_pattern, recurrence_days, start_date, recurrence_end_date, recurrence_end_occurrences } = recurrenceData;
+  const {
+    recurrence_pattern,
+    recurrence_interval,
+    recurrence_days,
+    recurrence_week_of_month,
+    recurrence_exdates,
+    start_date,
+    recurrence_end_date,
+    recurrence_end_occurrences
+  } = recurrenceData;
   const { requireStartDate = true } = options;
   const errors = [];
 
   // Valid patterns
-  const validPatterns = ['none', 'daily', 'weekly', 'monthly', 'yearly'];
-  if (!validPatterns.includes(recurrence_pattern)) {
-    errors.push(`Invalid recurrence_pattern. Must be one of: ${validPatterns.join(', ')}`);
+  if (!VALID_PATTERNS.includes(recurrence_pattern)) {
+    errors.push(`Invalid recurrence_pattern. Must be one of: ${VALID_PATTERNS.join(', ')}`);
   }
 
-  // For recurring events, start date is required, and either end date or occurrence count is required
+  // For recurring events, start date is required. Without an end date or occurrence count
+  // the event is open-ended and its instances are generated up to a rolling horizon.
   if (recurrence_pattern !== 'none') {
     if (requireStartDate && !start_date) {
       errors.push('start_date is required for recurring events');
     }
-    if (!recurrence_end_date && !recurrence_end_occurrences) {
-      errors.push('Either recurrence_end_date or recurrence_end_occurrences is required for recurring events');
-    }
 
     // Validate date formats
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
@@ -148,10 +263,29 @@ function validateRecurrenceData(recurrenceData, options = {}) {
       }
     }
 
-    // Validate recurrence_days for weekly patterns only
-    if (recurrence_pattern === 'weekly') {
+    // Validate the interval (every N days/weeks/months/years)
+    if (recurrence_interval !== undefined && recurrence_interval !== null) {
+      if (!Number.isInteger(recurrence_interval) || recurrence_interval < 1 || recurrence_interval > MAX_RECURRENCE_INTERVAL) {
+        errors.push(`recurrence_interval must be an integer from 1-${MAX_RECURRENCE_INTERVAL}`);
+      }
+    }
+
+    // Validate the week of month (monthly by weekday only)
+    const hasWeekOfMonth = recurrence_week_of_month !== undefined && recurrence_week_of_month !== null;
+    if (hasWeekOfMonth) {
+      if (recurrence_pattern !== 'monthly') {
+        errors.push('recurrence_week_of_month is only supported for monthly events');
+      } else if (!Object.keys(WEEK_OF_MONTH_NAMES).includes(String(recurrence_week_of_month)) || !Number.isInteger(recurrence_week_of_month)) {
+        errors.push('recurrence_week_of_month must be 1-5 (nth weekday of the month) or -1 (last weekday of the month)');
+      }
+    }
+
+    // Validate recurrence_days for weekly patterns and monthly-by-weekday patterns
+    if (recurrence_pattern === 'weekly' || (recurrence_pattern === 'monthly' && hasWeekOfMonth)) {
       if (!recurrence_days) {
-        errors.push('recurrence_days is required for weekly events');
+        errors.push(recurrence_pattern === 'weekly'
+          ? 'recurrence_days is required for weekly events'
+          : 'recurrence_days is required with recurrence_week_of_month');
       } else {
         let daysArray;
         try {
@@ -172,6 +306,15 @@ function validateRecurrenceData(recurrenceData, options = {}) {
         }
       }
     }
+
+    // Validate exclusion dates
+    if (recurrence_exdates !== undefined && recurrence_exdates !== null) {
+      if (!Array.isArray(recurrence_exdates) || recurrence_exdates.some(date => typeof date !== 'string' || !dateRegex.test(date))) {
+        errors.push('recurrence_exdates must be an array of YYYY-MM-DD dates');
+      } else if (recurrence_exdates.length > MAX_RECURRENCE_EXDATES) {
+        errors.push(`recurrence_exdates accepts at most ${MAX_RECURRENCE_EXDATES} dates`);
+      }
+    }
   }
 
   return {
@@ -186,8 +329,7 @@ function validateRecurrenceData(recurrenceData, options = {}) {
  * @returns {string} Day name
  */
 function getDayName(dayNumber) {
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  return days[dayNumber] || 'Unknown';
+  return DAY_NAMES[dayNumber] || 'Unknown';
 }
 
 /**
@@ -200,35 +342,103 @@ function getRecurrenceDescription(event) {
     return 'One-time event';
   }
 
+  const rule = normalizeRule(event);
   let endDesc = '';
   if (event.recurrence_end_occurrences) {
     endDesc = `, ${event.recurrence_end_occurrences} occurrence${event.recurrence_end_occurrences > 1 ? 's' : ''}`;
   } else if (event.recurrence_end_date) {
     endDesc = `, until ${event.recurrence_end_date}`;
   }
+  if (rule.exdates.length > 0) {
+    endDesc += rule.exdates.length <= 3
+      ? `, except ${rule.exdates.join(', ')}`
+      : `, except on ${rule.exdates.length} dates`;
+  }
+
+  // "Weekly" / "Every 2 weeks"
+  const every = (single, unit) => (rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : single);
+  const dayNames = rule.days.map(getDayName);
 
   switch (event.recurrence_pattern) {
     case 'daily':
-      return `Daily${endDesc}`;
+      return `${every('Daily', 'day')}${endDesc}`;
     case 'weekly':
-      const recurrenceDays = Array.isArray(event.recurrence_days) 
-        ? event.recurrence_days 
-        : JSON.parse(event.recurrence_days || '[]');
-      const dayNames = recurrenceDays.map(getDayName);
-      return `Weekly on ${dayNames.join(', ')}${endDesc}`;
+      return `${every('Weekly', 'week')} on ${dayNames.join(', ')}${endDesc}`;
     case 'monthly':
-      return `Monthly${endDesc}`;
+      if (rule.weekOfMonth !== null) {
+        return `${every('Monthly', 'month')} on the ${WEEK_OF_MONTH_NAMES[rule.weekOfMonth]} ${dayNames.join(', ')}${endDesc}`;
+      }
+      return `${every('Monthly', 'month')}${endDesc}`;
     case 'yearly':
-      return `Yearly${endDesc}`;
+      return `${every('Yearly', 'year')}${endDesc}`;
     default:
       return 'Unknown pattern';
   }
 }
 
+/**
+ * Build the RFC 5545 RRULE value for an event's recurrence (exclusion dates are
+ * published separately, as EXDATE)
+ * @param {Object} event - Event with recurrence fields (dates as YYYY-MM-DD)
+ * @returns {string|null} RRULE value (without the "RRULE:" prefix), or null for one-time events
+ */
+function buildRRule(event) {
+  const rule = normalizeRule(event);
+  const days = [...new Set(rule.days)].sort((a, b) => a - b);
+  const parts = [];
+
+  switch (rule.pattern) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      break;
+    case 'weekly':
+      parts.push('FREQ=WEEKLY');
+      break;
+    case 'monthly':
+      parts.push('FREQ=MONTHLY');
+      break;
+    case 'yearly':
+      parts.push('FREQ=YEARLY');
+      break;
+    default:
+      return null;
+  }
+
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+
+  if (rule.pattern === 'weekly') {
+    // Intervals count Sunday-to-Saturday weeks (RFC 5545 defaults to Monday)
+    if (rule.interval > 1) {
+      parts.push('WKST=SU');
+    }
+    parts.push(`BYDAY=${days.map(day => RRULE_DAY_CODES[day]).join(',')}`);
+  } else if (rule.pattern === 'monthly') {
+    parts.push(rule.weekOfMonth !== null
+      ? `BYDAY=${days.map(day => `${rule.weekOfMonth}${RRULE_DAY_CODES[day]}`).join(',')}`
+      : `BYMONTHDAY=${Number(event.start_date.split('-')[2])}`);
+  }
+
+  if (event.recurrence_end_occurrences) {
+    parts.push(`COUNT=${parseInt(event.recurrence_end_occurrences, 10)}`);
+  } else if (event.recurrence_end_date) {
+    parts.push(`UNTIL=${event.recurrence_end_date.replace(/-/g, '')}T235959`);
+  }
+
+  return parts.join(';');
+}
+
 module.exports = {
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_EXDATES,
+  ROLLING_HORIZON_DAYS,
+  isOpenEnded,
+  getRollingHorizon,
   generateEventInstances,
   formatDateForDB,
   validateRecurrenceData,
   getDayName,
-  getRecurrenceDescription
+  getRecurrenceDescription,
+  buildRRule
 };
\ No newline at end of file
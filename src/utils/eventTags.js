@@ -0,0 +1,142 @@
+/**
+ * Events carry one or more event tags through event_tag_assignments, and an instance
+ * can replace that set with its own (event_instance_tag_assignments). The first tag
+ * of each set is also kept in events.event_tag_id / event_instances.custom_event_tag_id
+ * as the primary tag, which single-tag clients, the calendar feeds and the
+ * upcoming/all_event_instances views read.
+ */
+
+// Upper bound on the tags sent for one event or instance
+const MAX_EVENT_TAGS = 10;
+
+// The instance's override tags if it has any, else the event's, as a GROUP_CONCAT'd
+// "id:name" list (expects the ei/e aliases of the instance queries)
+const EFFECTIVE_EVENT_TAGS_SELECT = `COALESCE(
+  (SELECT GROUP_CONCAT(CONCAT(itag.id, ':', itag.name) ORDER BY itag.name SEPARATOR ',')
+   FROM event_instance_tag_assignments eita INNER JOIN event_tags itag ON eita.tag_id = itag.id
+   WHERE eita.instance_id = ei.id),
+  (SELECT GROUP_CONCAT(CONCAT(etag.id, ':', etag.name) ORDER BY etag.name SEPARATOR ',')
+   FROM event_tag_assignments eta INNER JOIN event_tags etag ON eta.tag_id = etag.id
+   WHERE eta.event_id = e.id)
+)`;
+
+// An event's own tags as a GROUP_CONCAT'd "id:name" list (expects the e alias)
+const EVENT_TAGS_SELECT = `(SELECT GROUP_CONCAT(CONCAT(etag.id, ':', etag.name) ORDER BY etag.name SEPARATOR ',')
+   FROM event_tag_assignments eta INNER JOIN event_tags etag ON eta.tag_id = etag.id
+   WHERE eta.event_id = e.id)`;
+
+// Parses a GROUP_CONCAT'd "id:name" event tag list into objects
+const parseConcatenatedEventTags = value => {
+  if (!value) return [];
+  return value.split(',').map(t => {
+    const separator = t.indexOf(':');
+    return { id: t.slice(0, separator), name: t.slice(separator + 1) };
+  });
+};
+
+/**
+ * Normalize the tags sent for an event or instance: the list field plus the
+ * single-tag field, which becomes the primary (first) tag when both are sent
+ * @param {Object} payload - Request body
+ * @param {string} singleField - Single tag id field (event_tag_id, custom_event_tag_id)
+ * @param {string} listField - Tag id array field (event_tag_ids, custom_event_tag_ids)
+ * @returns {{tagIds: Array<string>}|{error: string}} Distinct ids, primary first ([] when neither field has a value)
+ */
+function parseEventTagIds(payload, singleField, listField) {
+  const single = payload[singleField];
+  const list = payload[listField];
+  const invalid = { error: `${listField} must be an array of event tag ids` };
+
+  if (list !== undefined && list !== null && !Array.isArray(list)) {
+    return invalid;
+  }
+  if (single !== undefined && single !== null && typeof single !== 'string') {
+    return { error: `${singleField} must be an event tag id` };
+  }
+
+  const values = [...(single ? [single] : []), ...(list || [])];
+  if (values.some(value => typeof value !== 'string' || !value.trim())) {
+    return invalid;
+  }
+
+  const tagIds = [...new Set(values.map(value => value.trim()))];
+  if (tagIds.length > MAX_EVENT_TAGS) {
+    return { error: `An event can have at most ${MAX_EVENT_TAGS} event tags` };
+  }
+  return { tagIds };
+}
+
+/**
+ * Find the ids that do not reference an existing event tag
+ * @param {Object} executor - db or a transaction connection
+ * @param {Array<string>} tagIds - Event tag ids
+ * @returns {Promise<Array<string>>} Unknown ids, in input order
+ */
+async function findUnknownEventTags(executor, tagIds) {
+  if (tagIds.length === 0) {
+    return [];
+  }
+  const [rows] = await executor.execute(
+    `SELECT id FROM event_tags WHERE id IN (${tagIds.map(() => '?').join(',')})`,
+    tagIds
+  );
+  const known = new Set(rows.map(row => row.id));
+  return tagIds.filter(tagId => !known.has(tagId));
+}
+
+async function replaceAssignments(executor, table, ownerColumn, ownerId, tagIds) {
+  await executor.execute(`DELETE FROM ${table} WHERE ${ownerColumn} = ?`, [ownerId]);
+  if (tagIds.length > 0) {
+    await executor.execute(
+      `INSERT INTO ${table} (${ownerColumn}, tag_id) VALUES ${tagIds.map(() => '(?, ?)').join(', ')}`,
+      tagIds.flatMap(tagId => [ownerId, tagId])
+    );
+  }
+}
+
+/**
+ * Replace an event's tags
+ * @param {Object} executor - db or a transaction connection
+ * @param {string} eventId - Event UUID
+ * @param {Array<string>} tagIds - Validated event tag ids
+ */
+function setEventTags(executor, eventId, tagIds) {
+  return replaceAssignments(executor, 'event_tag_assignments', 'event_id', eventId, tagIds);
+}
+
+/**
+ * Replace an instance's override tags ([] returns the instance to the event's tags)
+ * @param {Object} executor - db or a transaction connection
+ * @param {string} instanceId - Event instance UUID
+ * @param {Array<string>} tagIds - Validated event tag ids
+ */
+function setInstanceTags(executor, instanceId, tagIds) {
+  return replaceAssignments(executor, 'event_instance_tag_assignments', 'instance_id', instanceId, tagIds);
+}
+
+/**
+ * Current tag ids of an event or instance, sorted, for audit snapshots
+ * @param {Object} executor - db or a transaction connection
+ * @param {'event'|'instance'} owner - Whose tags to read
+ * @param {string} ownerId - Event or instance UUID
+ * @returns {Promise<Array<string>>}
+ */
+async function fetchEventTagIds(executor, owner, ownerId) {
+  const sql = owner === 'instance'
+    ? 'SELECT tag_id FROM event_instance_tag_assignments WHERE instance_id = ?'
+    : 'SELECT tag_id FROM event_tag_assignments WHERE event_id = ?';
+  const [rows] = await executor.execute(sql, [ownerId]);
+  return rows.map(row => row.tag_id).sort();
+}
+
+module.exports = {
+  MAX_EVENT_TAGS,
+  EFFECTIVE_EVENT_TAGS_SELECT,
+  EVENT_TAGS_SELECT,
+  parseConcatenatedEventTags,
+  parseEventTagIds,
+  findUnknownEventTags,
+  setEventTags,
+  setInstanceTags,
+  fetchEventTagIds
+};
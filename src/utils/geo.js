@@ -0,0 +1,213 @@
+/**
+ * Map geometry for bar queries: viewport bounding boxes and GeoJSON polygons.
+ * Positions are [longitude, latitude], as in GeoJSON.
+ */
+
+// Upper bound on polygon size, to keep the spatial predicate cheap
+const MAX_POLYGON_VERTICES = 2000;
+
+// Earth radius per distance unit used by the distance queries
+const EARTH_RADIUS = { km: 6371, miles: 3959 };
+
+// Slack added to radius bounding boxes (degrees, about 1 cm) so floating point
+// rounding never drops a bar the exact distance test would keep
+const RADIUS_BOUNDS_MARGIN = 1e-7;
+
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+
+/**
+ * Parse a bbox=minLon,minLat,maxLon,maxLat parameter
+ * @param {string} value - Query value
+ * @returns {{bbox: Object}|{error: string}} { minLon, minLat, maxLon, maxLat }, or a 400 message
+ */
+function parseBbox(value) {
+  const parts = String(value).split(',').map(part => part.trim());
+  const numbers = parts.map(Number);
+  if (parts.length !== 4 || parts.some(part => part === '') || numbers.some(number => !Number.isFinite(number))) {
+    return { error: 'bbox must be four numbers: minLon,minLat,maxLon,maxLat.' };
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = numbers;
+  if (!isLongitude(minLon) || !isLongitude(maxLon) || !isLatitude(minLat) || !isLatitude(maxLat)) {
+    return { error: 'bbox longitudes must be between -180 and 180 and latitudes between -90 and 90.' };
+  }
+  if (minLon >= maxLon || minLat >= maxLat) {
+    return { error: 'bbox minimums must be less than its maximums (boxes crossing the antimeridian are not supported).' };
+  }
+  return { bbox: { minLon, minLat, maxLon, maxLat } };
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon (bare, or as a Feature's geometry)
+ * @param {Object} geojson - GeoJSON object
+ * @returns {{geometry: Object}|{error: string}} The geometry ({ type, coordinates }), or a 400 message
+ */
+function normalizePolygon(geojson) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') || !Array.isArray(geometry.coordinates)) {
+    return { error: 'Area must be a GeoJSON Polygon or MultiPolygon (or a Feature with one as its geometry).' };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (polygons.length === 0) {
+    return { error: 'MultiPolygon must contain at least one polygon.' };
+  }
+
+  let vertexCount = 0;
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return { error: 'Each polygon must contain at least one linear ring.' };
+    }
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return { error: 'Each linear ring must have at least four positions.' };
+      }
+      for (const position of ring) {
+        if (!Array.isArray(position) || position.length < 2 || !isLongitude(position[0]) || !isLatitude(position[1])) {
+          return { error: 'Positions must be [longitude, latitude] with longitude between -180 and 180 and latitude between -90 and 90.' };
+        }
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return { error: 'Each linear ring must be closed (first and last positions equal).' };
+      }
+      vertexCount += ring.length;
+    }
+  }
+
+  if (vertexCount > MAX_POLYGON_VERTICES) {
+    return { error: `Area polygons are limited to ${MAX_POLYGON_VERTICES} vertices.` };
+  }
+
+  // Keep only the 2D positions so the stored and queried geometry is plain GeoJSON
+  const coordinates = polygons.map(rings => rings.map(ring => ring.map(([lon, lat]) => [lon, lat])));
+  return {
+    geometry: {
+      type: geometry.type,
+      coordinates: geometry.type === 'Polygon' ? coordinates[0] : coordinates
+    }
+  };
+}
+
+/**
+ * Bounding box of a Polygon or MultiPolygon (see normalizePolygon)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{minLon: number, minLat: number, maxLon: number, maxLat: number}}
+ */
+function geometryBounds(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+  for (const rings of polygons) {
+    for (const [lon, lat] of rings[0]) {
+      bounds.minLon = Math.min(bounds.minLon, lon);
+      bounds.maxLon = Math.max(bounds.maxLon, lon);
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+    }
+  }
+  return bounds;
+}
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * SQL great-circle distance (spherical law of cosines) from a point to a bar's
+ * coordinates. Takes three placeholders: latitude, longitude, latitude.
+ * @param {string} unit - 'km' or 'miles'
+ * @param {string} [alias] - Bars table alias
+ * @returns {string} SQL expression
+ */
+function distanceSql(unit, alias = 'b') {
+  return `${EARTH_RADIUS[unit]} * acos(
+        cos(radians(?)) * cos(radians(${alias}.latitude)) *
+        cos(radians(${alias}.longitude) - radians(?)) +
+        sin(radians(?)) * sin(radians(${alias}.latitude))
+      )`;
+}
+
+/**
+ * Bounding box holding every point within radius of a center. Near a pole the
+ * box spans all longitudes; across the antimeridian the longitude range is
+ * dropped (longitude bounds are then null).
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @param {number} radius - Distance in unit
+ * @param {string} unit - 'km' or 'miles'
+ * @returns {{minLat: number, maxLat: number, minLon: number|null, maxLon: number|null}}
+ */
+function radiusBounds(lat, lon, radius, unit) {
+  const angularRadius = radius / EARTH_RADIUS[unit];
+  const latDelta = toDegrees(angularRadius) + RADIUS_BOUNDS_MARGIN;
+  const minLat = lat - latDelta;
+  const maxLat = lat + latDelta;
+
+  if (minLat <= -90 || maxLat >= 90) {
+    return { minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLon: null, maxLon: null };
+  }
+
+  // Widest longitude offset of the circle, reached off the center latitude
+  const lonDelta = toDegrees(Math.asin(Math.sin(angularRadius) / Math.cos(toRadians(lat)))) + RADIUS_BOUNDS_MARGIN;
+  if (lon - lonDelta < -180 || lon + lonDelta > 180) {
+    return { minLat, maxLat, minLon: null, maxLon: null };
+  }
+  return { minLat, maxLat, minLon: lon - lonDelta, maxLon: lon + lonDelta };
+}
+
+/**
+ * Distance select and filters for a lat/lon (and optional radius) query on bars.
+ * The radius test is preceded by a bounding box on the coordinates, so MySQL can
+ * range-scan idx_bars_location instead of computing the distance for every bar;
+ * the exact distance test still decides, so results match the distance alone.
+ * @param {Object} location
+ * @param {number} location.userLat - Center latitude
+ * @param {number} location.userLon - Center longitude
+ * @param {number|null} location.radiusValue - Maximum distance, or null
+ * @param {string} location.distanceUnit - 'km' or 'miles'
+ * @param {string} [alias] - Bars table alias
+ * @returns {{selectSql: string, selectParams: Array, whereClauses: Array<string>, whereParams: Array}}
+ *   selectSql is the distance rounded to two decimals, without an alias
+ */
+function buildDistanceQuery({ userLat, userLon, radiusValue, distanceUnit }, alias = 'b') {
+  const pointParams = [userLat, userLon, userLat];
+  // Only bars with coordinates have a distance
+  const whereClauses = [`${alias}.latitude IS NOT NULL AND ${alias}.longitude IS NOT NULL`];
+  const whereParams = [];
+
+  if (radiusValue !== null && radiusValue !== undefined) {
+    const bounds = radiusBounds(userLat, userLon, radiusValue, distanceUnit);
+    whereClauses.push(`${alias}.latitude BETWEEN ? AND ?`);
+    whereParams.push(bounds.minLat, bounds.maxLat);
+    if (bounds.minLon !== null) {
+      whereClauses.push(`${alias}.longitude BETWEEN ? AND ?`);
+      whereParams.push(bounds.minLon, bounds.maxLon);
+    }
+
+    whereClauses.push(`(
+      ${distanceSql(distanceUnit, alias)}
+    ) <= ?`);
+    whereParams.push(...pointParams, radiusValue);
+  }
+
+  return {
+    selectSql: `ROUND((
+      ${distanceSql(distanceUnit, alias)}
+    ), 2)`,
+    selectParams: pointParams,
+    whereClauses,
+    whereParams
+  };
+}
+
+module.exports = {
+  MAX_POLYGON_VERTICES,
+  EARTH_RADIUS,
+  parseBbox,
+  normalizePolygon,
+  geometryBounds,
+  distanceSql,
+  radiusBounds,
+  buildDistanceQuery
+};
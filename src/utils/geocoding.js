@@ -0,0 +1,274 @@
+/**
+ * Address geocoding for bars, so bars created without coordinates still show up
+ * in distance queries.
+ *
+ * A geocoder is { name, geocode(address) } where address is
+ * { street, city, state, zip } and geocode resolves to { latitude, longitude },
+ * or null when the address has no match; provider failures are thrown.
+ *
+ * GEOCODER_PROVIDER selects the provider:
+ * - none (default): geocoding disabled
+ * - offline: lookups in a local JSON file (GEOCODER_OFFLINE_FILE), shaped
+ *   { "addresses": { "1 Main St, Boston, MA 02108": [lat, lon] }, "zips": { "02108": [lat, lon] } }
+ *   where zips are centroids used when the full address is not listed
+ * - nominatim: OpenStreetMap Nominatim (GEOCODER_NOMINATIM_URL, GEOCODER_USER_AGENT,
+ *   optional GEOCODER_COUNTRY_CODES and GEOCODER_TIMEOUT_MS); a request that runs
+ *   past the timeout is aborted and reported as a failure
+ */
+
+const fs = require('fs');
+const db = require('./db');
+
+const ADDRESS_FIELDS = ['address_street', 'address_city', 'address_state', 'address_zip'];
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * One-line address for a bar ("street, city, state zip")
+ * @param {Object} bar - Bar with address fields
+ * @returns {string}
+ */
+function formatAddress(bar) {
+  const stateZip = [bar.address_state, bar.address_zip].filter(Boolean).join(' ');
+  return [bar.address_street, bar.address_city, stateZip].filter(Boolean).join(', ');
+}
+
+const normalizeAddressKey = (value) => String(value).toLowerCase().replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const toCoordinates = (pair) => {
+  const [latitude, longitude] = Array.isArray(pair) ? pair.map(Number) : [NaN, NaN];
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Offline geocoder backed by a lookup table (see the module comment for the shape)
+ * @param {Object} [table]
+ * @param {Object} [table.addresses] - Full address -> [latitude, longitude]
+ * @param {Object} [table.zips] - ZIP code -> [latitude, longitude] centroid
+ * @returns {Object} Geocoder
+ */
+function createOfflineGeocoder({ addresses = {}, zips = {} } = {}) {
+  const byAddress = new Map(Object.entries(addresses).map(([address, pair]) => [normalizeAddressKey(address), pair]));
+
+  return {
+    name: 'offline',
+    async geocode(address) {
+      const key = normalizeAddressKey(formatAddress({
+        address_street: address.street,
+        address_city: address.city,
+        address_state: address.state,
+        address_zip: address.zip
+      }));
+      return toCoordinates(byAddress.get(key)) || toCoordinates(zips[String(address.zip || '').trim()]);
+    }
+  };
+}
+
+/**
+ * Geocoder using the Nominatim structured search API
+ * @param {Object} [options]
+ * @param {string} [options.url] - Search endpoint
+ * @param {string} [options.userAgent] - Identifying User-Agent (required by the Nominatim usage policy)
+ * @param {string} [options.countryCodes] - Comma-separated ISO 3166-1 codes to restrict results to
+ * @param {number} [options.timeoutMs] - Abort requests that take longer than this
+ * @param {Function} [options.fetchImpl] - fetch implementation
+ * @returns {Object} Geocoder
+ */
+function createNominatimGeocoder({
+  url = DEFAULT_NOMINATIM_URL,
+  userAgent = 'to-the-pub-backend',
+  countryCodes,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetchImpl = fetch
+} = {}) {
+  return {
+    name: 'nominatim',
+    async geocode(address) {
+      const params = new URLSearchParams({
+        format: 'jsonv2',
+        limit: '1',
+        street: address.street || '',
+        city: address.city || '',
+        state: address.state || '',
+        postalcode: address.zip || ''
+      });
+      if (countryCodes) {
+        params.set('countrycodes', countryCodes);
+      }
+
+      const response = await fetchImpl(`${url}?${params}`, {
+        headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`Nominatim responded with HTTP ${response.status}`);
+      }
+      const results = await response.json();
+      return Array.isArray(results) && results.length > 0 ? toCoordinates([results[0].lat, results[0].lon]) : null;
+    }
+  };
+}
+
+/**
+ * Build the geocoder configured by the GEOCODER_* environment variables
+ * @param {Object} [env] - Environment
+ * @returns {Object|null} Geocoder, or null when geocoding is disabled
+ */
+function createGeocoderFromEnv(env = process.env) {
+  const provider = (env.GEOCODER_PROVIDER || 'none').toLowerCase();
+
+  if (provider === 'none') {
+    return null;
+  }
+  if (provider === 'offline') {
+    const table = env.GEOCODER_OFFLINE_FILE ? JSON.parse(fs.readFileSync(env.GEOCODER_OFFLINE_FILE, 'utf8')) : {};
+    return createOfflineGeocoder(table);
+  }
+  if (provider === 'nominatim') {
+    const timeoutMs = env.GEOCODER_TIMEOUT_MS ? Number(env.GEOCODER_TIMEOUT_MS) : DEFAULT_TIMEOUT_MS;
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      throw new Error(`Invalid GEOCODER_TIMEOUT_MS "${env.GEOCODER_TIMEOUT_MS}" (expected a positive number of milliseconds)`);
+    }
+    return createNominatimGeocoder({
+      url: env.GEOCODER_NOMINATIM_URL || DEFAULT_NOMINATIM_URL,
+      userAgent: env.GEOCODER_USER_AGENT || 'to-the-pub-backend',
+      countryCodes: env.GEOCODER_COUNTRY_CODES,
+      timeoutMs
+    });
+  }
+  throw new Error(`Unknown GEOCODER_PROVIDER "${provider}" (expected none, offline or nominatim)`);
+}
+
+let activeGeocoder;
+
+/**
+ * The geocoder in use, created from the environment on first use. A broken
+ * configuration is logged and disables geocoding rather than failing bar writes.
+ * @returns {Object|null} Geocoder, or null when disabled
+ */
+function getGeocoder() {
+  if (activeGeocoder === undefined) {
+    try {
+      activeGeocoder = createGeocoderFromEnv();
+    } catch (err) {
+      console.error('Geocoding disabled:', err.message || err);
+      activeGeocoder = null;
+    }
+  }
+  return activeGeocoder;
+}
+
+/**
+ * Replace the geocoder in use (null disables geocoding, undefined re-reads the environment)
+ * @param {Object|null|undefined} geocoder - Geocoder
+ */
+function setGeocoder(geocoder) {
+  activeGeocoder = geocoder;
+}
+
+/**
+ * Whether a bar has both coordinates set
+ * @param {Object} bar - Bar or payload
+ * @returns {boolean}
+ */
+function hasCoordinates(bar) {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  return isSet(bar.latitude) && isSet(bar.longitude);
+}
+
+/**
+ * Geocode a bar's address with the active geocoder. Never throws.
+ * @param {Object} bar - Bar with address fields
+ * @param {Object|null} [geocoder] - Geocoder (defaults to getGeocoder())
+ * @returns {Promise<Object>} { status: 'geocoded', latitude, longitude }, { status: 'not_found' },
+ *   { status: 'failed', error } or { status: 'disabled' }
+ */
+async function geocodeBar(bar, geocoder = getGeocoder()) {
+  if (!geocoder) {
+    return { status: 'disabled' };
+  }
+  try {
+    const coordinates = await geocoder.geocode({
+      street: bar.address_street,
+      city: bar.address_city,
+      state: bar.address_state,
+      zip: bar.address_zip
+    });
+    return coordinates ? { status: 'geocoded', ...coordinates } : { status: 'not_found' };
+  } catch (err) {
+    console.error(`Error geocoding "${formatAddress(bar)}" with ${geocoder.name}:`, err.message || err);
+    return { status: 'failed', error: err.message || String(err) };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Geocode active bars that are missing coordinates (the admin backfill)
+ * @param {Object} [options]
+ * @param {Object|null} [options.geocoder] - Geocoder (defaults to getGeocoder())
+ * @param {number} [options.limit] - Maximum number of bars to process
+ * @param {boolean} [options.dryRun] - Geocode but do not save
+ * @param {number} [options.delayMs] - Pause between requests (rate-limited providers)
+ * @param {Function} [options.onProgress] - Called with (bar, result) after each bar
+ * @returns {Promise<{total: number, updated: Array<Object>, failed: Array<Object>}>}
+ *   updated: { id, name, latitude, longitude }; failed: { id, name, address, status, error }
+ */
+async function backfillBarCoordinates({ geocoder = getGeocoder(), limit, dryRun = false, delayMs = 0, onProgress } = {}) {
+  if (!geocoder) {
+    throw new Error('Geocoding is disabled; set GEOCODER_PROVIDER to offline or nominatim');
+  }
+
+  let selectSql = `
+    SELECT id, name, ${ADDRESS_FIELDS.join(', ')}
+    FROM bars
+    WHERE is_active = 1 AND (latitude IS NULL OR longitude IS NULL)
+    ORDER BY name
+  `;
+  const params = [];
+  if (limit) {
+    selectSql += ' LIMIT ?';
+    params.push(limit);
+  }
+  const [bars] = await db.query(selectSql, params);
+
+  const report = { total: bars.length, updated: [], failed: [] };
+  for (let index = 0; index < bars.length; index++) {
+    const bar = bars[index];
+    if (index > 0 && delayMs > 0) {
+      await sleep(delayMs);
+    }
+
+    const result = await geocodeBar(bar, geocoder);
+    if (result.status === 'geocoded') {
+      if (!dryRun) {
+        await db.execute(
+          'UPDATE bars SET latitude = ?, longitude = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND (latitude IS NULL OR longitude IS NULL)',
+          [result.latitude, result.longitude, bar.id]
+        );
+      }
+      report.updated.push({ id: bar.id, name: bar.name, latitude: result.latitude, longitude: result.longitude });
+    } else {
+      report.failed.push({ id: bar.id, name: bar.name, address: formatAddress(bar), status: result.status, error: result.error || null });
+    }
+
+    if (onProgress) {
+      onProgress(bar, result);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  formatAddress,
+  createOfflineGeocoder,
+  createNominatimGeocoder,
+  createGeocoderFromEnv,
+  getGeocoder,
+  setGeocoder,
+  hasCoordinates,
+  geocodeBar,
+  backfillBarCoordinates
+};
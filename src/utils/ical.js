@@ -0,0 +1,455 @@
+/**
+ * Utility functions for building RFC 5545 iCalendar (.ics) feeds from events
+ * and their materialized event_instances.
+ *
+ * start_time, end_time and the instance dates are wall-clock values in the bar's
+ * time zone, so DTSTART, DTEND, EXDATE and RECURRENCE-ID carry a TZID naming it.
+ * Each zone used gets a VTIMEZONE listing its UTC offset changes over the span
+ * the feed covers, and RRULE UNTIL values are converted to UTC as RFC 5545 requires.
+ */
+
+const { generateEventInstances, isOpenEnded, buildRRule: buildRecurrenceRule } = require('./eventRecurrence');
+const {
+  DEFAULT_TIMEZONE,
+  addDays,
+  findOffsetTransitions,
+  getTimeZoneOffset,
+  isValidTimeZone,
+  zonedTimeToUtc
+} = require('./timezone');
+
+const PRODID = '-//To The Pub//Events Calendar//EN';
+const UID_DOMAIN = 'tothepub';
+
+/**
+ * Normalize a DATE column value (string or Date from mysql2) to YYYY-MM-DD
+ * @param {string|Date} value - Date value
+ * @returns {string|null} Date string
+ */
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Format a date and time as an iCalendar floating DATE-TIME (YYYYMMDDTHHMMSS)
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {string} timeString - Time (HH:MM:SS or HH:MM)
+ * @returns {string} iCalendar DATE-TIME value
+ */
+function formatDateTime(dateString, timeString) {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(timeString || '00:00:00').split(':');
+  return `${dateString.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.padStart(2, '0')}`;
+}
+
+/**
+ * Format a date-time property with the time zone its value is local to
+ * @param {string} name - Property name (e.g. DTSTART)
+ * @param {string} timeZone - IANA time zone name
+ * @param {string} value - One or more comma-separated local DATE-TIME values
+ * @returns {string} Content line, e.g. DTSTART;TZID=America/New_York:20261103T190000
+ */
+const zonedProperty = (name, timeZone, value) => `${name};TZID=${timeZone}:${value}`;
+
+/**
+ * Format a UTC offset in minutes as an iCalendar UTC-OFFSET (+HHMM / -HHMM)
+ * @param {number} offset - Minutes east of UTC
+ * @returns {string} UTC-OFFSET value
+ */
+function formatUtcOffset(offset) {
+  const absolute = Math.abs(offset);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${offset < 0 ? '-' : '+'}${hours}${minutes}`;
+}
+
+/**
+ * Format a JavaScript Date as a UTC iCalendar DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar UTC DATE-TIME value
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * The time zone an event's times are local to (its bar's, or the default for bars without a valid one)
+ * @param {Object} event - Master event row joined with the bar's timezone
+ * @returns {string} IANA time zone name
+ */
+function resolveTimeZone(event) {
+  return isValidTimeZone(event.timezone) ? event.timezone.trim() : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Build the VTIMEZONE component for a zone: the offset in effect at fromDate,
+ * then every offset change up to toDate
+ * @param {string} timeZone - IANA time zone name
+ * @param {string} fromDate - First date the feed uses (YYYY-MM-DD)
+ * @param {string} toDate - Last date the feed uses (YYYY-MM-DD)
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildTimeZoneComponent(timeZone, fromDate, toDate) {
+  const transitions = findOffsetTransitions(timeZone, fromDate, toDate);
+  const initialOffset = transitions.length > 0
+    ? transitions[0].offsetFrom
+    : getTimeZoneOffset(timeZone, zonedTimeToUtc(fromDate, '00:00:00', timeZone));
+  const startsInDaylightTime = transitions.length > 0 && transitions[0].offsetTo < initialOffset;
+
+  const observance = (type, start, offsetFrom, offsetTo) => [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatUtcOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatUtcOffset(offsetTo)}`,
+    `END:${type}`
+  ];
+
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(startsInDaylightTime ? 'DAYLIGHT' : 'STANDARD', '19700101T000000', initialOffset, initialOffset)
+  ];
+  for (const { instant, offsetFrom, offsetTo } of transitions) {
+    // An observance starts at the local time of the change, read with the offset before it
+    const localStart = formatUtcDateTime(new Date(instant.getTime() + offsetFrom * 60000)).replace('Z', '');
+    lines.push(...observance(offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD', localStart, offsetFrom, offsetTo));
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line exceeds 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      // Continuation lines start with a space, which counts toward the limit
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Normalize a master event row's recurrence fields for eventRecurrence
+ * (DATE columns to YYYY-MM-DD; a set occurrence count takes precedence over the end date)
+ * @param {Object} event - Master event row
+ * @returns {Object} Recurrence fields
+ */
+function toRecurrence(event) {
+  const useCount = Boolean(event.recurrence_end_occurrences);
+  return {
+    id: event.id,
+    recurrence_pattern: event.recurrence_pattern,
+    recurrence_interval: event.recurrence_interval,
+    recurrence_days: event.recurrence_days,
+    recurrence_week_of_month: event.recurrence_week_of_month,
+    recurrence_exdates: event.recurrence_exdates,
+    start_date: toDateString(event.start_date),
+    recurrence_end_date: useCount ? null : toDateString(event.recurrence_end_date),
+    recurrence_end_occurrences: useCount ? event.recurrence_end_occurrences : null
+  };
+}
+
+/**
+ * Build the RRULE value for a recurring event
+ * @param {Object} event - Master event row
+ * @returns {string|null} RRULE value (without the "RRULE:" prefix), or null for one-time events
+ */
+function buildRRule(event) {
+  return buildRecurrenceRule(toRecurrence(event));
+}
+
+/**
+ * Build the RRULE value for a recurring event published in a time zone. With a
+ * zoned DTSTART, RFC 5545 requires UNTIL in UTC, so the local end of the last
+ * day is converted.
+ * @param {Object} event - Master event row
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string|null} RRULE value, or null for one-time events
+ */
+function buildZonedRRule(event, timeZone) {
+  const rrule = buildRRule(event);
+  return rrule && rrule.replace(
+    /UNTIL=(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/,
+    (match, year, month, day, hours, minutes, seconds) =>
+      `UNTIL=${formatUtcDateTime(zonedTimeToUtc(`${year}-${month}-${day}`, `${hours}:${minutes}:${seconds}`, timeZone))}`
+  );
+}
+
+/**
+ * Expand the dates an event's RRULE produces, using the same generator that
+ * materializes event_instances so EXDATEs line up with stored rows. Exclusion
+ * dates are kept, since the RRULE itself produces them; with no stored instance
+ * they are published as EXDATEs. Open-ended rules are only expanded as far as
+ * their instances have been generated.
+ * @param {Object} event - Master event row
+ * @param {Array<Object>} instances - event_instances rows for this event
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+function expandRuleDates(event, instances) {
+  const recurrence = { ...toRecurrence(event), recurrence_exdates: [] };
+  const until = isOpenEnded(recurrence)
+    ? toDateString(event.instances_generated_until) ||
+      instances.map(instance => toDateString(instance.date)).sort().pop()
+    : null;
+  return generateEventInstances(recurrence, { until })
+    .map(instance => instance.date);
+}
+
+const hasOverrides = instance => Boolean(
+  instance.custom_start_time ||
+  instance.custom_end_time ||
+  instance.custom_title ||
+  instance.custom_description ||
+  instance.custom_image_url ||
+  instance.custom_external_link ||
+  instance.custom_event_tag_id
+);
+
+const isTruthyFlag = value => value === true || value === 1 || value === '1';
+
+/**
+ * Build the property lines describing a single occurrence (event values with
+ * the instance's overrides applied)
+ */
+function buildOccurrenceLines(event, date, instance = null) {
+  const timeZone = resolveTimeZone(event);
+  const startTime = (instance && instance.custom_start_time) || event.start_time;
+  const endTime = (instance && instance.custom_end_time) || event.end_time;
+  const crossesMidnight = instance && (instance.custom_start_time || instance.custom_end_time)
+    ? isTruthyFlag(instance.crosses_midnight)
+    : isTruthyFlag(event.crosses_midnight);
+  const endDate = crossesMidnight ? addDays(date, 1) : date;
+
+  const title = (instance && instance.custom_title) || event.title;
+  const description = (instance && instance.custom_description) || event.description;
+  const link = (instance && instance.custom_external_link) || event.external_link;
+  const tagName = (instance && instance.custom_event_tag_name) || event.tag_name;
+
+  const lines = [
+    zonedProperty('DTSTART', timeZone, formatDateTime(date, startTime)),
+    zonedProperty('DTEND', timeZone, formatDateTime(endDate, endTime)),
+    `SUMMARY:${escapeText(title)}`
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  const location = [
+    event.bar_name,
+    event.address_street,
+    event.address_city,
+    [event.address_state, event.address_zip].filter(Boolean).join(' ')
+  ].filter(Boolean).join(', ');
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+
+  if (link) {
+    lines.push(`URL:${link}`);
+  }
+
+  if (tagName) {
+    lines.push(`CATEGORIES:${escapeText(tagName)}`);
+  }
+
+  return lines;
+}
+
+const wrapEvent = lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+/**
+ * Build the VEVENT lines for one master event and its instances
+ * @param {Object} event - Master event row joined with bar fields and tag_name
+ * @param {Array<Object>} instances - event_instances rows for this event
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Timestamp used for DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildEventComponents(event, instances, options = {}) {
+  const dtstamp = `DTSTAMP:${formatUtcDateTime(options.now || new Date())}`;
+  const uid = `UID:${event.id}@${UID_DOMAIN}`;
+  const instancesByDate = new Map(instances.map(instance => [toDateString(instance.date), instance]));
+  const timeZone = resolveTimeZone(event);
+  const lines = [];
+
+  const standaloneInstance = instance => {
+    const date = toDateString(instance.date);
+    const instanceLines = [
+      `UID:${instance.id}@${UID_DOMAIN}`,
+      dtstamp,
+      ...buildOccurrenceLines(event, date, instance)
+    ];
+    if (isTruthyFlag(instance.is_cancelled)) {
+      instanceLines.push('STATUS:CANCELLED');
+    }
+    return wrapEvent(instanceLines);
+  };
+
+  const rrule = buildZonedRRule(event, timeZone);
+  const ruleDates = rrule ? expandRuleDates(event, instances) : [];
+
+  if (!rrule || ruleDates.length === 0) {
+    for (const instance of instances) {
+      lines.push(...standaloneInstance(instance));
+    }
+    return lines;
+  }
+
+  // The first generated date anchors the series; RFC 5545 always counts DTSTART as an occurrence
+  const anchorDate = ruleDates[0];
+  const exdates = [];
+  const overrides = [];
+
+  for (const date of ruleDates) {
+    const instance = instancesByDate.get(date);
+    if (!instance || isTruthyFlag(instance.is_cancelled)) {
+      exdates.push(formatDateTime(date, event.start_time));
+      continue;
+    }
+    if (hasOverrides(instance)) {
+      overrides.push(wrapEvent([
+        uid,
+        dtstamp,
+        zonedProperty('RECURRENCE-ID', timeZone, formatDateTime(date, event.start_time)),
+        ...buildOccurrenceLines(event, date, instance)
+      ]));
+    }
+  }
+
+  const masterLines = [uid, dtstamp, ...buildOccurrenceLines(event, anchorDate), `RRULE:${rrule}`];
+  if (exdates.length > 0) {
+    masterLines.push(zonedProperty('EXDATE', timeZone, exdates.join(',')));
+  }
+  lines.push(...wrapEvent(masterLines));
+
+  for (const override of overrides) {
+    lines.push(...override);
+  }
+
+  // Instances moved off the rule (e.g. a date change) are published on their own
+  const ruleDateSet = new Set(ruleDates);
+  for (const instance of instances) {
+    if (!ruleDateSet.has(toDateString(instance.date)) && !isTruthyFlag(instance.is_cancelled)) {
+      lines.push(...standaloneInstance(instance));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * First and last dates an event's feed entries use, for its zone's VTIMEZONE
+ * (the day after the last occurrence is included for cross-midnight end times)
+ * @param {Object} event - Master event row
+ * @param {Array<Object>} instances - event_instances rows for this event
+ * @returns {{from: string, to: string}|null} Date range, or null when nothing is published
+ */
+function getOccurrenceDateRange(event, instances) {
+  const dates = instances.map(instance => toDateString(instance.date));
+  if (buildRRule(event)) {
+    dates.push(...expandRuleDates(event, instances));
+  }
+  if (dates.length === 0) {
+    return null;
+  }
+  dates.sort();
+  return { from: dates[0], to: addDays(dates[dates.length - 1], 1) };
+}
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar display name (X-WR-CALNAME)
+ * @param {Array<{event: Object, instances: Array<Object>}>} calendar.entries - Events with their instances
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Timestamp used for DTSTAMP
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar({ name, entries }, options = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  const rangesByZone = new Map();
+  for (const { event, instances } of entries) {
+    const range = getOccurrenceDateRange(event, instances);
+    if (!range) {
+      continue;
+    }
+    const timeZone = resolveTimeZone(event);
+    const zoneRange = rangesByZone.get(timeZone);
+    rangesByZone.set(timeZone, zoneRange
+      ? { from: range.from < zoneRange.from ? range.from : zoneRange.from, to: range.to > zoneRange.to ? range.to : zoneRange.to }
+      : range);
+  }
+  for (const [timeZone, { from, to }] of rangesByZone) {
+    lines.push(...buildTimeZoneComponent(timeZone, from, to));
+  }
+
+  for (const { event, instances } of entries) {
+    lines.push(...buildEventComponents(event, instances, options));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  buildEventComponents,
+  buildRRule,
+  buildTimeZoneComponent,
+  escapeText,
+  foldLine,
+  formatDateTime,
+  toDateString
+};
@@ -0,0 +1,230 @@
+/**
+ * Uploaded images: validation, resized variants and bookkeeping.
+ *
+ * Each upload is re-encoded as WebP in IMAGE_VARIANTS sizes (never enlarged, EXIF
+ * orientation applied and metadata stripped), written through the storage driver
+ * (utils/storage) and recorded in uploaded_images. The large variant's URL is the one
+ * stored in image_url columns; releaseImage deletes an upload's files once nothing
+ * refers to that URL any more.
+ */
+
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { getStorage } = require('./storage');
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Accepted upload types (checked against the file contents, not just the declared type)
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Longest side in pixels
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  medium: 800,
+  large: 1600
+};
+
+const PRIMARY_VARIANT = 'large';
+
+// Columns that may hold an uploaded image's URL
+const IMAGE_URL_COLUMNS = [
+  ['events', 'image_url'],
+  ['event_instances', 'custom_image_url'],
+  ['bar_photos', 'url']
+];
+
+/**
+ * Validate an uploaded file and render its variants
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} { contentType, width, height, variants } with variants
+ *   { name, buffer, width, height }, or { error } when the file is not a JPEG, PNG or WebP image
+ */
+async function renderImageVariants(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return { error: 'File is not a valid image' };
+  }
+  if (!IMAGE_FORMATS[metadata.format]) {
+    return { error: 'Image must be a JPEG, PNG or WebP file' };
+  }
+
+  const variants = [];
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ name, buffer: data, width: info.width, height: info.height });
+  }
+
+  return {
+    contentType: IMAGE_FORMATS[metadata.format],
+    width: metadata.width,
+    height: metadata.height,
+    variants
+  };
+}
+
+/**
+ * Write an image's variants to storage
+ * @param {string} prefix - Storage key prefix, e.g. "events/<eventId>"
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {Object} [storage] - Storage driver (defaults to getStorage())
+ * @returns {Promise<Object>} { id, url, storage_driver, content_type, width, height, variants }
+ *   where variants maps each name to { key, url, width, height }, or { error } for invalid images
+ */
+async function saveImage(prefix, buffer, storage = getStorage()) {
+  const rendered = await renderImageVariants(buffer);
+  if (rendered.error) {
+    return rendered;
+  }
+  const id = uuidv4();
+  const variants = {};
+
+  try {
+    for (const variant of rendered.variants) {
+      const key = `${prefix}/${id}-${variant.name}.webp`;
+      const url = await storage.save(key, variant.buffer, { contentType: 'image/webp' });
+      variants[variant.name] = { key, url, width: variant.width, height: variant.height };
+    }
+  } catch (err) {
+    await removeImageFiles({ variants }, storage);
+    throw err;
+  }
+
+  return {
+    id,
+    url: variants[PRIMARY_VARIANT].url,
+    storage_driver: storage.name,
+    content_type: rendered.contentType,
+    width: rendered.width,
+    height: rendered.height,
+    variants
+  };
+}
+
+/**
+ * Delete an image's files. Never throws; failures are logged.
+ * @param {{variants: Object}} image - saveImage output or uploaded_images row
+ * @param {Object} [storage] - Storage driver (defaults to getStorage())
+ */
+async function removeImageFiles(image, storage = getStorage()) {
+  const variants = typeof image.variants === 'string' ? JSON.parse(image.variants) : image.variants || {};
+  for (const variant of Object.values(variants)) {
+    try {
+      await storage.remove(variant.key);
+    } catch (err) {
+      console.error(`Error removing stored file ${variant.key}:`, err.message || err);
+    }
+  }
+}
+
+/**
+ * Record a saved image in uploaded_images
+ * @param {Object} executor - db or transaction connection
+ * @param {Object} image - saveImage output
+ * @param {Object} owner
+ * @param {string} owner.ownerType - 'event', 'event_instance' or 'bar'
+ * @param {string} owner.ownerId - Owner UUID
+ * @param {string} [owner.uploadedBy] - Uploading user's UUID
+ * @param {string} [owner.originalFilename] - Client file name
+ * @param {number} [owner.byteSize] - Uploaded file size
+ */
+async function insertImageRecord(executor, image, { ownerType, ownerId, uploadedBy = null, originalFilename = null, byteSize = 0 }) {
+  await executor.execute(
+    `INSERT INTO uploaded_images (
+       id, owner_type, owner_id, storage_driver, url, variants, content_type,
+       width, height, byte_size, original_filename, uploaded_by
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      image.id,
+      ownerType,
+      ownerId,
+      image.storage_driver,
+      image.url,
+      JSON.stringify(image.variants),
+      image.content_type,
+      image.width,
+      image.height,
+      byteSize,
+      originalFilename ? originalFilename.slice(0, 255) : null,
+      uploadedBy
+    ]
+  );
+}
+
+/**
+ * Public shape of an uploaded image (storage keys left out)
+ * @param {Object} image - saveImage output
+ * @returns {{id: string, url: string, variants: Object}}
+ */
+function formatImage(image) {
+  const variants = {};
+  for (const [name, variant] of Object.entries(image.variants)) {
+    variants[name] = { url: variant.url, width: variant.width, height: variant.height };
+  }
+  return { id: image.id, url: image.url, variants };
+}
+
+/**
+ * Delete an uploaded image once no image column refers to its URL any more, e.g.
+ * after it was replaced. URLs that are not uploads are ignored. Never throws;
+ * failures are logged and leave the files in place.
+ * @param {string|null} url - URL that was replaced or cleared
+ * @returns {Promise<boolean>} True if the upload was deleted
+ */
+async function releaseImage(url) {
+  if (!url) {
+    return false;
+  }
+  try {
+    const [images] = await db.execute(
+      'SELECT id, storage_driver, variants FROM uploaded_images WHERE url = ?',
+      [url]
+    );
+    if (images.length === 0) {
+      return false;
+    }
+
+    for (const [table, column] of IMAGE_URL_COLUMNS) {
+      const [rows] = await db.execute(`SELECT 1 FROM ${table} WHERE ${column} = ? LIMIT 1`, [url]);
+      if (rows.length > 0) {
+        return false;
+      }
+    }
+
+    const storage = getStorage();
+    for (const image of images) {
+      if (!storage || storage.name !== image.storage_driver) {
+        console.error(`Cannot remove uploaded image ${image.id}: stored with the ${image.storage_driver} driver`);
+        continue;
+      }
+      await db.execute('DELETE FROM uploaded_images WHERE id = ?', [image.id]);
+      await removeImageFiles(image, storage);
+    }
+    return true;
+  } catch (err) {
+    console.error(`Error releasing image ${url}:`, err.message || err);
+    return false;
+  }
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  IMAGE_FORMATS,
+  IMAGE_VARIANTS,
+  renderImageVariants,
+  saveImage,
+  removeImageFiles,
+  insertImageRecord,
+  formatImage,
+  releaseImage
+};
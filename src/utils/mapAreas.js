@@ -0,0 +1,38 @@
+const db = require('./db');
+
+/**
+ * Parse a map_areas row's stored GeoJSON (mysql2 returns JSON columns parsed,
+ * but strings are accepted too)
+ * @param {Object} row - map_areas row
+ * @returns {Object} Area with `geometry` and `bbox` ([minLon, minLat, maxLon, maxLat])
+ */
+function toMapArea(row) {
+  const { geojson, min_lon, min_lat, max_lon, max_lat, ...area } = row;
+  const result = {
+    ...area,
+    bbox: [min_lon, min_lat, max_lon, max_lat].map(Number)
+  };
+  if (geojson !== undefined) {
+    result.geometry = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  }
+  return result;
+}
+
+/**
+ * Load a stored named area by id or slug
+ * @param {string} idOrSlug - Area UUID or slug
+ * @returns {Promise<Object|null>} Area with its geometry, or null
+ */
+async function findMapArea(idOrSlug) {
+  const [rows] = await db.execute(
+    `SELECT id, slug, name, geojson, min_lon, min_lat, max_lon, max_lat, created_at, updated_at
+     FROM map_areas WHERE id = ? OR slug = ?`,
+    [idOrSlug, idOrSlug]
+  );
+  return rows && rows.length > 0 ? toMapArea(rows[0]) : null;
+}
+
+module.exports = {
+  toMapArea,
+  findMapArea
+};
@@ -0,0 +1,113 @@
+/**
+ * Rolling generation of event_instances for open-ended recurring events (no
+ * recurrence_end_date or recurrence_end_occurrences). Each run extends every such
+ * event up to the rolling horizon and records it in events.instances_generated_until;
+ * run it daily with scripts/extend_event_instances.js.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { ROLLING_HORIZON_DAYS, generateEventInstances, getRollingHorizon } = require('./eventRecurrence');
+const { addDays } = require('./timezone');
+const { toDateString } = require('./ical');
+
+const OPEN_ENDED_EVENTS_SQL = `
+  SELECT
+    id, crosses_midnight, recurrence_pattern, recurrence_interval, recurrence_days,
+    recurrence_week_of_month, recurrence_exdates, start_date, instances_generated_until
+  FROM events
+  WHERE is_active = 1
+    AND recurrence_pattern <> 'none'
+    AND recurrence_end_date IS NULL
+    AND recurrence_end_occurrences IS NULL
+    AND start_date IS NOT NULL
+    AND (instances_generated_until IS NULL OR instances_generated_until < ?)
+  ORDER BY start_date, id
+`;
+
+/**
+ * First date to generate for an event: the day after its last generated date,
+ * never before its start date or today
+ * @param {Object} event - Event row
+ * @param {string} today - Date (YYYY-MM-DD)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getGenerationStart(event, today) {
+  const generatedUntil = toDateString(event.instances_generated_until);
+  return [toDateString(event.start_date), today, generatedUntil && addDays(generatedUntil, 1)]
+    .filter(Boolean)
+    .sort()
+    .pop();
+}
+
+/**
+ * Insert missing instances for one event. Dates that already have a row are
+ * skipped via unique_event_date, so overrides and cancellations are left as is.
+ * @param {Object} event - Event row
+ * @param {Array<Object>} instances - generateEventInstances output
+ * @returns {Promise<number>} Number of rows inserted
+ */
+async function insertMissingInstances(event, instances) {
+  if (instances.length === 0) {
+    return 0;
+  }
+
+  const placeholders = instances.map(() => '(?, ?, ?, ?)').join(', ');
+  const params = instances.flatMap(instance => [
+    uuidv4(),
+    event.id,
+    instance.date,
+    event.crosses_midnight ? 1 : 0
+  ]);
+  const [result] = await db.query(
+    `INSERT IGNORE INTO event_instances (id, event_id, date, crosses_midnight) VALUES ${placeholders}`,
+    params
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Extend open-ended events' instances up to the rolling horizon. Safe to re-run:
+ * events already generated to the horizon are skipped and existing dates are kept.
+ * @param {Object} [options]
+ * @param {string} [options.today] - Date (YYYY-MM-DD) the horizon is measured from (defaults to today)
+ * @param {number} [options.horizonDays] - Days ahead to generate (defaults to ROLLING_HORIZON_DAYS)
+ * @param {boolean} [options.dryRun] - Report what would be generated without writing
+ * @param {Function} [options.onProgress] - Called with (event, { from, created }) per event
+ * @returns {Promise<{horizon: string, total: number, extended: Array<Object>, instancesCreated: number}>}
+ */
+async function extendOpenEndedEvents({ today = toDateString(new Date()), horizonDays = ROLLING_HORIZON_DAYS, dryRun = false, onProgress } = {}) {
+  const horizon = getRollingHorizon(today, horizonDays);
+  const [events] = await db.query(OPEN_ENDED_EVENTS_SQL, [horizon]);
+
+  const report = { horizon, total: events.length, extended: [], instancesCreated: 0 };
+  for (const event of events) {
+    const from = getGenerationStart(event, today);
+    const instances = generateEventInstances(
+      { ...event, start_date: toDateString(event.start_date) },
+      { from, until: horizon }
+    );
+
+    let created = instances.length;
+    if (!dryRun) {
+      created = await insertMissingInstances(event, instances);
+      // Bookkeeping only, so the event's updated_at is left alone
+      await db.execute(
+        'UPDATE events SET instances_generated_until = ?, updated_at = updated_at WHERE id = ?',
+        [horizon, event.id]
+      );
+    }
+
+    report.extended.push({ id: event.id, from, created });
+    report.instancesCreated += created;
+    if (onProgress) {
+      onProgress(event, { from, created });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  extendOpenEndedEvents
+};
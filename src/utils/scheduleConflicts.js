@@ -0,0 +1,275 @@
+/**
+ * Scheduling conflict detection for a bar: event occurrences that overlap another
+ * instance at the same bar, or fall outside the bar's hours. Occurrences and hours
+ * are compared as intervals on a continuous clock (seconds since the epoch, dates
+ * taken as UTC days), so anything crossing midnight simply ends on the following day.
+ */
+
+const db = require('./db');
+const { addDays, getDayOfWeek } = require('./timezone');
+const { fetchBarHours, fetchBarHourExceptions } = require('./barListing');
+
+const CONFLICT_POLICIES = ['reject', 'warn', 'allow'];
+const DEFAULT_CONFLICT_POLICY = 'warn';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Read conflict_policy from a request payload
+ * @param {*} value - Raw conflict_policy value
+ * @returns {{policy: string}|{error: string}} Policy (defaults to 'warn') or validation error
+ */
+const parseConflictPolicy = value => {
+  if (value === undefined || value === null || value === '') {
+    return { policy: DEFAULT_CONFLICT_POLICY };
+  }
+  if (!CONFLICT_POLICIES.includes(value)) {
+    return { error: `conflict_policy must be one of: ${CONFLICT_POLICIES.join(', ')}` };
+  }
+  return { policy: value };
+};
+
+const toSeconds = time => {
+  const [hours, minutes, seconds = 0] = String(time).split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+const startOfDay = date => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / 1000;
+};
+
+/**
+ * Interval covered by an occurrence; an end time at or before the start time falls
+ * on the following day (crosses_midnight)
+ * @param {{date: string, start_time: string, end_time: string}} occurrence
+ * @returns {{start: number, end: number}} Seconds since the epoch
+ */
+const toInterval = ({ date, start_time, end_time }) => {
+  const start = startOfDay(date) + toSeconds(start_time);
+  let end = startOfDay(date) + toSeconds(end_time);
+  if (end <= start) {
+    end += DAY_SECONDS;
+  }
+  return { start, end };
+};
+
+/**
+ * Hours in effect on a date: an exception on that date, otherwise the weekly template
+ * @returns {Object|null} bar_hours or bar_hour_exceptions row
+ */
+const hoursForDate = (date, hours, exceptionsByDate) => (
+  exceptionsByDate.get(date) || hours.find(hour => hour.day_of_week === getDayOfWeek(date)) || null
+);
+
+const openInterval = (date, hour) => {
+  if (!hour || hour.is_closed || !hour.open_time || !hour.close_time) {
+    return null;
+  }
+  const start = startOfDay(date) + toSeconds(hour.open_time);
+  let end = startOfDay(date) + toSeconds(hour.close_time);
+  if (hour.crosses_midnight || end <= start) {
+    end += DAY_SECONDS;
+  }
+  return { start, end };
+};
+
+/**
+ * Whether an interval lies within the bar's open hours. Hours of the day before
+ * (running past midnight) and the day after count too; back-to-back windows, such as a
+ * 23:59:59 close followed by a midnight opening, are treated as one.
+ */
+const isWithinHours = (interval, date, hours, exceptionsByDate) => {
+  const windows = [addDays(date, -1), date, addDays(date, 1)]
+    .map(day => openInterval(day, hoursForDate(day, hours, exceptionsByDate)))
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const window of windows) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end + 1) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+  }
+
+  return merged.some(window => window.start <= interval.start && interval.end <= window.end);
+};
+
+const describeOccurrence = occurrence => ({
+  event_id: occurrence.event_id || null,
+  instance_id: occurrence.instance_id || null,
+  title: occurrence.title || null,
+  date: occurrence.date,
+  start_time: occurrence.start_time,
+  end_time: occurrence.end_time
+});
+
+const describeHours = (date, hour) => (hour
+  ? { date, open_time: hour.open_time, close_time: hour.close_time, is_closed: Boolean(hour.is_closed) }
+  : { date, open_time: null, close_time: null, is_closed: true });
+
+/**
+ * Group instances by date with their intervals, for lookups around a date
+ * @returns {Map<string, Array<Object>>}
+ */
+const indexByDate = instances => {
+  const byDate = new Map();
+  for (const instance of instances) {
+    const entry = { ...instance, interval: toInterval(instance) };
+    if (!byDate.has(instance.date)) {
+      byDate.set(instance.date, []);
+    }
+    byDate.get(instance.date).push(entry);
+  }
+  return byDate;
+};
+
+// Occurrences run at most a day, so only neighbouring dates can overlap
+const overlapping = (interval, date, byDate) => [addDays(date, -1), date, addDays(date, 1)]
+  .flatMap(day => byDate.get(day) || [])
+  .filter(other => interval.start < other.interval.end && other.interval.start < interval.end);
+
+/**
+ * Find conflicts for proposed occurrences against what is already scheduled
+ * @param {Array<Object>} occurrences - Proposed { date, start_time, end_time } (optionally event_id, instance_id, title)
+ * @param {Array<Object>} scheduled - Other instances at the bar (fetchScheduledInstances output)
+ * @param {Array<Object>} hours - Weekly template (fetchBarHours output); empty skips the hours check
+ * @param {Array<Object>} [exceptions] - Hour exceptions (fetchBarHourExceptions output)
+ * @returns {Array<Object>} Conflicts: { type: 'overlap', instance, conflicting } or { type: 'outside_hours', instance, hours }
+ */
+const detectConflicts = (occurrences, scheduled, hours, exceptions = []) => {
+  const byDate = indexByDate(scheduled);
+  const exceptionsByDate = new Map(exceptions.map(exception => [exception.date, exception]));
+  const conflicts = [];
+
+  for (const occurrence of occurrences) {
+    const interval = toInterval(occurrence);
+    for (const other of overlapping(interval, occurrence.date, byDate)) {
+      conflicts.push({ type: 'overlap', instance: describeOccurrence(occurrence), conflicting: describeOccurrence(other) });
+    }
+    if (hours.length > 0 && !isWithinHours(interval, occurrence.date, hours, exceptionsByDate)) {
+      conflicts.push({
+        type: 'outside_hours',
+        instance: describeOccurrence(occurrence),
+        hours: describeHours(occurrence.date, hoursForDate(occurrence.date, hours, exceptionsByDate))
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Load the active, non-cancelled instances at a bar with their effective times and titles
+ * @param {string} barId - Bar UUID
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {string} [options.excludeEventId] - Leave out this event's instances
+ * @param {Array<string>} [options.excludeInstanceIds] - Leave out these instances
+ * @returns {Promise<Array<Object>>} Instances ordered by date and start time
+ */
+const fetchScheduledInstances = async (barId, fromDate, toDate, { excludeEventId = null, excludeInstanceIds = [] } = {}) => {
+  let sql = `
+    SELECT
+      ei.id as instance_id,
+      ei.event_id,
+      DATE_FORMAT(ei.date, '%Y-%m-%d') as date,
+      COALESCE(ei.custom_start_time, e.start_time) as start_time,
+      COALESCE(ei.custom_end_time, e.end_time) as end_time,
+      COALESCE(ei.custom_title, e.title) as title
+    FROM event_instances ei
+    INNER JOIN events e ON ei.event_id = e.id
+    WHERE e.bar_id = ? AND e.is_active = 1 AND ei.is_cancelled = 0
+      AND ei.date >= ? AND ei.date <= ?
+  `;
+  const params = [barId, fromDate, toDate];
+  if (excludeEventId) {
+    sql += ' AND ei.event_id <> ?';
+    params.push(excludeEventId);
+  }
+  if (excludeInstanceIds.length > 0) {
+    sql += ` AND ei.id NOT IN (${excludeInstanceIds.map(() => '?').join(', ')})`;
+    params.push(...excludeInstanceIds);
+  }
+  sql += ' ORDER BY ei.date, start_time';
+
+  const [rows] = await db.execute(sql, params);
+  return rows;
+};
+
+/**
+ * Check proposed occurrences of an event against the bar's schedule and hours
+ * @param {Object} options
+ * @param {string} options.barId - Bar UUID
+ * @param {Array<Object>} options.occurrences - Proposed { date, start_time, end_time }
+ * @param {string} [options.excludeEventId] - The event being edited
+ * @param {Array<string>} [options.excludeInstanceIds] - The instances being edited
+ * @returns {Promise<Array<Object>>} Conflicts (see detectConflicts)
+ */
+const findScheduleConflicts = async ({ barId, occurrences, excludeEventId = null, excludeInstanceIds = [] }) => {
+  if (occurrences.length === 0) {
+    return [];
+  }
+  const dates = occurrences.map(occurrence => occurrence.date).sort();
+  const fromDate = addDays(dates[0], -1);
+  const toDate = addDays(dates[dates.length - 1], 1);
+
+  const scheduled = await fetchScheduledInstances(barId, fromDate, toDate, { excludeEventId, excludeInstanceIds });
+  const hours = await fetchBarHours(barId);
+  const exceptions = await fetchBarHourExceptions(barId, fromDate, toDate);
+  return detectConflicts(occurrences, scheduled, hours, exceptions);
+};
+
+/**
+ * Conflicts among a bar's scheduled instances between two dates. Each overlapping
+ * pair is reported once, on the earlier of the two instances.
+ * @param {string} barId - Bar UUID
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Conflicts (see detectConflicts)
+ */
+const findBarScheduleConflicts = async (barId, fromDate, toDate) => {
+  const scheduled = await fetchScheduledInstances(barId, addDays(fromDate, -1), addDays(toDate, 1));
+  const hours = await fetchBarHours(barId);
+  const exceptions = await fetchBarHourExceptions(barId, addDays(fromDate, -1), addDays(toDate, 1));
+
+  const inRange = instance => instance.date >= fromDate && instance.date <= toDate;
+  const byDate = indexByDate(scheduled);
+  const exceptionsByDate = new Map(exceptions.map(exception => [exception.date, exception]));
+  const conflicts = [];
+
+  for (const instance of scheduled.filter(inRange)) {
+    const interval = toInterval(instance);
+    const precedes = other => interval.start < other.interval.start ||
+      (interval.start === other.interval.start && instance.instance_id < other.instance_id);
+
+    for (const other of overlapping(interval, instance.date, byDate)) {
+      if (other.instance_id !== instance.instance_id && (precedes(other) || !inRange(other))) {
+        conflicts.push({ type: 'overlap', instance: describeOccurrence(instance), conflicting: describeOccurrence(other) });
+      }
+    }
+    if (hours.length > 0 && !isWithinHours(interval, instance.date, hours, exceptionsByDate)) {
+      conflicts.push({
+        type: 'outside_hours',
+        instance: describeOccurrence(instance),
+        hours: describeHours(instance.date, hoursForDate(instance.date, hours, exceptionsByDate))
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  CONFLICT_POLICIES,
+  DEFAULT_CONFLICT_POLICY,
+  parseConflictPolicy,
+  detectConflicts,
+  fetchScheduledInstances,
+  findScheduleConflicts,
+  findBarScheduleConflicts
+};
@@ -0,0 +1,96 @@
+/**
+ * Utility functions for building ranked text search queries.
+ *
+ * Ranking combines MySQL FULLTEXT relevance (boolean mode, every term used as a
+ * prefix) with name-based scores: exact > prefix > word prefix > substring, and
+ * a SOUNDEX comparison so close misspellings ("Murfy's") still match.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Normalize a raw search query: trim, collapse whitespace and lowercase
+ * @param {string} value - Raw query
+ * @returns {string} Normalized query ('' if invalid)
+ */
+function normalizeSearchQuery(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Split a query into searchable words (letters and digits only)
+ * @param {string} query - Normalized query
+ * @returns {Array<string>} Words
+ */
+function tokenize(query) {
+  return query.split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 0);
+}
+
+/**
+ * Build a FULLTEXT boolean-mode expression where every word matches as a prefix
+ * ("trivia nig" -> "trivia* nig*"). Operators typed by the user are dropped.
+ * @param {string} query - Normalized query
+ * @returns {string} AGAINST(... IN BOOLEAN MODE) argument
+ */
+function buildBooleanQuery(query) {
+  return tokenize(query).map(token => `${token}*`).join(' ');
+}
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Build a score expression for how well a name column matches the query
+ * @param {string} column - SQL column expression
+ * @param {string} query - Normalized query
+ * @returns {{sql: string, params: Array}} Score expression (0-10) and its parameters
+ */
+function buildNameScore(column, query) {
+  const escaped = escapeLike(query);
+  return {
+    sql: `(CASE
+      WHEN LOWER(${column}) = ? THEN 10
+      WHEN LOWER(${column}) LIKE ? THEN 6
+      WHEN LOWER(${column}) LIKE ? THEN 4
+      WHEN LOWER(${column}) LIKE ? THEN 3
+      WHEN SOUNDEX(${column}) = SOUNDEX(?) THEN 2
+      ELSE 0
+    END)`,
+    params: [query, `${escaped}%`, `% ${escaped}%`, `%${escaped}%`, query]
+  };
+}
+
+/**
+ * Build a condition for rows whose name column could match the query
+ * (substring or sounds-alike); FULLTEXT conditions are added by the caller
+ * @param {string} column - SQL column expression
+ * @param {string} query - Normalized query
+ * @returns {{sql: string, params: Array}} Condition and its parameters
+ */
+function buildNameCondition(column, query) {
+  return {
+    sql: `(LOWER(${column}) LIKE ? OR SOUNDEX(${column}) = SOUNDEX(?))`,
+    params: [`%${escapeLike(query)}%`, query]
+  };
+}
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+  normalizeSearchQuery,
+  tokenize,
+  buildBooleanQuery,
+  escapeLike,
+  buildNameScore,
+  buildNameCondition
+};
@@ -0,0 +1,197 @@
+/**
+ * Server-side login sessions and rotating refresh tokens.
+ *
+ * Each login creates an auth_sessions row. Access tokens carry its id (sid claim)
+ * so revoking the session rejects them immediately. Refresh tokens are stored as
+ * SHA-256 hashes and are single use: every refresh marks the presented token as
+ * used and issues a new one. Presenting a token that was already used means it
+ * was copied, so the whole session is revoked.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { REFRESH_TOKEN_TTL_DAYS } = require('./constants');
+
+const USER_TYPES = ['app_user', 'web_user'];
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a refresh token and its expiry
+ * @returns {{token: string, hash: string, expiresAt: Date}}
+ */
+function generateRefreshToken() {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return { token, hash: hashRefreshToken(token), expiresAt };
+}
+
+/**
+ * Insert a refresh token row for a session
+ * @param {Object} executor - db or a transaction connection
+ * @param {string} sessionId - Session id
+ * @returns {Promise<{refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+async function insertRefreshToken(executor, sessionId) {
+  const { token, hash, expiresAt } = generateRefreshToken();
+  await executor.execute(
+    'INSERT INTO refresh_tokens (id, session_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [uuidv4(), sessionId, hash, expiresAt]
+  );
+  return { refreshToken: token, refreshTokenExpiresAt: expiresAt };
+}
+
+/**
+ * Start a session after a successful login or registration
+ * @param {Object} options
+ * @param {string} options.userId - app_users.id or web_users.id
+ * @param {string} options.userType - 'app_user' or 'web_user'
+ * @param {string} [options.userAgent] - Client user agent, kept for session listings
+ * @returns {Promise<{sessionId: string, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+async function createSession({ userId, userType, userAgent }) {
+  if (!USER_TYPES.includes(userType)) {
+    throw new Error(`Unknown user type: ${userType}`);
+  }
+
+  const sessionId = uuidv4();
+  await db.execute(
+    'INSERT INTO auth_sessions (id, user_id, user_type, user_agent) VALUES (?, ?, ?, ?)',
+    [sessionId, userId, userType, userAgent ? String(userAgent).slice(0, 255) : null]
+  );
+  const refresh = await insertRefreshToken(db, sessionId);
+
+  return { sessionId, ...refresh };
+}
+
+/**
+ * Exchange a refresh token for a new one.
+ *
+ * Resolves with one of:
+ * - { status: 'rotated', sessionId, userId, refreshToken, refreshTokenExpiresAt }
+ * - { status: 'invalid' } - unknown, expired or revoked token
+ * - { status: 'reused', sessionId, userId } - token was already used; session revoked
+ *
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {string} userType - Expected owner type ('app_user' or 'web_user')
+ * @returns {Promise<Object>} Rotation result
+ */
+async function rotateRefreshToken(refreshToken, userType) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // Lock the token row so concurrent refreshes with the same token serialize
+    const [rows] = await conn.execute(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at <= NOW() as is_expired,
+        s.user_id, s.revoked_at
+      FROM refresh_tokens rt
+      INNER JOIN auth_sessions s ON rt.session_id = s.id
+      WHERE rt.token_hash = ? AND s.user_type = ?
+      FOR UPDATE`,
+      [hashRefreshToken(refreshToken), userType]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return { status: 'invalid' };
+    }
+
+    const token = rows[0];
+
+    if (token.revoked_at) {
+      await conn.rollback();
+      return { status: 'invalid' };
+    }
+
+    if (token.used_at) {
+      // A rotated-out token came back: whoever holds the session is not the only holder
+      await conn.execute(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+        WHERE id = ? AND revoked_at IS NULL`,
+        [token.session_id]
+      );
+      await conn.commit();
+      return { status: 'reused', sessionId: token.session_id, userId: token.user_id };
+    }
+
+    if (token.is_expired) {
+      await conn.rollback();
+      return { status: 'invalid' };
+    }
+
+    await conn.execute('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [token.id]);
+    const refresh = await insertRefreshToken(conn, token.session_id);
+    await conn.execute('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = ?', [token.session_id]);
+
+    await conn.commit();
+    return { status: 'rotated', sessionId: token.session_id, userId: token.user_id, ...refresh };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Revoke a single session (logout)
+ * @param {string} sessionId - Session id
+ * @param {string} userId - Owner, so users can only revoke their own sessions
+ * @param {string} [reason='logout'] - Stored revocation reason
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSession(sessionId, userId, reason = 'logout') {
+  const [result] = await db.execute(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [reason, sessionId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Revoke every active session of a user (logout everywhere)
+ * @param {string} userId - User id
+ * @param {string} userType - 'app_user' or 'web_user'
+ * @param {string} [reason='logout_all'] - Stored revocation reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, userType, reason = 'logout_all') {
+  const [result] = await db.execute(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+    WHERE user_id = ? AND user_type = ? AND revoked_at IS NULL`,
+    [reason, userId, userType]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Check whether a session can still be used by access tokens
+ * @param {string} sessionId - Session id from the sid claim
+ * @returns {Promise<boolean>} True if the session exists and is not revoked
+ */
+async function isSessionActive(sessionId) {
+  const [rows] = await db.execute(
+    'SELECT revoked_at FROM auth_sessions WHERE id = ? LIMIT 1',
+    [sessionId]
+  );
+  return rows.length > 0 && !rows[0].revoked_at;
+}
+
+module.exports = {
+  hashRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,32 @@
+/**
+ * URL-safe identifiers (map areas, tag categories)
+ */
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Derive a slug from a display name ("Back Bay / Fenway" -> "back-bay-fenway")
+ * @param {string} value - Name
+ * @param {number} maxLength - Maximum slug length
+ * @returns {string}
+ */
+function slugify(value, maxLength) {
+  return String(value).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, maxLength).replace(/-+$/, '');
+}
+
+/**
+ * Whether a value is a valid slug of at most maxLength characters
+ * @param {string} value - Candidate slug
+ * @param {number} maxLength - Maximum slug length
+ * @returns {boolean}
+ */
+function isValidSlug(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength && SLUG_PATTERN.test(value);
+}
+
+module.exports = {
+  SLUG_PATTERN,
+  slugify,
+  isValidSlug
+};
@@ -0,0 +1,282 @@
+/**
+ * Drink specials (happy hours and other deals).
+ *
+ * A bar_specials row is one deal on one item; bar_special_windows holds the
+ * weekly times it runs, in the bar's local time. Like bar_hours, a window whose
+ * end_time is earlier than its start_time crosses midnight and ends on the
+ * following day. Windows run from start_time up to (not including) end_time.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const DISCOUNT_TYPES = ['fixed_price', 'amount_off', 'percent_off', 'bogo'];
+
+// Discount types that need discount_value (the amount, or the percentage, off)
+const VALUE_DISCOUNT_TYPES = ['amount_off', 'percent_off'];
+
+const MAX_WINDOWS = 50;
+const MAX_PRICE = 999999.99;
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):[0-5]\d:[0-5]\d$/;
+
+// Non-negative amount with at most two decimals (fits DECIMAL(8,2))
+const isMoney = value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_PRICE &&
+  Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+
+// Pads H:MM:SS to HH:MM:SS so times compare as strings
+const padTime = time => time.padStart(8, '0');
+
+/**
+ * Validate a special's weekly windows
+ * @param {*} windows - Payload value
+ * @returns {{error: string}|{value: Array<Object>}} Validation error or normalized
+ *   windows { day_of_week, start_time, end_time, crosses_midnight }
+ */
+function validateSpecialWindows(windows) {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return { error: 'windows must be a non-empty array' };
+  }
+  if (windows.length > MAX_WINDOWS) {
+    return { error: `A special can have at most ${MAX_WINDOWS} windows` };
+  }
+
+  const value = [];
+  for (const window of windows) {
+    if (!window || !Number.isInteger(window.day_of_week) || window.day_of_week < 0 || window.day_of_week > 6) {
+      return { error: 'day_of_week must be a number between 0 and 6' };
+    }
+    if (!TIME_REGEX.test(window.start_time) || !TIME_REGEX.test(window.end_time)) {
+      return { error: 'start_time and end_time must be in HH:MM:SS format' };
+    }
+    const startTime = padTime(window.start_time);
+    const endTime = padTime(window.end_time);
+    if (startTime === endTime) {
+      return { error: 'start_time and end_time must differ' };
+    }
+    value.push({
+      day_of_week: window.day_of_week,
+      start_time: startTime,
+      end_time: endTime,
+      crosses_midnight: endTime < startTime
+    });
+  }
+
+  const keys = value.map(window => `${window.day_of_week} ${window.start_time}`);
+  if (new Set(keys).size !== keys.length) {
+    return { error: 'Duplicate windows are not allowed' };
+  }
+
+  return { value };
+}
+
+/**
+ * Validate a special payload (POST and PUT replace the whole special)
+ * @param {Object} payload - Request body
+ * @returns {{error: string}|{value: Object}} Validation error or normalized values
+ */
+function validateSpecialPayload(payload) {
+  const { item, description, discount_type, price, discount_value, windows } = payload || {};
+  const isActive = payload && payload.is_active !== undefined ? payload.is_active : true;
+
+  if (typeof item !== 'string' || !item.trim() || item.trim().length > 255) {
+    return { error: 'item is required and must be at most 255 characters' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+  if (!DISCOUNT_TYPES.includes(discount_type)) {
+    return { error: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+  }
+  if (price !== undefined && price !== null && !isMoney(price)) {
+    return { error: 'price must be a non-negative amount with at most two decimals' };
+  }
+  if (discount_type === 'fixed_price' && (price === undefined || price === null)) {
+    return { error: 'price is required for fixed_price specials' };
+  }
+
+  const hasDiscountValue = discount_value !== undefined && discount_value !== null;
+  if (VALUE_DISCOUNT_TYPES.includes(discount_type)) {
+    if (!hasDiscountValue || !isMoney(discount_value) || discount_value === 0) {
+      return { error: `discount_value must be a positive number with at most two decimals for ${discount_type} specials` };
+    }
+    if (discount_type === 'percent_off' && discount_value > 100) {
+      return { error: 'discount_value cannot exceed 100 for percent_off specials' };
+    }
+  } else if (hasDiscountValue) {
+    return { error: `discount_value is only used by ${VALUE_DISCOUNT_TYPES.join(' and ')} specials` };
+  }
+
+  if (typeof isActive !== 'boolean') {
+    return { error: 'is_active must be a boolean' };
+  }
+
+  const windowValidation = validateSpecialWindows(windows);
+  if (windowValidation.error) {
+    return windowValidation;
+  }
+
+  return {
+    value: {
+      item: item.trim(),
+      description: description ? description.trim() : null,
+      discount_type,
+      price: price === undefined ? null : price,
+      discount_value: hasDiscountValue ? discount_value : null,
+      is_active: isActive,
+      windows: windowValidation.value
+    }
+  };
+}
+
+/**
+ * The window of a special running at a local moment, mirroring buildRunningSpecialClause
+ * @param {Array<Object>} windows - Formatted windows
+ * @param {{dayOfWeek: number, time: string}} local - Local day (0=Sunday) and time (HH:MM:SS) in the bar's zone
+ * @returns {Object|null} Running window, or null
+ */
+function findRunningWindow(windows, { dayOfWeek, time }) {
+  const localTime = padTime(time);
+  const yesterday = (dayOfWeek + 6) % 7;
+
+  return windows.find(window => (
+    window.day_of_week === dayOfWeek && localTime >= window.start_time &&
+      (window.crosses_midnight || localTime < window.end_time)
+  )) || windows.find(window => (
+    window.day_of_week === yesterday && window.crosses_midnight && localTime < window.end_time
+  )) || null;
+}
+
+/**
+ * SQL condition: special s has a window running at bar_clock.local_time / local_dow
+ * (joined via buildLocalClockJoin or buildWallClockJoin)
+ * @returns {string} SQL condition
+ */
+function buildRunningSpecialClause() {
+  return `EXISTS (
+    SELECT 1 FROM bar_special_windows sw
+    WHERE sw.special_id = s.id
+    AND (
+      -- Windows that started today (normal, or cross-midnight and past the start)
+      (sw.day_of_week = bar_clock.local_dow AND bar_clock.local_time >= sw.start_time
+        AND (sw.crosses_midnight = 1 OR bar_clock.local_time < sw.end_time))
+      -- Cross-midnight windows that started yesterday and have not ended yet
+      OR (sw.day_of_week = MOD(bar_clock.local_dow + 6, 7) AND sw.crosses_midnight = 1
+        AND bar_clock.local_time < sw.end_time)
+    )
+  )`;
+}
+
+const toAmount = value => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Public shape of a bar_specials row
+ * @param {Object} row - Database row
+ * @param {Array<Object>} windows - The special's formatted windows
+ * @returns {Object}
+ */
+function formatSpecial(row, windows) {
+  return {
+    id: row.id,
+    bar_id: row.bar_id,
+    item: row.item,
+    description: row.description || null,
+    discount_type: row.discount_type,
+    price: toAmount(row.price),
+    discount_value: toAmount(row.discount_value),
+    is_active: Boolean(row.is_active),
+    windows,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Windows of several specials in one query
+ * @param {Array<string>} specialIds - Special UUIDs
+ * @param {Object} [executor=db] - db or a transaction connection
+ * @returns {Promise<Map<string, Array<Object>>>} Special id -> windows ordered by day and start
+ */
+async function fetchSpecialWindows(specialIds, executor = db) {
+  const windowsBySpecial = new Map(specialIds.map(id => [id, []]));
+  if (specialIds.length === 0) {
+    return windowsBySpecial;
+  }
+
+  const [rows] = await executor.execute(
+    `SELECT special_id, day_of_week, start_time, end_time, crosses_midnight
+     FROM bar_special_windows
+     WHERE special_id IN (${specialIds.map(() => '?').join(', ')})
+     ORDER BY day_of_week, start_time`,
+    specialIds
+  );
+  for (const row of rows) {
+    windowsBySpecial.get(row.special_id).push({
+      day_of_week: row.day_of_week,
+      start_time: padTime(String(row.start_time)),
+      end_time: padTime(String(row.end_time)),
+      crosses_midnight: Boolean(row.crosses_midnight)
+    });
+  }
+  return windowsBySpecial;
+}
+
+/**
+ * Format special rows with their windows
+ * @param {Array<Object>} rows - bar_specials rows
+ * @param {Object} [executor=db] - db or a transaction connection
+ * @returns {Promise<Array<Object>>} Formatted specials, in row order
+ */
+async function attachSpecialWindows(rows, executor = db) {
+  const windows = await fetchSpecialWindows(rows.map(row => row.id), executor);
+  return rows.map(row => formatSpecial(row, windows.get(row.id)));
+}
+
+/**
+ * One of a bar's specials
+ * @param {string} barId - Bar UUID
+ * @param {string} specialId - Special UUID
+ * @param {Object} [executor=db] - db or a transaction connection
+ * @returns {Promise<Object|null>} Formatted special, or null if the bar has no such special
+ */
+async function fetchSpecial(barId, specialId, executor = db) {
+  const [rows] = await executor.execute(
+    'SELECT * FROM bar_specials WHERE id = ? AND bar_id = ?',
+    [specialId, barId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const [special] = await attachSpecialWindows(rows, executor);
+  return special;
+}
+
+/**
+ * Replace a special's windows
+ * @param {Object} executor - Transaction connection
+ * @param {string} specialId - Special UUID
+ * @param {Array<Object>} windows - validateSpecialWindows output
+ */
+async function replaceSpecialWindows(executor, specialId, windows) {
+  await executor.execute('DELETE FROM bar_special_windows WHERE special_id = ?', [specialId]);
+  for (const window of windows) {
+    await executor.execute(
+      `INSERT INTO bar_special_windows (id, special_id, day_of_week, start_time, end_time, crosses_midnight)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), specialId, window.day_of_week, window.start_time, window.end_time, window.crosses_midnight ? 1 : 0]
+    );
+  }
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  validateSpecialWindows,
+  validateSpecialPayload,
+  findRunningWindow,
+  buildRunningSpecialClause,
+  formatSpecial,
+  fetchSpecialWindows,
+  attachSpecialWindows,
+  fetchSpecial,
+  replaceSpecialWindows
+};
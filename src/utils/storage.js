@@ -0,0 +1,117 @@
+/**
+ * File storage for uploaded media (event and bar images).
+ *
+ * A storage driver is { name, save(key, buffer, { contentType }), remove(key) }
+ * where key is a relative path such as "events/<id>/<file>.webp"; save resolves
+ * to the public URL of the stored file and remove ignores missing files.
+ *
+ * STORAGE_DRIVER selects the driver:
+ * - local (default): files under STORAGE_LOCAL_DIR (default ./uploads), served
+ *   by the app at STORAGE_PUBLIC_URL (default /uploads). Set STORAGE_PUBLIC_URL to
+ *   an absolute URL when a web server or CDN serves the directory instead.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_LOCAL_DIR = 'uploads';
+const DEFAULT_PUBLIC_URL = '/uploads';
+
+const SAFE_KEY = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_.-]+)*$/;
+
+/**
+ * Reject keys that could escape the storage root
+ * @param {string} key - Relative storage key
+ * @returns {string} The key
+ */
+function assertSafeKey(key) {
+  if (typeof key !== 'string' || !SAFE_KEY.test(key) || key.split('/').some(part => part === '.' || part === '..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+}
+
+/**
+ * Storage driver writing to the local filesystem
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Root directory (created on first write)
+ * @param {string} [options.publicUrl] - URL prefix the directory is served at
+ * @returns {Object} Storage driver; also exposes directory and, when publicUrl is a
+ *   path on this app, mountPath for express.static
+ */
+function createLocalStorage({ directory = DEFAULT_LOCAL_DIR, publicUrl = DEFAULT_PUBLIC_URL } = {}) {
+  const root = path.resolve(directory);
+  const urlPrefix = publicUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'local',
+    directory: root,
+    mountPath: urlPrefix.startsWith('/') ? urlPrefix : null,
+    async save(key, buffer) {
+      const filePath = path.join(root, assertSafeKey(key));
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${urlPrefix}/${key}`;
+    },
+    async remove(key) {
+      try {
+        await fs.unlink(path.join(root, assertSafeKey(key)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the storage driver configured by the STORAGE_* environment variables
+ * @param {Object} [env] - Environment
+ * @returns {Object} Storage driver
+ */
+function createStorageFromEnv(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') {
+    return createLocalStorage({
+      directory: env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR,
+      publicUrl: env.STORAGE_PUBLIC_URL || DEFAULT_PUBLIC_URL
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local)`);
+}
+
+let activeStorage;
+
+/**
+ * The storage driver in use, created from the environment on first use. A broken
+ * configuration is logged and disables uploads.
+ * @returns {Object|null} Storage driver, or null when uploads are disabled
+ */
+function getStorage() {
+  if (activeStorage === undefined) {
+    try {
+      activeStorage = createStorageFromEnv();
+    } catch (err) {
+      console.error('File uploads disabled:', err.message || err);
+      activeStorage = null;
+    }
+  }
+  return activeStorage;
+}
+
+/**
+ * Replace the storage driver in use (null disables uploads, undefined re-reads the environment)
+ * @param {Object|null|undefined} storage - Storage driver
+ */
+function setStorage(storage) {
+  activeStorage = storage;
+}
+
+module.exports = {
+  createLocalStorage,
+  createStorageFromEnv,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,64 @@
+/**
+ * Tag filter parameters shared by the bar and event listings: tags to require
+ * (by id or name), tags to exclude, tag categories, and whether a result needs
+ * any or all of the listed tags (tag_mode).
+ */
+
+const TAG_MODES = ['any', 'all'];
+
+// Upper bound on the values in one tag filter, since tag_mode=all adds a subquery per value
+const MAX_TAG_FILTER_VALUES = 20;
+
+/**
+ * Split a comma-separated (or repeated) query parameter into trimmed, distinct values
+ * @param {string|Array<string>|undefined} value - Query value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const values = [].concat(value).join(',').split(',').map(item => item.trim()).filter(item => item.length > 0);
+  return [...new Set(values)];
+}
+
+/**
+ * Validate tag filter parameters
+ * @param {Object} query - Request query
+ * @param {Object} params - Names of the query parameters to read
+ * @param {string} params.ids - Tag ids a result must have
+ * @param {string} params.names - Tag names a result must have
+ * @param {string} params.excludeIds - Tag ids a result must not have
+ * @param {string} [params.categories] - Tag categories a result must have a tag in
+ * @returns {{tagFilters: Object}|{error: string}} { mode, ids, names, excludeIds, categories }, or a 400 message
+ */
+function parseTagFilters(query, params) {
+  const mode = query.tag_mode === undefined ? 'any' : String(query.tag_mode).toLowerCase();
+  if (!TAG_MODES.includes(mode)) {
+    return { error: 'tag_mode must be either "any" or "all".' };
+  }
+
+  const tagFilters = {
+    mode,
+    ids: parseList(query[params.ids]),
+    names: parseList(query[params.names]),
+    excludeIds: parseList(query[params.excludeIds]),
+    categories: params.categories ? parseList(query[params.categories]) : []
+  };
+
+  const lists = { ids: params.ids, names: params.names, excludeIds: params.excludeIds, categories: params.categories };
+  for (const [key, param] of Object.entries(lists)) {
+    if (tagFilters[key].length > MAX_TAG_FILTER_VALUES) {
+      return { error: `${param} accepts at most ${MAX_TAG_FILTER_VALUES} values.` };
+    }
+  }
+
+  return { tagFilters };
+}
+
+module.exports = {
+  TAG_MODES,
+  MAX_TAG_FILTER_VALUES,
+  parseList,
+  parseTagFilters
+};
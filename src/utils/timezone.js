@@ -0,0 +1,246 @@
+/**
+ * Utility functions for evaluating times in a bar's IANA time zone.
+ *
+ * Bar hours and event times are stored as local wall-clock values, so "now"
+ * has to be expressed in each bar's zone before comparing. Intl handles DST,
+ * which keeps cross-midnight hours correct on transition nights.
+ */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a string is a time zone name the runtime understands
+ * @param {string} timeZone - IANA time zone name (e.g. 'America/New_York')
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim().length === 0) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone.trim());
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Get the local wall-clock date, time and weekday for an instant in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @param {Date} [instant] - Instant to convert (defaults to now)
+ * @returns {{date: string, time: string, dayOfWeek: number}} Local date (YYYY-MM-DD), time (HH:MM:SS) and day (0=Sunday)
+ */
+function getZonedDateTime(timeZone, instant = new Date()) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(instant)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+    dayOfWeek: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {string} timeZone - IANA time zone name
+ * @param {Date} [instant] - Instant to evaluate (defaults to now)
+ * @returns {number} Offset in minutes east of UTC (e.g. -300 for EST)
+ */
+function getTimeZoneOffset(timeZone, instant = new Date()) {
+  const local = getZonedDateTime(timeZone, instant);
+  const [year, month, day] = local.date.split('-').map(Number);
+  const [hours, minutes, seconds] = local.time.split(':').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  return Math.round((localAsUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a local wall-clock date and time in a time zone to the instant it names.
+ * Times skipped by a DST change have no instant of their own and resolve to one an hour away.
+ * @param {string} dateString - Local date (YYYY-MM-DD)
+ * @param {string} timeString - Local time (HH:MM:SS)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dateString, timeString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours = 0, minutes = 0, seconds = 0] = String(timeString).split(':').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // The offset at the first guess can differ from the one at the result near a DST change
+  let instant = new Date(localAsUtc - getTimeZoneOffset(timeZone, new Date(localAsUtc)) * 60000);
+  instant = new Date(localAsUtc - getTimeZoneOffset(timeZone, instant) * 60000);
+  return instant;
+}
+
+/**
+ * List the UTC offset changes of a time zone between two dates
+ * @param {string} timeZone - IANA time zone name
+ * @param {string} fromDate - First date to scan (YYYY-MM-DD)
+ * @param {string} toDate - Last date to scan (YYYY-MM-DD)
+ * @returns {Array<{instant: Date, offsetFrom: number, offsetTo: number}>} Changes in order,
+ *   offsets in minutes east of UTC
+ */
+function findOffsetTransitions(timeZone, fromDate, toDate) {
+  const transitions = [];
+  const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+  const end = Date.UTC(toYear, toMonth - 1, toDay + 1);
+
+  // Zones change offset at most a few times a year, so a daily scan narrowed
+  // down to the minute finds every change
+  let previous = Date.UTC(fromYear, fromMonth - 1, fromDay);
+  let previousOffset = getTimeZoneOffset(timeZone, new Date(previous));
+  while (previous < end) {
+    const next = Math.min(previous + 86400000, end);
+    const nextOffset = getTimeZoneOffset(timeZone, new Date(next));
+    if (nextOffset !== previousOffset) {
+      let low = previous;
+      let high = next;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(timeZone, new Date(middle)) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ instant: new Date(high), offsetFrom: previousOffset, offsetTo: nextOffset });
+    }
+    previous = next;
+    previousOffset = nextOffset;
+  }
+  return transitions;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string without being affected by DST
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the day of week for a calendar date
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {number} Day of week (0=Sunday)
+ */
+function getDayOfWeek(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD format
+ * @param {*} value - Candidate date string
+ * @returns {boolean} True for valid dates (rejects e.g. 2026-02-30)
+ */
+function isValidDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+}
+
+/**
+ * Parse a local wall-clock date-time without an offset (YYYY-MM-DDTHH:MM or YYYY-MM-DDTHH:MM:SS)
+ * @param {string} value - Date-time string
+ * @returns {{date: string, time: string, dayOfWeek: number}|null} Parsed value, or null if invalid
+ */
+function parseLocalDateTime(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, date, hours, minutes, seconds = '00'] = match;
+  if (!isValidDateString(date)) {
+    return null; // e.g. 2026-02-30
+  }
+  return { date, time: `${hours}:${minutes}:${seconds}`, dayOfWeek: getDayOfWeek(date) };
+}
+
+/**
+ * Build a single-row clock table with a fixed local date and time, shaped like
+ * buildLocalClockJoin's, so predicates written against the local clock can be
+ * evaluated at an arbitrary wall-clock moment in every bar's own zone.
+ * @param {{date: string, time: string, dayOfWeek: number}} local - Local moment (see parseLocalDateTime)
+ * @param {Object} [options]
+ * @param {string} [options.clockAlias] - Alias for the derived table (default 'bar_clock')
+ * @returns {{sql: string, params: Array}} JOIN clause and its parameters
+ */
+function buildWallClockJoin(local, options = {}) {
+  const { clockAlias = 'bar_clock' } = options;
+  return {
+    sql: `CROSS JOIN (SELECT ? AS local_date, ? AS local_time, ? AS local_dow) ${clockAlias}`,
+    params: [local.date, local.time, local.dayOfWeek]
+  };
+}
+
+/**
+ * Build a derived table holding the current local clock for each time zone,
+ * joined to a bars alias. Predicates can then compare against
+ * <clockAlias>.local_date, local_time and local_dow instead of NOW().
+ * @param {Array<string>} timeZones - Time zones that appear on the bars being queried
+ * @param {Object} [options]
+ * @param {string} [options.barAlias] - Alias of the bars table (default 'b')
+ * @param {string} [options.clockAlias] - Alias for the derived table (default 'bar_clock')
+ * @param {Date} [options.instant] - Instant to evaluate (defaults to now)
+ * @returns {{sql: string, params: Array}} JOIN clause and its parameters
+ */
+function buildLocalClockJoin(timeZones, options = {}) {
+  const { barAlias = 'b', clockAlias = 'bar_clock', instant = new Date() } = options;
+  const zones = [...new Set([DEFAULT_TIMEZONE, ...timeZones.filter(isValidTimeZone)])];
+
+  const params = [];
+  const rows = zones.map(zone => {
+    const local = getZonedDateTime(zone, instant);
+    params.push(zone, local.date, local.time, local.dayOfWeek);
+    return 'SELECT ? AS timezone, ? AS local_date, ? AS local_time, ? AS local_dow';
+  });
+
+  return {
+    sql: `INNER JOIN (${rows.join(' UNION ALL ')}) ${clockAlias} ON ${clockAlias}.timezone = ${barAlias}.timezone`,
+    params
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedDateTime,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  findOffsetTransitions,
+  addDays,
+  getDayOfWeek,
+  isValidDateString,
+  parseLocalDateTime,
+  buildLocalClockJoin,
+  buildWallClockJoin
+};
@@ -1,22 +1,29 @@
 const jwt = require('jsonwebtoken');
 
-// 
-function buildAppUserToken({ id, email }) {
+// Access tokens are short-lived; sessionId (sid claim) ties them to a revocable
+// auth_sessions row so logout takes effect before they expire.
+function buildAppUserToken({ id, email, sessionId }) {
   const payload = {
     userId: id,
     email,
     userType: 'app_user'
   };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
 }
 
- function buildWebUserToken({ id, email, role }) {
+ function buildWebUserToken({ id, email, role, sessionId }) {
     const payload = {
       userId: id,
       email,
       role,
       userType: 'web_user'
     };
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
     return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
   }
 
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Map Area Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+
+  const square = {
+    type: 'Polygon',
+    coordinates: [[[-71.1, 42.3], [-71.0, 42.3], [-71.0, 42.4], [-71.1, 42.4], [-71.1, 42.3]]]
+  };
+
+  const auditCalls = () => db.execute.mock.calls.filter(([sql]) => sql.includes('INSERT INTO audit_log'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('GET /areas', () => {
+    test('lists areas with their bounding boxes', async () => {
+      db.query.mockResolvedValueOnce([[
+        { id: 'area-1', slug: 'back-bay', name: 'Back Bay', min_lon: '-71.10000000', min_lat: '42.30000000', max_lon: '-71.00000000', max_lat: '42.40000000' }
+      ]]);
+
+      const response = await request(app).get('/areas').expect(200);
+
+      expect(response.body.data).toEqual([
+        { id: 'area-1', slug: 'back-bay', name: 'Back Bay', bbox: [-71.1, 42.3, -71.0, 42.4] }
+      ]);
+    });
+
+    test('returns 500 when the query fails', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).get('/areas').expect(500);
+      expect(response.body).toEqual({ error: 'Failed to fetch areas' });
+    });
+  });
+
+  describe('GET /areas/:idOrSlug', () => {
+    test('returns the area geometry', async () => {
+      db.execute.mockResolvedValueOnce([[
+        { id: 'area-1', slug: 'back-bay', name: 'Back Bay', geojson: JSON.stringify(square), min_lon: -71.1, min_lat: 42.3, max_lon: -71.0, max_lat: 42.4 }
+      ]]);
+
+      const response = await request(app).get('/areas/back-bay').expect(200);
+
+      expect(response.body.data).toMatchObject({ slug: 'back-bay', geometry: square, bbox: [-71.1, 42.3, -71.0, 42.4] });
+    });
+
+    test('returns 404 for an unknown area', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      await request(app).get('/areas/nowhere').expect(404);
+    });
+  });
+
+  describe('POST /areas', () => {
+    test('creates an area with a slug derived from the name', async () => {
+      db.execute.mockResolvedValue([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .post('/areas')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Back Bay / Fenway', geometry: { type: 'Feature', properties: {}, geometry: square } })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ slug: 'back-bay-fenway', name: 'Back Bay / Fenway', bbox: [-71.1, 42.3, -71.0, 42.4] });
+
+      const [insertSql, insertParams] = db.execute.mock.calls[0];
+      expect(insertSql).toContain('INSERT INTO map_areas');
+      expect(insertParams.slice(1)).toEqual(['back-bay-fenway', 'Back Bay / Fenway', JSON.stringify(square), -71.1, 42.3, -71.0, 42.4]);
+      expect(auditCalls()).toHaveLength(1);
+      expect(auditCalls()[0][1]).toEqual(expect.arrayContaining(['create', 'map_area']));
+    });
+
+    test('rejects invalid slugs and geometries', async () => {
+      await request(app)
+        .post('/areas')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Back Bay', slug: 'Back Bay', geometry: square })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/areas')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Back Bay', geometry: { type: 'Point', coordinates: [0, 0] } })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Polygon or MultiPolygon/);
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('returns 409 for a duplicate slug', async () => {
+      db.execute.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+      const response = await request(app)
+        .post('/areas')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Back Bay', geometry: square })
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Area slug already exists' });
+    });
+
+    test('requires an admin', async () => {
+      await request(app)
+        .post('/areas')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Back Bay', geometry: square })
+        .expect(403);
+
+      await request(app).post('/areas').send({ name: 'Back Bay', geometry: square }).expect(401);
+    });
+  });
+
+  describe('PUT /areas/:id', () => {
+    test('replaces the area and audits the change', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'area-1', slug: 'back-bay', name: 'Back Bay', geojson: square }]])
+        .mockResolvedValue([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .put('/areas/area-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Back Bay', slug: 'back-bay-east', geometry: square })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: 'area-1', slug: 'back-bay-east' });
+      expect(db.execute.mock.calls[1][1]).toEqual(['back-bay-east', 'Back Bay', JSON.stringify(square), -71.1, 42.3, -71.0, 42.4, 'area-1']);
+      expect(JSON.parse(auditCalls()[0][1][7])).toEqual({ slug: { before: 'back-bay', after: 'back-bay-east' } });
+    });
+
+    test('returns 404 for an unknown area', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .put('/areas/missing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Back Bay', geometry: square })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /areas/:id', () => {
+    test('deletes the area', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'area-1', slug: 'back-bay', name: 'Back Bay' }]])
+        .mockResolvedValue([{ affectedRows: 1 }]);
+
+      await request(app)
+        .delete('/areas/area-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(db.execute.mock.calls[1]).toEqual(['DELETE FROM map_areas WHERE id = ?', ['area-1']]);
+      expect(auditCalls()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Audit Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+
+  let mockConnection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn(),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('GET /admin/audit', () => {
+    test('should filter by entity, actor and inclusive date range', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ total: 1 }]])
+        .mockResolvedValueOnce([[{
+          id: 'audit-1',
+          actor_id: 'admin-1',
+          actor_role: 'admin',
+          actor_type: 'web_user',
+          action: 'update',
+          entity_type: 'bar',
+          entity_id: 'bar-1',
+          changes: '{"name":{"before":"Old","after":"New"}}',
+          created_at: '2026-10-01T12:00:00.000Z'
+        }]]);
+
+      const response = await request(app)
+        .get('/admin/audit')
+        .query({ entity_type: 'bar', entity_id: 'bar-1', actor_id: 'admin-1', from: '2026-10-01', to: '2026-10-31' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data[0].changes).toEqual({ name: { before: 'Old', after: 'New' } });
+      expect(response.body.meta.pagination).toMatchObject({ total: 1, current_page: 1, per_page: 50 });
+      expect(db.query.mock.calls[0][0]).toContain('entity_type = ? AND entity_id = ? AND actor_id = ? AND created_at >= ? AND created_at < ?');
+      expect(db.query.mock.calls[1][1]).toEqual(['bar', 'bar-1', 'admin-1', '2026-10-01', '2026-11-01', 50, 0]);
+    });
+
+    test('should validate filters', async () => {
+      const invalidQueries = [
+        { entity_type: 'drink' },
+        { from: '2026-02-30' },
+        { from: '2026-10-31', to: '2026-10-01' },
+        { limit: 500 }
+      ];
+
+      for (const query of invalidQueries) {
+        await request(app)
+          .get('/admin/audit')
+          .query(query)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(400);
+      }
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('should be restricted to admins', async () => {
+      await request(app)
+        .get('/admin/audit')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+
+      await request(app)
+        .get('/admin/audit')
+        .expect(401);
+    });
+  });
+
+  describe('Recorded changes', () => {
+    test('should record the changed fields when a bar is updated', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1', name: 'Old Name', phone: '555-0100', latitude: '42.3600000', timezone: 'America/New_York' }]]);
+      mockConnection.execute.mockResolvedValue([{ affectedRows: 1 }]);
+
+      await request(app)
+        .put('/bars/bar-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'New Name', latitude: 42.36 })
+        .expect(200);
+
+      const auditCall = mockConnection.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+      expect(auditCall[1].slice(1, 7)).toEqual(['admin-1', 'admin', 'web_user', 'update', 'bar', 'bar-1']);
+      expect(JSON.parse(auditCall[1][7])).toEqual({ name: { before: 'Old Name', after: 'New Name' } });
+    });
+
+    test('should record the assigned bar when a user is assigned', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'user-1' }]])
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      await request(app)
+        .post('/users/user-1/bars/bar-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(201);
+
+      const [sql, params] = db.execute.mock.calls[3];
+      expect(sql).toContain('INSERT INTO audit_log');
+      expect(params.slice(4)).toEqual(['assign_bar', 'web_user', 'user-1', JSON.stringify({ bar_id: { before: null, after: 'bar-1' } })]);
+    });
+  });
+});
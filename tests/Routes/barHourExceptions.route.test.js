@@ -0,0 +1,263 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Bar Hour Exception Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager' });
+  let mockConnection;
+
+  const newYearsEve = {
+    date: '2026-12-31',
+    open_time: '18:00:00',
+    close_time: '04:00:00',
+    is_closed: false,
+    reason: "New Year's Eve"
+  };
+
+  const exceptionRow = {
+    id: 'ex-1',
+    date: '2026-12-31',
+    open_time: '18:00:00',
+    close_time: '04:00:00',
+    is_closed: 0,
+    reason: "New Year's Eve"
+  };
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('GET /bars/:barId/hours/exceptions', () => {
+    test('should list exceptions from the bar\'s local today by default', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub', timezone: 'America/Chicago' }]])
+        .mockResolvedValueOnce([[
+          { id: 'ex-1', date: '2026-11-26', open_time: null, close_time: null, is_closed: 1, crosses_midnight: 0, reason: 'Thanksgiving' }
+        ]]);
+
+      const response = await request(app)
+        .get('/bars/bar-1/hours/exceptions')
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        { id: 'ex-1', date: '2026-11-26', open_time: null, close_time: null, is_closed: true, crosses_midnight: false, reason: 'Thanksgiving' }
+      ]);
+      expect(response.body.meta).toMatchObject({ timezone: 'America/Chicago', total: 1 });
+      expect(db.execute.mock.calls[1][1]).toEqual(['bar-1', response.body.meta.filters.from]);
+    });
+
+    test('should reject malformed date filters', async () => {
+      await request(app)
+        .get('/bars/bar-1/hours/exceptions')
+        .query({ from: '12/31/2026' })
+        .expect(400);
+
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /bars/:barId/hours/exceptions', () => {
+    test('should create a cross-midnight exception', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]); // Bar check
+
+      const response = await request(app)
+        .post('/bars/bar-1/hours/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newYearsEve)
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        bar_id: 'bar-1',
+        date: '2026-12-31',
+        crosses_midnight: true,
+        reason: "New Year's Eve"
+      });
+      const insertParams = findCall('INSERT INTO bar_hour_exceptions')[1];
+      expect(insertParams.slice(1)).toEqual(['bar-1', '2026-12-31', '18:00:00', '04:00:00', 0, 1, "New Year's Eve"]);
+
+      const auditParams = findCall('INSERT INTO audit_log')[1];
+      expect(auditParams.slice(4, 7)).toEqual(['add_hour_exception', 'bar', 'bar-1']);
+      expect(JSON.parse(auditParams[7])).toMatchObject({
+        exception_id: { before: null, after: insertParams[0] },
+        date: { before: null, after: '2026-12-31' },
+        close_time: { before: null, after: '04:00:00' }
+      });
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should store closures without times', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+
+      await request(app)
+        .post('/bars/bar-1/hours/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: '2026-11-26', is_closed: true, open_time: '12:00:00' })
+        .expect(201);
+
+      expect(findCall('INSERT INTO bar_hour_exceptions')[1].slice(2, 7)).toEqual(['2026-11-26', null, null, 1, 0]);
+    });
+
+    test('should zero-pad single-digit hours', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+
+      const response = await request(app)
+        .post('/bars/bar-1/hours/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: '2026-12-24', open_time: '9:00:00', close_time: '15:00:00' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ is_closed: false, open_time: '09:00:00', crosses_midnight: false });
+      expect(findCall('INSERT INTO bar_hour_exceptions')[1].slice(2, 7)).toEqual(['2026-12-24', '09:00:00', '15:00:00', 0, 0]);
+    });
+
+    test('should validate the payload', async () => {
+      const invalidPayloads = [
+        { ...newYearsEve, date: '2026-02-30' },
+        { ...newYearsEve, open_time: undefined },
+        { ...newYearsEve, close_time: '4am' },
+        { ...newYearsEve, is_closed: 'no' }
+      ];
+
+      for (const payload of invalidPayloads) {
+        await request(app)
+          .post('/bars/bar-1/hours/exceptions')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(payload)
+          .expect(400);
+      }
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when the date already has an exception', async () => {
+      const duplicateError = new Error('Duplicate entry');
+      duplicateError.code = 'ER_DUP_ENTRY';
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockRejectedValueOnce(duplicateError);
+
+      await request(app)
+        .post('/bars/bar-1/hours/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newYearsEve)
+        .expect(409);
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(findCall('INSERT INTO audit_log')).toBeUndefined();
+    });
+
+    test('should deny users without access to the bar', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]]) // Bar check
+        .mockResolvedValueOnce([[]]); // No bar association
+
+      await request(app)
+        .post('/bars/bar-1/hours/exceptions')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(newYearsEve)
+        .expect(403);
+
+      expect(db.execute).toHaveBeenCalledTimes(2);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/bars/bar-1/hours/exceptions')
+        .send(newYearsEve)
+        .expect(401);
+    });
+  });
+
+  describe('PUT /bars/:barId/hours/exceptions/:exceptionId', () => {
+    test('should replace an exception', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[exceptionRow]]);
+
+      const response = await request(app)
+        .put('/bars/bar-1/hours/exceptions/ex-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...newYearsEve, close_time: '23:30:00' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: 'ex-1', crosses_midnight: false });
+      expect(findCall('UPDATE bar_hour_exceptions')[1].slice(-2)).toEqual(['ex-1', 'bar-1']);
+
+      const auditParams = findCall('INSERT INTO audit_log')[1];
+      expect(auditParams.slice(4, 7)).toEqual(['update_hour_exception', 'bar', 'bar-1']);
+      expect(JSON.parse(auditParams[7])).toEqual({ close_time: { before: '04:00:00', after: '23:30:00' } });
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown exceptions', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .put('/bars/bar-1/hours/exceptions/missing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newYearsEve)
+        .expect(404);
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(findCall('UPDATE bar_hour_exceptions')).toBeUndefined();
+    });
+  });
+
+  describe('DELETE /bars/:barId/hours/exceptions/:exceptionId', () => {
+    test('should delete an exception', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[exceptionRow]]);
+
+      await request(app)
+        .delete('/bars/bar-1/hours/exceptions/ex-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(findCall('DELETE FROM bar_hour_exceptions')[1]).toEqual(['ex-1', 'bar-1']);
+      const auditParams = findCall('INSERT INTO audit_log')[1];
+      expect(auditParams.slice(4, 7)).toEqual(['remove_hour_exception', 'bar', 'bar-1']);
+      expect(JSON.parse(auditParams[7])).toMatchObject({
+        exception_id: { before: 'ex-1', after: null },
+        reason: { before: "New Year's Eve", after: null }
+      });
+    });
+
+    test('should return 404 for unknown exceptions', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .delete('/bars/bar-1/hours/exceptions/missing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(findCall('DELETE FROM bar_hour_exceptions')).toBeUndefined();
+    });
+
+    test('should return 404 when the bar does not exist', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .delete('/bars/missing/hours/exceptions/ex-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Bar not found');
+    });
+  });
+});
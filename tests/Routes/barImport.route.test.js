@@ -0,0 +1,152 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Bar Import Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+
+  const tagRows = [{ id: 'tag-1', name: 'Trivia' }];
+  const pub = {
+    name: 'The Pub',
+    address_street: '1 Main St',
+    address_city: 'Boston',
+    address_state: 'MA',
+    address_zip: '02108',
+    tags: ['Trivia'],
+    hours: [{ day_of_week: 5, open_time: '16:00:00', close_time: '02:00:00', is_closed: false }]
+  };
+  const tavern = { ...pub, name: 'The Tavern', address_street: '2 Main St', tags: [], hours: [] };
+
+  let mockConnection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn(),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('POST /bars/import?dry_run=true', () => {
+    test('should report invalid rows and duplicates without writing', async () => {
+      db.execute
+        .mockResolvedValueOnce([tagRows])
+        .mockResolvedValueOnce([[{ id: 'existing-bar' }]]) // pub exists already
+        .mockResolvedValueOnce([[]]); // tavern is new
+
+      const response = await request(app)
+        .post('/bars/import')
+        .query({ dry_run: 'true' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([pub, tavern, { ...tavern, name: ' the tavern ' }, { name: 'No Address', tags: ['Karaoke'] }])
+        .expect(200);
+
+      expect(response.body.meta).toEqual({ dry_run: true, total: 4, valid: 1, invalid: 1, duplicates: 2, created: 0 });
+      expect(response.body.data.rows).toEqual([
+        { row: 1, name: 'The Pub', status: 'duplicate', errors: ['A bar with this name and address already exists'], existing_bar_id: 'existing-bar' },
+        { row: 2, name: 'The Tavern', status: 'valid', errors: [] },
+        { row: 3, name: 'the tavern', status: 'duplicate', errors: ['Same name and address as row 2'], duplicate_of_row: 2 },
+        { row: 4, name: 'No Address', status: 'invalid', errors: ['Missing required bar fields', 'Unknown tags: Karaoke'] }
+      ]);
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('should accept a CSV body', async () => {
+      db.execute
+        .mockResolvedValueOnce([tagRows])
+        .mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .post('/bars/import?dry_run=1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('name,address_street,address_city,address_state,address_zip,tags,hours_fri\n"The Pub",1 Main St,Boston,MA,02108,Trivia,16:00-02:00\n')
+        .expect(200);
+
+      expect(response.body.data.rows).toEqual([{ row: 1, name: 'The Pub', status: 'valid', errors: [] }]);
+    });
+
+    test('should reject malformed payloads', async () => {
+      await request(app)
+        .post('/bars/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ bar: pub })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/bars/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('name,happy_hour\nThe Pub,yes\n')
+        .expect(400);
+
+      expect(response.body.error).toMatch(/^Unknown CSV columns: happy_hour/);
+    });
+  });
+
+  describe('POST /bars/import', () => {
+    test('should insert every row in one transaction', async () => {
+      mockConnection.execute.mockResolvedValue([[]]);
+      mockConnection.execute.mockResolvedValueOnce([tagRows]);
+
+      const response = await request(app)
+        .post('/bars/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ bars: [pub, tavern] })
+        .expect(201);
+
+      expect(response.body.meta).toMatchObject({ dry_run: false, total: 2, valid: 2, created: 2 });
+      expect(response.body.data.rows.every(row => typeof row.id === 'string')).toBe(true);
+
+      const statements = mockConnection.execute.mock.calls.map(call => call[0]);
+      expect(statements.filter(sql => sql.includes('INSERT INTO bars'))).toHaveLength(2);
+      expect(statements.filter(sql => sql.includes('INSERT INTO bar_hours'))).toHaveLength(1);
+      expect(mockConnection.execute).toHaveBeenCalledWith(
+        'INSERT INTO bar_tag_assignments (bar_id, tag_id) VALUES (?, ?)',
+        [response.body.data.rows[0].id, 'tag-1']
+      );
+      expect(statements.filter(sql => sql.includes('INSERT INTO audit_log'))).toHaveLength(2);
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(mockConnection.rollback).not.toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    test('should roll back and return 422 when any row is rejected', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([tagRows])
+        .mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .post('/bars/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([pub, { ...tavern, address_zip: '' }])
+        .expect(422);
+
+      expect(response.body.meta).toMatchObject({ valid: 1, invalid: 1, created: 0 });
+      expect(response.body.data.rows[1].errors).toEqual(['Missing required bar fields']);
+      expect(mockConnection.execute.mock.calls.some(call => call[0].includes('INSERT'))).toBe(false);
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    test('should be restricted to admins', async () => {
+      await request(app)
+        .post('/bars/import')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send([pub])
+        .expect(403);
+
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Bar map queries', () => {
+  const square = {
+    type: 'Polygon',
+    coordinates: [[[-71.1, 42.3], [-71.0, 42.3], [-71.0, 42.4], [-71.1, 42.4], [-71.1, 42.3]]]
+  };
+  const areaRow = {
+    id: 'area-1',
+    slug: 'back-bay',
+    name: 'Back Bay',
+    geojson: square,
+    min_lon: '-71.10000000',
+    min_lat: '42.30000000',
+    max_lon: '-71.00000000',
+    max_lat: '42.40000000'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('GET /bars?bbox=', () => {
+    test('filters bars to the viewport and combines with tag', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ total: 1 }]])
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }]]);
+
+      const response = await request(app)
+        .get('/bars')
+        .query({ bbox: '-71.1,42.3,-71.0,42.4', tag: 'tag-1' })
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.meta.filters).toMatchObject({ bbox: '-71.1,42.3,-71.0,42.4', tag: 'tag-1' });
+
+      const [countSql, countParams] = db.query.mock.calls[0];
+      expect(countSql).toContain('b.latitude BETWEEN ? AND ? AND b.longitude BETWEEN ? AND ?');
+      expect(countParams).toEqual([42.3, 42.4, -71.1, -71.0, 'tag-1']);
+    });
+
+    test('rejects a malformed bbox', async () => {
+      const response = await request(app)
+        .get('/bars')
+        .query({ bbox: '-71.1,42.3,-71.0' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/four numbers/);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /bars?area=', () => {
+    test('filters bars inside a stored area', async () => {
+      db.execute.mockResolvedValueOnce([[areaRow]]);
+      db.query
+        .mockResolvedValueOnce([[{ total: 0 }]])
+        .mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .get('/bars')
+        .query({ area: 'back-bay' })
+        .expect(200);
+
+      expect(db.execute.mock.calls[0][1]).toEqual(['back-bay', 'back-bay']);
+      const [countSql, countParams] = db.query.mock.calls[0];
+      expect(countSql).toContain('ST_Contains(ST_GeomFromGeoJSON(?, 1, 0), POINT(b.longitude, b.latitude))');
+      expect(countParams).toEqual([42.3, 42.4, -71.1, -71.0, JSON.stringify(square)]);
+      expect(response.body.meta.filters).toMatchObject({ area: 'back-bay' });
+    });
+
+    test('returns 404 for an unknown area', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .get('/bars')
+        .query({ area: 'nowhere' })
+        .expect(404);
+
+      expect(response.body).toEqual({ error: 'Area not found' });
+    });
+  });
+
+  describe('POST /bars/search/area', () => {
+    test('filters bars inside the posted polygon', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ total: 1 }]])
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }]]);
+
+      const response = await request(app)
+        .post('/bars/search/area')
+        .query({ open_now: 'false' })
+        .send({ type: 'Feature', properties: {}, geometry: square })
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(db.query.mock.calls[0][1]).toContain(JSON.stringify(square));
+    });
+
+    test('rejects an invalid polygon', async () => {
+      const response = await request(app)
+        .post('/bars/search/area')
+        .send({ type: 'Point', coordinates: [0, 0] })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Polygon or MultiPolygon/);
+    });
+
+    test('rejects combining a body polygon with a stored area', async () => {
+      const response = await request(app)
+        .post('/bars/search/area')
+        .query({ area: 'back-bay' })
+        .send(square)
+        .expect(400);
+
+      expect(response.body.error).toMatch(/not both/);
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /bars?cluster=true', () => {
+    test('returns per-cell counts for the viewport', async () => {
+      db.query.mockResolvedValueOnce([[
+        { cell_x: 0, cell_y: 0, count: 3, latitude: '42.31', longitude: '-71.09', bar_id: null },
+        { cell_x: 1, cell_y: 1, count: 1, latitude: '42.38', longitude: '-71.02', bar_id: 'bar-9' }
+      ]]);
+
+      const response = await request(app)
+        .get('/bars')
+        .query({ bbox: '-71.1,42.3,-71.0,42.4', cluster: 'true', grid: '2' })
+        .expect(200);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('GROUP BY cell_x, cell_y');
+      expect(params.slice(0, 6)).toEqual([-71.1, expect.closeTo(0.05), 1, 42.3, expect.closeTo(0.05), 1]);
+
+      expect(response.body.meta.total).toBe(4);
+      expect(response.body.meta.cluster).toMatchObject({ grid: 2, bbox: [-71.1, 42.3, -71.0, 42.4] });
+      expect(response.body.data[0]).toMatchObject({ cell: [0, 0], count: 3, latitude: 42.31, longitude: -71.09, bar_id: null });
+      expect(response.body.data[1]).toMatchObject({ cell: [1, 1], count: 1, bar_id: 'bar-9' });
+      expect(response.body.data[1].bbox[0]).toBeCloseTo(-71.05);
+      expect(response.body.data[1].bbox[3]).toBeCloseTo(42.4);
+    });
+
+    test('clusters within a stored area using its bounds', async () => {
+      db.execute.mockResolvedValueOnce([[areaRow]]);
+      db.query.mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .get('/bars')
+        .query({ area: 'back-bay', cluster: 'true' })
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+      expect(response.body.meta.cluster.grid).toBe(8);
+      expect(db.query.mock.calls[0][1]).toContain(JSON.stringify(square));
+    });
+
+    test('requires map bounds', async () => {
+      const response = await request(app)
+        .get('/bars')
+        .query({ cluster: 'true' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/requires bbox/);
+    });
+
+    test('validates the grid size', async () => {
+      const response = await request(app)
+        .get('/bars')
+        .query({ bbox: '-71.1,42.3,-71.0,42.4', cluster: 'true', grid: '51' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/grid must be between 1 and 50/);
+    });
+  });
+});
@@ -0,0 +1,319 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Bar Photo Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+  let mockConnection;
+
+  const uploadedVariants = {
+    thumbnail: { key: 'bars/bar-1/img-1-thumbnail.webp', url: '/uploads/bars/bar-1/img-1-thumbnail.webp', width: 200, height: 133 },
+    large: { key: 'bars/bar-1/img-1-large.webp', url: '/uploads/bars/bar-1/img-1-large.webp', width: 1600, height: 1067 }
+  };
+
+  const photoRow = (overrides = {}) => ({
+    id: 'photo-1',
+    bar_id: 'bar-1',
+    image_id: null,
+    url: 'https://example.com/front.jpg',
+    caption: null,
+    sort_order: 0,
+    is_cover: 0,
+    image_variants: null,
+    ...overrides
+  });
+
+  const uploadedPhoto = photoRow({
+    id: 'photo-2',
+    image_id: 'img-1',
+    url: '/uploads/bars/bar-1/img-1-large.webp',
+    caption: 'The back room',
+    sort_order: 1,
+    image_variants: JSON.stringify(uploadedVariants)
+  });
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn().mockResolvedValue([[]]);
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('GET /bars/:barId/photos', () => {
+    test('should list the gallery with variants and fall back to the first photo as cover', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }]])
+        .mockResolvedValueOnce([[photoRow(), uploadedPhoto]]);
+
+      const response = await request(app).get('/bars/bar-1/photos').expect(200);
+
+      expect(db.execute.mock.calls[1][0]).toContain('ORDER BY bp.sort_order, bp.created_at, bp.id');
+      expect(response.body.data.map(photo => photo.id)).toEqual(['photo-1', 'photo-2']);
+      expect(response.body.data[0].variants).toBeNull();
+      expect(response.body.data[1]).toMatchObject({
+        image_id: 'img-1',
+        caption: 'The back room',
+        is_cover: false,
+        variants: {
+          thumbnail: { url: '/uploads/bars/bar-1/img-1-thumbnail.webp', width: 200, height: 133 },
+          large: { url: '/uploads/bars/bar-1/img-1-large.webp', width: 1600, height: 1067 }
+        }
+      });
+      expect(response.body.meta).toEqual({ bar: { id: 'bar-1', name: 'The Pub' }, total: 2, cover_photo_id: 'photo-1' });
+    });
+
+    test('should return 404 for unknown bars', async () => {
+      await request(app).get('/bars/missing/photos').expect(404);
+    });
+  });
+
+  describe('include=photos', () => {
+    test('GET /bars/:id should return the gallery and its cover', async () => {
+      db.query.mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }]]);
+      db.execute.mockResolvedValueOnce([[photoRow(), { ...uploadedPhoto, is_cover: 1 }]]);
+
+      const response = await request(app)
+        .get('/bars/bar-1')
+        .query({ include: 'photos' })
+        .expect(200);
+
+      expect(response.body.data.photos).toHaveLength(2);
+      expect(response.body.data.cover_photo).toMatchObject({ id: 'photo-2', is_cover: true });
+      expect(response.body.meta.included).toEqual(['photos']);
+    });
+
+    test('GET /bars should return only each bar\'s cover photo', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ total: 2 }]])
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }, { id: 'bar-2', name: 'The Tavern' }]]);
+      db.execute.mockResolvedValueOnce([[{ ...uploadedPhoto, cover_rank: 1 }]]);
+
+      const response = await request(app)
+        .get('/bars')
+        .query({ include: 'photos' })
+        .expect(200);
+
+      const [coverSql, coverParams] = db.execute.mock.calls[0];
+      expect(coverSql).toContain('ROW_NUMBER() OVER (PARTITION BY bp.bar_id ORDER BY bp.is_cover DESC');
+      expect(coverParams).toEqual(['bar-1', 'bar-2']);
+      expect(response.body.data[0].cover_photo).toMatchObject({ id: 'photo-2', url: uploadedPhoto.url });
+      expect(response.body.data[0]).not.toHaveProperty('photos');
+      expect(response.body.data[1].cover_photo).toBeNull();
+    });
+  });
+
+  describe('POST /bars/:barId/photos', () => {
+    test('should add an uploaded image as the new cover', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[{ url: uploadedPhoto.url }]]);
+      mockConnection.execute.mockImplementation(async (sql) => (
+        sql.includes('FROM bar_photos bp') ? [[{ ...uploadedPhoto, is_cover: 1 }]] : [{ affectedRows: 1 }]
+      ));
+
+      const response = await request(app)
+        .post('/bars/bar-1/photos')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ image_id: 'img-1', caption: '  The back room ', is_cover: true })
+        .expect(201);
+
+      expect(db.execute.mock.calls[1][1]).toEqual(['img-1', 'bar-1']);
+      expect(findCall('UPDATE bar_photos SET is_cover = 0')[1]).toEqual(['bar-1']);
+      const insertParams = findCall('INSERT INTO bar_photos')[1];
+      expect(insertParams.slice(1)).toEqual(['bar-1', 'img-1', uploadedPhoto.url, 'The back room', 1, 'admin-1', 'bar-1']);
+      expect(findCall('INSERT INTO audit_log')[1].slice(4, 7)).toEqual(['add_photo', 'bar', 'bar-1']);
+      expect(response.body.data).toMatchObject({ image_id: 'img-1', is_cover: true });
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should add external URLs without touching the cover', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockImplementation(async (sql) => (
+        sql.includes('FROM bar_photos bp') ? [[photoRow()]] : [{ affectedRows: 1 }]
+      ));
+
+      await request(app)
+        .post('/bars/bar-1/photos')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ url: 'https://example.com/front.jpg' })
+        .expect(201);
+
+      expect(findCall('UPDATE bar_photos SET is_cover = 0')).toBeUndefined();
+      expect(findCall('INSERT INTO bar_photos')[1][2]).toBeNull();
+    });
+
+    test.each([
+      [{}, 'Provide either image_id (an uploaded image) or url'],
+      [{ image_id: 'img-1', url: 'https://example.com/a.jpg' }, 'Provide either image_id (an uploaded image) or url'],
+      [{ url: 'https://example.com/a.jpg', caption: 42 }, 'caption must be a string of at most 255 characters'],
+      [{ url: 'https://example.com/a.jpg', is_cover: 'yes' }, 'is_cover must be a boolean']
+    ])('should reject invalid payload %j', async (payload, error) => {
+      const response = await request(app)
+        .post('/bars/bar-1/photos')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(payload)
+        .expect(400);
+
+      expect(response.body.error).toBe(error);
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('should only accept images uploaded for the same bar', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .post('/bars/bar-1/photos')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ image_id: 'img-of-bar-2' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Uploaded image not found for this bar');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('should deny managers of other bars', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[]]); // no bar association
+
+      await request(app)
+        .post('/bars/bar-1/photos')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ url: 'https://example.com/front.jpg' })
+        .expect(403);
+
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /bars/:barId/photos/:photoId', () => {
+    test('should update the caption and move the cover', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute
+        .mockResolvedValueOnce([[photoRow()]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[photoRow({ caption: 'Front', is_cover: 1 })]]);
+
+      const response = await request(app)
+        .put('/bars/bar-1/photos/photo-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ caption: 'Front', is_cover: true })
+        .expect(200);
+
+      expect(mockConnection.execute.mock.calls[1]).toEqual([
+        'UPDATE bar_photos SET is_cover = 0 WHERE bar_id = ? AND id <> ? AND is_cover = 1',
+        ['bar-1', 'photo-1']
+      ]);
+      expect(mockConnection.execute.mock.calls[2][1]).toEqual(['Front', 1, 'photo-1']);
+      const changes = JSON.parse(findCall('INSERT INTO audit_log')[1][7]);
+      expect(changes).toEqual({ caption: { before: null, after: 'Front' }, is_cover: { before: false, after: true } });
+      expect(response.body.data).toMatchObject({ caption: 'Front', is_cover: true });
+    });
+
+    test('should require a field to update', async () => {
+      await request(app)
+        .put('/bars/bar-1/photos/photo-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ url: 'https://example.com/other.jpg' })
+        .expect(400);
+    });
+
+    test('should return 404 for photos of other bars', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .put('/bars/bar-1/photos/photo-9')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ caption: 'Front' })
+        .expect(404);
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /bars/:barId/photos/order', () => {
+    test('should store the new order', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[{ ...uploadedPhoto, sort_order: 0 }, { ...photoRow(), sort_order: 1 }]]);
+      mockConnection.execute.mockResolvedValueOnce([[{ id: 'photo-1' }, { id: 'photo-2' }]]);
+
+      const response = await request(app)
+        .put('/bars/bar-1/photos/order')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ photo_ids: ['photo-2', 'photo-1'] })
+        .expect(200);
+
+      const updates = mockConnection.execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE bar_photos SET sort_order'));
+      expect(updates.map(([, params]) => params)).toEqual([[0, 'photo-2'], [1, 'photo-1']]);
+      expect(findCall('INSERT INTO audit_log')[1][4]).toBe('reorder_photos');
+      expect(response.body.data.map(photo => photo.id)).toEqual(['photo-2', 'photo-1']);
+    });
+
+    test.each([
+      [['photo-1']],
+      [['photo-1', 'photo-1']],
+      [['photo-1', 'photo-2', 'photo-3']]
+    ])('should reject %j when it does not list every photo once', async (photoIds) => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[{ id: 'photo-1' }, { id: 'photo-2' }]]);
+
+      const response = await request(app)
+        .put('/bars/bar-1/photos/order')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ photo_ids: photoIds })
+        .expect(400);
+
+      expect(response.body.error).toBe('photo_ids must list each of the bar\'s photos exactly once');
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /bars/:barId/photos/:photoId', () => {
+    test('should remove the photo and release its upload', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[uploadedPhoto]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // DELETE
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // audit
+
+      await request(app)
+        .delete('/bars/bar-1/photos/photo-2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(db.execute).toHaveBeenCalledWith('DELETE FROM bar_photos WHERE id = ?', ['photo-2']);
+      expect(db.execute).toHaveBeenCalledWith(
+        'SELECT id, storage_driver, variants FROM uploaded_images WHERE url = ?',
+        [uploadedPhoto.url]
+      );
+    });
+
+    test('should return 404 for unknown photos', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+
+      await request(app)
+        .delete('/bars/bar-1/photos/photo-9')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+});
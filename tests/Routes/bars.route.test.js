@@ -3,6 +3,8 @@ const jwt = require('jsonwebtoken');
 const app = require('../../src/app');
 const db = require('../../src/utils/db');
 const { createTestJWT, createMockUser } = require('../helpers/authHelpers');
+const { createOfflineGeocoder, setGeocoder } = require('../../src/utils/geocoding');
+const { radiusBounds } = require('../../src/utils/geo');
 
 // Mock the database module
 jest.mock('../../src/utils/db');
@@ -575,6 +577,165 @@ describe('Bars Routes Integration Tests', () => {
 
       expect(response.body).toHaveProperty('error', 'Missing required bar fields');
     });
+
+    test('should reject an invalid timezone', async () => {
+      const response = await request(app)
+        .post('/bars')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({
+          name: 'New Test Bar',
+          address_street: '456 New St',
+          address_city: 'Test City',
+          address_state: 'TS',
+          address_zip: '12345',
+          timezone: 'Mars/Olympus_Mons'
+        })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Invalid timezone/);
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /bars - open_at and open_between', () => {
+    beforeEach(() => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce([[{ total: 0 }]]) // Count query
+        .mockResolvedValueOnce([[]]); // Select query
+    });
+
+    test('open_at should evaluate the open_now rules at a fixed local time alongside other filters', async () => {
+      const response = await request(app)
+        .get('/bars')
+        .query({ open_at: '2026-10-24T23:00', tag: 'tag-1', lat: 42.36, lon: -71.06, radius: 2, limit: 10, page: 2 })
+        .expect(200);
+
+      const [selectSql, selectParams] = db.query.mock.calls[1];
+      expect(selectSql).toContain('CROSS JOIN (SELECT ? AS local_date, ? AS local_time, ? AS local_dow) bar_clock');
+      expect(selectSql).toContain('MOD(bar_clock.local_dow + 6, 7)');
+      expect(selectSql).toContain('bt_filter.tag_id IN (?)');
+      // distance select, clock, radius bounding box and distance, tag, pagination
+      const bounds = radiusBounds(42.36, -71.06, 2, 'km');
+      expect(selectParams).toEqual([
+        42.36, -71.06, 42.36,
+        '2026-10-24', '23:00:00', 6,
+        bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon,
+        42.36, -71.06, 42.36, 2,
+        'tag-1',
+        10, 10
+      ]);
+      expect(response.body.meta.filters).toMatchObject({ open_at: '2026-10-24T23:00' });
+    });
+
+    test('open_between should check every day whose hours could overlap the window', async () => {
+      await request(app)
+        .get('/bars')
+        .query({ open_between: '2026-10-24T22:00,2026-10-25T02:00' })
+        .expect(200);
+
+      const [countSql, countParams] = db.query.mock.calls[0];
+      expect(countSql).toContain(') open_day');
+      expect(countParams).toEqual([
+        '2026-10-23', 5, '2026-10-24 22:00:00', '2026-10-25 02:00:00',
+        '2026-10-24', 6, '2026-10-24 22:00:00', '2026-10-25 02:00:00',
+        '2026-10-25', 0, '2026-10-24 22:00:00', '2026-10-25 02:00:00'
+      ]);
+    });
+
+    test.each([
+      [{ open_at: '2026-10-24 23:00' }, /open_at must be/],
+      [{ open_at: '2026-02-30T23:00' }, /open_at must be/],
+      [{ open_between: '2026-10-24T22:00' }, /open_between must be/],
+      [{ open_between: '2026-10-25T02:00,2026-10-24T22:00' }, /must not be before/],
+      [{ open_between: '2026-10-01T22:00,2026-10-24T22:00' }, /cannot span more than 7 days/],
+      [{ open_now: 'true', open_at: '2026-10-24T23:00' }, /Use only one of/]
+    ])('should reject invalid opening filters %o', async (query, message) => {
+      const response = await request(app)
+        .get('/bars')
+        .query(query)
+        .expect(400);
+
+      expect(response.body.error).toMatch(message);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Bar time zones', () => {
+    test('GET /bars/:barId/hours should report the bar timezone and local open state', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'Harbor Pub', timezone: 'America/Los_Angeles' }]])
+        .mockResolvedValueOnce([[
+          { id: 'hours-1', day_of_week: 5, open_time: '16:00:00', close_time: '02:00:00', is_closed: 0, crosses_midnight: 1 }
+        ]])
+        .mockResolvedValueOnce([[]]); // Hour exceptions
+
+      const response = await request(app)
+        .get('/bars/bar-1/hours')
+        .expect(200);
+
+      expect(response.body.meta).toHaveProperty('timezone', 'America/Los_Angeles');
+      expect(response.body.meta.local_time).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/);
+      expect(typeof response.body.meta.is_open_now).toBe('boolean');
+      expect(response.body.meta.upcoming_exceptions).toEqual([]);
+    });
+
+    test('GET /bars?open_now=true should compare hours against each bar\'s local clock', async () => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce([[{ timezone: 'America/Chicago' }]]) // Distinct bar time zones
+        .mockResolvedValueOnce([[{ total: 0 }]]) // Count query
+        .mockResolvedValueOnce([[]]); // Select query
+
+      await request(app)
+        .get('/bars')
+        .query({ open_now: 'true' })
+        .expect(200);
+
+      const [countSql, countParams] = db.query.mock.calls[1];
+      expect(countSql).toContain('bar_clock.local_time');
+      expect(countSql).not.toContain('NOW()');
+      expect(countSql).toContain('bar_hour_exceptions');
+      expect(countParams).toEqual([
+        'America/New_York', expect.any(String), expect.any(String), expect.any(Number),
+        'America/Chicago', expect.any(String), expect.any(String), expect.any(Number)
+      ]);
+    });
+
+    test('GET /bars?include=events should list events from each bar\'s local date', async () => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce([[{ timezone: 'America/Chicago' }]]) // Distinct bar time zones
+        .mockResolvedValueOnce([[{ total: 0 }]]) // Count query
+        .mockResolvedValueOnce([[]]); // Select query
+
+      await request(app)
+        .get('/bars')
+        .query({ include: 'events', open_at: '2026-10-24T23:00' })
+        .expect(200);
+
+      const [selectSql, selectParams] = db.query.mock.calls[2];
+      expect(selectSql).toContain('e.date >= event_clock.local_date');
+      expect(selectSql).not.toContain('CURDATE()');
+      // open_at keeps its own fixed clock
+      expect(selectParams.slice(0, 3)).toEqual(['2026-10-24', '23:00:00', 6]);
+      expect(selectParams.slice(3, 5)).toEqual(['America/New_York', expect.any(String)]);
+    });
+
+    test('GET /bars/:id?include=events should list events from the bar\'s local date', async () => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce([[{ timezone: 'America/Chicago' }]]) // Distinct bar time zones
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'Test Bar', is_active: 1, upcoming_events: null }]]);
+
+      const response = await request(app)
+        .get('/bars/bar-1')
+        .query({ include: 'events' })
+        .expect(200);
+
+      const [selectSql, selectParams] = db.query.mock.calls[1];
+      expect(selectSql).toContain('e.date >= bar_clock.local_date');
+      expect(selectSql).not.toContain('CURDATE()');
+      expect(selectParams[4]).toBe('America/Chicago');
+      expect(selectParams[selectParams.length - 1]).toBe('bar-1');
+      expect(response.body.data.upcoming_events).toEqual([]);
+    });
   });
 
   describe('PUT /bars/:id - Protected Route', () => {
@@ -637,6 +798,94 @@ describe('Bars Routes Integration Tests', () => {
     });
   });
 
+  describe('Bar geocoding', () => {
+    const insertedBarParams = () => mockConnection.execute.mock.calls.find(call => call[0].includes('INSERT INTO bars'))[1];
+
+    beforeEach(() => {
+      setGeocoder(createOfflineGeocoder({
+        addresses: { '1 Main St, Boston, MA 02108': [42.3601, -71.0589] },
+        zips: { '02139': [42.3647, -71.1042] }
+      }));
+      mockConnection.execute.mockResolvedValue([[]]);
+    });
+
+    afterEach(() => {
+      setGeocoder(undefined);
+    });
+
+    test('POST /bars should fill missing coordinates from the address', async () => {
+      const response = await request(app)
+        .post('/bars')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'The Pub', address_street: '1 Main St.', address_city: 'Boston', address_state: 'MA', address_zip: '02108' })
+        .expect(201);
+
+      expect(response.body.data.geocode_status).toBe('geocoded');
+      expect(insertedBarParams().slice(7, 9)).toEqual([42.3601, -71.0589]);
+    });
+
+    test('POST /bars should keep supplied coordinates and report addresses it cannot geocode', async () => {
+      await request(app)
+        .post('/bars')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'The Pub', address_street: '1 Main St', address_city: 'Boston', address_state: 'MA', address_zip: '02108', latitude: 40, longitude: -70 })
+        .expect(201)
+        .expect(res => expect(res.body.data).not.toHaveProperty('geocode_status'));
+      expect(insertedBarParams().slice(7, 9)).toEqual([40, -70]);
+
+      mockConnection.execute.mockClear();
+      const response = await request(app)
+        .post('/bars')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'Nowhere', address_street: '9 Unknown Rd', address_city: 'Nowhere', address_state: 'ZZ', address_zip: '00000' })
+        .expect(201);
+
+      expect(response.body.data.geocode_status).toBe('not_found');
+      expect(insertedBarParams().slice(7, 9)).toEqual([null, null]);
+    });
+
+    test('PUT /bars/:id should re-geocode only when the address changes', async () => {
+      const currentBar = { id: 'bar-1', name: 'The Pub', address_street: '1 Main St', address_city: 'Boston', address_state: 'MA', address_zip: '02108', latitude: '42.36', longitude: '-71.05' };
+
+      db.execute.mockResolvedValueOnce([[currentBar]]);
+      let response = await request(app)
+        .put('/bars/bar-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ address_street: '1 Main St', phone: '555-0100' })
+        .expect(200);
+      expect(response.body.data).toEqual({ id: 'bar-1' });
+
+      db.execute.mockResolvedValueOnce([[currentBar]]);
+      response = await request(app)
+        .put('/bars/bar-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ address_street: '77 Mass Ave', address_city: 'Cambridge', address_zip: '02139' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ id: 'bar-1', geocode_status: 'geocoded' });
+      const updateCall = mockConnection.execute.mock.calls.filter(call => call[0].includes('UPDATE bars SET')).pop();
+      expect(updateCall[1].slice(6, 8)).toEqual([42.3647, -71.1042]);
+      expect(mockConnection.execute.mock.calls.some(call => call[0].includes('latitude = NULL'))).toBe(false);
+    });
+
+    test('PUT /bars/:id should clear the old coordinates when the new address cannot be geocoded', async () => {
+      const currentBar = { id: 'bar-1', name: 'The Pub', address_street: '1 Main St', address_city: 'Boston', address_state: 'MA', address_zip: '02108', latitude: '42.36', longitude: '-71.05' };
+
+      db.execute.mockResolvedValueOnce([[currentBar]]);
+      const response = await request(app)
+        .put('/bars/bar-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ address_street: '9 Unknown Rd', address_zip: '00000' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ id: 'bar-1', geocode_status: 'not_found' });
+      const clearCall = mockConnection.execute.mock.calls.find(call => call[0].includes('latitude = NULL'));
+      expect(clearCall[1]).toEqual(['bar-1']);
+      const auditCall = mockConnection.execute.mock.calls.find(call => call[0].includes('INSERT INTO audit_log'));
+      expect(JSON.parse(auditCall[1][7])).toMatchObject({ latitude: { before: '42.36', after: null } });
+    });
+  });
+
   describe('DELETE /bars/:id - Protected Route', () => {
     test('should soft delete bar with valid authentication', async () => {
       db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
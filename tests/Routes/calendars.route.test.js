@@ -0,0 +1,91 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+const mockEvent = {
+  id: 'event-1',
+  bar_id: 'bar-1',
+  title: 'Trivia Night',
+  description: null,
+  start_time: '19:00:00',
+  end_time: '21:00:00',
+  crosses_midnight: 0,
+  external_link: null,
+  recurrence_pattern: 'none',
+  recurrence_days: null,
+  start_date: '2026-11-03',
+  recurrence_end_date: '2026-11-03',
+  recurrence_end_occurrences: null,
+  tag_name: 'Trivia',
+  bar_name: 'The Pub',
+  timezone: 'America/Denver'
+};
+
+describe('iCalendar Feed Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('GET /events/:id.ics', () => {
+    test('should return a text/calendar document for the event', async () => {
+      db.query
+        .mockResolvedValueOnce([[mockEvent]])
+        .mockResolvedValueOnce([[{ id: 'instance-1', event_id: 'event-1', date: '2026-11-03', is_cancelled: 0 }]]);
+
+      const response = await request(app)
+        .get('/events/event-1.ics')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/calendar/);
+      expect(response.text).toContain('BEGIN:VCALENDAR');
+      expect(response.text).toContain('SUMMARY:Trivia Night');
+      expect(response.text).toContain('TZID:America/Denver');
+      expect(response.text).toContain('DTSTART;TZID=America/Denver:20261103T190000');
+      expect(db.query.mock.calls[0][0]).toContain('b.timezone');
+      expect(db.query.mock.calls[0][1]).toEqual(['event-1']);
+    });
+
+    test('should return 404 when the event does not exist', async () => {
+      db.query.mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .get('/events/missing.ics')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Event not found');
+    });
+  });
+
+  describe('GET /bars/:barId/events.ics', () => {
+    test('should return a calendar with all events at the bar', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }]]);
+      db.query
+        .mockResolvedValueOnce([[mockEvent, { ...mockEvent, id: 'event-2', title: 'Karaoke' }]])
+        .mockResolvedValueOnce([[
+          { id: 'instance-1', event_id: 'event-1', date: '2026-11-03', is_cancelled: 0 },
+          { id: 'instance-2', event_id: 'event-2', date: '2026-11-03', is_cancelled: 0 }
+        ]]);
+
+      const response = await request(app)
+        .get('/bars/bar-1/events.ics')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/calendar/);
+      expect(response.text).toContain('X-WR-CALNAME:The Pub');
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+
+    test('should return 404 for unknown bars', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .get('/bars/missing/events.ics')
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Event edit scopes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  let mockConnection;
+
+  // Weekly trivia on Thursdays at 7pm
+  const trivia = {
+    id: 'event-1',
+    bar_id: 'bar-1',
+    title: 'Trivia',
+    description: null,
+    event_tag_id: 'etag-trivia',
+    external_link: null,
+    image_url: null,
+    recurrence_pattern: 'weekly',
+    recurrence_interval: 1,
+    recurrence_days: '[4]',
+    recurrence_week_of_month: null,
+    recurrence_exdates: null,
+    start_date: '2099-01-01',
+    recurrence_end_date: '2099-03-26',
+    recurrence_end_occurrences: null,
+    start_time: '19:00:00',
+    end_time: '22:00:00',
+    crosses_midnight: 0,
+    is_active: 1,
+    instances_generated_until: null
+  };
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+  const auditEntries = () => mockConnection.execute.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO audit_log'))
+    .map(([, params]) => params);
+
+  const putEvent = (body) => request(app)
+    .put('/events/event-1')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn().mockImplementation(async (sql) => {
+        if (sql.includes('SELECT tag_id')) {
+          return [[{ tag_id: 'etag-trivia' }]];
+        }
+        return [{ affectedRows: 3 }];
+      }),
+      query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    // Nothing else scheduled at the bar unless a test says otherwise
+    db.execute = jest.fn().mockResolvedValue([[]]);
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  test('rejects an unknown scope', async () => {
+    db.execute.mockResolvedValueOnce([[trivia]]);
+
+    const response = await putEvent({ scope: 'weekend', title: 'Quiz' }).expect(400);
+
+    expect(response.body.error).toBe('scope must be one of: series, instance, following');
+  });
+
+  test('requires occurrence_date for instance and following scopes', async () => {
+    db.execute.mockResolvedValueOnce([[trivia]]);
+
+    const response = await putEvent({ scope: 'following', start_time: '20:00:00' }).expect(400);
+
+    expect(response.body.error).toBe('occurrence_date must be provided in YYYY-MM-DD format for scope following');
+  });
+
+  describe('scope instance', () => {
+    test('stores the edit as overrides on that occurrence', async () => {
+      db.execute
+        .mockResolvedValueOnce([[trivia]])
+        .mockResolvedValueOnce([[{ id: 'instance-6' }]])
+        .mockResolvedValueOnce([[{
+          id: 'instance-6',
+          event_id: 'event-1',
+          date: '2099-02-05',
+          is_cancelled: 0,
+          crosses_midnight: 0,
+          bar_id: 'bar-1',
+          master_start_time: '19:00:00',
+          master_end_time: '22:00:00'
+        }]]);
+
+      await putEvent({ scope: 'instance', occurrence_date: '2099-02-05', start_time: '20:00:00', title: 'Halloween Trivia' })
+        .expect(200);
+
+      expect(db.execute.mock.calls[1][1]).toEqual(['event-1', '2099-02-05']);
+      const [updateSql, params] = mockConnection.execute.mock.calls[0];
+      expect(updateSql).toContain('custom_start_time = ?');
+      expect(updateSql).toContain('custom_title = ?');
+      expect(params).toEqual(['20:00:00', 'Halloween Trivia', 0, 'instance-6']);
+    });
+
+    test('rejects series-only fields', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      const response = await putEvent({ scope: 'instance', occurrence_date: '2099-02-05', recurrence_days: [5] }).expect(400);
+
+      expect(response.body.error).toBe('Fields not supported for scope instance: recurrence_days');
+    });
+  });
+
+  describe('scope series', () => {
+    test('keeps overrides, cancellations and RSVPs when the series is regenerated', async () => {
+      // Upcoming rows: an override, a cancellation and one with an RSVP
+      const instanceRows = [
+        { id: 'instance-6', date: '2099-02-05', custom_title: 'Halloween Trivia', is_cancelled: 0 },
+        { id: 'instance-7', date: '2099-02-12', custom_title: null, is_cancelled: 1 },
+        { id: 'instance-8', date: '2099-02-19', custom_title: null, is_cancelled: 0 },
+        { id: 'instance-13', date: '2099-03-26', custom_title: null, is_cancelled: 0 }
+      ];
+      const rsvps = [{ event_instance_id: 'instance-8', user_id: 'app-user-1' }];
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      const response = await putEvent({ scope: 'series', recurrence_end_date: '2099-03-19' }).expect(200);
+
+      expect(response.body.data.instances_regenerated).toBe(12);
+      const [deleteSql, deleteParams] = findCall('DELETE FROM event_instances');
+      expect(deleteSql).toContain('date NOT IN');
+      const keptDates = deleteParams.slice(2);
+      const remaining = instanceRows.filter(row => keptDates.includes(row.date));
+      expect(remaining.map(row => row.id)).toEqual(['instance-6', 'instance-7', 'instance-8']);
+      expect(rsvps.filter(rsvp => remaining.some(row => row.id === rsvp.event_instance_id))).toEqual(rsvps);
+
+      const [insertSql] = mockConnection.query.mock.calls[0];
+      expect(insertSql).toContain('INSERT IGNORE INTO event_instances');
+      // Nothing else touches the kept rows' overrides, cancellations or RSVPs
+      expect(findCall('custom_title = NULL')).toBeUndefined();
+      expect(findCall('is_cancelled = false')).toBeUndefined();
+      expect(findCall('event_rsvps')).toBeUndefined();
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+  });
+
+  describe('scope following', () => {
+    test('splits the series and moves later occurrences to the new event', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      const response = await putEvent({ scope: 'following', occurrence_date: '2099-02-05', start_time: '20:00:00' })
+        .expect(200);
+
+      const newEventId = response.body.data.id;
+      expect(response.body.data).toMatchObject({
+        split_from: 'event-1',
+        previous_series_end_date: '2099-02-04',
+        instances_moved: 3,
+        rrule: 'FREQ=WEEKLY;BYDAY=TH;UNTIL=20990326T235959'
+      });
+
+      const insertParams = findCall('INSERT INTO events')[1];
+      expect(insertParams[4]).toBe('20:00:00');
+      expect(insertParams[15]).toBe('2099-02-05');
+      expect(insertParams[16]).toBe('2099-03-26');
+      expect(findCall('INSERT INTO event_tag_assignments')[1]).toEqual([newEventId, 'etag-trivia']);
+      expect(findCall('UPDATE event_instances SET event_id = ?')[1]).toEqual([newEventId, 'event-1', '2099-02-05']);
+      expect(findCall('custom_start_time = NULL')[1]).toEqual([newEventId, '2099-02-05']);
+      expect(findCall('recurrence_end_occurrences = NULL')[1]).toEqual(['2099-02-04', null, 'event-1']);
+      // Same rule: existing rows are kept as they are
+      expect(findCall('DELETE FROM event_instances')).toBeUndefined();
+      expect(mockConnection.query).not.toHaveBeenCalled();
+
+      const [previousAudit, newAudit] = auditEntries();
+      expect(JSON.parse(previousAudit[7])).toEqual({ recurrence_end_date: { before: '2099-03-26', after: '2099-02-04' } });
+      expect(newAudit.slice(4, 7)).toEqual(['create', 'event', newEventId]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('releases instance images cleared by an image change once the split commits', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+      mockConnection.execute.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT tag_id')) {
+          return [[{ tag_id: 'etag-trivia' }]];
+        }
+        if (sql.includes('SELECT DISTINCT custom_image_url')) {
+          return [[{ custom_image_url: '/uploads/events/halloween-large.webp' }]];
+        }
+        return [{ affectedRows: 3 }];
+      });
+
+      await putEvent({ scope: 'following', occurrence_date: '2099-02-05', image_url: 'https://example.com/new.jpg' })
+        .expect(200);
+
+      expect(findCall('custom_image_url = NULL')).toBeDefined();
+      const lookupCall = db.execute.mock.calls.find(([sql]) => sql.includes('FROM uploaded_images WHERE url = ?'));
+      expect(lookupCall[1]).toEqual(['/uploads/events/halloween-large.webp']);
+      expect(db.execute.mock.invocationCallOrder[db.execute.mock.calls.indexOf(lookupCall)])
+        .toBeGreaterThan(mockConnection.commit.mock.invocationCallOrder[0]);
+    });
+
+    test('carries over the remaining occurrence count', async () => {
+      db.execute.mockResolvedValueOnce([[{ ...trivia, recurrence_end_date: '2099-01-01', recurrence_end_occurrences: 10 }]]);
+
+      await putEvent({ scope: 'following', occurrence_date: '2099-01-22', title: 'Quiz' }).expect(200);
+
+      const insertParams = findCall('INSERT INTO events')[1];
+      expect(insertParams[2]).toBe('Quiz');
+      expect(insertParams[16]).toBeNull();
+      expect(insertParams[17]).toBe(7);
+    });
+
+    test('drops dates the new rule no longer produces and adds new ones', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      await putEvent({ scope: 'following', occurrence_date: '2099-03-12', recurrence_days: [5] }).expect(200);
+
+      const [deleteSql, deleteParams] = findCall('DELETE FROM event_instances');
+      expect(deleteSql).toContain('date NOT IN (?, ?)');
+      expect(deleteParams.slice(1)).toEqual(['2099-03-12', '2099-03-13', '2099-03-20']);
+      const [insertSql, insertParams] = mockConnection.query.mock.calls[0];
+      expect(insertSql).toContain('INSERT IGNORE INTO event_instances');
+      expect(insertParams.filter((_, index) => index % 4 === 2)).toEqual(['2099-03-13', '2099-03-20']);
+    });
+
+    test('editing from the first occurrence updates the whole series', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      await putEvent({ scope: 'following', occurrence_date: '2099-01-01', title: 'Quiz' }).expect(200);
+
+      expect(mockConnection.execute.mock.calls[0][0]).toContain('UPDATE events SET');
+      expect(findCall('INSERT INTO events')).toBeUndefined();
+    });
+
+    test('rejects an occurrence after the end of the series', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      const response = await putEvent({ scope: 'following', occurrence_date: '2099-04-02', title: 'Quiz' }).expect(400);
+
+      expect(response.body.error).toBe('occurrence_date is after the last occurrence of this event');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('rejects changing start_date', async () => {
+      db.execute.mockResolvedValueOnce([[trivia]]);
+
+      const response = await putEvent({ scope: 'following', occurrence_date: '2099-02-05', start_date: '2099-02-06' }).expect(400);
+
+      expect(response.body.error).toMatch(/start_date cannot be changed with scope following/);
+    });
+  });
+});
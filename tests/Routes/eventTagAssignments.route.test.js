@@ -0,0 +1,212 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Event tag assignments', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  let mockConnection;
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn(),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('POST /events', () => {
+    const eventPayload = {
+      bar_id: 'bar-1',
+      title: 'Trivia + Drink Special',
+      start_time: '19:00:00',
+      end_time: '22:00:00',
+      start_date: '2099-01-01'
+    };
+
+    test('stores every tag and keeps event_tag_id as the primary one', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'etag-trivia' }, { id: 'etag-drinks' }]])
+        .mockResolvedValue([[]]); // schedule conflict check
+      mockConnection.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub' }]])
+        .mockResolvedValue([{}]);
+
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventPayload, event_tag_id: 'etag-drinks', event_tag_ids: ['etag-trivia', 'etag-drinks'] })
+        .expect(201);
+
+      const eventId = response.body.data.id;
+      expect(findCall('INSERT INTO events')[1][8]).toBe('etag-drinks');
+      expect(findCall('INSERT INTO event_tag_assignments')).toEqual([
+        'INSERT INTO event_tag_assignments (event_id, tag_id) VALUES (?, ?), (?, ?)',
+        [eventId, 'etag-drinks', eventId, 'etag-trivia']
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('rejects unknown tags', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'etag-trivia' }]]);
+
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventPayload, event_tag_ids: ['etag-trivia', 'etag-missing'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid event tag id(s): etag-missing. Event tag not found.');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('requires at least one tag', async () => {
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventPayload, event_tag_ids: [] })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/event_tag_id \(or event_tag_ids\)/);
+    });
+
+    test('rejects a non-array event_tag_ids', async () => {
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventPayload, event_tag_ids: 'etag-trivia' })
+        .expect(400);
+
+      expect(response.body.error).toBe('event_tag_ids must be an array of event tag ids');
+    });
+  });
+
+  describe('PUT /events/:id', () => {
+    const currentEvent = {
+      id: 'event-1',
+      bar_id: 'bar-1',
+      title: 'Trivia',
+      event_tag_id: 'etag-trivia',
+      start_time: '19:00:00',
+      end_time: '22:00:00',
+      crosses_midnight: 0,
+      recurrence_pattern: 'none',
+      is_active: 1
+    };
+
+    test('replaces the event tags and audits the change', async () => {
+      db.execute
+        .mockResolvedValueOnce([[currentEvent]])
+        .mockResolvedValueOnce([[{ id: 'etag-trivia' }, { id: 'etag-drinks' }]]);
+      mockConnection.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // update event
+        .mockResolvedValueOnce([[{ tag_id: 'etag-trivia' }]]) // current tags
+        .mockResolvedValue([{}]);
+
+      await request(app)
+        .put('/events/event-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ event_tag_ids: ['etag-trivia', 'etag-drinks'] })
+        .expect(200);
+
+      expect(mockConnection.execute.mock.calls[0][1][5]).toBe('etag-trivia');
+      expect(findCall('DELETE FROM event_tag_assignments')[1]).toEqual(['event-1']);
+      expect(findCall('INSERT INTO event_tag_assignments')[1]).toEqual(['event-1', 'etag-trivia', 'event-1', 'etag-drinks']);
+      const changes = JSON.parse(findCall('INSERT INTO audit_log')[1][7]);
+      expect(changes.event_tag_ids).toEqual({ before: ['etag-trivia'], after: ['etag-drinks', 'etag-trivia'] });
+    });
+
+    test('rejects an empty event_tag_ids', async () => {
+      db.execute.mockResolvedValueOnce([[currentEvent]]);
+
+      const response = await request(app)
+        .put('/events/event-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ event_tag_ids: [] })
+        .expect(400);
+
+      expect(response.body.error).toBe('event_tag_ids must contain at least one event tag id');
+    });
+  });
+
+  describe('PUT /events/instances/:instanceId', () => {
+    const instanceMeta = {
+      id: 'instance-1',
+      event_id: 'event-1',
+      date: '2099-01-01',
+      is_cancelled: 0,
+      custom_event_tag_id: null,
+      crosses_midnight: 0,
+      bar_id: 'bar-1',
+      master_start_time: '19:00:00',
+      master_end_time: '22:00:00'
+    };
+
+    test('overrides the instance tags', async () => {
+      db.execute
+        .mockResolvedValueOnce([[instanceMeta]])
+        .mockResolvedValueOnce([[{ id: 'etag-drinks' }, { id: 'etag-trivia' }]]);
+      mockConnection.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // update instance
+        .mockResolvedValueOnce([[]]) // current override tags
+        .mockResolvedValue([{}]);
+
+      await request(app)
+        .put('/events/instances/instance-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ custom_event_tag_ids: ['etag-drinks', 'etag-trivia'] })
+        .expect(200);
+
+      expect(mockConnection.execute.mock.calls[0][0]).toContain('custom_event_tag_id = ?');
+      expect(mockConnection.execute.mock.calls[0][1][0]).toBe('etag-drinks');
+      expect(findCall('INSERT INTO event_instance_tag_assignments')[1]).toEqual([
+        'instance-1', 'etag-drinks', 'instance-1', 'etag-trivia'
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('an empty list falls back to the event tags', async () => {
+      db.execute.mockResolvedValueOnce([[{ ...instanceMeta, custom_event_tag_id: 'etag-drinks' }]]);
+      mockConnection.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[{ tag_id: 'etag-drinks' }]])
+        .mockResolvedValue([{}]);
+
+      await request(app)
+        .put('/events/instances/instance-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ custom_event_tag_ids: [] })
+        .expect(200);
+
+      expect(mockConnection.execute.mock.calls[0][1][0]).toBeNull();
+      expect(findCall('DELETE FROM event_instance_tag_assignments')[1]).toEqual(['instance-1']);
+      expect(findCall('INSERT INTO event_instance_tag_assignments')).toBeUndefined();
+    });
+
+    test('rejects unknown override tags', async () => {
+      db.execute
+        .mockResolvedValueOnce([[instanceMeta]])
+        .mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .put('/events/instances/instance-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ custom_event_tag_id: 'etag-missing' })
+        .expect(400);
+
+      expect(response.body.error).toBe('custom_event_tag_ids do not reference existing event tags: etag-missing');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+});
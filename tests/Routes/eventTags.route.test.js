@@ -0,0 +1,78 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Event Tag Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  let mockConnection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn(),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('POST /event-tags/:id/merge-into/:targetId', () => {
+    test('retags events and instance overrides, then deletes the source', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([[{ id: 'etag-dup', name: 'Quiz Night' }, { id: 'etag-keep', name: 'Trivia' }]])
+        .mockResolvedValueOnce([[{ event_count: 4, instance_count: 2 }]])
+        .mockResolvedValueOnce([{ affectedRows: 3 }]) // events (primary tag)
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // event_instances (primary override tag)
+        .mockResolvedValueOnce([{ affectedRows: 3 }]) // event_tag_assignments
+        .mockResolvedValueOnce([{ affectedRows: 2 }]) // event_instance_tag_assignments
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // delete source
+        .mockResolvedValueOnce([{}]); // audit entry
+
+      const response = await request(app)
+        .post('/event-tags/etag-dup/merge-into/etag-keep')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        source: { id: 'etag-dup', name: 'Quiz Night' },
+        target: { id: 'etag-keep', name: 'Trivia' },
+        events_updated: 4,
+        instances_updated: 2
+      });
+      expect(mockConnection.execute.mock.calls[2]).toEqual(['UPDATE events SET event_tag_id = ? WHERE event_tag_id = ?', ['etag-keep', 'etag-dup']]);
+      expect(mockConnection.execute.mock.calls[3]).toEqual([
+        'UPDATE event_instances SET custom_event_tag_id = ? WHERE custom_event_tag_id = ?',
+        ['etag-keep', 'etag-dup']
+      ]);
+      expect(mockConnection.execute.mock.calls[4][0]).toContain('INSERT IGNORE INTO event_tag_assignments');
+      expect(mockConnection.execute.mock.calls[4][1]).toEqual(['etag-keep', 'etag-dup']);
+      expect(mockConnection.execute.mock.calls[5][0]).toContain('INSERT IGNORE INTO event_instance_tag_assignments');
+      expect(mockConnection.execute.mock.calls[6]).toEqual(['DELETE FROM event_tags WHERE id = ?', ['etag-dup']]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('returns 404 for an unknown source tag', async () => {
+      mockConnection.execute.mockResolvedValueOnce([[{ id: 'etag-keep', name: 'Trivia' }]]);
+
+      const response = await request(app)
+        .post('/event-tags/etag-missing/merge-into/etag-keep')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(response.body).toEqual({ error: 'Event tag not found' });
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('requires authentication', async () => {
+      await request(app).post('/event-tags/etag-dup/merge-into/etag-keep').expect(401);
+    });
+  });
+});
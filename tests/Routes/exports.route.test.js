@@ -0,0 +1,204 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+const { radiusBounds } = require('../../src/utils/geo');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Export Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+
+  const barRow = {
+    id: 'bar-1',
+    name: 'The Pub',
+    description: 'Pints, "proper" ones',
+    address_street: '1 Main St',
+    address_city: 'Boston',
+    address_state: 'MA',
+    address_zip: '02108',
+    latitude: '42.3601000',
+    longitude: '-71.0589000',
+    phone: null,
+    website: 'https://thepub.example',
+    instagram: null,
+    facebook: null,
+    twitter: null,
+    posh: null,
+    eventbrite: null,
+    timezone: 'America/New_York',
+    is_active: 1,
+    created_at: new Date('2026-01-01T00:00:00.000Z'),
+    updated_at: new Date('2026-01-02T00:00:00.000Z'),
+    export_hours: '0|1||,5|0|16:00:00|02:00:00',
+    export_tags: 'tag-1:Sports Bar:type,tag-2:Trivia:'
+  };
+
+  let mockConnection;
+  let streamedQuery;
+
+  const streamRows = (rows) => {
+    mockConnection.connection.query.mockImplementation((sql, params) => {
+      streamedQuery = { sql, params };
+      return { stream: () => Readable.from(rows) };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    streamedQuery = null;
+    mockConnection = {
+      connection: { query: jest.fn() },
+      release: jest.fn(),
+      destroy: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('GET /admin/export/bars', () => {
+    test('should stream CSV in the import column layout', async () => {
+      streamRows([barRow]);
+
+      const response = await request(app)
+        .get('/admin/export/bars')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="bars-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      const [header, row] = response.text.split('\r\n');
+      expect(header).toBe('id,name,description,address_street,address_city,address_state,address_zip,latitude,longitude,phone,website,instagram,facebook,twitter,posh,eventbrite,timezone,tags,hours_sun,hours_mon,hours_tue,hours_wed,hours_thu,hours_fri,hours_sat,created_at,updated_at');
+      expect(row).toBe('bar-1,The Pub,"Pints, ""proper"" ones",1 Main St,Boston,MA,02108,42.3601000,-71.0589000,,https://thepub.example,,,,,,America/New_York,Sports Bar;Trivia,closed,,,,,16:00-02:00,,2026-01-01T00:00:00.000Z,2026-01-02T00:00:00.000Z');
+      expect(streamedQuery.sql).toContain('b.is_active = 1');
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    test('should stream GeoJSON with hours, tags and links, applying GET /bars filters', async () => {
+      streamRows([{ ...barRow, distance_km: 0.5 }]);
+
+      const response = await request(app)
+        .get('/admin/export/bars')
+        .query({ format: 'geojson', tag: 'tag-1', lat: '42.36', lon: '-71.05', radius: '2' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const collection = JSON.parse(response.text);
+      expect(collection.features).toHaveLength(1);
+      expect(collection.features[0].geometry).toEqual({ type: 'Point', coordinates: [-71.0589, 42.3601] });
+      expect(collection.features[0].properties).toMatchObject({
+        id: 'bar-1',
+        distance_km: 0.5,
+        links: { website: 'https://thepub.example', instagram: null },
+        tags: [{ id: 'tag-1', name: 'Sports Bar', category: 'type' }, { id: 'tag-2', name: 'Trivia', category: null }],
+        hours: [
+          { day_of_week: 0, open_time: null, close_time: null, is_closed: true },
+          { day_of_week: 5, open_time: '16:00:00', close_time: '02:00:00', is_closed: false }
+        ]
+      });
+      expect(collection.features[0].properties).not.toHaveProperty('export_hours');
+      expect(streamedQuery.sql).toContain('bt_filter.tag_id IN (?)');
+      expect(streamedQuery.sql).toContain('ORDER BY distance_km ASC');
+      const bounds = radiusBounds(42.36, -71.05, 2, 'km');
+      expect(streamedQuery.params).toEqual([
+        42.36, -71.05, 42.36,
+        bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, 42.36, -71.05, 42.36, 2,
+        'tag-1'
+      ]);
+    });
+
+    test('should validate format and filters', async () => {
+      await request(app)
+        .get('/admin/export/bars?format=xml')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get('/admin/export/bars?radius=5')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('Radius and unit parameters require both lat and lon to be provided.');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 and drop the connection when the query fails', async () => {
+      mockConnection.connection.query.mockReturnValue({
+        stream: () => new Readable({
+          objectMode: true,
+          read() {
+            this.destroy(new Error('boom'));
+          }
+        })
+      });
+
+      const response = await request(app)
+        .get('/admin/export/bars?format=ndjson')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(500);
+
+      expect(response.body).toEqual({ error: 'Failed to export bars' });
+      expect(mockConnection.destroy).toHaveBeenCalled();
+      expect(mockConnection.release).not.toHaveBeenCalled();
+    });
+
+    test('should be restricted to admins', async () => {
+      await request(app)
+        .get('/admin/export/bars')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /admin/export/events', () => {
+    test('should stream upcoming instances as NDJSON by default', async () => {
+      db.query.mockResolvedValueOnce([[{ timezone: 'America/New_York' }]]);
+      streamRows([
+        { instance_id: 'inst-1', event_id: 'event-1', date: new Date(2026, 9, 24), is_cancelled: 0, title: 'Trivia', latitude: '42.36', longitude: '-71.05' },
+        { instance_id: 'inst-2', event_id: 'event-1', date: new Date(2026, 9, 31), is_cancelled: 0, title: 'Trivia', latitude: '42.36', longitude: '-71.05' }
+      ]);
+
+      const response = await request(app)
+        .get('/admin/export/events')
+        .query({ format: 'ndjson', bar_id: 'bar-1' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const records = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(records.map(record => record.date)).toEqual(['2026-10-24', '2026-10-31']);
+      expect(records[0]).not.toHaveProperty('is_cancelled');
+      expect(streamedQuery.sql).toContain('bar_clock.local_date');
+      expect(streamedQuery.sql).toContain('e.bar_id = ?');
+      expect(streamedQuery.params).toContain('bar-1');
+    });
+
+    test('should include past instances with upcoming=false', async () => {
+      streamRows([]);
+
+      const response = await request(app)
+        .get('/admin/export/events')
+        .query({ upcoming: 'false', date_from: '2026-01-01' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.text.split('\r\n')[0]).toMatch(/^instance_id,event_id,date,/);
+      expect(streamedQuery.sql).not.toContain('bar_clock');
+      expect(streamedQuery.params).toEqual(['2026-01-01']);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('should validate filters', async () => {
+      const response = await request(app)
+        .get('/admin/export/events?date_from=tomorrow')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('date_from must be in YYYY-MM-DD format');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+const { radiusBounds } = require('../../src/utils/geo');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('App User Favorites Routes', () => {
+  let appUserToken;
+  let webUserToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    appUserToken = createTestJWT({
+      userId: 'app-user-1',
+      email: 'fan@example.com',
+      userType: 'app_user'
+    });
+
+    webUserToken = createTestJWT({
+      userId: 'web-user-1',
+      email: 'admin@example.com',
+      role: 'admin',
+      userType: 'web_user'
+    });
+
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('GET /app-users/me/favorites/bars', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/app-users/me/favorites/bars')
+        .expect(401);
+    });
+
+    test('should reject web user tokens', async () => {
+      const response = await request(app)
+        .get('/app-users/me/favorites/bars')
+        .set('Authorization', `Bearer ${webUserToken}`)
+        .expect(403);
+
+      expect(response.body).toHaveProperty('error', 'App user authentication required');
+    });
+
+    test('should list favorite bars scoped to the current app user', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ total: 1 }]])
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'Favorite Bar', is_active: 1 }]]);
+
+      const response = await request(app)
+        .get('/app-users/me/favorites/bars')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.meta.pagination).toMatchObject({ total: 1, current_page: 1 });
+
+      const [countSql, countParams] = db.query.mock.calls[0];
+      expect(countSql).toContain('app_user_favorite_bars');
+      expect(countSql).toContain('b.is_active = 1');
+      expect(countParams).toEqual(['app-user-1']);
+    });
+
+    test('should include distance and bind location params before the user scope', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ total: 1 }]])
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'Favorite Bar', distance_km: 1.2 }]]);
+
+      const response = await request(app)
+        .get('/app-users/me/favorites/bars')
+        .query({ lat: '42.36', lon: '-71.06', radius: '5' })
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+
+      expect(response.body.meta.location).toMatchObject({ lat: 42.36, lon: -71.06, unit: 'km' });
+
+      const [countSql, countParams] = db.query.mock.calls[0];
+      expect(countSql).not.toContain('distance_km');
+      const bounds = radiusBounds(42.36, -71.06, 5, 'km');
+      const radiusParams = [bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, 42.36, -71.06, 42.36, 5];
+      expect(countParams).toEqual(['app-user-1', ...radiusParams]);
+
+      const [, selectParams] = db.query.mock.calls[1];
+      expect(selectParams).toEqual([42.36, -71.06, 42.36, 'app-user-1', ...radiusParams, 20, 0]);
+    });
+
+    test('should handle database errors gracefully', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/app-users/me/favorites/bars')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to fetch favorite bars');
+    });
+  });
+
+  describe('POST /app-users/me/favorites/bars/:barId', () => {
+    test('should add an active bar to favorites', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .post('/app-users/me/favorites/bars/bar-1')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(201);
+
+      expect(response.body).toMatchObject({ success: true, data: { bar_id: 'bar-1' } });
+      expect(db.execute).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO app_user_favorite_bars'),
+        ['app-user-1', 'bar-1']
+      );
+    });
+
+    test('should return 404 for missing or inactive bars', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .post('/app-users/me/favorites/bars/missing-bar')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Bar not found');
+    });
+
+    test('should return 409 when the bar is already a favorite', async () => {
+      const dupError = new Error('Duplicate entry');
+      dupError.code = 'ER_DUP_ENTRY';
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockRejectedValueOnce(dupError);
+
+      const response = await request(app)
+        .post('/app-users/me/favorites/bars/bar-1')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(409);
+
+      expect(response.body).toHaveProperty('error', 'Bar is already in favorites');
+    });
+  });
+
+  describe('DELETE /app-users/me/favorites/bars/:barId', () => {
+    test('should remove a bar from favorites', async () => {
+      db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .delete('/app-users/me/favorites/bars/bar-1')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, data: { bar_id: 'bar-1' } });
+    });
+
+    test('should return 404 when the bar is not a favorite', async () => {
+      db.execute.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      const response = await request(app)
+        .delete('/app-users/me/favorites/bars/bar-1')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Bar is not in favorites');
+    });
+  });
+});
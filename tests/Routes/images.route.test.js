@@ -0,0 +1,223 @@
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { setStorage } = require('../../src/utils/storage');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Image uploads', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+  let mockConnection;
+  let storage;
+  let poster;
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+
+  const oldUpload = {
+    id: 'image-old',
+    storage_driver: 'memory',
+    variants: JSON.stringify({
+      thumbnail: { key: 'events/event-1/image-old-thumbnail.webp' },
+      large: { key: 'events/event-1/image-old-large.webp' }
+    })
+  };
+
+  const uploadEventImage = (buffer, { token = adminToken, filename = 'poster.jpg', contentType = 'image/jpeg', fields = {} } = {}) => {
+    const req = request(app)
+      .post('/events/event-1/image')
+      .set('Authorization', `Bearer ${token}`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('image', buffer, { filename, contentType });
+  };
+
+  beforeAll(async () => {
+    poster = await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = {
+      name: 'memory',
+      save: jest.fn(async (key) => `https://cdn.example.com/${key}`),
+      remove: jest.fn()
+    };
+    setStorage(storage);
+    mockConnection = {
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn().mockResolvedValue([[]]);
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  afterAll(() => {
+    setStorage(undefined);
+  });
+
+  describe('POST /events/:id/image', () => {
+    test('stores resized variants and sets the event image', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: null }]]);
+
+      const response = await uploadEventImage(poster).expect(201);
+
+      const { id, url, variants } = response.body.data;
+      expect(url).toBe(`https://cdn.example.com/events/event-1/${id}-large.webp`);
+      expect(variants).toEqual({
+        thumbnail: { url: `https://cdn.example.com/events/event-1/${id}-thumbnail.webp`, width: 200, height: 100 },
+        medium: { url: `https://cdn.example.com/events/event-1/${id}-medium.webp`, width: 800, height: 400 },
+        large: { url, width: 1600, height: 800 }
+      });
+      expect(storage.save).toHaveBeenCalledTimes(3);
+
+      const [, recordParams] = findCall('INSERT INTO uploaded_images');
+      expect(recordParams.slice(0, 5)).toEqual([id, 'event', 'event-1', 'memory', url]);
+      expect(recordParams.slice(6, 10)).toEqual(['image/jpeg', 2000, 1000, poster.length]);
+      expect(findCall('UPDATE events SET image_url = ?')[1]).toEqual([url, 'event-1']);
+      const changes = JSON.parse(findCall('INSERT INTO audit_log')[1][7]);
+      expect(changes).toEqual({ image_url: { before: null, after: url } });
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('deletes the upload it replaces', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: 'https://cdn.example.com/events/event-1/image-old-large.webp' }]])
+        .mockResolvedValueOnce([[oldUpload]]);
+
+      await uploadEventImage(poster).expect(201);
+
+      expect(db.execute).toHaveBeenCalledWith('DELETE FROM uploaded_images WHERE id = ?', ['image-old']);
+      expect(storage.remove.mock.calls).toEqual([
+        ['events/event-1/image-old-thumbnail.webp'],
+        ['events/event-1/image-old-large.webp']
+      ]);
+    });
+
+    test('keeps a replaced upload that is still in use elsewhere', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: 'https://cdn.example.com/events/event-1/image-old-large.webp' }]])
+        .mockResolvedValueOnce([[oldUpload]])
+        .mockResolvedValueOnce([[{ 1: 1 }]]); // another event uses the image
+
+      await uploadEventImage(poster).expect(201);
+
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+
+    test('sets the image of one instance with occurrence_date', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: null }]])
+        .mockResolvedValueOnce([[{ id: 'instance-1', custom_image_url: null }]]);
+
+      const response = await uploadEventImage(poster, { fields: { occurrence_date: '2099-01-01' } }).expect(201);
+
+      expect(db.execute.mock.calls[1][1]).toEqual(['event-1', '2099-01-01']);
+      expect(response.body.data.instance_id).toBe('instance-1');
+      expect(response.body.data.url).toMatch(/^https:\/\/cdn\.example\.com\/event-instances\/instance-1\//);
+      expect(findCall('UPDATE event_instances SET custom_image_url = ?')[1]).toEqual([response.body.data.url, 'instance-1']);
+      expect(findCall('INSERT INTO uploaded_images')[1][1]).toBe('event_instance');
+    });
+
+    test('does not enlarge small images', async () => {
+      const badge = await sharp({ create: { width: 300, height: 150, channels: 4, background: '#ffffff00' } }).png().toBuffer();
+      db.execute.mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: null }]]);
+
+      const response = await uploadEventImage(badge, { filename: 'badge.png', contentType: 'image/png' }).expect(201);
+
+      expect(response.body.data.variants.medium).toMatchObject({ width: 300, height: 150 });
+      expect(response.body.data.variants.thumbnail).toMatchObject({ width: 200, height: 100 });
+    });
+
+    test('rejects files that are not images', async () => {
+      const response = await uploadEventImage(Buffer.from('hello'), { filename: 'notes.txt', contentType: 'text/plain' })
+        .expect(400);
+
+      expect(response.body.error).toBe('An image file is required in the "image" field (JPEG, PNG or WebP)');
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('checks the file contents, not just the declared type', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: null }]]);
+
+      const response = await uploadEventImage(Buffer.from('not really a jpeg'), { filename: 'fake.jpg' }).expect(400);
+
+      expect(response.body.error).toBe('File is not a valid image');
+      expect(storage.save).not.toHaveBeenCalled();
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('rejects files over the size limit', async () => {
+      const response = await uploadEventImage(Buffer.alloc(5 * 1024 * 1024 + 1)).expect(413);
+
+      expect(response.body.error).toBe('Image must be at most 5 MB');
+    });
+
+    test('requires a multipart body', async () => {
+      const response = await request(app)
+        .post('/events/event-1/image')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ image_url: 'https://example.com/poster.jpg' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Send the image as multipart/form-data in the "image" field');
+    });
+
+    test('removes the stored files when saving the record fails', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: null }]]);
+      mockConnection.execute.mockRejectedValueOnce(new Error('Table missing'));
+
+      await uploadEventImage(poster).expect(500);
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(storage.remove).toHaveBeenCalledTimes(3);
+    });
+
+    test('requires access to the event\'s bar', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'event-1', bar_id: 'bar-1', image_url: null }]])
+        .mockResolvedValueOnce([[]]); // no bar association
+
+      await uploadEventImage(poster, { token: managerToken }).expect(403);
+
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /bars/:barId/images', () => {
+    test('stores the image for the bar', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+
+      const response = await request(app)
+        .post('/bars/bar-1/images')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('image', poster, { filename: 'front.jpg', contentType: 'image/jpeg' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ bar_id: 'bar-1' });
+      expect(response.body.data.url).toMatch(/^https:\/\/cdn\.example\.com\/bars\/bar-1\/.+-large\.webp$/);
+      const recordParams = findCall('INSERT INTO uploaded_images')[1];
+      expect(recordParams.slice(1, 3)).toEqual(['bar', 'bar-1']);
+      expect(recordParams[10]).toBe('front.jpg');
+      expect(findCall('INSERT INTO audit_log')[1].slice(4, 7)).toEqual(['add_image', 'bar', 'bar-1']);
+    });
+
+    test('returns 404 for unknown bars', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .post('/bars/missing/images')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('image', poster, { filename: 'front.jpg', contentType: 'image/jpeg' })
+        .expect(404);
+
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Event Instance RSVP Routes', () => {
+  let appUserToken;
+  let webUserToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    appUserToken = createTestJWT({
+      userId: 'app-user-1',
+      email: 'fan@example.com',
+      userType: 'app_user'
+    });
+
+    webUserToken = createTestJWT({
+      userId: 'web-user-1',
+      email: 'manager@example.com',
+      role: 'manager',
+      userType: 'web_user'
+    });
+
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('PUT /events/instances/:instanceId/rsvp', () => {
+    test('should require an app user token', async () => {
+      const response = await request(app)
+        .put('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${webUserToken}`)
+        .send({ status: 'going' })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('error', 'App user authentication required');
+    });
+
+    test('should validate the status value', async () => {
+      const response = await request(app)
+        .put('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .send({ status: 'maybe' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/going, interested/);
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('should create a new RSVP', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'instance-1', is_cancelled: 0, date: '2099-01-01', timezone: 'America/New_York' }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .put('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .send({ status: 'going' })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        data: { instance_id: 'instance-1', status: 'going' }
+      });
+      const [upsertSql, upsertParams] = db.execute.mock.calls[1];
+      expect(upsertSql).toContain('ON DUPLICATE KEY UPDATE');
+      expect(upsertParams.slice(1)).toEqual(['instance-1', 'app-user-1', 'going']);
+    });
+
+    test('should update an existing RSVP', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'instance-1', is_cancelled: 0, date: '2099-01-01', timezone: 'America/New_York' }]])
+        .mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+      const response = await request(app)
+        .put('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .send({ status: 'interested' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'RSVP updated successfully');
+    });
+
+    test('should return 404 for unknown instances', async () => {
+      db.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .put('/events/instances/missing/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .send({ status: 'going' })
+        .expect(404);
+    });
+
+    test('should reject RSVPs to cancelled instances', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'instance-1', is_cancelled: 1, date: '2099-01-01', timezone: 'America/New_York' }]]);
+
+      const response = await request(app)
+        .put('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .send({ status: 'going' })
+        .expect(409);
+
+      expect(response.body).toHaveProperty('error', 'Cannot RSVP to a cancelled event instance');
+    });
+
+    test('should reject RSVPs to past instances', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'instance-1', is_cancelled: 0, date: '2000-01-01', timezone: 'America/New_York' }]]);
+
+      await request(app)
+        .put('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .send({ status: 'going' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /events/instances/:instanceId/rsvp', () => {
+    test('should remove an RSVP', async () => {
+      db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      await request(app)
+        .delete('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+    });
+
+    test('should return 404 when there is no RSVP', async () => {
+      db.execute.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      const response = await request(app)
+        .delete('/events/instances/instance-1/rsvp')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'RSVP not found');
+    });
+  });
+
+  describe('GET /app-users/me/rsvps', () => {
+    test('should list upcoming RSVPs and flag cancelled instances', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ timezone: 'America/New_York' }]])
+        .mockResolvedValueOnce([[
+          { instance_id: 'instance-1', status: 'going', is_cancelled: 0, crosses_midnight: 0 },
+          { instance_id: 'instance-2', status: 'interested', is_cancelled: 1, crosses_midnight: 1 }
+        ]]);
+
+      const response = await request(app)
+        .get('/app-users/me/rsvps')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toMatchObject({ instance_id: 'instance-1', is_cancelled: false });
+      expect(response.body.data[1]).toMatchObject({ instance_id: 'instance-2', is_cancelled: true, crosses_midnight: true });
+      expect(db.query.mock.calls[1][0]).toContain('bar_clock.local_date');
+      expect(db.query.mock.calls[1][1]).toEqual(['America/New_York', expect.any(String), expect.any(String), expect.any(Number), 'app-user-1']);
+    });
+
+    test('should filter by status', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ timezone: 'America/New_York' }]])
+        .mockResolvedValueOnce([[]]);
+
+      const response = await request(app)
+        .get('/app-users/me/rsvps')
+        .query({ status: 'going' })
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+
+      expect(response.body.meta.filters).toEqual({ status: 'going' });
+      expect(db.query.mock.calls[1][0]).toContain('r.status = ?');
+      expect(db.query.mock.calls[1][1].slice(-2)).toEqual(['app-user-1', 'going']);
+    });
+  });
+
+  describe('Attendee counts on event instances', () => {
+    test('GET /events/instances/:instanceId should return attendee counts', async () => {
+      db.query.mockResolvedValueOnce([[{
+        instance_id: 'instance-1',
+        tag_id: 'tag-1',
+        tag_name: 'Trivia',
+        going_count: 12,
+        interested_count: 4
+      }]]);
+
+      const response = await request(app)
+        .get('/events/instances/instance-1')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ going_count: 12, interested_count: 4 });
+      expect(db.query.mock.calls[0][0]).toContain('event_rsvps');
+    });
+
+    test('GET /events/instances should select attendee counts per instance', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ instance_id: 'instance-1', going_count: 3, interested_count: 1 }]])
+        .mockResolvedValueOnce([[{ total: 1 }]]);
+
+      const response = await request(app)
+        .get('/events/instances')
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({ going_count: 3, interested_count: 1 });
+      expect(db.query.mock.calls[0][0]).toContain('going_count');
+      expect(db.query.mock.calls[0][0]).toContain('interested_count');
+    });
+  });
+});
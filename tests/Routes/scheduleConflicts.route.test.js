@@ -0,0 +1,365 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Schedule conflicts', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+  let mockConnection;
+
+  // Open 4pm to 2am every day
+  const lateHours = [0, 1, 2, 3, 4, 5, 6].map(day => ({
+    id: `hours-${day}`,
+    day_of_week: day,
+    open_time: '16:00:00',
+    close_time: '02:00:00',
+    is_closed: 0,
+    crosses_midnight: 1
+  }));
+
+  // Karaoke on Thursday 2099-01-01, 8pm to 11:30pm
+  const karaoke = {
+    instance_id: 'instance-karaoke',
+    event_id: 'event-karaoke',
+    date: '2099-01-01',
+    start_time: '20:00:00',
+    end_time: '23:30:00',
+    title: 'Karaoke'
+  };
+
+  const mockSchedule = ({ scheduled = [karaoke], hours = lateHours, exceptions = [], rows = {} } = {}) => {
+    db.execute.mockImplementation(async (sql) => {
+      const match = Object.keys(rows).find(fragment => sql.includes(fragment));
+      if (match) return [rows[match]];
+      if (sql.includes('FROM event_tags')) return [[{ id: 'etag-1' }]];
+      if (sql.includes('COALESCE(ei.custom_title')) return [scheduled];
+      if (sql.includes('FROM bar_hours')) return [hours];
+      if (sql.includes('FROM bar_hour_exceptions')) return [exceptions];
+      return [[]];
+    });
+  };
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn().mockImplementation(async (sql) => {
+        if (sql.includes('FROM bars')) {
+          return [[{ id: 'bar-1', name: 'The Pub' }]];
+        }
+        return [{ affectedRows: 1 }];
+      }),
+      query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('POST /events', () => {
+    const quiz = {
+      bar_id: 'bar-1',
+      title: 'Quiz',
+      event_tag_id: 'etag-1',
+      start_date: '2099-01-01',
+      start_time: '21:00:00',
+      end_time: '23:00:00'
+    };
+
+    const postEvent = (body) => request(app)
+      .post('/events')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+    test('creates the event and warns about overlaps by default', async () => {
+      mockSchedule();
+
+      const response = await postEvent(quiz).expect(201);
+
+      expect(response.body.warnings).toEqual([{
+        type: 'overlap',
+        instance: {
+          event_id: response.body.data.id,
+          instance_id: null,
+          title: 'Quiz',
+          date: '2099-01-01',
+          start_time: '21:00:00',
+          end_time: '23:00:00'
+        },
+        conflicting: {
+          event_id: 'event-karaoke',
+          instance_id: 'instance-karaoke',
+          title: 'Karaoke',
+          date: '2099-01-01',
+          start_time: '20:00:00',
+          end_time: '23:30:00'
+        }
+      }]);
+      expect(findCall('INSERT INTO events')).toBeDefined();
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('conflict_policy reject answers 409 without creating the event', async () => {
+      mockSchedule();
+
+      const response = await postEvent({ ...quiz, conflict_policy: 'reject' }).expect(409);
+
+      expect(response.body.error).toBe('Event conflicts with the bar schedule');
+      expect(response.body.conflicts).toHaveLength(1);
+      expect(findCall('INSERT INTO events')).toBeUndefined();
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    test('conflict_policy allow skips the check', async () => {
+      mockSchedule();
+
+      const response = await postEvent({ ...quiz, conflict_policy: 'allow' }).expect(201);
+
+      expect(response.body.warnings).toBeUndefined();
+      expect(db.execute.mock.calls.some(([sql]) => sql.includes('FROM bar_hours'))).toBe(false);
+    });
+
+    test('flags occurrences outside the bar hours', async () => {
+      mockSchedule({ scheduled: [] });
+
+      const response = await postEvent({ ...quiz, start_time: '12:00:00', end_time: '14:00:00' }).expect(201);
+
+      expect(response.body.warnings).toEqual([expect.objectContaining({
+        type: 'outside_hours',
+        hours: { date: '2099-01-01', open_time: '16:00:00', close_time: '02:00:00', is_closed: false }
+      })]);
+    });
+
+    test('cross-midnight occurrences inside the hours do not conflict', async () => {
+      mockSchedule();
+
+      const response = await postEvent({ ...quiz, start_time: '23:30:00', end_time: '01:30:00' }).expect(201);
+
+      expect(response.body.warnings).toBeUndefined();
+    });
+
+    test('only checks the bar hours in effect on that date', async () => {
+      mockSchedule({
+        scheduled: [],
+        exceptions: [{ id: 'ex-1', date: '2099-01-01', open_time: null, close_time: null, is_closed: 1, crosses_midnight: 0, reason: 'Closed' }]
+      });
+
+      const response = await postEvent({ ...quiz, conflict_policy: 'reject' }).expect(409);
+
+      expect(response.body.conflicts[0]).toMatchObject({
+        type: 'outside_hours',
+        hours: { date: '2099-01-01', is_closed: true }
+      });
+    });
+
+    test('rejects an unknown conflict_policy', async () => {
+      const response = await postEvent({ ...quiz, conflict_policy: 'ignore' }).expect(400);
+
+      expect(response.body.error).toBe('conflict_policy must be one of: reject, warn, allow');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /events/:id', () => {
+    const trivia = {
+      id: 'event-1',
+      bar_id: 'bar-1',
+      title: 'Trivia',
+      event_tag_id: 'etag-1',
+      recurrence_pattern: 'weekly',
+      recurrence_interval: 1,
+      recurrence_days: '[4]',
+      recurrence_exdates: null,
+      start_date: '2099-01-01',
+      recurrence_end_date: '2099-01-29',
+      recurrence_end_occurrences: null,
+      start_time: '18:00:00',
+      end_time: '20:30:00',
+      crosses_midnight: 0,
+      is_active: 1
+    };
+
+    test('checks upcoming occurrences at their new times, keeping other overrides', async () => {
+      mockSchedule({
+        scheduled: [
+          karaoke,
+          { instance_id: 'instance-band', event_id: 'event-band', date: '2099-01-08', start_time: '22:00:00', end_time: '23:30:00', title: 'Live Band' },
+          { instance_id: 'instance-darts', event_id: 'event-darts', date: '2099-01-15', start_time: '18:00:00', end_time: '20:00:00', title: 'Darts' }
+        ],
+        rows: {
+          'FROM events WHERE id = ?': [trivia],
+          'custom_start_time, custom_end_time, is_cancelled': [
+            { date: '2099-01-01', custom_start_time: null, custom_end_time: null, is_cancelled: 0 },
+            { date: '2099-01-08', custom_start_time: null, custom_end_time: '23:00:00', is_cancelled: 0 },
+            { date: '2099-01-15', custom_start_time: null, custom_end_time: null, is_cancelled: 1 }
+          ]
+        }
+      });
+
+      const response = await request(app)
+        .put('/events/event-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ start_time: '19:00:00' })
+        .expect(200);
+
+      // The cancelled occurrence on 2099-01-15 is left out
+      expect(response.body.warnings).toEqual([
+        expect.objectContaining({
+          instance: expect.objectContaining({ date: '2099-01-01', start_time: '19:00:00', end_time: '20:30:00' }),
+          conflicting: expect.objectContaining({ instance_id: 'instance-karaoke' })
+        }),
+        expect.objectContaining({
+          instance: expect.objectContaining({ date: '2099-01-08', start_time: '19:00:00', end_time: '23:00:00' }),
+          conflicting: expect.objectContaining({ instance_id: 'instance-band' })
+        })
+      ]);
+      const scheduledCall = db.execute.mock.calls.find(([sql]) => sql.includes('COALESCE(ei.custom_title'));
+      expect(scheduledCall[0]).toContain('ei.event_id <> ?');
+      expect(scheduledCall[1]).toEqual(['bar-1', '2098-12-31', '2099-01-09', 'event-1']);
+    });
+
+    test('rejects a retime that conflicts when asked to', async () => {
+      mockSchedule({
+        rows: {
+          'FROM events WHERE id = ?': [trivia],
+          'custom_start_time, custom_end_time, is_cancelled': [
+            { date: '2099-01-01', custom_start_time: null, custom_end_time: null, is_cancelled: 0 }
+          ]
+        }
+      });
+
+      const response = await request(app)
+        .put('/events/event-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ start_time: '19:00:00', conflict_policy: 'reject' })
+        .expect(409);
+
+      expect(response.body.conflicts).toHaveLength(1);
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('title-only edits are not checked', async () => {
+      mockSchedule({ rows: { 'FROM events WHERE id = ?': [trivia] } });
+
+      await request(app)
+        .put('/events/event-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Pub Quiz', conflict_policy: 'reject' })
+        .expect(200);
+
+      expect(db.execute.mock.calls.some(([sql]) => sql.includes('FROM bar_hours'))).toBe(false);
+    });
+  });
+
+  describe('PUT /events/instances/:instanceId', () => {
+    const instanceMeta = {
+      id: 'instance-1',
+      event_id: 'event-1',
+      date: '2099-01-08',
+      is_cancelled: 0,
+      custom_start_time: null,
+      custom_end_time: null,
+      crosses_midnight: 0,
+      bar_id: 'bar-1',
+      master_start_time: '18:00:00',
+      master_end_time: '19:30:00'
+    };
+
+    test('rejects moving an instance onto another event', async () => {
+      mockSchedule({ rows: { 'WHERE ei.id = ?': [instanceMeta] } });
+
+      const response = await request(app)
+        .put('/events/instances/instance-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: '2099-01-01', custom_end_time: '21:00:00', conflict_policy: 'reject' })
+        .expect(409);
+
+      expect(response.body.conflicts[0]).toMatchObject({
+        type: 'overlap',
+        instance: { instance_id: 'instance-1', date: '2099-01-01', start_time: '18:00:00', end_time: '21:00:00' },
+        conflicting: { instance_id: 'instance-karaoke' }
+      });
+      const scheduledCall = db.execute.mock.calls.find(([sql]) => sql.includes('COALESCE(ei.custom_title'));
+      expect(scheduledCall[1]).toEqual(['bar-1', '2098-12-31', '2099-01-02', 'instance-1']);
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('does not check an instance that stays cancelled', async () => {
+      mockSchedule({ rows: { 'WHERE ei.id = ?': [{ ...instanceMeta, is_cancelled: 1 }] } });
+
+      await request(app)
+        .put('/events/instances/instance-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: '2099-01-01', conflict_policy: 'reject' })
+        .expect(200);
+
+      expect(db.execute.mock.calls.some(([sql]) => sql.includes('FROM bar_hours'))).toBe(false);
+    });
+  });
+
+  describe('GET /bars/:barId/schedule/conflicts', () => {
+    const bar = { id: 'bar-1', name: 'The Pub', timezone: 'America/New_York' };
+    const getConflicts = (query, token = adminToken) => request(app)
+      .get('/bars/bar-1/schedule/conflicts')
+      .query(query)
+      .set('Authorization', `Bearer ${token}`);
+
+    test('reports each overlapping pair once and instances outside the hours', async () => {
+      mockSchedule({
+        rows: { 'FROM bars': [bar] },
+        scheduled: [
+          karaoke,
+          { instance_id: 'instance-quiz', event_id: 'event-quiz', date: '2099-01-01', start_time: '21:00:00', end_time: '23:00:00', title: 'Quiz' },
+          { instance_id: 'instance-brunch', event_id: 'event-brunch', date: '2099-01-02', start_time: '11:00:00', end_time: '13:00:00', title: 'Brunch' }
+        ]
+      });
+
+      const response = await getConflicts({ from: '2099-01-01', to: '2099-01-07' }).expect(200);
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          type: 'overlap',
+          instance: expect.objectContaining({ instance_id: 'instance-karaoke' }),
+          conflicting: expect.objectContaining({ instance_id: 'instance-quiz' })
+        }),
+        expect.objectContaining({
+          type: 'outside_hours',
+          instance: expect.objectContaining({ instance_id: 'instance-brunch' })
+        })
+      ]);
+      expect(response.body.meta).toMatchObject({ total: 2, filters: { from: '2099-01-01', to: '2099-01-07' } });
+    });
+
+    test('defaults to the coming 30 days', async () => {
+      mockSchedule({ rows: { 'FROM bars': [bar] }, scheduled: [] });
+
+      const response = await getConflicts({ from: '2099-01-01' }).expect(200);
+
+      expect(response.body.meta.filters).toEqual({ from: '2099-01-01', to: '2099-01-30' });
+    });
+
+    test('rejects ranges longer than a year', async () => {
+      mockSchedule({ rows: { 'FROM bars': [bar] } });
+
+      const response = await getConflicts({ from: '2099-01-01', to: '2100-01-02' }).expect(400);
+
+      expect(response.body.error).toBe('The date range cannot exceed 366 days');
+    });
+
+    test('requires access to the bar', async () => {
+      mockSchedule({ rows: { 'FROM bars': [bar], 'web_user_bar_associations': [] } });
+
+      await getConflicts({}, managerToken).expect(403);
+    });
+  });
+});
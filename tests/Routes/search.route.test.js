@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Search Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('GET /search', () => {
+    test('should return results grouped by type', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'Trivia Tavern', text_score: 12, score: '12' }]]) // Bars
+        .mockResolvedValueOnce([[{ timezone: 'America/New_York' }]]) // Bar time zones
+        .mockResolvedValueOnce([[
+          { instance_id: 'i1', event_id: 'event-1', title: 'Trivia Night', text_score: 9, score: 9 },
+          { instance_id: 'i2', event_id: 'event-1', title: 'Trivia Night', text_score: 9, score: 9 },
+          { instance_id: 'i9', event_id: 'event-2', title: 'Holiday Trivia', text_score: 4, score: 4 }
+        ]]) // Events
+        .mockResolvedValueOnce([[{ id: 'tag-1', name: 'Trivia', category: null, tag_type: 'event', score: 10 }]]); // Tags
+
+      const response = await request(app)
+        .get('/search')
+        .query({ q: 'Trivia' })
+        .expect(200);
+
+      expect(response.body.data.bars).toEqual([{ id: 'bar-1', name: 'Trivia Tavern', score: 12 }]);
+      expect(response.body.data.events.map(event => event.instance_id)).toEqual(['i1', 'i9']);
+      expect(response.body.data.tags).toHaveLength(1);
+      expect(response.body.meta).toMatchObject({
+        query: 'Trivia',
+        types: ['bars', 'events', 'tags'],
+        counts: { bars: 1, events: 2, tags: 1 },
+        location: null
+      });
+
+      const [barSql, barParams] = db.query.mock.calls[0];
+      expect(barSql).toContain('MATCH(b.name, b.description) AGAINST (? IN BOOLEAN MODE)');
+      expect(barParams).toContain('trivia*');
+      expect(barParams[barParams.length - 1]).toBe(10);
+
+      const [eventSql] = db.query.mock.calls[2];
+      expect(eventSql).toContain('MATCH(ei.custom_title, ei.custom_description)');
+      expect(eventSql).toContain('ei.date >= bar_clock.local_date');
+    });
+
+    test('should search only the requested types and bias by distance', async () => {
+      db.query.mockResolvedValueOnce([[
+        { id: 'bar-1', name: 'Murphys', text_score: 6, score: 3, distance: '4.83' }
+      ]]);
+
+      const response = await request(app)
+        .get('/search')
+        .query({ q: 'murfys', types: 'bars', lat: 42.36, lon: -71.06, unit: 'miles', limit: 5 })
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        bars: [{ id: 'bar-1', name: 'Murphys', score: 3, distance_miles: 4.83 }]
+      });
+      expect(db.query).toHaveBeenCalledTimes(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ranked.text_score / (1 + COALESCE(ranked.distance, 0) / 3)');
+      expect(sql).toContain('SOUNDEX(b.name) = SOUNDEX(?)');
+      expect(params).toEqual(expect.arrayContaining([42.36, -71.06]));
+      expect(params[params.length - 1]).toBe(5);
+    });
+
+    test.each([
+      [{}, /"q" must be at least 2 characters/],
+      [{ q: 'a' }, /"q" must be at least 2 characters/],
+      [{ q: '!!' }, /"q" must be at least 2 characters/],
+      [{ q: 'pub', types: 'bars,people' }, /types must be/],
+      [{ q: 'pub', limit: 0 }, /Limit must be between 1 and 50/],
+      [{ q: 'pub', lat: 100, lon: 0 }, /Invalid latitude or longitude/],
+      [{ q: 'pub', lat: 42, lon: -71, unit: 'furlongs' }, /Unit must be/]
+    ])('should reject invalid parameters %o', async (query, message) => {
+      const response = await request(app)
+        .get('/search')
+        .query(query)
+        .expect(400);
+
+      expect(response.body.error).toMatch(message);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('should handle database errors gracefully', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/search')
+        .query({ q: 'pub', types: 'tags' })
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to search');
+    });
+  });
+});
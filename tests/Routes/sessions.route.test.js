@@ -0,0 +1,187 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+const { hashRefreshToken } = require('../../src/utils/sessions');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Session Routes', () => {
+  let mockConnection;
+
+  const appUserToken = createTestJWT({ userId: 'app-user-1', email: 'guest@example.com', userType: 'app_user', sid: 'session-1' });
+  const webUserToken = createTestJWT({ userId: 'web-user-1', email: 'admin@example.com', role: 'admin', userType: 'web_user', sid: 'session-2' });
+
+  const activeTokenRow = {
+    id: 'rt-1',
+    session_id: 'session-1',
+    used_at: null,
+    is_expired: 0,
+    user_id: 'app-user-1',
+    revoked_at: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn(),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('POST /app-users/refresh', () => {
+    test('should rotate the refresh token and return a session-bound access token', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([[activeTokenRow]])
+        .mockResolvedValue([{ affectedRows: 1 }]);
+      db.execute.mockResolvedValueOnce([[{ id: 'app-user-1', email: 'guest@example.com' }]]);
+
+      const response = await request(app)
+        .post('/app-users/refresh')
+        .send({ refresh_token: 'current-refresh-token' })
+        .expect(200);
+
+      expect(response.body.refresh_token).toEqual(expect.any(String));
+      expect(response.body.refresh_token).not.toBe('current-refresh-token');
+      expect(response.body).toHaveProperty('refresh_token_expires_at');
+      expect(jwt.verify(response.body.token, process.env.JWT_SECRET)).toMatchObject({
+        userId: 'app-user-1',
+        userType: 'app_user',
+        sid: 'session-1'
+      });
+      expect(mockConnection.execute.mock.calls[0][1]).toEqual([hashRefreshToken('current-refresh-token'), 'app_user']);
+    });
+
+    test('should revoke the session when a rotated-out token is reused', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([[{ ...activeTokenRow, used_at: new Date() }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .post('/app-users/refresh')
+        .send({ refresh_token: 'stolen-refresh-token' })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Invalid or expired refresh token');
+      expect(mockConnection.execute.mock.calls[1][0]).toContain('refresh_token_reuse');
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown refresh tokens', async () => {
+      mockConnection.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .post('/app-users/refresh')
+        .send({ refresh_token: 'unknown' })
+        .expect(401);
+    });
+
+    test('should require a refresh token', async () => {
+      await request(app)
+        .post('/app-users/refresh')
+        .send({})
+        .expect(400);
+
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /users/refresh', () => {
+    test('should only accept web user refresh tokens and reload the role', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([[{ ...activeTokenRow, session_id: 'session-2', user_id: 'web-user-1' }]])
+        .mockResolvedValue([{ affectedRows: 1 }]);
+      db.execute.mockResolvedValueOnce([[{ id: 'web-user-1', email: 'admin@example.com', role: 'manager' }]]);
+
+      const response = await request(app)
+        .post('/users/refresh')
+        .send({ refresh_token: 'web-refresh-token' })
+        .expect(200);
+
+      expect(mockConnection.execute.mock.calls[0][1][1]).toBe('web_user');
+      expect(jwt.verify(response.body.token, process.env.JWT_SECRET)).toMatchObject({
+        userId: 'web-user-1',
+        role: 'manager',
+        userType: 'web_user',
+        sid: 'session-2'
+      });
+    });
+  });
+
+  describe('POST /app-users/logout', () => {
+    test('should revoke the current session', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ revoked_at: null }]]) // Session check in authenticateToken
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // Revoke
+
+      await request(app)
+        .post('/app-users/logout')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(200);
+
+      expect(db.execute.mock.calls[1][1]).toEqual(['logout', 'session-1', 'app-user-1']);
+    });
+
+    test('should reject web user tokens', async () => {
+      db.execute.mockResolvedValueOnce([[{ revoked_at: null }]]);
+
+      await request(app)
+        .post('/app-users/logout')
+        .set('Authorization', `Bearer ${webUserToken}`)
+        .expect(403);
+
+      expect(db.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /users/logout-all', () => {
+    test('should revoke every session of the user', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ revoked_at: null }]])
+        .mockResolvedValueOnce([{ affectedRows: 3 }]);
+
+      const response = await request(app)
+        .post('/users/logout-all')
+        .set('Authorization', `Bearer ${webUserToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ sessions_revoked: 3 });
+      expect(db.execute.mock.calls[1][1]).toEqual(['logout_all', 'web-user-1', 'web_user']);
+    });
+  });
+
+  describe('Revoked sessions', () => {
+    test('should reject access tokens whose session was revoked', async () => {
+      db.execute.mockResolvedValueOnce([[{ revoked_at: new Date() }]]);
+
+      const response = await request(app)
+        .get('/app-users/me')
+        .set('Authorization', `Bearer ${appUserToken}`)
+        .expect(403);
+
+      expect(response.body.message).toMatch(/revoked/);
+      expect(db.execute).toHaveBeenCalledTimes(1);
+    });
+
+    test('should still accept tokens issued without a session until they expire', async () => {
+      const legacyToken = createTestJWT({ userId: 'web-user-1', role: 'admin', userType: 'web_user' });
+      db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      await request(app)
+        .post('/users/logout-all')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(200);
+
+      // No session lookup, only the revoke
+      expect(db.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+});
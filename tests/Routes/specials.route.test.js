@@ -0,0 +1,244 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Drink Special Routes', () => {
+  const adminToken = createTestJWT({ userId: 'admin-1', email: 'admin@example.com', role: 'admin', userType: 'web_user' });
+  const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager', userType: 'web_user' });
+  let mockConnection;
+
+  const happyHour = {
+    item: 'Draft beer',
+    discount_type: 'fixed_price',
+    price: 4.5,
+    windows: [
+      { day_of_week: 5, start_time: '22:00:00', end_time: '02:00:00' }
+    ]
+  };
+
+  const specialRow = {
+    id: 'special-1',
+    bar_id: 'bar-1',
+    item: 'Draft beer',
+    description: null,
+    discount_type: 'fixed_price',
+    price: '4.50',
+    discount_value: null,
+    is_active: 1
+  };
+
+  const windowRow = { special_id: 'special-1', day_of_week: 5, start_time: '22:00:00', end_time: '02:00:00', crosses_midnight: 1 };
+
+  const findCall = (sqlFragment) => mockConnection.execute.mock.calls.find(([sql]) => sql.includes(sqlFragment));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnection = {
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn().mockResolvedValue([[]]);
+    db.query = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(mockConnection);
+  });
+
+  describe('GET /bars/:barId/specials', () => {
+    test('should list active specials with their windows', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub', timezone: 'America/Chicago' }]])
+        .mockResolvedValueOnce([[specialRow]])
+        .mockResolvedValueOnce([[windowRow]]);
+
+      const response = await request(app).get('/bars/bar-1/specials').expect(200);
+
+      expect(db.execute.mock.calls[1][0]).toContain('AND is_active = 1');
+      expect(response.body.data).toEqual([expect.objectContaining({
+        id: 'special-1',
+        price: 4.5,
+        discount_value: null,
+        is_active: true,
+        windows: [{ day_of_week: 5, start_time: '22:00:00', end_time: '02:00:00', crosses_midnight: true }],
+        running_now: expect.any(Boolean)
+      })]);
+      expect(response.body.meta).toEqual({ bar: { id: 'bar-1', name: 'The Pub' }, timezone: 'America/Chicago', total: 1 });
+    });
+
+    test('should include inactive specials on request', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub', timezone: null }]])
+        .mockResolvedValueOnce([[{ ...specialRow, is_active: 0 }]])
+        .mockResolvedValueOnce([[windowRow]]);
+
+      const response = await request(app)
+        .get('/bars/bar-1/specials')
+        .query({ include_inactive: 'true' })
+        .expect(200);
+
+      expect(db.execute.mock.calls[1][0]).not.toContain('AND is_active = 1');
+      expect(response.body.data[0]).toMatchObject({ is_active: false, running_now: false });
+    });
+
+    test('should return 404 for unknown bars', async () => {
+      await request(app).get('/bars/missing/specials').expect(404);
+    });
+  });
+
+  describe('POST /bars/:barId/specials', () => {
+    test('should create the special and its windows', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+
+      const response = await request(app)
+        .post('/bars/bar-1/specials')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(happyHour)
+        .expect(201);
+
+      const specialId = response.body.data.id;
+      expect(findCall('INSERT INTO bar_specials')[1]).toEqual([specialId, 'bar-1', 'Draft beer', null, 'fixed_price', 4.5, null, 1]);
+      expect(findCall('INSERT INTO bar_special_windows')[1].slice(1)).toEqual([specialId, 5, '22:00:00', '02:00:00', 1]);
+      expect(findCall('INSERT INTO audit_log')[1].slice(4, 7)).toEqual(['create', 'bar_special', specialId]);
+      expect(response.body.data.windows[0].crosses_midnight).toBe(true);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should validate the payload before touching the database', async () => {
+      const response = await request(app)
+        .post('/bars/bar-1/specials')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...happyHour, discount_type: 'percent_off', price: undefined })
+        .expect(400);
+
+      expect(response.body.error).toBe('discount_value must be a positive number with at most two decimals for percent_off specials');
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('should deny managers of other bars', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[]]); // no bar association
+
+      await request(app)
+        .post('/bars/bar-1/specials')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(happyHour)
+        .expect(403);
+
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /bars/:barId/specials/:specialId', () => {
+    test('should replace the special and its windows', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute
+        .mockResolvedValueOnce([[specialRow]])
+        .mockResolvedValueOnce([[windowRow]]);
+
+      await request(app)
+        .put('/bars/bar-1/specials/special-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...happyHour,
+          discount_type: 'amount_off',
+          price: null,
+          discount_value: 2,
+          windows: [{ day_of_week: 1, start_time: '16:00:00', end_time: '18:00:00' }]
+        })
+        .expect(200);
+
+      expect(findCall('UPDATE bar_specials SET')[1]).toEqual(['Draft beer', null, 'amount_off', null, 2, 1, 'special-1']);
+      expect(findCall('DELETE FROM bar_special_windows')[1]).toEqual(['special-1']);
+      expect(findCall('INSERT INTO bar_special_windows')[1].slice(2)).toEqual([1, '16:00:00', '18:00:00', 0]);
+      const changes = JSON.parse(findCall('INSERT INTO audit_log')[1][7]);
+      expect(Object.keys(changes).sort()).toEqual(['discount_type', 'discount_value', 'price', 'windows']);
+    });
+
+    test('should return 404 for specials of other bars', async () => {
+      db.execute.mockResolvedValueOnce([[{ id: 'bar-1' }]]);
+      mockConnection.execute.mockResolvedValueOnce([[]]);
+
+      await request(app)
+        .put('/bars/bar-1/specials/special-9')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(happyHour)
+        .expect(404);
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /bars/:barId/specials/:specialId', () => {
+    test('should delete the special', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'bar-1' }]])
+        .mockResolvedValueOnce([[specialRow]])
+        .mockResolvedValueOnce([[windowRow]]);
+
+      await request(app)
+        .delete('/bars/bar-1/specials/special-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(db.execute).toHaveBeenCalledWith('DELETE FROM bar_specials WHERE id = ?', ['special-1']);
+    });
+  });
+
+  describe('GET /specials/active', () => {
+    test('should find running specials near the user, nearest first', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ timezone: 'America/Chicago' }]])
+        .mockResolvedValueOnce([[{
+          ...specialRow,
+          bar_name: 'The Pub',
+          latitude: 41.88,
+          longitude: -87.63,
+          bar_timezone: 'America/Chicago',
+          local_time: '00:30:00',
+          local_dow: 6,
+          distance_km: '1.25'
+        }]]);
+      db.execute.mockResolvedValueOnce([[windowRow]]);
+
+      const response = await request(app)
+        .get('/specials/active')
+        .query({ lat: '41.88', lon: '-87.62' })
+        .expect(200);
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('bar_clock.local_time < sw.end_time');
+      expect(sql).toContain('ORDER BY distance_km ASC');
+      expect(params).toContain('America/Chicago');
+      expect(params).toContain(5); // default radius
+      expect(params[params.length - 1]).toBe(20);
+      expect(response.body.data[0]).toMatchObject({
+        id: 'special-1',
+        ends_at: '02:00:00',
+        bar: { id: 'bar-1', name: 'The Pub', timezone: 'America/Chicago' },
+        distance_km: 1.25
+      });
+      expect(response.body.meta.location).toEqual({ lat: 41.88, lon: -87.62, radius: 5, unit: 'km' });
+    });
+
+    test.each([
+      [{ lat: '41.88' }, 'lat and lon are required.'],
+      [{ lat: '141', lon: '0' }, 'Invalid latitude or longitude. Latitude must be between -90 and 90, longitude between -180 and 180.'],
+      [{ lat: '41.88', lon: '-87.62', unit: 'parsecs' }, 'Unit must be either "km" or "miles".'],
+      [{ lat: '41.88', lon: '-87.62', limit: '0' }, 'Limit must be between 1 and 100.']
+    ])('should reject %j', async (query, error) => {
+      const response = await request(app)
+        .get('/specials/active')
+        .query(query)
+        .expect(400);
+
+      expect(response.body.error).toBe(error);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/utils/db');
+const { createTestJWT } = require('../helpers/authHelpers');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Tag Category Routes', () => {
+  const token = createTestJWT({ userId: 'user-1', email: 'user@example.com', role: 'admin' });
+
+  const typeCategory = {
+    id: 'cat-type',
+    slug: 'type',
+    name: 'Bar Type',
+    parent_id: null,
+    icon_key: 'glass',
+    display_order: 1
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn();
+    db.query = jest.fn();
+  });
+
+  describe('GET /tag-categories', () => {
+    test('lists categories in display order', async () => {
+      db.query.mockResolvedValueOnce([[typeCategory]]);
+
+      const response = await request(app).get('/tag-categories').expect(200);
+
+      expect(response.body.data).toEqual([typeCategory]);
+      expect(db.query.mock.calls[0][0]).toContain('ORDER BY display_order, name');
+    });
+
+    test('gets a category by slug, or 404', async () => {
+      db.execute.mockResolvedValueOnce([[typeCategory]]).mockResolvedValueOnce([[]]);
+
+      await request(app).get('/tag-categories/type').expect(200);
+      expect(db.execute.mock.calls[0][1]).toEqual(['type', 'type']);
+
+      await request(app).get('/tag-categories/missing').expect(404);
+    });
+  });
+
+  describe('POST /tag-categories', () => {
+    test('creates a category with a derived slug', async () => {
+      db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .post('/tag-categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Food & Drink', icon_key: 'fork', display_order: 3 })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ slug: 'food-drink', name: 'Food & Drink', parent_id: null, icon_key: 'fork', display_order: 3 });
+      expect(db.execute.mock.calls[0][1].slice(1)).toEqual(['food-drink', 'Food & Drink', null, 'fork', 3]);
+    });
+
+    test('creates a subcategory under an existing parent', async () => {
+      db.query.mockResolvedValueOnce([[{ id: 'cat-amenity', parent_id: null }]]);
+      db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .post('/tag-categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Games', parent_id: 'cat-amenity' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ slug: 'games', parent_id: 'cat-amenity', display_order: 0 });
+    });
+
+    test('validates the payload and parent', async () => {
+      await request(app)
+        .post('/tag-categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ slug: 'type' })
+        .expect(400);
+
+      await request(app)
+        .post('/tag-categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Type', display_order: 'first' })
+        .expect(400);
+
+      db.query.mockResolvedValueOnce([[]]);
+      const response = await request(app)
+        .post('/tag-categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Games', parent_id: 'missing' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Parent category not found' });
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('returns 409 for a duplicate slug and 401 without a token', async () => {
+      db.execute.mockRejectedValueOnce({ code: 'ER_DUP_ENTRY', message: 'Duplicate entry' });
+
+      await request(app)
+        .post('/tag-categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Type' })
+        .expect(409);
+
+      await request(app).post('/tag-categories').send({ name: 'Type' }).expect(401);
+    });
+  });
+
+  describe('PUT /tag-categories/:id', () => {
+    test('updates only the fields sent', async () => {
+      db.execute
+        .mockResolvedValueOnce([[typeCategory]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const response = await request(app)
+        .put('/tag-categories/cat-type')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ display_order: 5, icon_key: null })
+        .expect(200);
+
+      expect(db.execute.mock.calls[1]).toEqual([
+        'UPDATE tag_categories SET icon_key = ?, display_order = ? WHERE id = ?',
+        [null, 5, 'cat-type']
+      ]);
+      expect(response.body.data).toMatchObject({ slug: 'type', icon_key: null, display_order: 5 });
+    });
+
+    test('rejects nesting a category under its own subcategory', async () => {
+      db.execute.mockResolvedValueOnce([[typeCategory]]);
+      db.query.mockResolvedValueOnce([[
+        { id: 'cat-type', parent_id: null },
+        { id: 'cat-craft', parent_id: 'cat-type' }
+      ]]);
+
+      const response = await request(app)
+        .put('/tag-categories/cat-type')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ parent_id: 'cat-craft' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/nested under itself/);
+      expect(db.execute).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns 400 without fields and 404 for an unknown category', async () => {
+      await request(app)
+        .put('/tag-categories/cat-type')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(400);
+
+      db.execute.mockResolvedValueOnce([[]]);
+      await request(app)
+        .put('/tag-categories/missing')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Type' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /tag-categories/:id', () => {
+    test('deletes an unused category', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'cat-type', slug: 'type' }]])
+        .mockResolvedValueOnce([[{ tag_count: 0, child_count: 0 }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      await request(app)
+        .delete('/tag-categories/cat-type')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(db.execute.mock.calls[1][1]).toEqual(['type', 'cat-type']);
+      expect(db.execute.mock.calls[2]).toEqual(['DELETE FROM tag_categories WHERE id = ?', ['cat-type']]);
+    });
+
+    test('refuses to delete a category with tags', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ id: 'cat-type', slug: 'type' }]])
+        .mockResolvedValueOnce([[{ tag_count: 3, child_count: 0 }]]);
+
+      await request(app)
+        .delete('/tag-categories/cat-type')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+
+      expect(db.execute).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -115,10 +115,12 @@ describe('Tags Routes Integration Tests', () => {
     test('should create tag with valid authentication', async () => {
       const newTag = {
         name: 'Craft Beer',
-        category: 'Beverages'
+        category: 'beverages'
       };
 
-      db.execute.mockResolvedValueOnce([{}]); // Insert tag
+      db.execute
+        .mockResolvedValueOnce([[{ slug: 'beverages' }]]) // Category lookup
+        .mockResolvedValueOnce([{}]); // Insert tag
 
       const response = await request(app)
         .post('/tags')
@@ -183,6 +185,7 @@ describe('Tags Routes Integration Tests', () => {
         category: 'Entertainment'
       };
 
+      db.execute.mockResolvedValueOnce([[{ slug: 'entertainment' }]]); // Category lookup
       db.execute.mockRejectedValueOnce({
         code: 'ER_DUP_ENTRY',
         message: 'Duplicate entry'
@@ -220,10 +223,12 @@ describe('Tags Routes Integration Tests', () => {
     test('should update tag with valid authentication', async () => {
       const updateData = {
         name: 'Updated Sports Bar',
-        category: 'Updated Category'
+        category: 'updated-category'
       };
 
-      db.execute.mockResolvedValueOnce([{ affectedRows: 1 }]); // Update tag
+      db.execute
+        .mockResolvedValueOnce([[{ slug: 'updated-category' }]]) // Category lookup
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // Update tag
 
       const response = await request(app)
         .put('/tags/tag-1')
@@ -281,6 +286,153 @@ describe('Tags Routes Integration Tests', () => {
     });
   });
 
+  describe('Tag categories on tags', () => {
+    test('should store the slug when the category is given by name', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ slug: 'amenity' }]])
+        .mockResolvedValueOnce([{}]);
+
+      const response = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'Rooftop', category: 'Amenities' })
+        .expect(201);
+
+      expect(db.execute.mock.calls[0][1]).toEqual(['Amenities', 'Amenities']);
+      expect(db.execute.mock.calls[1][1]).toEqual([expect.any(String), 'Rooftop', 'amenity']);
+      expect(response.body.data).toHaveProperty('category', 'amenity');
+    });
+
+    test('should reject unknown categories on create and update', async () => {
+      db.execute.mockResolvedValue([[]]);
+
+      const createResponse = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'Rooftop', category: 'Views' })
+        .expect(400);
+      expect(createResponse.body.error).toMatch(/Unknown tag category "Views"/);
+
+      await request(app)
+        .put('/tags/tag-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'Rooftop', category: 'Views' })
+        .expect(400);
+
+      expect(db.execute).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('GET /tags?grouped=true', () => {
+    test('should nest tags with bar counts under categories and subcategories', async () => {
+      db.query
+        .mockResolvedValueOnce([[
+          { id: 'cat-type', slug: 'type', name: 'Bar Type', parent_id: null, icon_key: 'glass', display_order: 1 },
+          { id: 'cat-amenity', slug: 'amenity', name: 'Amenities', parent_id: null, icon_key: 'star', display_order: 2 },
+          { id: 'cat-games', slug: 'games', name: 'Games', parent_id: 'cat-amenity', icon_key: null, display_order: 0 }
+        ]])
+        .mockResolvedValueOnce([[
+          { id: 'tag-darts', name: 'Darts', category: 'games', bar_count: 2 },
+          { id: 'tag-dive', name: 'Dive Bar', category: 'type', bar_count: '5' },
+          { id: 'tag-misc', name: 'Misc', category: null, bar_count: 0 },
+          { id: 'tag-rooftop', name: 'Rooftop', category: 'amenity', bar_count: 1 }
+        ]]);
+
+      const response = await request(app)
+        .get('/tags')
+        .query({ grouped: 'true' })
+        .expect(200);
+
+      const { categories, uncategorized } = response.body.data;
+      expect(categories.map(category => category.slug)).toEqual(['type', 'amenity']);
+      expect(categories[0].tags).toEqual([{ id: 'tag-dive', name: 'Dive Bar', category: 'type', bar_count: 5 }]);
+      expect(categories[1].tags.map(tag => tag.name)).toEqual(['Rooftop']);
+      expect(categories[1].subcategories).toHaveLength(1);
+      expect(categories[1].subcategories[0]).toMatchObject({ slug: 'games', tags: [{ name: 'Darts', bar_count: 2 }], subcategories: [] });
+      expect(uncategorized.map(tag => tag.name)).toEqual(['Misc']);
+      expect(db.query.mock.calls[1][0]).toContain('b.is_active = 1');
+    });
+  });
+
+  describe('POST /tags/:id/merge-into/:targetId - Admin Route', () => {
+    test('should move assignments to the target, skip collisions and delete the source', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([[
+          { id: 'tag-dup', name: 'craft beers', category: 'type' },
+          { id: 'tag-keep', name: 'Craft Beer', category: 'type' }
+        ]]) // Lock both tags
+        .mockResolvedValueOnce([[{ count: 5 }]]) // Source assignments
+        .mockResolvedValueOnce([{ affectedRows: 3 }]) // Copy to target
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // Delete source
+        .mockResolvedValueOnce([{}]); // Audit entry
+
+      const response = await request(app)
+        .post('/tags/tag-dup/merge-into/tag-keep')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        source: { id: 'tag-dup', name: 'craft beers' },
+        target: { id: 'tag-keep', name: 'Craft Beer' },
+        assignments_moved: 3,
+        assignments_skipped: 2
+      });
+      expect(mockConnection.execute.mock.calls[2]).toEqual([
+        expect.stringContaining('INSERT IGNORE INTO bar_tag_assignments'),
+        ['tag-keep', 'tag-dup']
+      ]);
+      expect(mockConnection.execute.mock.calls[3]).toEqual(['DELETE FROM bar_tags WHERE id = ?', ['tag-dup']]);
+      expect(mockConnection.execute.mock.calls[4][1]).toEqual(expect.arrayContaining(['merge', 'tag', 'tag-dup']));
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    test('should return 404 when either tag is missing', async () => {
+      mockConnection.execute.mockResolvedValueOnce([[{ id: 'tag-dup', name: 'craft beers', category: null }]]);
+
+      const response = await request(app)
+        .post('/tags/tag-dup/merge-into/tag-missing')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+
+      expect(response.body).toEqual({ error: 'Target tag not found' });
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('should reject merging a tag into itself', async () => {
+      await request(app)
+        .post('/tags/tag-1/merge-into/tag-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(400);
+
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('should require an admin', async () => {
+      const managerToken = createTestJWT({ userId: 'manager-1', email: 'manager@example.com', role: 'manager' });
+
+      await request(app)
+        .post('/tags/tag-dup/merge-into/tag-keep')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+    });
+
+    test('should roll back when the merge fails', async () => {
+      mockConnection.execute
+        .mockResolvedValueOnce([[{ id: 'tag-dup', name: 'a', category: null }, { id: 'tag-keep', name: 'b', category: null }]])
+        .mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/tags/tag-dup/merge-into/tag-keep')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(500);
+
+      expect(response.body).toEqual({ error: 'Failed to merge tag' });
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+  });
+
   describe('DELETE /tags/:id - Protected Route', () => {
     test('should delete tag when not used by any bars', async () => {
       // Mock that tag is not used by any bars
@@ -0,0 +1,68 @@
+const db = require('../../src/utils/db');
+const { diffSnapshots, recordAudit } = require('../../src/utils/audit');
+
+jest.mock('../../src/utils/db');
+
+describe('Audit utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn().mockResolvedValue([{ affectedRows: 1 }]);
+  });
+
+  describe('diffSnapshots', () => {
+    test('returns only the fields that changed', () => {
+      expect(diffSnapshots(
+        { name: 'The Pub', phone: '555-0100', latitude: '42.3600000' },
+        { name: 'The Pub', phone: '555-0199', latitude: 42.36 }
+      )).toEqual({ phone: { before: '555-0100', after: '555-0199' } });
+    });
+
+    test('records every value for creates and deletes', () => {
+      expect(diffSnapshots(null, { name: 'The Pub', description: undefined })).toEqual({
+        name: { before: null, after: 'The Pub' }
+      });
+      expect(diffSnapshots({ email: 'a@example.com' }, null)).toEqual({
+        email: { before: 'a@example.com', after: null }
+      });
+    });
+
+    test('compares nested values structurally', () => {
+      const hours = [{ day_of_week: 1, open_time: '16:00:00' }];
+      expect(diffSnapshots({ hours }, { hours: [...hours] })).toEqual({});
+      expect(Object.keys(diffSnapshots({ hours }, { hours: [] }))).toEqual(['hours']);
+    });
+  });
+
+  describe('recordAudit', () => {
+    const req = { user: { userId: 'admin-1', role: 'admin', userType: 'web_user' } };
+
+    test('stores the actor, entity and diff', async () => {
+      await recordAudit(req, { action: 'update', entityType: 'bar', entityId: 'bar-1', before: { name: 'Old' }, after: { name: 'New' } });
+
+      const params = db.execute.mock.calls[0][1];
+      expect(params.slice(1)).toEqual([
+        'admin-1', 'admin', 'web_user', 'update', 'bar', 'bar-1',
+        JSON.stringify({ name: { before: 'Old', after: 'New' } })
+      ]);
+    });
+
+    test('skips updates that changed nothing', async () => {
+      await recordAudit(req, { action: 'update', entityType: 'bar', entityId: 'bar-1', before: { name: 'Same' }, after: { name: 'Same' } });
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('writes through the given transaction connection', async () => {
+      const conn = { execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+      await recordAudit(req, { action: 'create', entityType: 'event', entityId: 'event-1', after: { title: 'Trivia' }, executor: conn });
+
+      expect(conn.execute).toHaveBeenCalledTimes(1);
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    test('never fails the surrounding change', async () => {
+      db.execute.mockRejectedValueOnce(new Error('Database error'));
+      await expect(recordAudit(req, { action: 'delete', entityType: 'bar', entityId: 'bar-1', before: { is_active: 1 }, after: { is_active: 0 } }))
+        .resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { parseCsv } = require('../../src/utils/csv');
+const { parseHoursCell, parseBarCsv, prepareImportRow } = require('../../src/utils/barImport');
+
+describe('CSV parsing', () => {
+  test('should handle quoted fields with commas, quotes and newlines', () => {
+    const { rows } = parseCsv('\uFEFFname,description\r\n"The Pub, Boston","Say ""cheers""\nand more"\r\n\r\nPlain,\n');
+    expect(rows).toEqual([
+      ['name', 'description'],
+      ['The Pub, Boston', 'Say "cheers"\nand more'],
+      ['Plain', '']
+    ]);
+  });
+
+  test('should report malformed quoting', () => {
+    expect(parseCsv('name\n"Unterminated').error).toBe('Unterminated quoted field');
+    expect(parseCsv('name\n"Bad"x').error).toBe('Unexpected character after closing quote on line 2');
+  });
+});
+
+describe('Bar import parsing', () => {
+  test('should parse hours cells', () => {
+    expect(parseHoursCell('', 1)).toEqual({ hour: null });
+    expect(parseHoursCell(' Closed ', 0)).toEqual({ hour: { day_of_week: 0, is_closed: true } });
+    expect(parseHoursCell('9:00 - 02:00', 5)).toEqual({
+      hour: { day_of_week: 5, open_time: '09:00:00', close_time: '02:00:00', is_closed: false }
+    });
+    expect(parseHoursCell('noon-late', 2).error).toBe('hours_tue must be "HH:MM-HH:MM" or "closed"');
+  });
+
+  test('should turn CSV rows into import records', () => {
+    const csv = [
+      'Name,address_street,address_city,address_state,address_zip,tags,hours_fri,hours_sun',
+      'The Pub,1 Main St,Boston,MA,02108,"Trivia; Sports Bar",16:00-02:00,closed',
+      'Other,2 Main St,Boston,MA,02108,,late,'
+    ].join('\n');
+
+    const { records } = parseBarCsv(csv);
+
+    expect(records[0]).toEqual({
+      name: 'The Pub',
+      address_street: '1 Main St',
+      address_city: 'Boston',
+      address_state: 'MA',
+      address_zip: '02108',
+      tags: ['Trivia', 'Sports Bar'],
+      hours: [
+        { day_of_week: 5, open_time: '16:00:00', close_time: '02:00:00', is_closed: false },
+        { day_of_week: 0, is_closed: true }
+      ]
+    });
+    expect(records[1].tags).toEqual([]);
+    expect(records[1].parse_errors).toEqual(['hours_fri must be "HH:MM-HH:MM" or "closed"']);
+  });
+
+  test('should reject unknown columns and empty documents', () => {
+    expect(parseBarCsv('name,happy_hour\nThe Pub,yes').error).toMatch(/^Unknown CSV columns: happy_hour\./);
+    expect(parseBarCsv('name,address_street\n').error).toBe('CSV must contain a header row and at least one bar');
+  });
+});
+
+describe('prepareImportRow', () => {
+  const tagIdsByName = new Map([['trivia', 'tag-1'], ['sports bar', 'tag-2']]);
+  const validRecord = {
+    name: ' The Pub ',
+    address_street: '1 Main St',
+    address_city: 'Boston',
+    address_state: 'MA',
+    address_zip: '02108',
+    latitude: '42.36',
+    tags: ['TRIVIA', 'Sports Bar', 'trivia'],
+    hours: [{ day_of_week: 1, open_time: '16:00:00', close_time: '23:00:00', is_closed: false }]
+  };
+
+  test('should build a createBar payload with resolved tag ids', () => {
+    const { bar, errors } = prepareImportRow(validRecord, tagIdsByName);
+
+    expect(errors).toEqual([]);
+    expect(bar).toMatchObject({ name: 'The Pub', latitude: 42.36, tag_ids: ['tag-1', 'tag-2'] });
+    expect(bar.hours).toHaveLength(1);
+  });
+
+  test('should collect every row error', () => {
+    const { errors } = prepareImportRow({
+      ...validRecord,
+      address_zip: '',
+      longitude: 200,
+      timezone: 'Mars/Olympus',
+      tags: ['Karaoke'],
+      hours: [{ day_of_week: 9, is_closed: true }]
+    }, tagIdsByName);
+
+    expect(errors).toEqual([
+      'Missing required bar fields',
+      'longitude must be a number between -180 and 180',
+      'day_of_week must be a number between 0 and 6',
+      'Unknown tags: Karaoke'
+    ]);
+    expect(prepareImportRow('The Pub', tagIdsByName).errors).toEqual(['Row must be an object']);
+  });
+});
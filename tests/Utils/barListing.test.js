@@ -0,0 +1,104 @@
+const { applyHourExceptions, isOpenAt } = require('../../src/utils/barListing');
+const { getZonedDateTime } = require('../../src/utils/timezone');
+
+describe('Bar listing helpers', () => {
+  describe('isOpenAt', () => {
+    const fridayLateNight = [
+      { day_of_week: 5, open_time: '18:00:00', close_time: '02:00:00', is_closed: false, crosses_midnight: true }
+    ];
+
+    test('treats cross-midnight hours as open after opening on the same day', () => {
+      expect(isOpenAt(fridayLateNight, { dayOfWeek: 5, time: '23:00:00' })).toBe(true);
+      expect(isOpenAt(fridayLateNight, { dayOfWeek: 5, time: '17:59:59' })).toBe(false);
+    });
+
+    test('treats cross-midnight hours as open until closing on the next day', () => {
+      expect(isOpenAt(fridayLateNight, { dayOfWeek: 6, time: '01:30:00' })).toBe(true);
+      expect(isOpenAt(fridayLateNight, { dayOfWeek: 6, time: '02:30:00' })).toBe(false);
+    });
+
+    test('stays open across a DST change when evaluated on the local clock', () => {
+      // 2026-03-08 is the US spring-forward night; 06:30Z is 01:30 EST and 07:30Z is 03:30 EDT
+      const saturday = [
+        { day_of_week: 6, open_time: '20:00:00', close_time: '03:00:00', is_closed: false, crosses_midnight: true }
+      ];
+      expect(isOpenAt(saturday, getZonedDateTime('America/New_York', new Date('2026-03-08T06:30:00Z')))).toBe(true);
+      expect(isOpenAt(saturday, getZonedDateTime('America/New_York', new Date('2026-03-08T07:30:00Z')))).toBe(false);
+    });
+
+    test('ignores closed days', () => {
+      const closed = [{ day_of_week: 1, open_time: null, close_time: null, is_closed: true, crosses_midnight: false }];
+      expect(isOpenAt(closed, { dayOfWeek: 1, time: '12:00:00' })).toBe(false);
+    });
+  });
+
+  describe('isOpenAt with hour exceptions', () => {
+    const weekly = [
+      { day_of_week: 4, open_time: '16:00:00', close_time: '23:00:00', is_closed: false, crosses_midnight: false },
+      { day_of_week: 5, open_time: '16:00:00', close_time: '01:00:00', is_closed: false, crosses_midnight: true }
+    ];
+
+    test('a closure replaces the weekly hours for that date', () => {
+      const thanksgiving = [{ date: '2026-11-26', open_time: null, close_time: null, is_closed: true, crosses_midnight: false }];
+      const local = { date: '2026-11-26', dayOfWeek: 4, time: '20:00:00' };
+
+      expect(isOpenAt(weekly, local)).toBe(true);
+      expect(isOpenAt(weekly, local, thanksgiving)).toBe(false);
+    });
+
+    test('a late-night exception keeps the bar open into the next morning', () => {
+      const newYearsEve = [{ date: '2026-12-31', open_time: '18:00:00', close_time: '04:00:00', is_closed: false, crosses_midnight: true }];
+      const local = { date: '2027-01-01', dayOfWeek: 5, time: '03:00:00' };
+
+      expect(isOpenAt(weekly, local)).toBe(false);
+      expect(isOpenAt(weekly, local, newYearsEve)).toBe(true);
+    });
+
+    test('an exception on the previous day overrides its cross-midnight template', () => {
+      const closedFriday = [{ date: '2026-11-27', open_time: null, close_time: null, is_closed: true, crosses_midnight: false }];
+      const local = { date: '2026-11-28', dayOfWeek: 6, time: '00:30:00' };
+
+      expect(isOpenAt(weekly, local)).toBe(true);
+      expect(isOpenAt(weekly, local, closedFriday)).toBe(false);
+    });
+  });
+
+  describe('applyHourExceptions', () => {
+    const weekly = [
+      { id: 'h4', day_of_week: 4, open_time: '16:00:00', close_time: '23:00:00', is_closed: false, crosses_midnight: false },
+      { id: 'h5', day_of_week: 5, open_time: '16:00:00', close_time: '01:00:00', is_closed: false, crosses_midnight: true }
+    ];
+
+    test('overlays exceptions in the coming week onto the matching weekday', () => {
+      const exceptions = [
+        { id: 'ex-1', date: '2026-11-26', open_time: null, close_time: null, is_closed: true, crosses_midnight: false, reason: 'Thanksgiving' }
+      ];
+
+      const hours = applyHourExceptions(weekly, exceptions, '2026-11-23');
+
+      expect(hours[0]).toEqual({
+        id: 'h4',
+        day_of_week: 4,
+        open_time: null,
+        close_time: null,
+        is_closed: true,
+        crosses_midnight: false,
+        exception: { id: 'ex-1', date: '2026-11-26', reason: 'Thanksgiving' }
+      });
+      expect(hours[1]).toMatchObject({ id: 'h5', exception: null });
+    });
+
+    test('ignores exceptions outside the 7-day window and adds days missing from the template', () => {
+      const exceptions = [
+        { id: 'ex-1', date: '2026-12-03', open_time: null, close_time: null, is_closed: true, crosses_midnight: false, reason: null },
+        { id: 'ex-2', date: '2026-11-29', open_time: '12:00:00', close_time: '18:00:00', is_closed: false, crosses_midnight: false, reason: 'Pop-up' }
+      ];
+
+      const hours = applyHourExceptions(weekly, exceptions, '2026-11-23');
+
+      expect(hours.map(hour => hour.day_of_week)).toEqual([0, 4, 5]);
+      expect(hours[0]).toMatchObject({ id: null, open_time: '12:00:00', exception: { id: 'ex-2' } });
+      expect(hours[1].exception).toBeNull();
+    });
+  });
+});
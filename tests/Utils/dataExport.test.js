@@ -0,0 +1,62 @@
+const { Readable } = require('stream');
+const { formatCsvRow } = require('../../src/utils/csv');
+const { formatHoursCell, parseHoursCell } = require('../../src/utils/barImport');
+const { toGeoJsonFeature, createExportTransform } = require('../../src/utils/dataExport');
+
+const collect = async (format, rows, options) => {
+  const chunks = [];
+  const transform = createExportTransform(format, {
+    columns: ['id', 'name'],
+    toCsvRow: row => [row.id, row.name],
+    toRecord: row => row,
+    ...options
+  });
+  for await (const chunk of Readable.from(rows).pipe(transform)) {
+    chunks.push(chunk.toString());
+  }
+  return chunks.join('');
+};
+
+describe('Data export formatting', () => {
+  test('should quote CSV fields only when needed', () => {
+    expect(formatCsvRow(['a', 'b,c', 'say "hi"', 'two\nlines', ' padded', null, undefined, 42]))
+      .toBe('a,"b,c","say ""hi""","two\nlines"," padded",,,42\r\n');
+    expect(formatCsvRow([new Date('2026-10-18T12:00:00.000Z')])).toBe('2026-10-18T12:00:00.000Z\r\n');
+  });
+
+  test('should format hours cells that parse back to the same hours', () => {
+    const hour = { day_of_week: 5, open_time: '16:00:00', close_time: '02:30:00', is_closed: false };
+
+    expect(formatHoursCell(hour)).toBe('16:00-02:30');
+    expect(parseHoursCell(formatHoursCell(hour), 5)).toEqual({ hour });
+    expect(formatHoursCell({ day_of_week: 0, is_closed: true })).toBe('closed');
+    expect(formatHoursCell(undefined)).toBe('');
+    expect(formatHoursCell({ open_time: '16:00:30', close_time: '23:00:00', is_closed: false })).toBe('16:00:30-23:00');
+  });
+
+  test('should build GeoJSON features from latitude/longitude', () => {
+    expect(toGeoJsonFeature({ id: 'bar-1', latitude: '42.3601000', longitude: '-71.0589000' })).toEqual({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [-71.0589, 42.3601] },
+      properties: { id: 'bar-1' }
+    });
+    expect(toGeoJsonFeature({ id: 'bar-2', latitude: null, longitude: null }).geometry).toBeNull();
+  });
+
+  test('should stream each format', async () => {
+    const rows = [{ id: '1', name: 'The Pub', latitude: 1, longitude: 2 }, { id: '2', name: 'Tavern, The', latitude: null, longitude: null }];
+
+    expect(await collect('csv', rows)).toBe('id,name\r\n1,The Pub\r\n2,"Tavern, The"\r\n');
+    expect((await collect('ndjson', rows)).split('\n').filter(Boolean).map(line => JSON.parse(line))).toEqual(rows);
+
+    const collection = JSON.parse(await collect('geojson', rows));
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features.map(feature => feature.geometry)).toEqual([{ type: 'Point', coordinates: [2, 1] }, null]);
+  });
+
+  test('should write headers and empty collections when there are no rows', async () => {
+    expect(await collect('csv', [])).toBe('id,name\r\n');
+    expect(await collect('ndjson', [])).toBe('');
+    expect(JSON.parse(await collect('geojson', []))).toEqual({ type: 'FeatureCollection', features: [] });
+  });
+});
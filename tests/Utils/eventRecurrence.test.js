@@ -0,0 +1,183 @@
+const {
+  isOpenEnded,
+  getRollingHorizon,
+  generateEventInstances,
+  validateRecurrenceData,
+  getRecurrenceDescription,
+  buildRRule
+} = require('../../src/utils/eventRecurrence');
+
+const dates = (event, options) => generateEventInstances({ id: 'event-1', ...event }, options).map(instance => instance.date);
+
+describe('Event recurrence', () => {
+  describe('generateEventInstances', () => {
+    test('keeps the existing weekly and monthly behaviour', () => {
+      expect(dates({
+        recurrence_pattern: 'weekly',
+        recurrence_days: [2],
+        start_date: '2026-11-03',
+        recurrence_end_date: '2026-11-24'
+      })).toEqual(['2026-11-03', '2026-11-10', '2026-11-17', '2026-11-24']);
+
+      expect(dates({
+        recurrence_pattern: 'monthly',
+        start_date: '2026-01-31',
+        recurrence_end_occurrences: 3
+      })).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    });
+
+    test('every other Tuesday counts weeks from the start date', () => {
+      expect(dates({
+        recurrence_pattern: 'weekly',
+        recurrence_interval: 2,
+        recurrence_days: [2],
+        start_date: '2026-11-01',
+        recurrence_end_occurrences: 3
+      })).toEqual(['2026-11-03', '2026-11-17', '2026-12-01']);
+    });
+
+    test('every third day', () => {
+      expect(dates({
+        recurrence_pattern: 'daily',
+        recurrence_interval: 3,
+        start_date: '2026-11-01',
+        recurrence_end_date: '2026-11-10'
+      })).toEqual(['2026-11-01', '2026-11-04', '2026-11-07', '2026-11-10']);
+    });
+
+    test('first Friday of the month', () => {
+      expect(dates({
+        recurrence_pattern: 'monthly',
+        recurrence_week_of_month: 1,
+        recurrence_days: [5],
+        start_date: '2026-11-01',
+        recurrence_end_occurrences: 3
+      })).toEqual(['2026-11-06', '2026-12-04', '2027-01-01']);
+    });
+
+    test('last Sunday of every other month', () => {
+      expect(dates({
+        recurrence_pattern: 'monthly',
+        recurrence_interval: 2,
+        recurrence_week_of_month: -1,
+        recurrence_days: [0],
+        start_date: '2026-11-01',
+        recurrence_end_date: '2027-03-31'
+      })).toEqual(['2026-11-29', '2027-01-31', '2027-03-28']);
+    });
+
+    test('exclusion dates are skipped but still count toward the occurrence limit', () => {
+      expect(dates({
+        recurrence_pattern: 'weekly',
+        recurrence_days: [2],
+        recurrence_exdates: ['2026-11-10'],
+        start_date: '2026-11-03',
+        recurrence_end_occurrences: 3
+      })).toEqual(['2026-11-03', '2026-11-17']);
+    });
+
+    test('accepts JSON strings as stored in the database', () => {
+      expect(dates({
+        recurrence_pattern: 'weekly',
+        recurrence_days: '[2]',
+        recurrence_exdates: '["2026-11-10"]',
+        start_date: '2026-11-03',
+        recurrence_end_date: '2026-11-17'
+      })).toEqual(['2026-11-03', '2026-11-17']);
+    });
+  });
+
+  describe('open-ended events', () => {
+    const everyThursday = { recurrence_pattern: 'weekly', recurrence_days: [4], start_date: '2026-10-01' };
+
+    test('are recurring events without an end date or occurrence count', () => {
+      expect(isOpenEnded(everyThursday)).toBe(true);
+      expect(isOpenEnded({ ...everyThursday, recurrence_end_occurrences: 5 })).toBe(false);
+      expect(isOpenEnded({ recurrence_pattern: 'none', start_date: '2026-10-01' })).toBe(false);
+      expect(validateRecurrenceData(everyThursday).isValid).toBe(true);
+    });
+
+    test('only generate within the requested window', () => {
+      expect(dates(everyThursday)).toEqual([]);
+      expect(dates(everyThursday, { from: '2026-10-10', until: getRollingHorizon('2026-10-10', 14) }))
+        .toEqual(['2026-10-15', '2026-10-22']);
+    });
+
+    test('from still counts skipped occurrences toward the limit', () => {
+      expect(dates({ ...everyThursday, recurrence_end_occurrences: 3 }, { from: '2026-10-10' }))
+        .toEqual(['2026-10-15']);
+    });
+  });
+
+  describe('validateRecurrenceData', () => {
+    const base = { recurrence_pattern: 'monthly', start_date: '2026-11-01', recurrence_end_occurrences: 6 };
+
+    test('accepts nth and last weekday rules', () => {
+      expect(validateRecurrenceData({ ...base, recurrence_week_of_month: 1, recurrence_days: [5] }).isValid).toBe(true);
+      expect(validateRecurrenceData({ ...base, recurrence_week_of_month: -1, recurrence_days: [0] }).isValid).toBe(true);
+    });
+
+    test('rejects invalid intervals, weeks of month and exclusion dates', () => {
+      expect(validateRecurrenceData({ ...base, recurrence_interval: 0 }).errors)
+        .toContain('recurrence_interval must be an integer from 1-99');
+      expect(validateRecurrenceData({ ...base, recurrence_week_of_month: 6, recurrence_days: [5] }).errors[0])
+        .toMatch(/recurrence_week_of_month must be 1-5/);
+      expect(validateRecurrenceData({ ...base, recurrence_week_of_month: 1 }).errors)
+        .toContain('recurrence_days is required with recurrence_week_of_month');
+      expect(validateRecurrenceData({ ...base, recurrence_pattern: 'daily', recurrence_week_of_month: 1 }).errors)
+        .toContain('recurrence_week_of_month is only supported for monthly events');
+      expect(validateRecurrenceData({ ...base, recurrence_exdates: ['12/25/2026'] }).errors)
+        .toContain('recurrence_exdates must be an array of YYYY-MM-DD dates');
+    });
+  });
+
+  describe('getRecurrenceDescription', () => {
+    test('describes intervals, weekday rules and exclusions', () => {
+      expect(getRecurrenceDescription({
+        recurrence_pattern: 'weekly',
+        recurrence_interval: 2,
+        recurrence_days: [2],
+        recurrence_end_occurrences: 10
+      })).toBe('Every 2 weeks on Tuesday, 10 occurrences');
+
+      expect(getRecurrenceDescription({
+        recurrence_pattern: 'monthly',
+        recurrence_week_of_month: 1,
+        recurrence_days: [5],
+        recurrence_end_date: '2027-06-30',
+        recurrence_exdates: ['2027-01-01']
+      })).toBe('Monthly on the first Friday, until 2027-06-30, except 2027-01-01');
+
+      expect(getRecurrenceDescription({
+        recurrence_pattern: 'monthly',
+        recurrence_week_of_month: -1,
+        recurrence_days: [0],
+        recurrence_end_occurrences: 1
+      })).toBe('Monthly on the last Sunday, 1 occurrence');
+    });
+  });
+
+  describe('buildRRule', () => {
+    test('emits INTERVAL, WKST and BYDAY for every other Tuesday', () => {
+      expect(buildRRule({
+        recurrence_pattern: 'weekly',
+        recurrence_interval: 2,
+        recurrence_days: [2],
+        start_date: '2026-11-03',
+        recurrence_end_occurrences: 10
+      })).toBe('FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=TU;COUNT=10');
+    });
+
+    test('emits an ordinal BYDAY for nth and last weekday rules', () => {
+      const monthly = { recurrence_pattern: 'monthly', start_date: '2026-11-01', recurrence_end_date: '2027-06-30' };
+      expect(buildRRule({ ...monthly, recurrence_week_of_month: 1, recurrence_days: [5] }))
+        .toBe('FREQ=MONTHLY;BYDAY=1FR;UNTIL=20270630T235959');
+      expect(buildRRule({ ...monthly, recurrence_week_of_month: -1, recurrence_days: [0] }))
+        .toBe('FREQ=MONTHLY;BYDAY=-1SU;UNTIL=20270630T235959');
+    });
+
+    test('returns null for one-time events', () => {
+      expect(buildRRule({ recurrence_pattern: 'none', start_date: '2026-11-01' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { MAX_EVENT_TAGS, parseEventTagIds, parseConcatenatedEventTags } = require('../../src/utils/eventTags');
+
+describe('Event tag helpers', () => {
+  describe('parseEventTagIds', () => {
+    const parse = (payload) => parseEventTagIds(payload, 'event_tag_id', 'event_tag_ids');
+
+    test('puts the single tag first and removes duplicates', () => {
+      expect(parse({ event_tag_id: 'b', event_tag_ids: ['a', 'b', ' c '] })).toEqual({ tagIds: ['b', 'a', 'c'] });
+    });
+
+    test('returns no tags when neither field has a value', () => {
+      expect(parse({})).toEqual({ tagIds: [] });
+      expect(parse({ event_tag_id: null, event_tag_ids: [] })).toEqual({ tagIds: [] });
+    });
+
+    test('rejects malformed values', () => {
+      expect(parse({ event_tag_ids: 'a,b' }).error).toMatch(/array/);
+      expect(parse({ event_tag_ids: ['a', 7] }).error).toMatch(/array/);
+      expect(parse({ event_tag_id: 7 }).error).toBe('event_tag_id must be an event tag id');
+    });
+
+    test('caps the number of tags', () => {
+      const tagIds = Array.from({ length: MAX_EVENT_TAGS + 1 }, (_, i) => `tag-${i}`);
+      expect(parse({ event_tag_ids: tagIds }).error).toMatch(/at most/);
+    });
+  });
+
+  test('parseConcatenatedEventTags keeps colons in names', () => {
+    expect(parseConcatenatedEventTags('t1:Trivia,t2:Happy Hour: 2 for 1')).toEqual([
+      { id: 't1', name: 'Trivia' },
+      { id: 't2', name: 'Happy Hour: 2 for 1' }
+    ]);
+    expect(parseConcatenatedEventTags(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  MAX_POLYGON_VERTICES,
+  EARTH_RADIUS,
+  parseBbox,
+  normalizePolygon,
+  geometryBounds,
+  radiusBounds,
+  buildDistanceQuery
+} = require('../../src/utils/geo');
+
+describe('geo utils', () => {
+  const square = {
+    type: 'Polygon',
+    coordinates: [[[-71.1, 42.3], [-71.0, 42.3], [-71.0, 42.4], [-71.1, 42.4], [-71.1, 42.3]]]
+  };
+
+  describe('parseBbox', () => {
+    test('parses minLon,minLat,maxLon,maxLat', () => {
+      expect(parseBbox('-71.1, 42.3,-71.0,42.4')).toEqual({ bbox: { minLon: -71.1, minLat: 42.3, maxLon: -71.0, maxLat: 42.4 } });
+    });
+
+    test.each(['', '1,2,3', '1,2,3,4,5', 'a,2,3,4', '1,,3,4'])('rejects malformed bbox %p', (value) => {
+      expect(parseBbox(value).error).toMatch(/four numbers/);
+    });
+
+    test('rejects out-of-range coordinates', () => {
+      expect(parseBbox('-181,42,-71,43').error).toMatch(/between -180 and 180/);
+      expect(parseBbox('-72,42,-71,91').error).toMatch(/between -90 and 90/);
+    });
+
+    test('rejects inverted or empty boxes', () => {
+      expect(parseBbox('-71,42,-72,43').error).toMatch(/less than/);
+      expect(parseBbox('-72,42,-71,42').error).toMatch(/less than/);
+    });
+  });
+
+  describe('normalizePolygon', () => {
+    test('accepts a Polygon and a Feature wrapping one', () => {
+      expect(normalizePolygon(square)).toEqual({ geometry: square });
+      expect(normalizePolygon({ type: 'Feature', properties: {}, geometry: square })).toEqual({ geometry: square });
+    });
+
+    test('accepts a MultiPolygon and drops altitudes', () => {
+      const result = normalizePolygon({
+        type: 'MultiPolygon',
+        coordinates: [[[[0, 0, 5], [1, 0, 5], [1, 1, 5], [0, 0, 5]]]]
+      });
+      expect(result.geometry).toEqual({ type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]]] });
+    });
+
+    test('rejects other geometry types', () => {
+      expect(normalizePolygon({ type: 'Point', coordinates: [0, 0] }).error).toMatch(/Polygon or MultiPolygon/);
+      expect(normalizePolygon(undefined).error).toMatch(/Polygon or MultiPolygon/);
+    });
+
+    test('rejects open, short or out-of-range rings', () => {
+      expect(normalizePolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }).error).toMatch(/closed/);
+      expect(normalizePolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }).error).toMatch(/four positions/);
+      expect(normalizePolygon({ type: 'Polygon', coordinates: [[[0, 0], [200, 0], [1, 1], [0, 0]]] }).error).toMatch(/Positions/);
+    });
+
+    test('limits the number of vertices', () => {
+      const ring = Array.from({ length: MAX_POLYGON_VERTICES }, (_, i) => [i / MAX_POLYGON_VERTICES, i % 2]);
+      ring.push(ring[0]);
+      expect(normalizePolygon({ type: 'Polygon', coordinates: [ring] }).error).toMatch(/limited/);
+    });
+  });
+
+  describe('distance queries', () => {
+    const radians = (degrees) => degrees * Math.PI / 180;
+    const degrees = (value) => value * 180 / Math.PI;
+
+    // The distance formula the bar and event queries have always used, evaluated in JS
+    const currentDistance = (lat, lon, barLat, barLon, unit) => EARTH_RADIUS[unit] * Math.acos(Math.min(1,
+      Math.cos(radians(lat)) * Math.cos(radians(barLat)) *
+      Math.cos(radians(barLon) - radians(lon)) +
+      Math.sin(radians(lat)) * Math.sin(radians(barLat))
+    ));
+
+    // Point at a distance and bearing from a center, with longitude wrapped to [-180, 180]
+    const destination = (lat, lon, distance, bearing, unit) => {
+      const angular = distance / EARTH_RADIUS[unit];
+      const lat2 = Math.asin(Math.sin(radians(lat)) * Math.cos(angular) +
+        Math.cos(radians(lat)) * Math.sin(angular) * Math.cos(radians(bearing)));
+      const lon2 = radians(lon) + Math.atan2(
+        Math.sin(radians(bearing)) * Math.sin(angular) * Math.cos(radians(lat)),
+        Math.cos(angular) - Math.sin(radians(lat)) * Math.sin(lat2)
+      );
+      return [degrees(lat2), ((degrees(lon2) + 540) % 360) - 180];
+    };
+
+    const inBounds = (bounds, [lat, lon]) => lat >= bounds.minLat && lat <= bounds.maxLat &&
+      (bounds.minLon === null || (lon >= bounds.minLon && lon <= bounds.maxLon));
+
+    const centers = [
+      [42.36, -71.06], [0, 0], [-33.87, 151.21], [64.15, -21.94],
+      [89.5, 10], [-89.9, -120], [51.5, 179.99], [-17.7, -179.9]
+    ];
+
+    test.each(centers)('keeps every bar the distance formula matches around (%p, %p) inside the bounding box', (lat, lon) => {
+      for (const unit of ['km', 'miles']) {
+        for (const radius of [0.05, 1, 5, 25, 100, 1000]) {
+          const bounds = radiusBounds(lat, lon, radius, unit);
+          for (let bearing = 0; bearing < 360; bearing += 5) {
+            for (const fraction of [0.25, 0.5, 0.9, 0.999999, 1, 1.000001]) {
+              const point = destination(lat, lon, radius * fraction, bearing, unit);
+              if (currentDistance(lat, lon, point[0], point[1], unit) <= radius) {
+                expect(inBounds(bounds, point)).toBe(true);
+              }
+            }
+          }
+        }
+      }
+    });
+
+    test('bounding box is tight enough to exclude bars well outside the radius', () => {
+      const bounds = radiusBounds(42.36, -71.06, 5, 'km');
+      expect(bounds.maxLat - bounds.minLat).toBeCloseTo(2 * 5 / 111.19, 3);
+      expect(inBounds(bounds, destination(42.36, -71.06, 7.5, 0, 'km'))).toBe(false);
+      expect(inBounds(bounds, destination(42.36, -71.06, 7.5, 90, 'km'))).toBe(false);
+    });
+
+    test('drops the longitude range near the poles and across the antimeridian', () => {
+      expect(radiusBounds(89.99, 0, 5, 'km')).toMatchObject({ maxLat: 90, minLon: null, maxLon: null });
+      expect(radiusBounds(10, 179.99, 5, 'km')).toMatchObject({ minLon: null, maxLon: null });
+    });
+
+    test('selects the same rounded distance expression as before', () => {
+      const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+      const distance = buildDistanceQuery({ userLat: 42.36, userLon: -71.06, radiusValue: null, distanceUnit: 'miles' });
+
+      expect(normalize(distance.selectSql)).toBe(normalize(`ROUND((
+        3959 * acos(
+          cos(radians(?)) * cos(radians(b.latitude)) *
+          cos(radians(b.longitude) - radians(?)) +
+          sin(radians(?)) * sin(radians(b.latitude))
+        )
+      ), 2)`));
+      expect(distance.selectParams).toEqual([42.36, -71.06, 42.36]);
+      expect(distance.whereClauses).toEqual(['b.latitude IS NOT NULL AND b.longitude IS NOT NULL']);
+    });
+
+    test('prefilters the radius test with the bounding box', () => {
+      const distance = buildDistanceQuery({ userLat: 42.36, userLon: -71.06, radiusValue: 2, distanceUnit: 'km' });
+      const bounds = radiusBounds(42.36, -71.06, 2, 'km');
+
+      expect(distance.whereClauses.slice(1, 3)).toEqual(['b.latitude BETWEEN ? AND ?', 'b.longitude BETWEEN ? AND ?']);
+      expect(distance.whereClauses[3]).toContain('6371 * acos(');
+      expect(distance.whereParams).toEqual([bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, 42.36, -71.06, 42.36, 2]);
+    });
+  });
+
+  describe('geometryBounds', () => {
+    test('returns the outer ring bounds across polygons', () => {
+      const multi = {
+        type: 'MultiPolygon',
+        coordinates: [square.coordinates, [[[-70, 41], [-69, 41], [-69, 42], [-70, 41]]]]
+      };
+      expect(geometryBounds(square)).toEqual({ minLon: -71.1, minLat: 42.3, maxLon: -71.0, maxLat: 42.4 });
+      expect(geometryBounds(multi)).toEqual({ minLon: -71.1, minLat: 41, maxLon: -69, maxLat: 42.4 });
+    });
+  });
+});
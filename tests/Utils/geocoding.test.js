@@ -0,0 +1,124 @@
+const db = require('../../src/utils/db');
+const {
+  formatAddress,
+  createOfflineGeocoder,
+  createNominatimGeocoder,
+  createGeocoderFromEnv,
+  geocodeBar,
+  backfillBarCoordinates
+} = require('../../src/utils/geocoding');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Geocoding utils', () => {
+  const bar = { address_street: '1 Main St', address_city: 'Boston', address_state: 'MA', address_zip: '02108' };
+  const offline = createOfflineGeocoder({
+    addresses: { '1 Main St, Boston, MA 02108': [42.3601, -71.0589] },
+    zips: { '02139': ['42.3647', '-71.1042'] }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query = jest.fn();
+    db.execute = jest.fn();
+  });
+
+  test('should format one-line addresses', () => {
+    expect(formatAddress(bar)).toBe('1 Main St, Boston, MA 02108');
+    expect(formatAddress({ address_city: 'Boston', address_zip: '02108' })).toBe('Boston, 02108');
+  });
+
+  test('offline geocoder should match addresses loosely and fall back to ZIP centroids', async () => {
+    expect(await offline.geocode({ street: '1 MAIN ST.', city: 'boston', state: 'ma', zip: '02108' }))
+      .toEqual({ latitude: 42.3601, longitude: -71.0589 });
+    expect(await offline.geocode({ street: '77 Mass Ave', city: 'Cambridge', state: 'MA', zip: '02139' }))
+      .toEqual({ latitude: 42.3647, longitude: -71.1042 });
+    expect(await offline.geocode({ street: '9 Unknown Rd', city: 'Nowhere', state: 'ZZ', zip: '00000' })).toBeNull();
+  });
+
+  test('nominatim geocoder should send a structured query and parse the first result', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: true, json: async () => [{ lat: '42.36', lon: '-71.05' }] });
+    const geocoder = createNominatimGeocoder({ url: 'https://geo.example/search', userAgent: 'pub-tests', countryCodes: 'us', fetchImpl });
+
+    expect(await geocoder.geocode({ street: '1 Main St', city: 'Boston', state: 'MA', zip: '02108' }))
+      .toEqual({ latitude: 42.36, longitude: -71.05 });
+
+    const [url, init] = fetchImpl.mock.calls[0];
+    const params = new URL(url).searchParams;
+    expect(params.get('street')).toBe('1 Main St');
+    expect(params.get('postalcode')).toBe('02108');
+    expect(params.get('countrycodes')).toBe('us');
+    expect(init.headers['User-Agent']).toBe('pub-tests');
+
+    fetchImpl.mockResolvedValueOnce({ ok: true, json: async () => [] });
+    expect(await geocoder.geocode({ street: 'x' })).toBeNull();
+
+    fetchImpl.mockResolvedValueOnce({ ok: false, status: 429 });
+    await expect(geocoder.geocode({ street: 'x' })).rejects.toThrow('Nominatim responded with HTTP 429');
+  });
+
+  test('nominatim geocoder should abort slow requests and report them as failed', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const fetchImpl = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const geocoder = createNominatimGeocoder({ timeoutMs: 20, fetchImpl });
+
+    const result = await geocodeBar(bar, geocoder);
+
+    expect(result.status).toBe('failed');
+    expect(result.error).toMatch(/timeout/i);
+    consoleSpy.mockRestore();
+  });
+
+  test('should pick the provider from the environment', () => {
+    expect(createGeocoderFromEnv({})).toBeNull();
+    expect(createGeocoderFromEnv({ GEOCODER_PROVIDER: 'offline' }).name).toBe('offline');
+    expect(createGeocoderFromEnv({ GEOCODER_PROVIDER: 'Nominatim' }).name).toBe('nominatim');
+    expect(() => createGeocoderFromEnv({ GEOCODER_PROVIDER: 'magic' })).toThrow('Unknown GEOCODER_PROVIDER "magic"');
+    expect(() => createGeocoderFromEnv({ GEOCODER_PROVIDER: 'nominatim', GEOCODER_TIMEOUT_MS: 'soon' }))
+      .toThrow('Invalid GEOCODER_TIMEOUT_MS "soon"');
+  });
+
+  test('geocodeBar should report each outcome without throwing', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = { name: 'broken', geocode: jest.fn().mockRejectedValue(new Error('timeout')) };
+
+    expect(await geocodeBar(bar, offline)).toEqual({ status: 'geocoded', latitude: 42.3601, longitude: -71.0589 });
+    expect(await geocodeBar({ ...bar, address_zip: '99999', address_street: '2 Main St' }, offline)).toEqual({ status: 'not_found' });
+    expect(await geocodeBar(bar, failing)).toEqual({ status: 'failed', error: 'timeout' });
+    expect(await geocodeBar(bar, null)).toEqual({ status: 'disabled' });
+    consoleSpy.mockRestore();
+  });
+
+  test('backfill should save geocoded bars and report failures', async () => {
+    db.query.mockResolvedValueOnce([[
+      { id: 'bar-1', name: 'The Pub', ...bar },
+      { id: 'bar-2', name: 'Nowhere', address_street: '9 Unknown Rd', address_city: 'Nowhere', address_state: 'ZZ', address_zip: '00000' }
+    ]]);
+    db.execute.mockResolvedValue([{ affectedRows: 1 }]);
+
+    const report = await backfillBarCoordinates({ geocoder: offline, limit: 50 });
+
+    expect(db.query.mock.calls[0][0]).toContain('latitude IS NULL OR longitude IS NULL');
+    expect(db.query.mock.calls[0][1]).toEqual([50]);
+    expect(db.execute).toHaveBeenCalledTimes(1);
+    expect(db.execute.mock.calls[0][1]).toEqual([42.3601, -71.0589, 'bar-1']);
+    expect(report).toEqual({
+      total: 2,
+      updated: [{ id: 'bar-1', name: 'The Pub', latitude: 42.3601, longitude: -71.0589 }],
+      failed: [{ id: 'bar-2', name: 'Nowhere', address: '9 Unknown Rd, Nowhere, ZZ 00000', status: 'not_found', error: null }]
+    });
+  });
+
+  test('backfill dry run should not write', async () => {
+    db.query.mockResolvedValueOnce([[{ id: 'bar-1', name: 'The Pub', ...bar }]]);
+
+    const report = await backfillBarCoordinates({ geocoder: offline, dryRun: true });
+
+    expect(report.updated).toHaveLength(1);
+    expect(db.execute).not.toHaveBeenCalled();
+    await expect(backfillBarCoordinates({ geocoder: null })).rejects.toThrow('Geocoding is disabled');
+  });
+});
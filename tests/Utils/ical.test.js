@@ -0,0 +1,236 @@
+const {
+  buildCalendar,
+  buildRRule,
+  escapeText,
+  foldLine,
+  formatDateTime,
+  toDateString
+} = require('../../src/utils/ical');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const baseEvent = {
+  id: 'event-1',
+  title: 'Trivia Night',
+  description: 'Teams of up to 6',
+  start_time: '19:00:00',
+  end_time: '21:00:00',
+  crosses_midnight: 0,
+  external_link: null,
+  recurrence_pattern: 'weekly',
+  recurrence_days: '[2]',
+  start_date: '2026-11-03',
+  recurrence_end_date: '2026-11-24',
+  recurrence_end_occurrences: null,
+  tag_name: 'Trivia',
+  bar_name: 'The Pub',
+  address_street: '1 Main St',
+  address_city: 'Boston',
+  address_state: 'MA',
+  address_zip: '02110'
+};
+
+const weeklyInstances = () => [
+  { id: 'i1', date: '2026-11-03', is_cancelled: 0 },
+  { id: 'i2', date: '2026-11-10', is_cancelled: 0 },
+  { id: 'i3', date: '2026-11-17', is_cancelled: 0 },
+  { id: 'i4', date: '2026-11-24', is_cancelled: 0 }
+];
+
+const unfold = text => text.replace(/\r\n /g, '');
+
+describe('iCalendar utilities', () => {
+  describe('formatting helpers', () => {
+    test('formats floating date-times', () => {
+      expect(formatDateTime('2026-11-03', '19:00:00')).toBe('20261103T190000');
+      expect(formatDateTime('2026-11-03', '19:30')).toBe('20261103T193000');
+    });
+
+    test('normalizes Date objects and strings to YYYY-MM-DD', () => {
+      expect(toDateString(new Date(2026, 10, 3))).toBe('2026-11-03');
+      expect(toDateString('2026-11-03T00:00:00.000Z')).toBe('2026-11-03');
+      expect(toDateString(null)).toBeNull();
+    });
+
+    test('escapes TEXT values', () => {
+      expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+
+    test('folds lines longer than 75 octets', () => {
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+      expect(unfold(folded)).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+  });
+
+  describe('buildRRule', () => {
+    test('maps weekly recurrence_days to BYDAY', () => {
+      expect(buildRRule({ ...baseEvent, recurrence_days: [5, 1] }))
+        .toBe('FREQ=WEEKLY;BYDAY=MO,FR;UNTIL=20261124T235959');
+    });
+
+    test('uses the start day of month for monthly events', () => {
+      expect(buildRRule({ ...baseEvent, recurrence_pattern: 'monthly', start_date: '2026-11-15' }))
+        .toBe('FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20261124T235959');
+    });
+
+    test('prefers COUNT when an occurrence limit is set', () => {
+      expect(buildRRule({ ...baseEvent, recurrence_pattern: 'daily', recurrence_end_occurrences: 5 }))
+        .toBe('FREQ=DAILY;COUNT=5');
+    });
+
+    test('maps intervals and nth weekday rules', () => {
+      expect(buildRRule({ ...baseEvent, recurrence_interval: 2 }))
+        .toBe('FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=TU;UNTIL=20261124T235959');
+      expect(buildRRule({
+        ...baseEvent,
+        recurrence_pattern: 'monthly',
+        recurrence_week_of_month: -1,
+        recurrence_days: '[5]',
+        start_date: new Date(2026, 10, 1)
+      })).toBe('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20261124T235959');
+    });
+
+    test('returns null for one-time events', () => {
+      expect(buildRRule({ ...baseEvent, recurrence_pattern: 'none' })).toBeNull();
+    });
+  });
+
+  describe('buildCalendar', () => {
+    test('wraps events in a VCALENDAR with CRLF line endings', () => {
+      const ics = buildCalendar({ name: 'The Pub', entries: [] }, { now: NOW });
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:The Pub\r\n');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    test('emits a recurring master event with an RRULE', () => {
+      const ics = unfold(buildCalendar({
+        name: 'The Pub',
+        entries: [{ event: baseEvent, instances: weeklyInstances() }]
+      }, { now: NOW }));
+
+      expect(ics).toContain('UID:event-1@tothepub');
+      expect(ics).toContain('DTSTAMP:20261018T120000Z');
+      expect(ics).toContain('DTSTART;TZID=America/New_York:20261103T190000');
+      expect(ics).toContain('DTEND;TZID=America/New_York:20261103T210000');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20261125T045959Z');
+      expect(ics).toContain('LOCATION:The Pub\\, 1 Main St\\, Boston\\, MA 02110');
+      expect(ics).not.toContain('EXDATE');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+
+    test('lists cancelled and missing instances as EXDATEs', () => {
+      const instances = weeklyInstances();
+      instances[1].is_cancelled = 1;
+      instances.splice(2, 1);
+
+      const ics = unfold(buildCalendar({ entries: [{ event: baseEvent, instances }] }, { now: NOW }));
+
+      expect(ics).toContain('EXDATE;TZID=America/New_York:20261110T190000,20261117T190000');
+    });
+
+    test('emits excluded dates as EXDATEs of the full rule', () => {
+      const event = { ...baseEvent, recurrence_exdates: '["2026-11-10"]' };
+      const instances = weeklyInstances().filter(instance => instance.date !== '2026-11-10');
+
+      const ics = unfold(buildCalendar({ entries: [{ event, instances }] }, { now: NOW }));
+
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20261125T045959Z');
+      expect(ics).toContain('EXDATE;TZID=America/New_York:20261110T190000');
+    });
+
+    test('only lists EXDATEs up to the generated horizon of open-ended events', () => {
+      const event = { ...baseEvent, recurrence_end_date: null, instances_generated_until: '2026-11-17' };
+      const instances = weeklyInstances().slice(0, 2);
+
+      const ics = unfold(buildCalendar({ entries: [{ event, instances }] }, { now: NOW }));
+
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU\r\n');
+      expect(ics).toContain('EXDATE;TZID=America/New_York:20261117T190000\r\n');
+    });
+
+    test('emits overridden instances with a RECURRENCE-ID', () => {
+      const instances = weeklyInstances();
+      instances[2] = {
+        ...instances[2],
+        custom_title: 'Holiday Trivia',
+        custom_start_time: '20:00:00',
+        crosses_midnight: 0
+      };
+
+      const ics = unfold(buildCalendar({ entries: [{ event: baseEvent, instances }] }, { now: NOW }));
+      const vevents = ics.split('BEGIN:VEVENT').slice(1);
+
+      expect(vevents).toHaveLength(2);
+      expect(vevents[1]).toContain('UID:event-1@tothepub');
+      expect(vevents[1]).toContain('RECURRENCE-ID;TZID=America/New_York:20261117T190000');
+      expect(vevents[1]).toContain('DTSTART;TZID=America/New_York:20261117T200000');
+      expect(vevents[1]).toContain('DTEND;TZID=America/New_York:20261117T210000');
+      expect(vevents[1]).toContain('SUMMARY:Holiday Trivia');
+    });
+
+    test('ends cross-midnight events on the following day', () => {
+      const event = { ...baseEvent, start_time: '22:00:00', end_time: '02:00:00', crosses_midnight: 1 };
+      const ics = unfold(buildCalendar({ entries: [{ event, instances: weeklyInstances() }] }, { now: NOW }));
+
+      expect(ics).toContain('DTSTART;TZID=America/New_York:20261103T220000');
+      expect(ics).toContain('DTEND;TZID=America/New_York:20261104T020000');
+    });
+
+    test('anchors weekly series on the first matching weekday', () => {
+      const event = { ...baseEvent, start_date: '2026-11-01' };
+      const ics = unfold(buildCalendar({ entries: [{ event, instances: weeklyInstances() }] }, { now: NOW }));
+
+      expect(ics).toContain('DTSTART;TZID=America/New_York:20261103T190000');
+    });
+
+    test('publishes times in the bar\'s time zone with a VTIMEZONE covering the feed', () => {
+      const event = { ...baseEvent, start_date: '2026-10-27', timezone: 'America/Chicago' };
+      const instances = [{ id: 'i0', date: '2026-10-27', is_cancelled: 0 }, ...weeklyInstances()];
+
+      const ics = unfold(buildCalendar({ entries: [{ event, instances }] }, { now: NOW }));
+
+      expect(ics).toContain([
+        'BEGIN:VTIMEZONE',
+        'TZID:America/Chicago',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:-0500',
+        'TZOFFSETTO:-0500',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'DTSTART:20261101T020000',
+        'TZOFFSETFROM:-0500',
+        'TZOFFSETTO:-0600',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+      ].join('\r\n'));
+      expect(ics.indexOf('END:VTIMEZONE')).toBeLessThan(ics.indexOf('BEGIN:VEVENT'));
+      expect(ics).toContain('DTSTART;TZID=America/Chicago:20261027T190000');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20261125T055959Z');
+      expect(ics).not.toContain('America/New_York');
+    });
+
+    test('falls back to the default zone for bars without a valid one', () => {
+      const event = { ...baseEvent, timezone: 'Mars/Olympus_Mons' };
+      const ics = unfold(buildCalendar({ entries: [{ event, instances: weeklyInstances() }] }, { now: NOW }));
+
+      expect(ics).toContain('TZID:America/New_York\r\nBEGIN:STANDARD\r\nDTSTART:19700101T000000\r\nTZOFFSETFROM:-0500');
+      expect(ics).toContain('DTSTART;TZID=America/New_York:20261103T190000');
+    });
+
+    test('publishes one-time events without an RRULE', () => {
+      const event = { ...baseEvent, recurrence_pattern: 'none', recurrence_days: null };
+      const ics = unfold(buildCalendar({
+        entries: [{ event, instances: [{ id: 'i1', date: '2026-11-03', is_cancelled: 1 }] }]
+      }, { now: NOW }));
+
+      expect(ics).not.toContain('RRULE');
+      expect(ics).toContain('UID:i1@tothepub');
+      expect(ics).toContain('STATUS:CANCELLED');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const db = require('../../src/utils/db');
+const { createLocalStorage, createStorageFromEnv, setStorage } = require('../../src/utils/storage');
+const { renderImageVariants, saveImage, releaseImage } = require('../../src/utils/images');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Image utils', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.execute = jest.fn();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    storage = createLocalStorage({ directory, publicUrl: 'https://media.example.com/' });
+    setStorage(storage);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    setStorage(undefined);
+  });
+
+  test('should render portrait images within each variant size', async () => {
+    const buffer = await sharp({ create: { width: 1000, height: 2000, channels: 3, background: '#000000' } }).png().toBuffer();
+
+    const rendered = await renderImageVariants(buffer);
+
+    expect(rendered.contentType).toBe('image/png');
+    expect(rendered.variants.map(({ name, width, height }) => [name, width, height])).toEqual([
+      ['thumbnail', 100, 200],
+      ['medium', 400, 800],
+      ['large', 800, 1600]
+    ]);
+  });
+
+  test('should reject unsupported formats', async () => {
+    const gif = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#000000' } }).gif().toBuffer();
+
+    expect(await renderImageVariants(gif)).toEqual({ error: 'Image must be a JPEG, PNG or WebP file' });
+    expect(await renderImageVariants(Buffer.from('GIF89a'))).toEqual({ error: 'File is not a valid image' });
+  });
+
+  test('should write variants to the local directory', async () => {
+    const buffer = await sharp({ create: { width: 50, height: 50, channels: 3, background: '#ff0000' } }).jpeg().toBuffer();
+
+    const image = await saveImage('bars/bar-1', buffer, storage);
+
+    expect(image.storage_driver).toBe('local');
+    expect(image.url).toBe(`https://media.example.com/bars/bar-1/${image.id}-large.webp`);
+    const stored = path.join(directory, image.variants.thumbnail.key);
+    expect((await sharp(fs.readFileSync(stored)).metadata()).format).toBe('webp');
+
+    await storage.remove(image.variants.thumbnail.key);
+    await storage.remove(image.variants.thumbnail.key); // already gone
+    expect(fs.existsSync(stored)).toBe(false);
+  });
+
+  test('should refuse storage keys outside the directory', async () => {
+    await expect(storage.save('../escape.webp', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.remove('bars/../../escape.webp')).rejects.toThrow('Invalid storage key');
+  });
+
+  test('should only mount the directory for relative public URLs', () => {
+    expect(createStorageFromEnv({}).mountPath).toBe('/uploads');
+    expect(storage.mountPath).toBeNull();
+    expect(() => createStorageFromEnv({ STORAGE_DRIVER: 'ftp' })).toThrow('Unknown STORAGE_DRIVER "ftp"');
+  });
+
+  test('should release uploads once nothing refers to them', async () => {
+    const buffer = await sharp({ create: { width: 20, height: 20, channels: 3, background: '#00ff00' } }).webp().toBuffer();
+    const image = await saveImage('events/event-1', buffer, storage);
+    const upload = { id: image.id, storage_driver: 'local', variants: JSON.stringify(image.variants) };
+
+    db.execute
+      .mockResolvedValueOnce([[upload]])
+      .mockResolvedValueOnce([[]])
+      .mockResolvedValueOnce([[{ 1: 1 }]]); // still used by an instance
+    expect(await releaseImage(image.url)).toBe(false);
+    expect(fs.existsSync(path.join(directory, image.variants.large.key))).toBe(true);
+
+    db.execute.mockReset();
+    db.execute.mockResolvedValueOnce([[upload]]).mockResolvedValue([[]]);
+    expect(await releaseImage(image.url)).toBe(true);
+    expect(db.execute).toHaveBeenCalledWith('DELETE FROM uploaded_images WHERE id = ?', [image.id]);
+    expect(fs.existsSync(path.join(directory, image.variants.large.key))).toBe(false);
+  });
+
+  test('should ignore URLs that are not uploads', async () => {
+    db.execute.mockResolvedValueOnce([[]]);
+
+    expect(await releaseImage('https://example.com/poster.jpg')).toBe(false);
+    expect(await releaseImage(null)).toBe(false);
+    expect(db.execute).toHaveBeenCalledTimes(1);
+  });
+});
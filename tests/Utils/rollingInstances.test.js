@@ -0,0 +1,83 @@
+const db = require('../../src/utils/db');
+const { extendOpenEndedEvents } = require('../../src/utils/rollingInstances');
+
+// Mock the database module
+jest.mock('../../src/utils/db');
+
+describe('Rolling instance generation', () => {
+  const thursdays = {
+    id: 'event-1',
+    crosses_midnight: 0,
+    recurrence_pattern: 'weekly',
+    recurrence_interval: 1,
+    recurrence_days: '[4]',
+    recurrence_week_of_month: null,
+    recurrence_exdates: null,
+    start_date: '2026-10-01',
+    instances_generated_until: '2026-11-05'
+  };
+
+  const insertedDates = () => {
+    const params = db.query.mock.calls[1][1];
+    return params.filter((_, index) => index % 4 === 2);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query = jest.fn();
+    db.execute = jest.fn().mockResolvedValue([{ affectedRows: 1 }]);
+  });
+
+  test('extends open-ended events from their last generated date to the horizon', async () => {
+    db.query
+      .mockResolvedValueOnce([[thursdays]])
+      .mockResolvedValueOnce([{ affectedRows: 3 }]);
+
+    const report = await extendOpenEndedEvents({ today: '2026-10-18', horizonDays: 30 });
+
+    expect(db.query.mock.calls[0][0]).toContain('recurrence_end_date IS NULL');
+    expect(db.query.mock.calls[0][1]).toEqual(['2026-11-17']);
+    expect(db.query.mock.calls[1][0]).toContain('INSERT IGNORE INTO event_instances');
+    expect(insertedDates()).toEqual(['2026-11-12']);
+    expect(db.execute).toHaveBeenCalledWith(
+      expect.stringContaining('SET instances_generated_until = ?'),
+      ['2026-11-17', 'event-1']
+    );
+    expect(report).toEqual({
+      horizon: '2026-11-17',
+      total: 1,
+      extended: [{ id: 'event-1', from: '2026-11-06', created: 3 }],
+      instancesCreated: 3
+    });
+  });
+
+  test('does not backfill dates before today', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ ...thursdays, recurrence_exdates: '["2026-11-05"]', instances_generated_until: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+    await extendOpenEndedEvents({ today: '2026-10-25', horizonDays: 14 });
+
+    expect(insertedDates()).toEqual(['2026-10-29']);
+  });
+
+  test('still records the horizon when no dates fall in the window', async () => {
+    db.query.mockResolvedValueOnce([[{ ...thursdays, recurrence_pattern: 'yearly', recurrence_days: null }]]);
+
+    const report = await extendOpenEndedEvents({ today: '2026-10-18', horizonDays: 30 });
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.execute).toHaveBeenCalledTimes(1);
+    expect(report.instancesCreated).toBe(0);
+  });
+
+  test('dry run reports without writing', async () => {
+    db.query.mockResolvedValueOnce([[thursdays]]);
+
+    const report = await extendOpenEndedEvents({ today: '2026-10-18', horizonDays: 30, dryRun: true });
+
+    expect(report.instancesCreated).toBe(1);
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+const { parseConflictPolicy, detectConflicts } = require('../../src/utils/scheduleConflicts');
+
+describe('Schedule conflicts', () => {
+  // Normalized rows as returned by fetchBarHours: 5pm to midnight every day
+  const eveningHours = [0, 1, 2, 3, 4, 5, 6].map(day => ({
+    day_of_week: day,
+    open_time: '17:00:00',
+    close_time: '23:59:59',
+    is_closed: false,
+    crosses_midnight: false
+  }));
+
+  const occurrence = (date, start_time, end_time, extra = {}) => ({ date, start_time, end_time, ...extra });
+
+  describe('parseConflictPolicy', () => {
+    test('defaults to warn', () => {
+      expect(parseConflictPolicy(undefined)).toEqual({ policy: 'warn' });
+      expect(parseConflictPolicy('reject')).toEqual({ policy: 'reject' });
+      expect(parseConflictPolicy('skip')).toEqual({ error: 'conflict_policy must be one of: reject, warn, allow' });
+    });
+  });
+
+  describe('detectConflicts', () => {
+    test('back-to-back events do not overlap', () => {
+      const conflicts = detectConflicts(
+        [occurrence('2099-01-01', '20:00:00', '21:00:00')],
+        [occurrence('2099-01-01', '18:00:00', '20:00:00', { instance_id: 'before' }), occurrence('2099-01-01', '21:00:00', '22:00:00', { instance_id: 'after' })],
+        eveningHours
+      );
+
+      expect(conflicts).toEqual([]);
+    });
+
+    test('an event crossing midnight overlaps one early the next day', () => {
+      const conflicts = detectConflicts(
+        [occurrence('2099-01-01', '22:00:00', '02:00:00')],
+        [occurrence('2099-01-02', '01:00:00', '03:00:00', { instance_id: 'early' })],
+        []
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].conflicting).toMatchObject({ instance_id: 'early', date: '2099-01-02' });
+    });
+
+    test('an event running into the next opening stays within the hours', () => {
+      const hours = eveningHours.map(hour => (hour.day_of_week === 5 ? { ...hour, open_time: '00:00:00' } : hour));
+
+      // 2099-01-01 is a Thursday; Friday opens at midnight
+      expect(detectConflicts([occurrence('2099-01-01', '22:00:00', '01:00:00')], [], hours)).toEqual([]);
+      expect(detectConflicts([occurrence('2099-01-02', '22:00:00', '01:00:00')], [], hours)).toEqual([
+        expect.objectContaining({ type: 'outside_hours', hours: { date: '2099-01-02', open_time: '00:00:00', close_time: '23:59:59', is_closed: false } })
+      ]);
+    });
+
+    test('a day without hours counts as closed', () => {
+      const hours = eveningHours.filter(hour => hour.day_of_week !== 0);
+
+      // 2099-01-04 is a Sunday
+      expect(detectConflicts([occurrence('2099-01-04', '18:00:00', '20:00:00')], [], hours)).toEqual([
+        expect.objectContaining({ type: 'outside_hours', hours: { date: '2099-01-04', open_time: null, close_time: null, is_closed: true } })
+      ]);
+    });
+
+    test('skips the hours check for bars without hours', () => {
+      expect(detectConflicts([occurrence('2099-01-01', '09:00:00', '10:00:00')], [], [])).toEqual([]);
+    });
+  });
+});
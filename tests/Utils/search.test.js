@@ -0,0 +1,44 @@
+const {
+  normalizeSearchQuery,
+  tokenize,
+  buildBooleanQuery,
+  escapeLike,
+  buildNameScore,
+  buildNameCondition
+} = require('../../src/utils/search');
+
+describe('Search utilities', () => {
+  test('normalizes whitespace and case', () => {
+    expect(normalizeSearchQuery('  Trivia   NIGHT ')).toBe('trivia night');
+    expect(normalizeSearchQuery(undefined)).toBe('');
+    expect(normalizeSearchQuery('x'.repeat(150))).toHaveLength(100);
+  });
+
+  test('tokenizes on anything that is not a letter or digit', () => {
+    expect(tokenize("o'connell's pub-crawl 2")).toEqual(['o', 'connell', 's', 'pub', 'crawl', '2']);
+    expect(tokenize('café olé')).toEqual(['café', 'olé']);
+  });
+
+  test('builds a prefix boolean query and drops user operators', () => {
+    expect(buildBooleanQuery('trivia nig')).toBe('trivia* nig*');
+    expect(buildBooleanQuery('+karaoke -"sing"*')).toBe('karaoke* sing*');
+  });
+
+  test('escapes LIKE wildcards', () => {
+    expect(escapeLike('100%_off\\')).toBe('100\\%\\_off\\\\');
+  });
+
+  test('ranks exact, prefix, word prefix, substring and sounds-alike matches', () => {
+    const { sql, params } = buildNameScore('b.name', 'mur');
+    expect(sql).toContain('WHEN LOWER(b.name) = ? THEN 10');
+    expect(sql).toContain('WHEN SOUNDEX(b.name) = SOUNDEX(?) THEN 2');
+    expect(params).toEqual(['mur', 'mur%', '% mur%', '%mur%', 'mur']);
+  });
+
+  test('matches names by substring or sound', () => {
+    expect(buildNameCondition('t.name', '50%')).toEqual({
+      sql: '(LOWER(t.name) LIKE ? OR SOUNDEX(t.name) = SOUNDEX(?))',
+      params: ['%50\\%%', '50%']
+    });
+  });
+});
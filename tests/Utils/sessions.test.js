@@ -0,0 +1,120 @@
+const db = require('../../src/utils/db');
+const {
+  hashRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  revokeAllSessions,
+  isSessionActive
+} = require('../../src/utils/sessions');
+
+jest.mock('../../src/utils/db');
+
+describe('Session utilities', () => {
+  let conn;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    conn = {
+      beginTransaction: jest.fn().mockResolvedValue(),
+      execute: jest.fn(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.execute = jest.fn();
+    db.getConnection = jest.fn().mockResolvedValue(conn);
+  });
+
+  describe('createSession', () => {
+    test('stores the session and only a hash of the refresh token', async () => {
+      db.execute.mockResolvedValue([{ affectedRows: 1 }]);
+
+      const session = await createSession({ userId: 'user-1', userType: 'app_user', userAgent: 'PubApp/1.0' });
+
+      expect(db.execute.mock.calls[0][1]).toEqual([session.sessionId, 'user-1', 'app_user', 'PubApp/1.0']);
+      const [, sessionId, tokenHash, expiresAt] = db.execute.mock.calls[1][1];
+      expect(sessionId).toBe(session.sessionId);
+      expect(tokenHash).toBe(hashRefreshToken(session.refreshToken));
+      expect(tokenHash).not.toBe(session.refreshToken);
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+
+    test('rejects unknown user types', async () => {
+      await expect(createSession({ userId: 'user-1', userType: 'robot' })).rejects.toThrow('Unknown user type');
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    const tokenRow = { id: 'rt-1', session_id: 'session-1', used_at: null, is_expired: 0, user_id: 'user-1', revoked_at: null };
+
+    test('marks the token used and issues a new one', async () => {
+      conn.execute
+        .mockResolvedValueOnce([[tokenRow]])
+        .mockResolvedValue([{ affectedRows: 1 }]);
+
+      const result = await rotateRefreshToken('old-token', 'app_user');
+
+      expect(result).toMatchObject({ status: 'rotated', sessionId: 'session-1', userId: 'user-1' });
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(conn.execute.mock.calls[0][1]).toEqual([hashRefreshToken('old-token'), 'app_user']);
+      expect(conn.execute.mock.calls[1][0]).toContain('SET used_at = NOW()');
+      expect(conn.execute.mock.calls[2][1][2]).toBe(hashRefreshToken(result.refreshToken));
+      expect(conn.commit).toHaveBeenCalled();
+      expect(conn.release).toHaveBeenCalled();
+    });
+
+    test('revokes the session when a used token is presented again', async () => {
+      conn.execute
+        .mockResolvedValueOnce([[{ ...tokenRow, used_at: new Date() }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const result = await rotateRefreshToken('stolen-token', 'app_user');
+
+      expect(result).toEqual({ status: 'reused', sessionId: 'session-1', userId: 'user-1' });
+      expect(conn.execute.mock.calls[1][0]).toContain("revoked_reason = 'refresh_token_reuse'");
+      expect(conn.execute).toHaveBeenCalledTimes(2);
+      expect(conn.commit).toHaveBeenCalled();
+    });
+
+    test.each([
+      ['unknown', []],
+      ['expired', [{ ...tokenRow, is_expired: 1 }]],
+      ['revoked', [{ ...tokenRow, revoked_at: new Date() }]]
+    ])('treats %s tokens as invalid', async (_label, rows) => {
+      conn.execute.mockResolvedValueOnce([rows]);
+
+      await expect(rotateRefreshToken('some-token', 'web_user')).resolves.toEqual({ status: 'invalid' });
+      expect(conn.execute).toHaveBeenCalledTimes(1);
+      expect(conn.rollback).toHaveBeenCalled();
+    });
+
+    test('rolls back and releases the connection on errors', async () => {
+      conn.execute.mockRejectedValueOnce(new Error('Database error'));
+
+      await expect(rotateRefreshToken('some-token', 'app_user')).rejects.toThrow('Database error');
+      expect(conn.rollback).toHaveBeenCalled();
+      expect(conn.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('revocation', () => {
+    test('revokeAllSessions limits revocation to the user type', async () => {
+      db.execute.mockResolvedValueOnce([{ affectedRows: 3 }]);
+
+      await expect(revokeAllSessions('user-1', 'web_user')).resolves.toBe(3);
+      expect(db.execute.mock.calls[0][1]).toEqual(['logout_all', 'user-1', 'web_user']);
+    });
+
+    test('isSessionActive is false for revoked or missing sessions', async () => {
+      db.execute
+        .mockResolvedValueOnce([[{ revoked_at: null }]])
+        .mockResolvedValueOnce([[{ revoked_at: new Date() }]])
+        .mockResolvedValueOnce([[]]);
+
+      await expect(isSessionActive('a')).resolves.toBe(true);
+      await expect(isSessionActive('b')).resolves.toBe(false);
+      await expect(isSessionActive('c')).resolves.toBe(false);
+    });
+  });
+});
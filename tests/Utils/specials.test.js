@@ -0,0 +1,61 @@
+const {
+  validateSpecialPayload,
+  findRunningWindow
+} = require('../../src/utils/specials');
+
+describe('Specials utils', () => {
+  const happyHour = {
+    item: ' Draft beer ',
+    discount_type: 'fixed_price',
+    price: 4.5,
+    windows: [
+      { day_of_week: 5, start_time: '16:00:00', end_time: '19:00:00' },
+      { day_of_week: 5, start_time: '22:00:00', end_time: '2:00:00' }
+    ]
+  };
+
+  test('should normalize valid payloads and flag windows that cross midnight', () => {
+    expect(validateSpecialPayload(happyHour)).toEqual({
+      value: {
+        item: 'Draft beer',
+        description: null,
+        discount_type: 'fixed_price',
+        price: 4.5,
+        discount_value: null,
+        is_active: true,
+        windows: [
+          { day_of_week: 5, start_time: '16:00:00', end_time: '19:00:00', crosses_midnight: false },
+          { day_of_week: 5, start_time: '22:00:00', end_time: '02:00:00', crosses_midnight: true }
+        ]
+      }
+    });
+  });
+
+  test.each([
+    [{ item: '' }, 'item is required and must be at most 255 characters'],
+    [{ discount_type: 'free' }, 'discount_type must be one of: fixed_price, amount_off, percent_off, bogo'],
+    [{ price: undefined }, 'price is required for fixed_price specials'],
+    [{ price: 4.555 }, 'price must be a non-negative amount with at most two decimals'],
+    [{ discount_value: 1 }, 'discount_value is only used by amount_off and percent_off specials'],
+    [{ discount_type: 'percent_off', discount_value: 150 }, 'discount_value cannot exceed 100 for percent_off specials'],
+    [{ discount_type: 'amount_off', discount_value: 0 }, 'discount_value must be a positive number with at most two decimals for amount_off specials'],
+    [{ windows: [] }, 'windows must be a non-empty array'],
+    [{ windows: [{ day_of_week: 7, start_time: '16:00:00', end_time: '19:00:00' }] }, 'day_of_week must be a number between 0 and 6'],
+    [{ windows: [{ day_of_week: 1, start_time: '16:00', end_time: '19:00:00' }] }, 'start_time and end_time must be in HH:MM:SS format'],
+    [{ windows: [{ day_of_week: 1, start_time: '16:00:00', end_time: '16:00:00' }] }, 'start_time and end_time must differ'],
+    [{ windows: [happyHour.windows[0], happyHour.windows[0]] }, 'Duplicate windows are not allowed']
+  ])('should reject %j', (overrides, error) => {
+    expect(validateSpecialPayload({ ...happyHour, ...overrides })).toEqual({ error });
+  });
+
+  test('should find the running window, including the morning after a cross-midnight window', () => {
+    const { windows } = validateSpecialPayload(happyHour).value;
+
+    expect(findRunningWindow(windows, { dayOfWeek: 5, time: '16:00:00' })).toBe(windows[0]);
+    expect(findRunningWindow(windows, { dayOfWeek: 5, time: '19:00:00' })).toBeNull();
+    expect(findRunningWindow(windows, { dayOfWeek: 5, time: '23:30:00' })).toBe(windows[1]);
+    expect(findRunningWindow(windows, { dayOfWeek: 6, time: '01:59:59' })).toBe(windows[1]);
+    expect(findRunningWindow(windows, { dayOfWeek: 6, time: '02:00:00' })).toBeNull();
+    expect(findRunningWindow(windows, { dayOfWeek: 4, time: '17:00:00' })).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+const { MAX_TAG_FILTER_VALUES, parseList, parseTagFilters } = require('../../src/utils/tagFilters');
+const { parseBarListFilters, buildBarListQuery } = require('../../src/utils/barListing');
+const { parseEventInstanceFilters, buildEventInstanceQuery } = require('../../src/utils/eventListing');
+
+const BAR_PARAMS = { ids: 'tag', names: 'tag_name', excludeIds: 'exclude_tag', categories: 'category' };
+
+describe('Tag filters', () => {
+  describe('parseTagFilters', () => {
+    test('splits, trims and de-duplicates comma-separated and repeated values', () => {
+      expect(parseList(' a, b,,a ')).toEqual(['a', 'b']);
+      expect(parseList(['a,b', 'c'])).toEqual(['a', 'b', 'c']);
+      expect(parseList(undefined)).toEqual([]);
+    });
+
+    test('defaults to any mode', () => {
+      expect(parseTagFilters({ tag: 'tag-1', category: 'type' }, BAR_PARAMS)).toEqual({
+        tagFilters: { mode: 'any', ids: ['tag-1'], names: [], excludeIds: [], categories: ['type'] }
+      });
+    });
+
+    test('validates tag_mode and the number of values', () => {
+      expect(parseTagFilters({ tag_mode: 'some' }, BAR_PARAMS).error).toMatch(/tag_mode/);
+      const tooMany = Array.from({ length: MAX_TAG_FILTER_VALUES + 1 }, (_, i) => `tag-${i}`).join(',');
+      expect(parseTagFilters({ exclude_tag: tooMany }, BAR_PARAMS).error).toMatch(/exclude_tag accepts at most/);
+    });
+  });
+
+  describe('bar listing', () => {
+    const buildQuery = (query) => buildBarListQuery(parseBarListFilters(query).filters);
+
+    test('tag_mode=any keeps the single tag join', async () => {
+      const { countSql, countParams } = await buildQuery({ tag: 'tag-1,tag-2', tag_name: 'Rooftop' });
+
+      expect(countSql).toContain('INNER JOIN bar_tag_assignments bt_filter ON b.id = bt_filter.bar_id');
+      expect(countSql).toContain('(bt_filter.tag_id IN (?,?) OR bt_filter.tag_id IN (SELECT id FROM bar_tags WHERE name IN (?)))');
+      expect(countParams).toEqual(['tag-1', 'tag-2', 'Rooftop']);
+    });
+
+    test('tag_mode=all requires every tag and category', async () => {
+      const { selectSql, countSql, countParams } = await buildQuery({
+        tag: 'tag-1,tag-2',
+        tag_name: 'Pet Friendly',
+        category: 'type',
+        tag_mode: 'all'
+      });
+
+      expect(countSql).not.toContain('bt_filter');
+      expect(selectSql).not.toContain('GROUP BY');
+      expect(countSql.match(/EXISTS \(SELECT 1 FROM bar_tag_assignments bt_all/g)).toHaveLength(4);
+      expect(countSql).toContain('t_all.name = ?');
+      expect(countSql).toContain('t_all.category = ?');
+      expect(countParams).toEqual(['tag-1', 'tag-2', 'Pet Friendly', 'type']);
+    });
+
+    test('category and exclude_tag are applied alongside the tag filter', async () => {
+      const { countSql, countParams } = await buildQuery({ tag: 'tag-1', category: 'type,vibe', exclude_tag: 'tag-9' });
+
+      expect(countSql).toContain('t_category.category IN (?,?)');
+      expect(countSql).toContain('NOT EXISTS (SELECT 1 FROM bar_tag_assignments bt_excluded');
+      expect(countParams).toEqual(['tag-1', 'type', 'vibe', 'tag-9']);
+    });
+  });
+
+  describe('event instance listing', () => {
+    const buildQuery = (query) => buildEventInstanceQuery(parseEventInstanceFilters(query).filters);
+
+    test('event_tag_id accepts several tags in any mode, and names', async () => {
+      const { countSql, countParams } = await buildQuery({ event_tag_id: 'trivia,karaoke', event_tag_name: 'Live Music' });
+
+      expect(countSql).toContain('eita_f.instance_id = ei.id AND (eita_f.tag_id IN (?,?) OR eita_f.tag_id IN (SELECT id FROM event_tags WHERE name IN (?)))');
+      expect(countSql).toContain('eta_f.event_id = e.id AND (eta_f.tag_id IN (?,?) OR eta_f.tag_id IN (SELECT id FROM event_tags WHERE name IN (?)))');
+      expect(countParams).toEqual(['trivia', 'karaoke', 'Live Music', 'trivia', 'karaoke', 'Live Music']);
+    });
+
+    test('instance override tags replace the event tags when present', async () => {
+      const { countSql } = await buildQuery({ event_tag_id: 'trivia' });
+
+      expect(countSql).toContain('NOT EXISTS (SELECT 1 FROM event_instance_tag_assignments eita_o WHERE eita_o.instance_id = ei.id)');
+    });
+
+    test('tag_mode=all requires every tag, and exclusions', async () => {
+      const { countSql, countParams } = await buildQuery({
+        event_tag_id: 'trivia,drink-special',
+        exclude_event_tag_id: 'karaoke',
+        tag_mode: 'all'
+      });
+
+      expect(countSql.match(/eita_f\.tag_id IN \(\?\)/g)).toHaveLength(3);
+      expect(countSql).toContain('NOT (EXISTS (SELECT 1 FROM event_instance_tag_assignments eita_f');
+      expect(countParams).toEqual(['trivia', 'trivia', 'drink-special', 'drink-special', 'karaoke', 'karaoke']);
+    });
+
+    test('rejects an unknown tag_mode', () => {
+      expect(parseEventInstanceFilters({ tag_mode: 'none' }).error).toMatch(/tag_mode/);
+    });
+  });
+});
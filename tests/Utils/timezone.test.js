@@ -0,0 +1,138 @@
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedDateTime,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  findOffsetTransitions,
+  addDays,
+  getDayOfWeek,
+  isValidDateString,
+  parseLocalDateTime,
+  buildLocalClockJoin,
+  buildWallClockJoin
+} = require('../../src/utils/timezone');
+
+describe('Timezone utilities', () => {
+  describe('isValidTimeZone', () => {
+    test('accepts IANA zone names', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+    });
+
+    test('rejects unknown or empty values', () => {
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+      expect(isValidTimeZone(42)).toBe(false);
+    });
+  });
+
+  describe('getZonedDateTime', () => {
+    test('converts an instant to local date, time and weekday', () => {
+      // 2026-01-03T03:30:00Z is Friday 22:30 in New York (EST, UTC-5)
+      expect(getZonedDateTime('America/New_York', new Date('2026-01-03T03:30:00Z'))).toEqual({
+        date: '2026-01-02',
+        time: '22:30:00',
+        dayOfWeek: 5
+      });
+    });
+
+    test('applies daylight saving time offsets', () => {
+      // Same UTC clock time in July is 23:30 (EDT, UTC-4)
+      expect(getZonedDateTime('America/New_York', new Date('2026-07-04T03:30:00Z')).time).toBe('23:30:00');
+    });
+
+    test('reports midnight as 00 rather than 24', () => {
+      expect(getZonedDateTime('UTC', new Date('2026-03-01T00:15:00Z')).time).toBe('00:15:00');
+    });
+  });
+
+  describe('UTC offsets', () => {
+    test('returns the offset in minutes east of UTC', () => {
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-01-15T12:00:00Z'))).toBe(-300);
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-07-15T12:00:00Z'))).toBe(-240);
+      expect(getTimeZoneOffset('Asia/Kolkata', new Date('2026-07-15T12:00:00Z'))).toBe(330);
+    });
+
+    test('converts local wall-clock times to instants on either side of DST', () => {
+      expect(zonedTimeToUtc('2026-11-24', '23:59:59', 'America/New_York').toISOString()).toBe('2026-11-25T04:59:59.000Z');
+      expect(zonedTimeToUtc('2026-07-04', '19:00:00', 'America/New_York').toISOString()).toBe('2026-07-04T23:00:00.000Z');
+    });
+
+    test('finds offset changes to the minute', () => {
+      expect(findOffsetTransitions('America/New_York', '2026-01-01', '2026-12-31')).toEqual([
+        { instant: new Date('2026-03-08T07:00:00Z'), offsetFrom: -300, offsetTo: -240 },
+        { instant: new Date('2026-11-01T06:00:00Z'), offsetFrom: -240, offsetTo: -300 }
+      ]);
+      expect(findOffsetTransitions('Asia/Tokyo', '2026-01-01', '2026-12-31')).toEqual([]);
+    });
+  });
+
+  describe('date helpers', () => {
+    test('adds days across month, year and DST boundaries', () => {
+      expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+      expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+      expect(addDays('2026-03-08', 1)).toBe('2026-03-09');
+    });
+
+    test('validates calendar dates', () => {
+      expect(isValidDateString('2028-02-29')).toBe(true);
+      expect(isValidDateString('2026-02-29')).toBe(false);
+      expect(isValidDateString('2026-1-05')).toBe(false);
+      expect(isValidDateString(undefined)).toBe(false);
+    });
+
+    test('returns the day of week for a date', () => {
+      expect(getDayOfWeek('2026-11-26')).toBe(4);
+      expect(getDayOfWeek('2026-11-29')).toBe(0);
+    });
+  });
+
+  describe('parseLocalDateTime', () => {
+    test('parses wall-clock date-times with optional seconds', () => {
+      expect(parseLocalDateTime('2026-10-24T23:00')).toEqual({ date: '2026-10-24', time: '23:00:00', dayOfWeek: 6 });
+      expect(parseLocalDateTime('2026-10-25T01:30:15')).toEqual({ date: '2026-10-25', time: '01:30:15', dayOfWeek: 0 });
+    });
+
+    test('rejects offsets, impossible dates and other formats', () => {
+      expect(parseLocalDateTime('2026-10-24T23:00Z')).toBeNull();
+      expect(parseLocalDateTime('2026-10-24T24:00')).toBeNull();
+      expect(parseLocalDateTime('2026-02-30T12:00')).toBeNull();
+      expect(parseLocalDateTime('2026-10-24')).toBeNull();
+      expect(parseLocalDateTime(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildWallClockJoin', () => {
+    test('builds a single-row clock shared by every bar', () => {
+      expect(buildWallClockJoin({ date: '2026-10-24', time: '23:00:00', dayOfWeek: 6 })).toEqual({
+        sql: 'CROSS JOIN (SELECT ? AS local_date, ? AS local_time, ? AS local_dow) bar_clock',
+        params: ['2026-10-24', '23:00:00', 6]
+      });
+    });
+  });
+
+  describe('buildLocalClockJoin', () => {
+    test('builds one row per distinct zone, always including the default', () => {
+      const instant = new Date('2026-06-01T12:00:00Z');
+      const { sql, params } = buildLocalClockJoin(['Europe/London', 'Europe/London'], { instant });
+
+      expect(sql).toContain('UNION ALL');
+      expect(sql).toMatch(/\) bar_clock ON bar_clock\.timezone = b\.timezone$/);
+      expect(params).toEqual([
+        DEFAULT_TIMEZONE, '2026-06-01', '08:00:00', 1,
+        'Europe/London', '2026-06-01', '13:00:00', 1
+      ]);
+    });
+
+    test('ignores invalid zones and honours custom aliases', () => {
+      const { sql, params } = buildLocalClockJoin(['Not/AZone'], { barAlias: 'bars', clockAlias: 'clock' });
+
+      expect(sql).not.toContain('UNION ALL');
+      expect(sql).toContain('clock.timezone = bars.timezone');
+      expect(params[0]).toBe(DEFAULT_TIMEZONE);
+    });
+  });
+});